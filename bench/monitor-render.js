@@ -0,0 +1,95 @@
+/**
+ * 监控页渲染性能测试 - 用虚拟高速数据源驱动监控页，统计渲染耗时、事件循环延迟和丢行情况
+ *
+ * 用法: node bench/monitor-render.js [波特率，默认921600] [秒数，默认5]
+ *
+ * 页面脚本在模拟的DOM中运行，不包含浏览器排版和绘制的开销，
+ * 结果用于比较数据处理和渲染流水线的改动。浏览器中可用 index.html?transport=virtual 连接"虚拟高速数据源"观察实际效果。
+ */
+
+const { loadMonitor, delay, waitFor } = require('../tests/helpers/browser');
+
+const percentile = (values, p) => {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+};
+
+async function main() {
+    const baudRate = parseInt(process.argv[2]) || 921600;
+    const seconds = parseFloat(process.argv[3]) || 5;
+
+    const env = loadMonitor({ values: { quickBaudRate: String(baudRate) } });
+    const SyntheticDevice = env.get('SyntheticDevice');
+    const VirtualSerialPort = env.get('VirtualSerialPort');
+    const VirtualTransport = env.get('VirtualTransport');
+    const SerialMonitorPro = env.get('SerialMonitorPro');
+
+    const device = new SyntheticDevice();
+    const port = new VirtualSerialPort(device, { usbProductName: '高速数据源' });
+    const transport = new VirtualTransport([port]);
+    transport.grantAll();
+    const app = new SerialMonitorPro({ transport });
+    await waitFor(() => app.ports.size === 1);
+    const portId = app.getPortId(port);
+    app.setFramerConfig(portId, 'line', 'lf');
+
+    // 统计每次渲染的耗时
+    const view = app.monitorView;
+    const render = view.render.bind(view);
+    const renderTimes = [];
+    view.render = () => {
+        const start = performance.now();
+        render();
+        renderTimes.push(performance.now() - start);
+    };
+
+    // 10ms定时器的实际触发延迟反映事件循环被占用的程度
+    const lags = [];
+    let expected = performance.now() + 10;
+    const lagTimer = setInterval(() => {
+        const now = performance.now();
+        lags.push(Math.max(0, now - expected));
+        expected = now + 10;
+    }, 10);
+
+    await app.connectPort(port);
+    const start = performance.now();
+    await delay(seconds * 1000);
+    const elapsed = (performance.now() - start) / 1000;
+    clearInterval(lagTimer);
+    await app.disconnectPort(port);
+
+    // 按行序号检查丢行
+    let missing = 0;
+    let previous = null;
+    app.frames.forEach(frame => {
+        const match = /^#(\d{8})/.exec(Buffer.from(frame.data).toString('latin1'));
+        if (!match) return;
+        const index = parseInt(match[1], 10);
+        if (previous !== null && index > previous + 1) missing += index - previous - 1;
+        previous = index;
+    });
+
+    const rxBytes = app.capture.getStats(portId).rxBytes;
+    const rows = [
+        ['波特率', `${baudRate} bps`],
+        ['时长', `${elapsed.toFixed(1)} s`],
+        ['设备送出', `${device.produced} 字节`],
+        ['接收', `${rxBytes} 字节 (${(rxBytes / elapsed / 1024).toFixed(1)} KB/s)`],
+        ['帧数', `${app.frames.length} (${(app.frames.length / elapsed).toFixed(0)} 帧/s)`],
+        ['丢失行数', missing],
+        ['渲染次数', `${renderTimes.length} (${(renderTimes.length / elapsed).toFixed(1)} 次/s)`],
+        ['渲染耗时 p50/p99/max', `${percentile(renderTimes, 0.5).toFixed(2)} / ${percentile(renderTimes, 0.99).toFixed(2)} / ${Math.max(0, ...renderTimes).toFixed(2)} ms`],
+        ['事件循环延迟 p50/p99/max', `${percentile(lags, 0.5).toFixed(1)} / ${percentile(lags, 0.99).toFixed(1)} / ${Math.max(0, ...lags).toFixed(1)} ms`],
+        ['已渲染行元素', view.rows.children.length]
+    ];
+    rows.forEach(([name, value]) => console.log(`${name.padEnd(24)} ${value}`));
+
+    env.dispose();
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
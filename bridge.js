@@ -0,0 +1,389 @@
+/**
+ * 串口共享 - 通过WebSocket中继共享本机已打开的串口，其他人以远程串口连接查看和操作
+ * Serial Monitor Pro - Serial over WebSocket Bridge
+ *
+ *   BridgeHost        主机端：共享已连接的串口，转发收发数据、串口参数和输入信号，执行远程用户的写入和信号设置
+ *   RemoteTransport   远程端：列出中继上共享的串口，串口对象为RemoteSerialPort，与本地串口一样连接、读写
+ *
+ * 连接 ws://中继地址/?token=令牌，中继按令牌确定角色：host 主机，control 远程用户（可发送数据和设置信号），
+ * view 只读用户。消息均为JSON文本，字节数据为Base64：
+ *
+ *   中继 → 客户端   { type: 'welcome', role, clientId, ports: [串口描述] }   连接后首先发送
+ *                   { type: 'ports', ports: [串口描述] }                     共享的串口变化时
+ *                   { type: 'error', id?, request?, message }
+ *   主机 → 中继     { type: 'share', port: 串口描述 }  { type: 'unshare', id }
+ *                   { type: 'error', to, id, request, message }             远程请求执行失败，中继转给to
+ *   主机 → 远程     { type: 'data', id, direction: 'RX' | 'TX', data, timestamp }
+ *                   { type: 'signals', id, signals: { clearToSend, dataSetReady, dataCarrierDetect, ringIndicator } }
+ *                   { type: 'settings', id, settings: { baudRate, dataBits, stopBits, parity, flowControl } }
+ *   远程 → 主机     { type: 'write', id, data }  { type: 'set-signals', id, signals: { dataTerminalReady?, requestToSend?, break? } }
+ *                   中继转发给主机时加上 from: 客户端ID；只读用户的请求由中继拒绝
+ *
+ *   串口描述        { id, name, info: { usbVendorId, usbProductId, ... }, settings, signals }
+ *                   主机只共享数据时settings和signals为null，且拒绝远程设置信号
+ */
+
+class BridgeConnection {
+    static ROLES = {
+        host: '主机',
+        control: '远程用户',
+        view: '只读用户'
+    };
+
+    static encodeBytes(bytes) {
+        let binary = '';
+        for (let offset = 0; offset < bytes.length; offset += 8192) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 8192));
+        }
+        return btoa(binary);
+    }
+
+    static decodeBytes(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    /**
+     * url      中继地址，如 ws://192.168.1.10:8765
+     * options  onMessage(message) 收到消息，onClose() 连接断开（不含主动关闭），WebSocket 测试时替换
+     */
+    constructor(url, token, options = {}) {
+        this.url = url;
+        this.token = token;
+        this.onMessage = options.onMessage || null;
+        this.onClose = options.onClose || null;
+        this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.socket = null;
+        this.closing = false;
+    }
+
+    // 连接并等待welcome消息，返回其内容
+    connect() {
+        if (!this.WebSocket) return Promise.reject(new Error('浏览器不支持WebSocket'));
+        return new Promise((resolve, reject) => {
+            let welcomed = false;
+            const separator = this.url.includes('?') ? '&' : '?';
+            let socket;
+            try {
+                socket = new this.WebSocket(`${this.url}${separator}token=${encodeURIComponent(this.token)}`);
+            } catch (error) {
+                reject(new Error(`中继地址无效: ${error.message}`));
+                return;
+            }
+            this.socket = socket;
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch {
+                    console.warn('中继消息格式错误:', event.data);
+                    return;
+                }
+                if (!welcomed) {
+                    if (message.type !== 'welcome') return;
+                    welcomed = true;
+                    resolve(message);
+                    return;
+                }
+                if (this.onMessage) this.onMessage(message);
+            };
+            socket.onclose = () => {
+                this.socket = null;
+                if (!welcomed) {
+                    reject(new Error('无法连接中继服务器，请检查地址和令牌'));
+                } else if (!this.closing && this.onClose) {
+                    this.onClose();
+                }
+            };
+            socket.onerror = () => {};
+        });
+    }
+
+    get connected() {
+        return this.socket !== null;
+    }
+
+    send(message) {
+        if (!this.socket) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    close() {
+        this.closing = true;
+        if (this.socket) this.socket.close();
+        this.socket = null;
+    }
+}
+
+/**
+ * 主机端
+ *   options  onWrite(id, bytes, from)、onSetSignals(id, signals, from) 执行远程用户的请求，
+ *            onClose() 与中继的连接断开，WebSocket 测试时替换
+ */
+class BridgeHost {
+    constructor(url, token, options = {}) {
+        this.onWrite = options.onWrite || null;
+        this.onSetSignals = options.onSetSignals || null;
+        this.connection = new BridgeConnection(url, token, {
+            WebSocket: options.WebSocket,
+            onMessage: message => this.handleMessage(message),
+            onClose: () => {
+                this.shared.clear();
+                if (options.onClose) options.onClose();
+            }
+        });
+        this.shared = new Set(); // 已共享的串口ID
+    }
+
+    async connect() {
+        const welcome = await this.connection.connect();
+        if (welcome.role !== 'host') {
+            this.connection.close();
+            throw new Error('该令牌不能共享串口');
+        }
+        return welcome;
+    }
+
+    close() {
+        this.shared.clear();
+        this.connection.close();
+    }
+
+    isShared(id) {
+        return this.shared.has(id);
+    }
+
+    share(descriptor) {
+        this.shared.add(descriptor.id);
+        this.connection.send({ type: 'share', port: descriptor });
+    }
+
+    unshare(id) {
+        if (!this.shared.delete(id)) return;
+        this.connection.send({ type: 'unshare', id });
+    }
+
+    sendData(id, direction, bytes, timestamp) {
+        this.connection.send({ type: 'data', id, direction, data: BridgeConnection.encodeBytes(bytes), timestamp });
+    }
+
+    sendSignals(id, signals) {
+        this.connection.send({ type: 'signals', id, signals });
+    }
+
+    sendSettings(id, settings) {
+        this.connection.send({ type: 'settings', id, settings });
+    }
+
+    reportError(to, id, request, message) {
+        this.connection.send({ type: 'error', to, id, request, message });
+    }
+
+    handleMessage(message) {
+        if (!this.shared.has(message.id)) {
+            if (message.type === 'error') console.warn('中继错误:', message.message);
+            return;
+        }
+        switch (message.type) {
+            case 'write':
+                if (this.onWrite) this.onWrite(message.id, BridgeConnection.decodeBytes(message.data), message.from);
+                break;
+            case 'set-signals':
+                if (this.onSetSignals) this.onSetSignals(message.id, message.signals || {}, message.from);
+                break;
+            case 'error':
+                console.warn('中继错误:', message.message);
+                break;
+        }
+    }
+}
+
+/**
+ * 远程串口 - 数据来自主机共享的串口，按SerialPort接口使用
+ * 打开和关闭只影响本端是否接收，主机上的串口保持打开；只读用户没有writable，不能设置信号。
+ * 本端写入的数据由主机作为TX回传，按顺序与未确认的写入比对后丢弃，其他用户发送的数据交给onTransmit。
+ */
+class RemoteSerialPort extends VirtualSerialPort {
+    constructor(transport, descriptor) {
+        super({
+            open() {},
+            close() {},
+            write: (port, bytes) => {
+                this.pendingEchoes.push(bytes);
+                transport.send({ type: 'write', id: this.remoteId, data: BridgeConnection.encodeBytes(bytes) });
+            },
+            setSignals: (port, signals) => {
+                transport.send({ type: 'set-signals', id: this.remoteId, signals: { ...signals } });
+            },
+            getSignals: () => this.remoteSignals || {}
+        });
+        this.transport = transport;
+        this.remoteId = descriptor.id;
+        this.pendingEchoes = [];
+        this.onTransmit = null; // 其他用户或主机发送的数据
+        this.update(descriptor);
+    }
+
+    update(descriptor) {
+        this.descriptor = descriptor;
+        this.remoteSettings = descriptor.settings || null;
+        this.remoteSignals = descriptor.signals || null;
+        const info = descriptor.info || {};
+        this.info = {
+            // 只保留类型正确的设备信息
+            ...(Number.isInteger(info.usbVendorId) ? { usbVendorId: info.usbVendorId } : {}),
+            ...(Number.isInteger(info.usbProductId) ? { usbProductId: info.usbProductId } : {}),
+            ...(typeof info.serialNumber === 'string' ? { serialNumber: info.serialNumber.slice(0, 128) } : {}),
+            usbProductName: `${descriptor.name} (远程)`,
+            remotePortId: descriptor.id
+        };
+    }
+
+    get readOnly() {
+        return this.transport.role !== 'control';
+    }
+
+    get writable() {
+        return this.readOnly ? null : super.writable;
+    }
+
+    async setSignals(signals = {}) {
+        if (this.readOnly) {
+            throw VirtualSerialPort.createError('NotAllowedError', '只读用户不能设置控制信号');
+        }
+        if (!this.remoteSignals) {
+            throw VirtualSerialPort.createError('NotAllowedError', '主机未共享控制信号');
+        }
+        await super.setSignals(signals);
+    }
+
+    receive(direction, bytes) {
+        if (direction === 'RX') {
+            this.emit(bytes);
+            return;
+        }
+        const pending = this.pendingEchoes[0];
+        if (pending && pending.length === bytes.length && pending.every((byte, i) => byte === bytes[i])) {
+            this.pendingEchoes.shift();
+            return;
+        }
+        if (this.opened && this.onTransmit) this.onTransmit(bytes);
+    }
+
+    // 主机写入失败，对应的写入不会回传
+    writeFailed() {
+        this.pendingEchoes.shift();
+    }
+
+    clone() {
+        return new RemoteSerialPort(this.transport, this.descriptor);
+    }
+}
+
+/**
+ * 远程端传输层：中继上共享的串口出现和消失时触发connect/disconnect事件，与设备插拔一致
+ *   options  onError(message) 中继或主机返回的错误，onClose() 与中继的连接断开，WebSocket 测试时替换
+ */
+class RemoteTransport extends SerialTransport {
+    // 串口ID作为本地端口ID的一部分写入页面，只接受这些字符
+    static PORT_ID_PATTERN = /^[\w.:#-]{1,128}$/;
+
+    // 中继转发的是其他主机的内容，不符合格式的串口描述丢弃
+    static isValidDescriptor(descriptor) {
+        return Boolean(descriptor) && typeof descriptor === 'object' &&
+            typeof descriptor.id === 'string' && RemoteTransport.PORT_ID_PATTERN.test(descriptor.id) &&
+            typeof descriptor.name === 'string' && descriptor.name.length <= 256;
+    }
+
+    constructor(url, token, options = {}) {
+        super();
+        this.onError = options.onError || null;
+        this.onClose = options.onClose || null;
+        this.connection = new BridgeConnection(url, token, {
+            WebSocket: options.WebSocket,
+            onMessage: message => this.handleMessage(message),
+            onClose: () => {
+                this.removeAll();
+                if (this.onClose) this.onClose();
+            }
+        });
+        this.role = null;
+        this.ports = new Map(); // 串口ID -> RemoteSerialPort
+    }
+
+    get name() {
+        return '远程串口';
+    }
+
+    get supported() {
+        return this.connection.WebSocket !== null;
+    }
+
+    async connect() {
+        const welcome = await this.connection.connect();
+        this.role = welcome.role;
+        this.updatePorts(welcome.ports || [], false);
+        return welcome;
+    }
+
+    close() {
+        this.connection.close();
+        this.removeAll();
+    }
+
+    async getPorts() {
+        return Array.from(this.ports.values());
+    }
+
+    send(message) {
+        return this.connection.send(message);
+    }
+
+    handleMessage(message) {
+        const port = this.ports.get(message.id);
+        switch (message.type) {
+            case 'ports':
+                this.updatePorts(message.ports || []);
+                break;
+            case 'data':
+                if (port) port.receive(message.direction, BridgeConnection.decodeBytes(message.data));
+                break;
+            case 'signals':
+                if (port) port.remoteSignals = message.signals;
+                break;
+            case 'settings':
+                if (port) port.remoteSettings = message.settings;
+                break;
+            case 'error':
+                if (port && message.request === 'write') port.writeFailed();
+                if (this.onError) this.onError(message.message);
+                break;
+        }
+    }
+
+    // 新共享的串口触发connect，取消共享的串口如同拔出
+    updatePorts(descriptors, notify = true) {
+        descriptors = Array.isArray(descriptors) ? descriptors.filter(RemoteTransport.isValidDescriptor) : [];
+        const ids = new Set(descriptors.map(descriptor => descriptor.id));
+        for (const [id, port] of Array.from(this.ports)) {
+            if (ids.has(id)) continue;
+            this.ports.delete(id);
+            port.unplug();
+            if (notify) this.dispatchEvent('disconnect', port);
+        }
+        for (const descriptor of descriptors) {
+            const port = this.ports.get(descriptor.id);
+            if (port) {
+                port.update(descriptor);
+                continue;
+            }
+            const fresh = new RemoteSerialPort(this, descriptor);
+            this.ports.set(descriptor.id, fresh);
+            if (notify) this.dispatchEvent('connect', fresh);
+        }
+    }
+
+    removeAll() {
+        this.updatePorts([]);
+    }
+}
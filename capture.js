@@ -0,0 +1,187 @@
+/**
+ * 数据捕获存储 - 带时间戳和方向的收发记录
+ * Serial Monitor Pro - Capture Store
+ *
+ * direction 为 'RX' / 'TX' 的记录是收发数据；'EVENT' 记录是控制信号变化等事件，
+ * data为空，事件内容在 event 字段 { type, message, ... }，与收发数据按时间排在同一时间线上。
+ */
+
+class CaptureStore {
+    static DEFAULT_RETENTION = {
+        mode: 'bytes',              // 'bytes' 按容量保留, 'age' 按时长保留
+        maxBytes: 4 * 1024 * 1024,  // 按容量保留时的上限
+        maxAgeMs: 10 * 60 * 1000    // 按时长保留时的上限
+    };
+
+    // 按容量保留时每条记录额外计入的字节数，没有数据的事件记录也占用容量
+    static RECORD_OVERHEAD = 64;
+
+    // 高精度时间戳（毫秒，基于Unix纪元，带小数部分）
+    static now() {
+        if (typeof performance !== 'undefined' && performance.timeOrigin) {
+            return performance.timeOrigin + performance.now();
+        }
+        return Date.now();
+    }
+
+    constructor(retention = {}) {
+        // 超出保留范围的记录只前移head，读取records或过期记录过半时才一次性移除
+        this.buffer = [];
+        this.head = 0;
+        this.retainedBytes = 0; // 保留记录的数据字节数
+        this.retainedSize = 0;  // 计入记录开销后的容量，按容量保留时以此为准
+        this.nextSeq = 1;
+        this.stats = new Map(); // portId -> 累计统计
+        this.listeners = new Set();
+        this.retention = { ...CaptureStore.DEFAULT_RETENTION, ...retention };
+    }
+
+    // 当前保留的记录，按时间顺序
+    get records() {
+        this.compact();
+        return this.buffer;
+    }
+
+    set records(records) {
+        this.buffer = records;
+        this.head = 0;
+    }
+
+    // 最早一条保留记录的序号，没有记录时为下一条记录的序号
+    get firstSeq() {
+        return this.head < this.buffer.length ? this.buffer[this.head].seq : this.nextSeq;
+    }
+
+    compact() {
+        if (this.head === 0) return;
+        this.buffer.splice(0, this.head);
+        this.head = 0;
+    }
+
+    // 追加一条记录，返回记录对象
+    append(portId, direction, data, timestamp = CaptureStore.now(), event = null) {
+        const bytes = data instanceof Uint8Array ? data.slice() : new Uint8Array(data);
+        const record = {
+            seq: this.nextSeq++,
+            portId,
+            direction,
+            timestamp,
+            data: bytes
+        };
+        if (event) record.event = event;
+        this.buffer.push(record);
+        this.retainedBytes += bytes.length;
+        this.retainedSize += bytes.length + CaptureStore.RECORD_OVERHEAD;
+
+        const stats = this.getStats(portId);
+        if (direction === 'TX') {
+            stats.txBytes += bytes.length;
+            stats.txChunks++;
+        } else if (direction === 'RX') {
+            stats.rxBytes += bytes.length;
+            stats.rxChunks++;
+        }
+        if (stats.firstTimestamp === null) stats.firstTimestamp = timestamp;
+        stats.lastTimestamp = timestamp;
+
+        this.enforceRetention();
+        this.listeners.forEach(listener => {
+            try {
+                listener(record);
+            } catch (error) {
+                console.error('捕获记录监听器出错:', error);
+            }
+        });
+        return record;
+    }
+
+    appendEvent(portId, event, timestamp = CaptureStore.now()) {
+        return this.append(portId, 'EVENT', new Uint8Array(0), timestamp, event);
+    }
+
+    setRetention(retention) {
+        this.retention = { ...this.retention, ...retention };
+        this.enforceRetention();
+    }
+
+    // 按保留策略丢弃最早的记录；按时长保留时以最新一条记录的时间为基准，
+    // 这样回放的历史数据不会被立即清除，停止通信后也能看到最后的数据
+    enforceRetention() {
+        const buffer = this.buffer;
+        if (buffer.length === this.head) return;
+        if (this.retention.mode === 'age') {
+            const cutoff = buffer[buffer.length - 1].timestamp - this.retention.maxAgeMs;
+            while (this.head < buffer.length && buffer[this.head].timestamp < cutoff) {
+                this.dropHead();
+            }
+        } else {
+            while (this.head < buffer.length - 1 && this.retainedSize > this.retention.maxBytes) {
+                this.dropHead();
+            }
+        }
+        if (this.head > buffer.length / 2) this.compact();
+    }
+
+    dropHead() {
+        const length = this.buffer[this.head].data.length;
+        this.retainedBytes -= length;
+        this.retainedSize -= length + CaptureStore.RECORD_OVERHEAD;
+        this.buffer[this.head++] = null; // 释放数据，等待compact移除
+    }
+
+    // 按条件筛选记录
+    query({ portId, direction, since, until } = {}) {
+        return this.records.filter(record =>
+            (portId === undefined || record.portId === portId) &&
+            (direction === undefined || record.direction === direction) &&
+            (since === undefined || record.timestamp >= since) &&
+            (until === undefined || record.timestamp <= until));
+    }
+
+    // 统计某时间点之后的字节数，用于计算速率
+    bytesSince(since, { portId, direction } = {}) {
+        let bytes = 0;
+        for (let i = this.buffer.length - 1; i >= this.head; i--) {
+            const record = this.buffer[i];
+            if (record.timestamp < since) break;
+            if (portId !== undefined && record.portId !== portId) continue;
+            if (direction !== undefined && record.direction !== direction) continue;
+            bytes += record.data.length;
+        }
+        return bytes;
+    }
+
+    getStats(portId) {
+        if (!this.stats.has(portId)) {
+            this.stats.set(portId, {
+                rxBytes: 0,
+                txBytes: 0,
+                rxChunks: 0,
+                txChunks: 0,
+                firstTimestamp: null,
+                lastTimestamp: null
+            });
+        }
+        return this.stats.get(portId);
+    }
+
+    // 清空记录；指定portId时只清空该端口
+    clear(portId) {
+        if (portId === undefined) {
+            this.records = [];
+            this.retainedBytes = 0;
+            this.retainedSize = 0;
+            this.stats.clear();
+            return;
+        }
+        this.records = this.records.filter(record => record.portId !== portId);
+        this.retainedBytes = this.records.reduce((sum, record) => sum + record.data.length, 0);
+        this.retainedSize = this.retainedBytes + this.records.length * CaptureStore.RECORD_OVERHEAD;
+        this.stats.delete(portId);
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
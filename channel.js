@@ -0,0 +1,71 @@
+/**
+ * 页面间数据通道 - 在监控页与分析页之间共享实时串口数据
+ * Serial Monitor Pro - Shared Data Channel
+ *
+ * 消息类型:
+ *   record            { portId, direction, timestamp, data, event? }  捕获记录，direction为EVENT时是信号变化等事件
+ *   frame             { seq, portId, direction, timestamp, length, error }  分帧结果
+ *   status            { connections, ports, errorCount, timestamp }   连接状态
+ *   log               { timestamp, level, portId, message }    日志事件
+ *   snapshot-request  {}                                      请求当前捕获快照
+ *   snapshot          { records, frames, status }              快照应答
+ *   status-request    {}                                      请求连接状态，应答为status（含ports串口列表）
+ *   config-apply      { requestId, portId, settings }         配置页请求监控页以指定参数打开或重新打开串口
+ *   send-request      { requestId, portId, data }             配置页请求监控页向串口发送数据
+ *   command-result    { requestId, ok, message }              上述请求的执行结果
+ */
+
+class SerialDataChannel {
+    static CHANNEL_NAME = 'serial-monitor-pro';
+
+    constructor(name = SerialDataChannel.CHANNEL_NAME) {
+        this.handlers = new Map();
+        this.channel = null;
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(name);
+            this.channel.onmessage = (event) => this.dispatch(event.data);
+        } else {
+            console.warn('当前浏览器不支持BroadcastChannel，页面间数据共享不可用');
+        }
+    }
+
+    get available() {
+        return this.channel !== null;
+    }
+
+    post(type, payload = {}) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ type, payload });
+        } catch (error) {
+            console.error('数据通道发送失败:', error);
+        }
+    }
+
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.handlers.get(type).delete(handler);
+    }
+
+    dispatch(message) {
+        if (!message || !this.handlers.has(message.type)) return;
+        this.handlers.get(message.type).forEach(handler => {
+            try {
+                handler(message.payload);
+            } catch (error) {
+                console.error('数据通道消息处理出错:', error);
+            }
+        });
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.handlers.clear();
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * 文本编码 - 串口文本的流式解码和发送文本的编码
+ * Serial Monitor Pro - Text Codec
+ *
+ *   utf-8 / gbk / gb18030 / big5  解码使用浏览器的TextDecoder，流式解码时被分在两次读取中的多字节字符
+ *                                 留到下次拼接；编码GBK、GB18030、Big5时由解码表反查，首次使用时生成
+ *   latin1                        ISO-8859-1，每字节对应U+0000-U+00FF（TextDecoder的latin1实为windows-1252）
+ *   ascii                         0x80及以上的字节为无效字节
+ *
+ * 无效的字节序列解码为U+FFFD，显示时标出；无法编码的字符抛出异常。
+ */
+
+class TextCodec {
+    static ENCODINGS = {
+        'utf-8': 'UTF-8',
+        gbk: 'GBK',
+        gb18030: 'GB18030',
+        big5: 'Big5',
+        latin1: 'Latin-1',
+        ascii: 'ASCII'
+    };
+
+    static REPLACEMENT = '\ufffd';
+
+    static encodeTables = new Map(); // 编码 -> Map(字符 -> 字节数组)
+
+    constructor(encoding = 'utf-8') {
+        if (!TextCodec.ENCODINGS[encoding]) throw new Error(`不支持的编码: ${encoding}`);
+        this.encoding = encoding;
+        this.decoder = encoding === 'latin1' || encoding === 'ascii' ? null : new TextDecoder(encoding);
+    }
+
+    // 流式解码，末尾不完整的多字节字符留到下次
+    decode(bytes) {
+        if (this.encoding === 'latin1') {
+            let text = '';
+            // 分段避免参数过多
+            for (let offset = 0; offset < bytes.length; offset += 8192) {
+                text += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 8192));
+            }
+            return text;
+        }
+        if (this.encoding === 'ascii') {
+            return Array.from(bytes, byte => byte < 0x80 ? String.fromCharCode(byte) : TextCodec.REPLACEMENT).join('');
+        }
+        return this.decoder.decode(bytes, { stream: true });
+    }
+
+    // 结束解码，留下的不完整字符作为无效序列输出
+    flush() {
+        return this.decoder ? this.decoder.decode() : '';
+    }
+
+    static decode(bytes, encoding = 'utf-8') {
+        const codec = new TextCodec(encoding);
+        return codec.decode(bytes) + codec.flush();
+    }
+
+    static encode(text, encoding = 'utf-8') {
+        if (!TextCodec.ENCODINGS[encoding]) throw new Error(`不支持的编码: ${encoding}`);
+        if (encoding === 'utf-8') return new TextEncoder().encode(text);
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80) {
+                bytes.push(code);
+                continue;
+            }
+            const encoded = TextCodec.encodeChar(char, code, encoding);
+            if (!encoded) throw new Error(`字符"${char}"无法用${TextCodec.ENCODINGS[encoding]}编码`);
+            bytes.push(...encoded);
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    static encodeChar(char, code, encoding) {
+        switch (encoding) {
+            case 'ascii':
+                return null;
+            case 'latin1':
+                return code <= 0xff ? [code] : null;
+            case 'gb18030':
+                // 辅助平面字符为四字节序列 0x90308130 起按顺序排列
+                if (code >= 0x10000) {
+                    let linear = code - 0x10000;
+                    const b4 = linear % 10;
+                    linear = Math.floor(linear / 10);
+                    const b3 = linear % 126;
+                    linear = Math.floor(linear / 126);
+                    return [0x90 + Math.floor(linear / 10), 0x30 + linear % 10, 0x81 + b3, 0x30 + b4];
+                }
+                break;
+        }
+        return TextCodec.encodeTable(encoding).get(char) || null;
+    }
+
+    // 逐个解码所有多字节序列得到反查表，同一字符有多个编码时取第一个
+    static encodeTable(encoding) {
+        if (TextCodec.encodeTables.has(encoding)) return TextCodec.encodeTables.get(encoding);
+        const decoder = new TextDecoder(encoding);
+        const table = new Map();
+        const add = (bytes) => {
+            const char = decoder.decode(Uint8Array.from(bytes));
+            if (char !== TextCodec.REPLACEMENT && [...char].length === 1 && !table.has(char)) table.set(char, bytes);
+        };
+        if (encoding === 'big5') {
+            // 只使用标准Big5区，不编码为香港增补字符集
+            for (let lead = 0xa1; lead <= 0xf9; lead++) {
+                for (let trail = 0x40; trail <= 0xfe; trail++) {
+                    if (trail <= 0x7e || trail >= 0xa1) add([lead, trail]);
+                }
+            }
+        } else {
+            if (encoding === 'gbk') table.set('€', [0x80]);
+            for (let lead = 0x81; lead <= 0xfe; lead++) {
+                for (let trail = 0x40; trail <= 0xfe; trail++) {
+                    if (trail !== 0x7f) add([lead, trail]);
+                }
+            }
+            // GB18030双字节区以外的基本平面字符为 0x81308130-0x8439FE39 的四字节序列
+            if (encoding === 'gb18030') {
+                for (let b1 = 0x81; b1 <= 0x84; b1++) {
+                    for (let b2 = 0x30; b2 <= 0x39; b2++) {
+                        for (let b3 = 0x81; b3 <= 0xfe; b3++) {
+                            for (let b4 = 0x30; b4 <= 0x39; b4++) add([b1, b2, b3, b4]);
+                        }
+                    }
+                }
+            }
+        }
+        TextCodec.encodeTables.set(encoding, table);
+        return table;
+    }
+}
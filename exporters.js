@@ -0,0 +1,216 @@
+/**
+ * 数据导出 - 将捕获记录导出为CSV、JSON Lines、原始二进制、hexdump文本和pcapng
+ * Serial Monitor Pro - Capture Exporters
+ *
+ * 导出的每条记录带时间戳、串口、方向和字节数据；事件记录（控制信号等）只出现在文本类格式中。
+ *   csv      时间戳(ms)、时间、串口、方向、长度、数据(HEX)、事件，UTF-8带BOM以便Excel识别中文
+ *   jsonl    每行一个JSON对象
+ *   bin      每个串口每个方向一个文件，按时间顺序拼接的原始字节
+ *   hexdump  每条记录一段 hexdump -C 格式的输出，段前注明时间、串口和方向
+ *   pcapng   每个串口一个接口（LINKTYPE_USER0），方向记录在epb_flags中，可用Wireshark打开
+ */
+
+class CaptureExporter {
+    static FORMATS = {
+        csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+        jsonl: { label: 'JSON Lines', extension: 'jsonl', mime: 'application/x-ndjson' },
+        bin: { label: '原始二进制', extension: 'bin', mime: 'application/octet-stream' },
+        hexdump: { label: 'hexdump -C', extension: 'txt', mime: 'text/plain' },
+        pcapng: { label: 'pcapng', extension: 'pcapng', mime: 'application/octet-stream' }
+    };
+
+    static LINKTYPE_USER0 = 147;
+
+    // 按时间范围、串口和方向筛选，since/until为毫秒时间戳，direction为 RX | TX | EVENT
+    static select(records, { since = null, until = null, portId = null, direction = null } = {}) {
+        return records.filter(record =>
+            (since === null || record.timestamp >= since) &&
+            (until === null || record.timestamp <= until) &&
+            (portId === null || record.portId === portId) &&
+            (direction === null || record.direction === direction));
+    }
+
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    }
+
+    static formatTime(timestamp) {
+        return new Date(timestamp).toISOString();
+    }
+
+    static csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static toCsv(records, portName = portId => portId) {
+        const lines = ['时间戳(ms),时间,串口,方向,长度,数据(HEX),事件'];
+        for (const record of records) {
+            lines.push([
+                record.timestamp.toFixed(3),
+                CaptureExporter.formatTime(record.timestamp),
+                portName(record.portId),
+                record.direction,
+                record.data.length,
+                CaptureExporter.toHex(record.data),
+                record.event ? record.event.message : ''
+            ].map(CaptureExporter.csvField).join(','));
+        }
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    }
+
+    static toJsonLines(records, portName = portId => portId) {
+        return records.map(record => {
+            const entry = {
+                timestamp: record.timestamp,
+                time: CaptureExporter.formatTime(record.timestamp),
+                portId: record.portId,
+                port: portName(record.portId),
+                direction: record.direction,
+                length: record.data.length,
+                hex: CaptureExporter.toHex(record.data)
+            };
+            if (record.event) entry.event = record.event;
+            return JSON.stringify(entry);
+        }).join('\n') + '\n';
+    }
+
+    // 返回 [{ name, data }]，name为 "串口名_方向.bin"
+    static toBinaryFiles(records, portName = portId => portId) {
+        const groups = new Map();
+        for (const record of records) {
+            if (record.direction === 'EVENT' || record.data.length === 0) continue;
+            const key = `${record.portId}\n${record.direction}`;
+            if (!groups.has(key)) groups.set(key, { portId: record.portId, direction: record.direction, chunks: [], length: 0 });
+            const group = groups.get(key);
+            group.chunks.push(record.data);
+            group.length += record.data.length;
+        }
+        return Array.from(groups.values(), group => {
+            const data = new Uint8Array(group.length);
+            let offset = 0;
+            group.chunks.forEach(chunk => {
+                data.set(chunk, offset);
+                offset += chunk.length;
+            });
+            const safeName = String(portName(group.portId)).replace(/[\\/:*?"<>|\s]+/g, '_');
+            return { name: `${safeName}_${group.direction}.bin`, data };
+        });
+    }
+
+    // 与 hexdump -C 相同：8位偏移、两组各8字节、可打印字符，连续相同的行以*代替
+    static hexdumpLines(bytes) {
+        const lines = [];
+        let previous = null;
+        let squeezed = false;
+        for (let offset = 0; offset < bytes.length; offset += 16) {
+            const row = Array.from(bytes.subarray(offset, offset + 16));
+            const key = row.join(',');
+            if (row.length === 16 && key === previous) {
+                if (!squeezed) lines.push('*');
+                squeezed = true;
+                continue;
+            }
+            previous = row.length === 16 ? key : null;
+            squeezed = false;
+            const hex = (part) => part.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+            const columns = (hex(row.slice(0, 8)) + (row.length > 8 ? '  ' + hex(row.slice(8)) : '')).padEnd(48);
+            const ascii = row.map(byte => byte >= 0x20 && byte <= 0x7e ? String.fromCharCode(byte) : '.').join('');
+            lines.push(`${offset.toString(16).padStart(8, '0')}  ${columns}  |${ascii}|`);
+        }
+        lines.push(bytes.length.toString(16).padStart(8, '0'));
+        return lines;
+    }
+
+    static toHexdump(records, portName = portId => portId) {
+        const blocks = records.map(record => {
+            const header = `# ${CaptureExporter.formatTime(record.timestamp)} ${portName(record.portId)} ${record.direction}`;
+            if (record.direction === 'EVENT') return `${header} ${record.event ? record.event.message : ''}`;
+            return [`${header} ${record.data.length} 字节`, ...CaptureExporter.hexdumpLines(record.data)].join('\n');
+        });
+        return blocks.join('\n\n') + '\n';
+    }
+
+    /**
+     * pcapng: 节头块(SHB)、每个串口一个接口描述块(IDB)、每条收发记录一个增强分组块(EPB)，小端序，
+     * 时间戳精度为微秒（if_tsresol默认值）
+     */
+    static toPcapng(records, portName = portId => portId) {
+        const encoder = new TextEncoder();
+        const pad4 = (length) => (length + 3) & ~3;
+        const option = (code, value) => ({ code, value });
+        const optionsLength = (options) => options.reduce((sum, item) => sum + 4 + pad4(item.value.length), 0) + (options.length > 0 ? 4 : 0);
+
+        const interfaces = new Map(); // portId -> 接口序号
+        const packets = records.filter(record => record.direction !== 'EVENT');
+        packets.forEach(record => {
+            if (!interfaces.has(record.portId)) interfaces.set(record.portId, interfaces.size);
+        });
+
+        const blocks = [];
+        blocks.push({
+            type: 0x0a0d0d0a,
+            body: (view, offset) => {
+                view.setUint32(offset, 0x1a2b3c4d, true);
+                view.setUint16(offset + 4, 1, true);
+                view.setUint16(offset + 6, 0, true);
+                view.setInt32(offset + 8, -1, true); // 节长度未知
+                view.setInt32(offset + 12, -1, true);
+            },
+            bodyLength: 16,
+            options: [option(4, encoder.encode('Serial Monitor Pro'))]
+        });
+        interfaces.forEach((index, portId) => {
+            blocks.push({
+                type: 1,
+                body: (view, offset) => {
+                    view.setUint16(offset, CaptureExporter.LINKTYPE_USER0, true);
+                    view.setUint16(offset + 2, 0, true);
+                    view.setUint32(offset + 4, 0, true); // 不限制抓取长度
+                },
+                bodyLength: 8,
+                options: [option(2, encoder.encode(String(portName(portId))))]
+            });
+        });
+        packets.forEach(record => {
+            const micros = Math.round(record.timestamp * 1000);
+            const flags = new Uint8Array(4);
+            new DataView(flags.buffer).setUint32(0, record.direction === 'RX' ? 1 : 2, true); // 1 入站 2 出站
+            blocks.push({
+                type: 6,
+                body: (view, offset, bytes) => {
+                    view.setUint32(offset, interfaces.get(record.portId), true);
+                    view.setUint32(offset + 4, Math.floor(micros / 0x100000000), true);
+                    view.setUint32(offset + 8, micros >>> 0, true);
+                    view.setUint32(offset + 12, record.data.length, true);
+                    view.setUint32(offset + 16, record.data.length, true);
+                    bytes.set(record.data, offset + 20);
+                },
+                bodyLength: 20 + pad4(record.data.length),
+                options: [option(2, flags)]
+            });
+        });
+
+        const total = blocks.reduce((sum, block) => sum + 12 + block.bodyLength + optionsLength(block.options), 0);
+        const bytes = new Uint8Array(total);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        for (const block of blocks) {
+            const length = 12 + block.bodyLength + optionsLength(block.options);
+            view.setUint32(offset, block.type, true);
+            view.setUint32(offset + 4, length, true);
+            block.body(view, offset + 8, bytes);
+            let position = offset + 8 + block.bodyLength;
+            for (const item of block.options) {
+                view.setUint16(position, item.code, true);
+                view.setUint16(position + 2, item.value.length, true);
+                bytes.set(item.value, position + 4);
+                position += 4 + pad4(item.value.length);
+            }
+            if (block.options.length > 0) position += 4; // opt_endofopt
+            view.setUint32(position, length, true);
+            offset += length;
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * 监控区过滤与搜索 - 按串口、方向、时间范围筛选帧，按关键字、正则或字节序列搜索
+ * Serial Monitor Pro - Frame Filter
+ *
+ * 条件: { portId, direction, since, until, mode, search, onlyMatches }
+ *   portId       空为全部串口（含回放）
+ *   direction    all | RX | TX | EVENT
+ *   since/until  时间范围（毫秒时间戳），null为不限
+ *   mode         keyword 关键字（不区分大小写）| regex 正则 | hex 字节序列（?? 匹配任意字节）
+ *   onlyMatches  只显示与搜索匹配的帧，否则只高亮匹配并可逐个跳转
+ *
+ * 搜索在帧的原始字节上进行，正则按单字节字符匹配，匹配位置即字节位置，便于在十六进制和二进制显示格式下高亮；
+ * 按串口编码解码的文本也参与关键字和正则搜索（如GBK的中文），文本格式下在解码后的文本中高亮。
+ * 协议解析摘要和事件内容也参与搜索，但不高亮。
+ */
+
+class FrameFilter {
+    static MODES = {
+        keyword: '关键字',
+        regex: '正则',
+        hex: '十六进制'
+    };
+
+    static DEFAULTS = {
+        portId: '',
+        direction: 'all',
+        since: null,
+        until: null,
+        mode: 'keyword',
+        search: '',
+        onlyMatches: false
+    };
+
+    // 搜索内容无效时抛出异常
+    constructor(criteria = {}) {
+        this.criteria = { ...FrameFilter.DEFAULTS, ...criteria };
+        this.searchBytes = null; // 在字节中查找，返回 [[start, end], ...]
+        this.searchText = null; // 在解码后的文本、解析摘要和事件内容中查找
+        this.textRanges = () => []; // 文本中匹配的字符范围，返回 [[start, end], ...]
+        this.compileSearch();
+    }
+
+    compileSearch() {
+        const { mode, search } = this.criteria;
+        if (!search) return;
+        switch (mode) {
+            case 'keyword': {
+                const needle = Array.from(new TextEncoder().encode(search.toLowerCase()));
+                const lower = (byte) => byte >= 0x41 && byte <= 0x5a ? byte + 0x20 : byte;
+                this.searchBytes = (data) => {
+                    const ranges = [];
+                    for (let i = 0; i + needle.length <= data.length; i++) {
+                        let found = true;
+                        for (let j = 0; j < needle.length; j++) {
+                            if (lower(data[i + j]) !== needle[j]) {
+                                found = false;
+                                break;
+                            }
+                        }
+                        if (found) {
+                            ranges.push([i, i + needle.length]);
+                            i += needle.length - 1;
+                        }
+                    }
+                    return ranges;
+                };
+                const keyword = search.toLowerCase();
+                this.searchText = (text) => text.toLowerCase().includes(keyword);
+                this.textRanges = (text) => {
+                    const lowerText = text.toLowerCase();
+                    const ranges = [];
+                    for (let index = lowerText.indexOf(keyword); index !== -1; index = lowerText.indexOf(keyword, index + keyword.length)) {
+                        ranges.push([index, index + keyword.length]);
+                    }
+                    return ranges;
+                };
+                break;
+            }
+            case 'regex': {
+                let regex;
+                try {
+                    regex = new RegExp(search, 'g');
+                } catch (error) {
+                    throw new Error(`无效的正则表达式: ${error.message}`);
+                }
+                this.textRanges = (text) => {
+                    const ranges = [];
+                    regex.lastIndex = 0;
+                    let match;
+                    while ((match = regex.exec(text)) !== null) {
+                        if (match[0].length === 0) {
+                            regex.lastIndex++;
+                            continue;
+                        }
+                        ranges.push([match.index, match.index + match[0].length]);
+                    }
+                    return ranges;
+                };
+                this.searchBytes = (data) => this.textRanges(String.fromCharCode.apply(null, data));
+                this.searchText = (text) => {
+                    regex.lastIndex = 0;
+                    return regex.test(text);
+                };
+                break;
+            }
+            case 'hex': {
+                const pattern = TriggerRules.parseHexPattern(search);
+                this.searchBytes = (data) => {
+                    const ranges = [];
+                    for (let i = 0; i + pattern.length <= data.length; i++) {
+                        if (pattern.every((byte, j) => byte === null || data[i + j] === byte)) {
+                            ranges.push([i, i + pattern.length]);
+                            i += pattern.length - 1;
+                        }
+                    }
+                    return ranges;
+                };
+                this.searchText = () => false;
+                break;
+            }
+            default:
+                throw new Error(`未知的搜索方式: ${mode}`);
+        }
+    }
+
+    // 是否设置了任何条件
+    get active() {
+        const { portId, direction, since, until } = this.criteria;
+        return Boolean(portId) || direction !== 'all' || since !== null || until !== null || this.searching;
+    }
+
+    get searching() {
+        return this.searchBytes !== null;
+    }
+
+    // 该帧是否显示
+    accepts(frame) {
+        const { portId, direction, since, until, onlyMatches } = this.criteria;
+        if (portId && frame.portId !== portId) return false;
+        if (direction !== 'all' && frame.direction !== direction) return false;
+        if (since !== null && frame.timestamp < since) return false;
+        if (until !== null && frame.timestamp > until) return false;
+        return !onlyMatches || !this.searching || this.matches(frame);
+    }
+
+    // 该帧是否与搜索匹配
+    matches(frame) {
+        if (!this.searching) return false;
+        if (frame.direction === 'EVENT') return this.searchText(frame.event.message);
+        if (this.searchBytes(frame.data).length > 0) return true;
+        // 按串口编码解码的文本，如GBK的中文
+        if (frame.text && this.searchText(frame.text)) return true;
+        return Boolean(frame.decoded && frame.decoded.summary) && this.searchText(frame.decoded.summary);
+    }
+
+    // 帧数据中匹配的字节范围
+    matchRanges(frame) {
+        if (!this.searching || frame.direction === 'EVENT') return [];
+        return this.searchBytes(frame.data);
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * 分帧引擎 - 将连续的字节流切分为独立的数据帧
+ * Serial Monitor Pro - Stream Framer
+ *
+ * 支持的分帧方式:
+ *   none     每次读取到的数据块作为一帧
+ *   line     按换行符分帧 (LF / CR / CRLF)
+ *   fixed    固定长度
+ *   idle     空闲间隔超过指定毫秒数即结束一帧
+ *   markers  起始字节 + 结束字节
+ *   length   长度前缀 (1或2字节，大端或小端)
+ *   slip     SLIP编码 (RFC 1055)
+ *   cobs     COBS编码，以0x00分隔
+ */
+
+class StreamFramer {
+    static TYPES = {
+        none: '不分帧',
+        line: '按行',
+        fixed: '固定长度',
+        idle: '空闲间隔',
+        markers: '起止标记',
+        length: '长度前缀',
+        slip: 'SLIP',
+        cobs: 'COBS'
+    };
+
+    static DEFAULTS = {
+        type: 'none',
+        delimiter: 'lf',      // line: 'lf' | 'cr' | 'crlf'
+        length: 16,           // fixed: 每帧字节数
+        gapMs: 20,            // idle: 空闲间隔
+        startByte: 0x02,      // markers: 起始字节
+        endByte: 0x03,        // markers: 结束字节
+        lengthBytes: 1,       // length: 长度字段字节数
+        lengthEndian: 'be',   // length: 'be' | 'le'
+        maxFrameLength: 4096  // 超过此长度强制结束一帧并标记错误
+    };
+
+    // 将用户输入的参数字符串解析为分帧配置
+    static parseParams(type, text = '') {
+        const config = { ...StreamFramer.DEFAULTS, type };
+        const parts = String(text).trim().split(/[\s,]+/).filter(Boolean);
+        // 标记字节按十六进制解析，可带0x前缀
+        const parseByte = (value) => {
+            const byte = /^(0x)?[0-9a-f]{1,2}$/i.test(value) ? parseInt(value.replace(/^0x/i, ''), 16) : NaN;
+            if (isNaN(byte)) throw new Error('无效的字节值: ' + value);
+            return byte;
+        };
+
+        switch (type) {
+            case 'line':
+                if (parts[0]) {
+                    const delimiter = parts[0].toLowerCase();
+                    if (!['lf', 'cr', 'crlf'].includes(delimiter)) throw new Error('换行符应为 LF、CR 或 CRLF');
+                    config.delimiter = delimiter;
+                }
+                break;
+            case 'fixed':
+                if (parts[0]) config.length = parseInt(parts[0]);
+                if (!(config.length > 0)) throw new Error('帧长度必须大于0');
+                break;
+            case 'idle':
+                if (parts[0]) config.gapMs = parseFloat(parts[0]);
+                if (!(config.gapMs > 0)) throw new Error('空闲间隔必须大于0');
+                break;
+            case 'markers':
+                if (parts[0]) config.startByte = parseByte(parts[0]);
+                if (parts[1]) config.endByte = parseByte(parts[1]);
+                break;
+            case 'length':
+                if (parts[0]) config.lengthBytes = parseInt(parts[0]);
+                if (parts[1]) config.lengthEndian = parts[1].toLowerCase();
+                if (![1, 2].includes(config.lengthBytes)) throw new Error('长度字段应为1或2字节');
+                if (!['be', 'le'].includes(config.lengthEndian)) throw new Error('字节序应为 BE 或 LE');
+                break;
+        }
+        return config;
+    }
+
+    // 参数输入框的提示文本
+    static paramsHint(type) {
+        return {
+            line: 'LF / CR / CRLF',
+            fixed: '帧长度，如 16',
+            idle: '间隔毫秒，如 20',
+            markers: '起止字节，如 02 03',
+            length: '字段长度 字节序，如 2 BE'
+        }[type] || '无需参数';
+    }
+
+    constructor(config = {}) {
+        this.config = { ...StreamFramer.DEFAULTS, ...config };
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = [];
+        this.frameTimestamp = null;   // 当前帧第一个字节的到达时间
+        this.lastByteTimestamp = null;
+        this.inFrame = false;         // markers / slip 状态
+        this.escaped = false;         // slip 转义状态
+        this.frameError = null;
+    }
+
+    // 输入一段数据，返回其中完整的帧
+    push(data, timestamp) {
+        const frames = [];
+        const { type } = this.config;
+
+        if (type === 'none') {
+            if (data.length > 0) frames.push(this.makeFrame(Array.from(data), timestamp, timestamp));
+            return frames;
+        }
+
+        // 空闲间隔分帧：新数据到达时先检查与上一字节的间隔
+        if (type === 'idle' && this.buffer.length > 0 && timestamp - this.lastByteTimestamp >= this.config.gapMs) {
+            frames.push(this.takeFrame(this.lastByteTimestamp));
+        }
+
+        for (const byte of data) {
+            this.pushByte(byte, timestamp, frames);
+        }
+        this.lastByteTimestamp = timestamp;
+        return frames;
+    }
+
+    // 处理超时：空闲间隔分帧在没有新数据时也需要结束当前帧
+    flush(now) {
+        if (this.config.type === 'idle' && this.buffer.length > 0 && now - this.lastByteTimestamp >= this.config.gapMs) {
+            return [this.takeFrame(this.lastByteTimestamp)];
+        }
+        return [];
+    }
+
+    pushByte(byte, timestamp, frames) {
+        const config = this.config;
+        switch (config.type) {
+            case 'line': {
+                this.append(byte, timestamp);
+                const last = config.delimiter === 'cr' ? 0x0d : 0x0a;
+                if (byte === last && (config.delimiter !== 'crlf' || this.buffer[this.buffer.length - 2] === 0x0d)) {
+                    frames.push(this.takeFrame(timestamp));
+                }
+                break;
+            }
+            case 'fixed':
+                this.append(byte, timestamp);
+                if (this.buffer.length >= config.length) frames.push(this.takeFrame(timestamp));
+                break;
+            case 'idle':
+                this.append(byte, timestamp);
+                break;
+            case 'markers':
+                if (!this.inFrame) {
+                    if (byte === config.startByte) {
+                        this.inFrame = true;
+                        this.append(byte, timestamp);
+                    }
+                    // 起始标记之前的字节丢弃
+                    break;
+                }
+                this.append(byte, timestamp);
+                if (byte === config.endByte) {
+                    this.inFrame = false;
+                    frames.push(this.takeFrame(timestamp));
+                }
+                break;
+            case 'length': {
+                this.append(byte, timestamp);
+                if (this.buffer.length >= config.lengthBytes) {
+                    const payloadLength = config.lengthBytes === 1 ? this.buffer[0] :
+                        (config.lengthEndian === 'le' ? this.buffer[0] | (this.buffer[1] << 8) : (this.buffer[0] << 8) | this.buffer[1]);
+                    if (this.buffer.length >= config.lengthBytes + payloadLength) {
+                        frames.push(this.takeFrame(timestamp));
+                    }
+                }
+                break;
+            }
+            case 'slip':
+                this.pushSlipByte(byte, timestamp, frames);
+                break;
+            case 'cobs':
+                if (byte === 0x00) {
+                    if (this.buffer.length > 0) frames.push(this.takeCobsFrame(timestamp));
+                } else {
+                    this.append(byte, timestamp);
+                }
+                break;
+        }
+
+        if (this.buffer.length >= config.maxFrameLength) {
+            this.frameError = 'overflow';
+            frames.push(this.takeFrame(timestamp));
+            this.inFrame = false;
+        }
+    }
+
+    pushSlipByte(byte, timestamp, frames) {
+        const END = 0xc0, ESC = 0xdb, ESC_END = 0xdc, ESC_ESC = 0xdd;
+        if (byte === END) {
+            if (this.escaped) this.frameError = 'slip-escape';
+            this.escaped = false;
+            // 连续的END视为空帧，忽略
+            if (this.buffer.length > 0 || this.frameError) frames.push(this.takeFrame(timestamp));
+            return;
+        }
+        if (this.escaped) {
+            this.escaped = false;
+            if (byte === ESC_END) this.append(END, timestamp);
+            else if (byte === ESC_ESC) this.append(ESC, timestamp);
+            else {
+                this.frameError = 'slip-escape';
+                this.append(byte, timestamp);
+            }
+            return;
+        }
+        if (byte === ESC) {
+            this.escaped = true;
+            if (this.frameTimestamp === null) this.frameTimestamp = timestamp;
+            return;
+        }
+        this.append(byte, timestamp);
+    }
+
+    takeCobsFrame(timestamp) {
+        const encoded = this.buffer;
+        const decoded = [];
+        let error = null;
+        let i = 0;
+        while (i < encoded.length) {
+            const code = encoded[i];
+            const end = i + code;
+            if (end > encoded.length) {
+                // 数据块长度超出帧边界
+                error = 'cobs-length';
+                decoded.push(...encoded.slice(i + 1));
+                break;
+            }
+            decoded.push(...encoded.slice(i + 1, end));
+            i = end;
+            if (code < 0xff && i < encoded.length) decoded.push(0x00);
+        }
+        const frame = this.makeFrame(decoded, this.frameTimestamp, timestamp, encoded.length + 1);
+        frame.error = error || this.frameError;
+        this.resetFrame();
+        return frame;
+    }
+
+    append(byte, timestamp) {
+        if (this.frameTimestamp === null) this.frameTimestamp = timestamp;
+        this.buffer.push(byte);
+    }
+
+    takeFrame(endTimestamp) {
+        const frame = this.makeFrame(this.buffer, this.frameTimestamp ?? endTimestamp, endTimestamp);
+        frame.error = this.frameError;
+        this.resetFrame();
+        return frame;
+    }
+
+    resetFrame() {
+        this.buffer = [];
+        this.frameTimestamp = null;
+        this.frameError = null;
+    }
+
+    makeFrame(bytes, timestamp, endTimestamp, rawLength = bytes.length) {
+        return {
+            data: new Uint8Array(bytes),
+            timestamp,
+            endTimestamp,
+            rawLength,
+            error: null
+        };
+    }
+}
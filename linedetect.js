@@ -0,0 +1,277 @@
+/**
+ * 串口参数检测 - 依次尝试波特率和数据格式，按接收质量为每组参数打分
+ * Serial Monitor Pro - Line Settings Detector
+ *
+ * 评分依据:
+ *   错误率    帧错误、校验错误、Break等读取错误相对接收数据块的比例
+ *   字节分布  可见字符比例、波特率偏高时常见的 0x00/0xF0/0xFF 等字节比例、最高位是否像校验位
+ *   协议校验  NMEA校验和、Modbus RTU CRC 通过的帧所覆盖的字节比例（可选，需加载对应解析器）
+ *
+ * 检测分两轮：先以8N1扫描波特率，再对得分最高的几个波特率尝试其他数据格式。
+ */
+
+class LineSettingsDetector {
+    static FORMATS = [
+        { dataBits: 8, parity: 'none', stopBits: 1 },
+        { dataBits: 7, parity: 'even', stopBits: 1 },
+        { dataBits: 7, parity: 'odd', stopBits: 1 },
+        { dataBits: 8, parity: 'even', stopBits: 1 },
+        { dataBits: 8, parity: 'odd', stopBits: 1 },
+        { dataBits: 8, parity: 'none', stopBits: 2 }
+    ];
+
+    // 接收端波特率高于发送端时，一个字符常被截成这些字节
+    static GARBAGE_BYTES = new Set([0x00, 0x80, 0xc0, 0xe0, 0xf0, 0xf8, 0xfc, 0xfe, 0xff]);
+
+    static formatName(settings) {
+        return `${settings.dataBits}${settings.parity.charAt(0).toUpperCase()}${settings.stopBits}`;
+    }
+
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.options = {
+            formats: LineSettingsDetector.FORMATS,
+            sampleMs: 300,       // 每组参数的采样时长
+            sampleBytes: 512,    // 采样字节数达到后提前结束
+            refineCount: 3,      // 第二轮尝试其他数据格式的波特率个数
+            goodEnough: 0.9,     // 常见波特率中已有此得分时跳过不常见波特率
+            ...options
+        };
+        // 默认使用监控页的常见波特率列表
+        this.options.baudRates = this.options.baudRates || SerialMonitorPro.COMMON_BAUD_RATES_PRIOR;
+        this.options.extraBaudRates = this.options.extraBaudRates || SerialMonitorPro.COMMON_BAUD_RATES_EXTRA;
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // 返回按置信度从高到低排列的候选参数
+    async detect(port, { onProgress } = {}) {
+        const { baudRates, extraBaudRates, formats, refineCount, goodEnough } = this.options;
+        const [baseFormat, ...otherFormats] = formats;
+        const results = [];
+        const best = () => results.reduce((max, result) => Math.max(max, result.confidence), 0);
+
+        const run = async (candidates) => {
+            for (const settings of candidates) {
+                if (this.cancelled) return;
+                if (onProgress) onProgress(settings, results.length);
+                const sample = await this.sample(port, settings);
+                results.push(LineSettingsDetector.evaluate(sample));
+            }
+        };
+
+        await run(baudRates.map(baudRate => ({ baudRate, ...baseFormat })));
+        if (best() < goodEnough) {
+            await run(extraBaudRates.map(baudRate => ({ baudRate, ...baseFormat })));
+        }
+
+        const refineBauds = results
+            .filter(result => result.confidence > 0)
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, refineCount)
+            .map(result => result.settings.baudRate);
+        for (const baudRate of refineBauds) {
+            await run(otherFormats.map(format => ({ baudRate, ...format })));
+        }
+
+        return results
+            .map((result, index) => ({ result, index }))
+            .sort((a, b) => b.result.confidence - a.result.confidence || a.index - b.index)
+            .map(item => item.result);
+    }
+
+    // 以指定参数打开串口采集一段数据，统计读取错误
+    async sample(port, settings) {
+        const sample = { settings, bytes: [], chunks: 0, errors: {}, errorCount: 0, openError: null };
+        try {
+            await this.transport.open(port, { ...settings, flowControl: 'none' });
+        } catch (error) {
+            sample.openError = error.message;
+            return sample;
+        }
+
+        const deadline = Date.now() + this.options.sampleMs;
+        const collecting = () => Date.now() < deadline && sample.bytes.length < this.options.sampleBytes && !this.cancelled;
+        try {
+            while (collecting()) {
+                const reader = this.transport.getReader(port);
+                if (!reader) break;
+                try {
+                    while (collecting()) {
+                        const read = reader.read();
+                        // 超时后释放reader会使未完成的读取失败，这里忽略
+                        read.catch(() => {});
+                        let timer;
+                        const { value, done } = await Promise.race([
+                            read,
+                            new Promise(resolve => { timer = setTimeout(() => resolve({ value: null, done: false }), deadline - Date.now()); })
+                        ]);
+                        clearTimeout(timer);
+                        if (done) return sample;
+                        if (value && value.length > 0) {
+                            sample.chunks++;
+                            for (const byte of value) sample.bytes.push(byte);
+                        }
+                    }
+                } catch (error) {
+                    if (!SerialTransport.NON_FATAL_READ_ERRORS.includes(error.name)) throw error;
+                    sample.errors[error.name] = (sample.errors[error.name] || 0) + 1;
+                    sample.errorCount++;
+                } finally {
+                    reader.releaseLock();
+                }
+            }
+        } catch (error) {
+            sample.openError = error.message;
+        } finally {
+            try {
+                await this.transport.close(port);
+            } catch (error) {
+                console.warn('关闭串口失败:', error);
+            }
+        }
+        return sample;
+    }
+
+    // 根据采样结果计算置信度 (0~1)
+    static evaluate(sample) {
+        const bytes = sample.bytes;
+        const settings = sample.settings;
+        const result = {
+            settings,
+            name: `${settings.baudRate} ${LineSettingsDetector.formatName(settings)}`,
+            confidence: 0,
+            byteCount: bytes.length,
+            errors: sample.errors,
+            errorCount: sample.errorCount,
+            sample: Uint8Array.from(bytes.slice(0, 64)),
+            details: null,
+            reason: sample.openError ? '打开失败: ' + sample.openError : '未收到数据'
+        };
+        if (sample.openError || bytes.length === 0) return result;
+
+        const distribution = LineSettingsDetector.analyzeDistribution(bytes, settings);
+        const protocol = LineSettingsDetector.matchProtocols(bytes);
+
+        // 读取错误按数据块计：错误次数与收到数据的次数相当时得分很低
+        const errorQuality = 1 / (1 + 3 * sample.errorCount / Math.max(1, sample.chunks));
+        let quality = Math.max(0, Math.min(1, 0.35 + 0.65 * distribution.printableRatio - distribution.garbageRatio));
+        if (protocol.coverage > 0) {
+            quality = Math.max(quality, 0.7 + 0.3 * protocol.coverage);
+        }
+        // 8位无校验读到的最高位与低7位的奇偶性一致，说明实际是7位数据加校验位
+        if (distribution.parityHint) {
+            quality *= 0.6;
+        }
+        const amount = bytes.length >= 32 ? 1 : 0.5 + bytes.length / 64;
+
+        result.confidence = errorQuality * quality * amount;
+        result.details = { ...distribution, ...protocol, errorQuality };
+        result.reason = LineSettingsDetector.describe(result);
+        return result;
+    }
+
+    static analyzeDistribution(bytes, settings) {
+        const mask = (1 << settings.dataBits) - 1;
+        let printable = 0;
+        let garbage = 0;
+        let highBits = 0;
+        let evenMatches = 0;
+        let oddMatches = 0;
+        for (const raw of bytes) {
+            const byte = raw & mask;
+            if ((byte >= 0x20 && byte <= 0x7e) || byte === 0x0d || byte === 0x0a || byte === 0x09) printable++;
+            if (LineSettingsDetector.GARBAGE_BYTES.has(byte)) garbage++;
+            if (settings.dataBits === 8 && settings.parity === 'none') {
+                const high = byte >> 7;
+                let ones = 0;
+                for (let i = 0; i < 7; i++) ones += (byte >> i) & 1;
+                highBits += high;
+                if (high === (ones & 1)) evenMatches++;
+                else oddMatches++;
+            }
+        }
+        const total = bytes.length;
+        let parityHint = null;
+        // 最高位需要有一定比例为1，全为0时是普通的7位ASCII数据
+        if (total >= 16 && highBits / total >= 0.1) {
+            if (evenMatches / total >= 0.98) parityHint = 'even';
+            else if (oddMatches / total >= 0.98) parityHint = 'odd';
+        }
+        return {
+            printableRatio: printable / total,
+            garbageRatio: garbage / total,
+            parityHint
+        };
+    }
+
+    // 已知协议的校验匹配，返回覆盖字节比例最高的协议
+    static matchProtocols(bytes) {
+        const matches = [LineSettingsDetector.matchNmea(bytes), LineSettingsDetector.matchModbusRtu(bytes)]
+            .filter(match => match.frames > 0)
+            .sort((a, b) => b.coveredBytes - a.coveredBytes);
+        const best = matches[0];
+        if (!best) return { protocol: null, protocolFrames: 0, coverage: 0 };
+        return { protocol: best.protocol, protocolFrames: best.frames, coverage: best.coveredBytes / bytes.length };
+    }
+
+    static matchNmea(bytes) {
+        const match = { protocol: 'NMEA 0183', frames: 0, coveredBytes: 0 };
+        if (typeof NmeaDecoder === 'undefined') return match;
+        const text = String.fromCharCode(...bytes);
+        const pattern = /[$!]([A-Z0-9]{2,6},[^$!*\r\n]*)\*([0-9A-F]{2})/g;
+        let found;
+        while ((found = pattern.exec(text)) !== null) {
+            if (NmeaDecoder.checksum(found[1]) === parseInt(found[2], 16)) {
+                match.frames++;
+                match.coveredBytes += found[0].length;
+            }
+        }
+        return match;
+    }
+
+    // 按各功能码可能的帧长度在数据中查找CRC正确的Modbus RTU帧
+    static matchModbusRtu(bytes) {
+        const match = { protocol: 'Modbus RTU', frames: 0, coveredBytes: 0 };
+        if (typeof ModbusDecoder === 'undefined') return match;
+        let i = 0;
+        while (i + 4 <= bytes.length) {
+            const address = bytes[i];
+            const fc = bytes[i + 1];
+            const lengths = [];
+            if (address >= 1 && address <= 247) {
+                if (fc & 0x80) lengths.push(5);
+                else if (fc >= 0x01 && fc <= 0x06) lengths.push(8, 5 + bytes[i + 2]);
+                else if (fc === 0x0f || fc === 0x10) lengths.push(8, 9 + bytes[i + 6]);
+            }
+            const length = lengths.find(length => {
+                if (i + length > bytes.length) return false;
+                const crc = ModbusDecoder.crc16(bytes.slice(i, i + length - 2));
+                return crc === (bytes[i + length - 2] | (bytes[i + length - 1] << 8));
+            });
+            if (length) {
+                match.frames++;
+                match.coveredBytes += length;
+                i += length;
+            } else {
+                i++;
+            }
+        }
+        return match;
+    }
+
+    static describe(result) {
+        const details = result.details;
+        const parts = [`${result.byteCount} 字节`];
+        if (result.errorCount > 0) {
+            parts.push(Object.entries(result.errors).map(([name, count]) => `${name} ${count}`).join(' '));
+        }
+        parts.push(`可见字符 ${(details.printableRatio * 100).toFixed(0)}%`);
+        if (details.protocol) parts.push(`${details.protocol}校验通过 ${details.protocolFrames} 帧`);
+        if (details.parityHint) parts.push(`疑似7位${details.parityHint === 'even' ? '偶' : '奇'}校验`);
+        return parts.join('，');
+    }
+}
@@ -12,34 +12,148 @@ class SerialMonitorPro {
         static COMMON_BAUD_RATES_EXTRA = [
             3000000, 2000000, 1500000, 1000000, 7200, 1800, 600, 300
         ];
+        // 参数检测结果达到此置信度时自动连接
+        static LINE_DETECT_AUTO_CONNECT = 0.5;
+        // 连接中断后的重连间隔：从initialMs开始每次翻倍，最长maxMs
+        static RECONNECT_BACKOFF = { initialMs: 500, maxMs: 30000 };
+        // 快速配置表单 -> 串口参数；readTimeout/writeTimeout由本页面执行，其余参数传给open
+        static QUICK_CONFIG_FIELDS = {
+            quickBaudRate: { key: 'baudRate', parse: value => parseInt(value) },
+            quickDataBits: { key: 'dataBits', parse: value => parseInt(value) },
+            quickStopBits: { key: 'stopBits', parse: value => parseInt(value) },
+            quickParity: { key: 'parity', parse: value => value },
+            quickFlowControl: { key: 'flowControl', parse: value => value },
+            quickBufferSize: { key: 'bufferSize', parse: value => parseInt(value) },
+            quickReadTimeout: { key: 'readTimeout', parse: value => parseInt(value) || 0 },
+            quickWriteTimeout: { key: 'writeTimeout', parse: value => parseInt(value) || 0 }
+        };
+        // 读超时的下限（毫秒）
+        static MIN_READ_TIMEOUT_MS = 100;
+        // 这些参数变化时需要关闭并重新打开串口
+        static REOPEN_SETTINGS = ['baudRate', 'dataBits', 'stopBits', 'parity', 'flowControl', 'bufferSize'];
+        // 协议解析器；指定framer的解析器会接管该端口的分帧方式
+        static PROTOCOL_DECODERS = {
+            none: { label: '不解析' },
+            'modbus-rtu': {
+                label: 'Modbus RTU',
+                create: () => new ModbusDecoder('rtu'),
+                framer: (settings) => ({ type: 'idle', gapMs: ModbusDecoder.silentIntervalMs(settings) })
+            },
+            'modbus-ascii': {
+                label: 'Modbus ASCII',
+                create: () => new ModbusDecoder('ascii'),
+                framer: () => ({ type: 'line', delimiter: 'crlf' })
+            },
+            nmea: {
+                label: 'NMEA 0183',
+                create: () => new NmeaDecoder(),
+                framer: () => ({ type: 'line', delimiter: 'lf' })
+            }
+        };
+        // 图表坐标轴样式，流量图和数据绘图共用
+        static CHART_AXIS_STYLE = {
+            axisLine: { lineStyle: { color: '#4a5568' } },
+            axisLabel: { color: '#a0aec0', fontSize: 10 }
+        };
+        static CHART_SPLIT_LINE = { lineStyle: { color: '#2d3748' } };
 
-    constructor() {
+    constructor(options = {}) {
+        this.transport = options.transport || SerialTransport.fromLocation(); // 串口访问统一经过传输层
         this.ports = new Map();
         this.activeConnections = new Set();
-        this.dataBuffer = new Map();
+        this.capture = new CaptureStore(this.loadRetention());
+        this.portIds = new Map(); // port -> 捕获记录中使用的端口ID
+        this.portsById = new Map(); // 端口ID -> port
+        this.unpluggedPorts = new Set(); // 已拔出的port对象，其端口ID可由重新插入的同一设备沿用
+        this.reconnects = new Map(); // 端口ID -> 等待重连的状态 { settings, attempt, timer, delayMs, lastError }
+        this.portSettings = new Map(); // port -> 打开时使用的串口参数
+        this.portSignals = new Map(); // port -> 控制信号(ModemSignals)，连接期间轮询输入信号
+        this.reconfiguring = new Set(); // 正在以新参数重新打开的port
+        this.exclusivePorts = new Set(); // 被烧录等操作独占的port，期间暂停监控读取和发送
+        this.readIdle = new Set(); // 超过读取超时未收到数据的port，收到数据后移除
+        this.breakDurationMs = 250; // Break默认持续时间
+        this.channel = new SerialDataChannel(); // 与分析页共享数据
+        this.portLabels = new Map(); // 回放等非物理端口ID -> 显示名称
+        this.sessions = new SessionStore();
+        this.presets = new PresetStore(); // 串口参数预设，绑定了USB设备的预设在连接时自动应用
+        this.portPresets = new Map(); // port -> 连接时应用的预设名称
+        this.recording = false;
+        this.recordingSessions = new Map(); // 端口ID -> { sessionId, pending }
+        this.recordFlushTimer = null;
+        this.replay = null; // 正在进行的回放
+        this.framerConfigs = new Map(); // 端口ID -> 分帧配置
+        this.framers = new Map(); // 端口ID -> 接收方向的分帧器
+        this.decoderTypes = new Map(); // 端口ID -> 协议解析器类型
+        this.decoders = new Map(); // 端口ID -> 协议解析器实例
+        this.portEncodings = new Map(); // 端口ID -> 文本编码，见TextCodec.ENCODINGS
+        this.textDecoders = new Map(); // "端口ID|方向" -> 流式解码的TextCodec
+        this.gpsPortId = null; // GPS面板显示的端口
+        this.gpsPanelPending = false;
+        this.lineDetectOptions = options.lineDetect || {}; // 串口参数检测选项，见LineSettingsDetector
+        this.lineDetector = null; // 进行中的参数检测
+        this.frames = new FrameLog(); // 分帧结果，监控区按帧显示；随捕获记录的保留策略丢弃，见trimFrames
+        this.nextFrameSeq = 1;
+        this.maxSnapshotFrames = 50000; // 快照中的帧数，与分析页保留的帧数一致
+        this.monitorView = null;
+        this.frameFilter = null; // 监控区的过滤与搜索条件，null为显示全部
+        this.frameView = this.frames; // 监控区显示的帧，有过滤条件时为FilteredFrameLog
+        this.filterKey = JSON.stringify(FrameFilter.DEFAULTS);
+        this.filterCursor = null; // 当前跳转到的匹配帧的seq
+        this.filterTimer = null;
         this.readers = new Map(); // 保存每个端口的reader
+        this.readLoops = new Map(); // 端口 -> 读取循环的Promise
+        this.writers = new Map(); // 保存每个端口的writer
+        this.sendHistory = this.loadSendHistory();
+        this.repeatSendTimer = null;
         this.isMonitoring = true;
+        this.triggers = new TriggerRules(); // 接收数据的触发规则
+        this.triggerAlerts = new Map(); // 规则id -> 上次通知/声音的时间，避免频繁命中时刷屏
+        this.triggerCaptures = new Set(); // 等待保存前后数据的 "规则id|端口ID"
+        this.audioContext = null;
+        this.plotParser = new TelemetryParser();
+        this.plotStore = new TelemetryStore(); // 绘图面板从接收的文本行中解析的数值
+        this.plotChart = null;
+        this.plotEnabled = false; // 绘图面板打开时才解析接收数据
+        this.plotPaused = false;
+        this.plotPending = false;
+        this.terminal = null; // 终端模式下的TerminalEmulator，其他显示格式时为null
+        this.terminalReplaying = false; // 用已捕获的数据重建终端时不回复状态查询
+        this.bridgeHost = null; // 共享本机串口时与中继的连接(BridgeHost)
+        this.bridgeShareMode = 'data'; // 'data' 只共享数据，'control' 同时共享串口参数和控制信号
+        this.remote = null; // 连接他人共享的串口时的RemoteTransport
+        this.flashImage = null; // 待烧录的固件(FirmwareImage)
+        this.flashJob = null; // 进行中的烧录(Stm32Bootloader)
+        this.flashing = false;
+        this.transferJob = null; // 进行中的文件传输(FileTransfer)
+        this.transferring = false;
+        this.transferFiles = []; // 待发送的文件 [{ name, data }]
         this.trafficChart = null;
         this.dataRate = 0;
         this.errorCount = 0;
-        this.totalData = 0;
-        this.lastUpdateTime = Date.now();
-        this.maxBufferLength = 10000; // 数据显示最大长度
+        this.rateWindowMs = 2000; // 速率统计窗口
+        this.trafficSamples = { times: [], rates: [] }; // 流量图最近的采样点
+        this.maxSendHistory = 50; // 发送历史最大条数
         this.init();
     }
 
     async init() {
+        this.setupMonitorView();
         this.setupEventListeners();
+        this.setupDataChannel();
         this.initTrafficChart();
         this.startSystemMonitoring();
         
         // 检查浏览器支持
-        if (!('serial' in navigator)) {
+        if (!this.transport.supported) {
             this.showNotification('您的浏览器不支持Web Serial API，请使用Chrome 89+或Edge 89+', 'error');
             return;
         }
 
-        // 自动扫描串口
+        // 设备插拔
+        this.transport.addEventListener('connect', event => this.handlePortConnected(event.target));
+        this.transport.addEventListener('disconnect', event => this.handlePortDisconnected(event.target));
+
+        // 列出已授权的串口
         await this.scanPorts();
         
         console.log('串口调试工具初始化完成');
@@ -48,10 +162,11 @@ class SerialMonitorPro {
     setupEventListeners() {
         // 导航栏按钮
         document.getElementById('scanPorts').addEventListener('click', () => this.scanPorts());
+        document.getElementById('authorizePort').addEventListener('click', () => this.authorizePort());
         document.getElementById('connectAll').addEventListener('click', () => this.connectAllPorts());
         document.getElementById('disconnectAll').addEventListener('click', () => this.disconnectAllPorts());
 
-        // 自动波特率检测按钮
+        // 串口参数自动检测按钮
         const autoBaudBtn = document.getElementById('autoBaudDetect');
         if (autoBaudBtn) {
             autoBaudBtn.addEventListener('click', () => this.handleAutoBaudDetect());
@@ -59,50 +174,238 @@ class SerialMonitorPro {
         
         // 数据监控控制
         document.getElementById('clearData').addEventListener('click', () => this.clearMonitor());
-        document.getElementById('pauseStream').addEventListener('click', (e) => this.toggleMonitoring(e));
+        document.getElementById('pauseStream').addEventListener('click', () => this.toggleMonitoring());
+
+        // 会话录制与回放
+        document.getElementById('recordSession').addEventListener('click', () => this.toggleRecording());
+        document.getElementById('openSessions').addEventListener('click', () => this.openSessionBrowser());
+        document.getElementById('closeSessions').addEventListener('click', () => this.closeSessionBrowser());
+        document.getElementById('stopReplay').addEventListener('click', () => this.stopReplay());
+        this.capture.subscribe(record => this.queueRecordedChunk(record));
+
+        // 分帧
+        this.capture.subscribe(record => this.handleRecordFrames(record));
         
         // 快速配置
-        const quickConfigs = ['quickBaudRate', 'quickDataBits', 'quickStopBits', 'quickParity'];
-        quickConfigs.forEach(id => {
-            document.getElementById(id).addEventListener('change', () => this.updateQuickConfig());
+        Object.keys(SerialMonitorPro.QUICK_CONFIG_FIELDS).forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateQuickConfig(id));
+        });
+
+        // 缓存保留策略
+        ['retentionMode', 'retentionLimit'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateRetention());
         });
+        this.updateRetentionForm();
 
         // 数据格式切换
-        document.getElementById('dataFormat').addEventListener('change', (e) => {
-            this.dataFormat = e.target.value;
-            this.updateMonitorDisplay();
+        document.getElementById('dataFormat').addEventListener('change', (e) => this.setDataFormat(e.target.value));
+
+        // 终端模式：监控区获得焦点后按键直接发送到串口
+        const dataMonitor = document.getElementById('dataMonitor');
+        dataMonitor.addEventListener('keydown', (e) => this.handleTerminalKey(e));
+        dataMonitor.addEventListener('paste', (e) => {
+            if (!this.terminal) return;
+            e.preventDefault();
+            this.sendTerminalInput(e.clipboardData.getData('text').replace(/\r?\n/g, '\r'));
+        });
+        dataMonitor.addEventListener('compositionend', (e) => {
+            if (this.terminal && e.data) this.sendTerminalInput(e.data);
+        });
+        ['terminalPort', 'terminalEcho'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.rebuildTerminal());
+        });
+        document.getElementById('terminalClear').addEventListener('click', () => this.clearTerminal());
+        this.capture.subscribe(record => this.handleTerminalRecord(record));
+
+        // 串口共享
+        document.getElementById('bridgeShare').addEventListener('click', () => this.toggleBridgeShare());
+        document.getElementById('bridgeJoin').addEventListener('click', () => this.toggleBridgeJoin());
+        this.capture.subscribe(record => this.handleBridgeRecord(record));
+
+        // STM32烧录
+        document.getElementById('openFlash').addEventListener('click', () => this.openFlashPanel());
+        document.getElementById('closeFlash').addEventListener('click', () => this.closeFlashPanel());
+        document.getElementById('flashFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadFlashFile(file.name, new Uint8Array(await file.arrayBuffer()));
+        });
+        document.getElementById('flashStart').addEventListener('click', () => this.startFlash());
+        document.getElementById('flashCancel').addEventListener('click', () => this.cancelFlash());
+
+        // 文件传输
+        document.getElementById('openTransfer').addEventListener('click', () => this.openTransferPanel());
+        document.getElementById('closeTransfer').addEventListener('click', () => this.closeTransferPanel());
+        document.getElementById('transferFile').addEventListener('change', async (e) => {
+            const files = await Promise.all(Array.from(e.target.files, async file => ({ name: file.name, data: new Uint8Array(await file.arrayBuffer()) })));
+            this.setTransferFiles(files);
+        });
+        document.getElementById('transferSend').addEventListener('click', () => this.startTransfer('send'));
+        document.getElementById('transferReceive').addEventListener('click', () => this.startTransfer('receive'));
+        document.getElementById('transferCancel').addEventListener('click', () => this.cancelTransfer());
+
+        // 过滤与搜索，输入关键字时稍作延迟再过滤
+        ['filterPort', 'filterDirection', 'filterSince', 'filterUntil', 'filterMode', 'filterOnlyMatches'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyFilter());
+        });
+        const filterSearch = document.getElementById('filterSearch');
+        filterSearch.addEventListener('input', () => {
+            clearTimeout(this.filterTimer);
+            this.filterTimer = setTimeout(() => this.applyFilter(), 300);
+        });
+        filterSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(this.filterTimer);
+                this.applyFilter();
+                this.findMatch(e.shiftKey ? -1 : 1);
+            }
+        });
+        document.getElementById('filterPrev').addEventListener('click', () => this.findMatch(-1));
+        document.getElementById('filterNext').addEventListener('click', () => this.findMatch(1));
+        document.getElementById('filterClear').addEventListener('click', () => this.clearFilter());
+
+        // 数据绘图
+        document.getElementById('togglePlot').addEventListener('click', () => this.togglePlot());
+        document.getElementById('plotPause').addEventListener('click', () => this.togglePlotPause());
+        document.getElementById('plotClear').addEventListener('click', () => this.clearPlot());
+        document.getElementById('plotExport').addEventListener('click', () => this.exportPlot());
+        document.getElementById('plotPort').addEventListener('change', () => this.rebuildPlot());
+        ['plotWindow', 'plotYMode', 'plotYMin', 'plotYMax'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updatePlot());
+        });
+        this.capture.subscribe(record => this.handlePlotRecord(record));
+
+        // 数据发送
+        document.getElementById('sendData').addEventListener('click', () => this.handleSendClick());
+        document.getElementById('sendInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleSendClick();
+            }
+        });
+        document.getElementById('sendHistory').addEventListener('change', (e) => this.applySendHistory(e.target.value));
+
+        // 触发规则
+        document.getElementById('addTrigger').addEventListener('click', () => this.addTriggerRule());
+        document.getElementById('resetTriggerHits').addEventListener('click', () => {
+            this.triggers.resetHits();
+            this.updateTriggerStats();
         });
+        this.renderTriggerList();
+        this.updateTriggerStats();
+        document.getElementById('clearSendHistory').addEventListener('click', () => this.clearSendHistory());
+        this.updateSendHistoryList();
     }
 
+    // 将捕获记录和连接状态广播给分析页；配置页通过通道请求本页面操作串口，串口只由本页面打开
+    setupDataChannel() {
+        this.capture.subscribe(record => this.channel.post('record', record));
+        this.channel.on('snapshot-request', () => {
+            this.channel.post('snapshot', {
+                records: this.capture.records,
+                frames: this.frames.slice(-this.maxSnapshotFrames).map(frame => this.getFrameMeta(frame)),
+                status: this.getConnectionStatus()
+            });
+        });
+        this.channel.on('status-request', () => this.broadcastStatus());
+        this.channel.on('config-apply', request => this.handleChannelCommand(request, () => this.applyPortConfig(request.portId, request.settings)));
+        this.channel.on('send-request', request => this.handleChannelCommand(request, () => this.sendToPortId(request.portId, request.data)));
+    }
+
+    async handleChannelCommand(request, command) {
+        let result;
+        try {
+            const message = await command();
+            result = { requestId: request.requestId, ok: true, message };
+        } catch (error) {
+            result = { requestId: request.requestId, ok: false, message: error.message };
+        }
+        this.channel.post('command-result', result);
+        return result;
+    }
+
+    // 配置页应用参数：已连接的串口按新参数重新打开，未连接的以新参数连接
+    async applyPortConfig(portId, settings) {
+        const port = this.portsById.get(portId);
+        if (!port || !this.ports.has(port)) throw new Error('串口不存在');
+        if (this.activeConnections.has(port)) {
+            await this.reconfigurePort(port, settings);
+            return '配置已应用到已连接的串口';
+        }
+        this.cancelReconnect(portId);
+        await this.openConnection(port, { ...this.readQuickSettings(), ...settings });
+        this.logEvent('info', port, `串口已连接 (${this.describeSettings(this.portSettings.get(port))})`);
+        await this.refreshPortList();
+        return '已按配置连接串口';
+    }
+
+    async sendToPortId(portId, data) {
+        const port = this.portsById.get(portId);
+        if (!port || !this.activeConnections.has(port)) throw new Error('串口未连接');
+        const bytes = typeof data === 'string' ? TextCodec.encode(data, this.getPortEncoding(portId)) : Uint8Array.from(data);
+        if (!await this.writeToPort(port, bytes)) throw new Error('发送失败');
+        return `已发送 ${bytes.length} 字节`;
+    }
+
+    getConnectionStatus() {
+        return {
+            connections: Array.from(this.activeConnections).map(port => ({
+                portId: this.getPortId(port),
+                name: (this.ports.get(port) || {}).name || '未知串口',
+                vendorId: (this.ports.get(port) || {}).vendorId,
+                productId: (this.ports.get(port) || {}).productId,
+                ...this.portSettings.get(port)
+            })),
+            // 列表中的全部串口，配置页据此选择要配置的串口
+            ports: Array.from(this.ports.keys()).map(port => ({
+                portId: this.getPortId(port),
+                name: (this.ports.get(port) || {}).name || '未知串口',
+                vendorId: (this.ports.get(port) || {}).vendorId,
+                productId: (this.ports.get(port) || {}).productId,
+                serialNumber: (this.ports.get(port) || {}).serialNumber,
+                connected: this.activeConnections.has(port)
+            })),
+            errorCount: this.errorCount,
+            timestamp: Date.now()
+        };
+    }
+
+    broadcastStatus() {
+        this.channel.post('status', this.getConnectionStatus());
+    }
+
+    // 广播日志事件
+    logEvent(level, port, message) {
+        this.channel.post('log', {
+            timestamp: Date.now(),
+            level,
+            portId: port ? this.getPortId(port) : null,
+            message
+        });
+    }
+
+    // 列出已授权的串口；授权新设备使用authorizePort，不在扫描时弹出选择框
     async scanPorts() {
         try {
             this.showNotification('正在扫描串口...', 'info');
+            const ports = await this.getAvailablePorts();
 
-            // 始终主动弹出权限申请
-            let ports = [];
-            try {
-                const port = await navigator.serial.requestPort();
-                ports = [port];
-            } catch (e) {
-                // 用户拒绝授权时，依然尝试获取已授权的串口
-                ports = await navigator.serial.getPorts();
-                if (ports.length === 0) {
-                    this.showNotification('用户未授权串口访问', 'warning');
+            // 及时更新this.ports，等待重连的端口保留在列表中
+            for (const port of Array.from(this.ports.keys())) {
+                if (!ports.includes(port) && !this.reconnects.has(this.getPortId(port))) {
+                    this.ports.delete(port);
                 }
             }
-
-            // 及时更新this.ports
-            this.ports.clear();
             for (const port of ports) {
                 this.ports.set(port, await this.getPortInfo(port));
             }
 
             // 更新串口列表显示
-            await this.updatePortList(ports);
+            await this.refreshPortList();
 
             // 如果没有检测到串口，显示提示
             if (ports.length === 0) {
-                this.showNotification('未检测到串口设备，请确保设备已连接并授权访问', 'warning');
+                this.showNotification('没有已授权的串口设备，请点击"添加设备"授权访问', 'warning');
             } else {
                 this.showNotification(`检测到 ${ports.length} 个串口设备`, 'success');
             }
@@ -113,11 +416,153 @@ class SerialMonitorPro {
         }
     }
 
+    // 本机已授权的串口和已连接的中继上共享的远程串口
+    async getAvailablePorts() {
+        const ports = await this.transport.getPorts();
+        return this.remote ? ports.concat(await this.remote.getPorts()) : ports;
+    }
+
+    // 弹出浏览器的串口选择框，授权新的设备
+    async authorizePort() {
+        let port;
+        try {
+            port = await this.transport.requestPort();
+        } catch (e) {
+            this.showNotification('用户未授权串口访问', 'warning');
+            return null;
+        }
+        this.unpluggedPorts.delete(port);
+        this.ports.set(port, await this.getPortInfo(port));
+        await this.refreshPortList();
+        this.showNotification(`已添加串口: ${this.ports.get(port).name}`, 'success');
+        return port;
+    }
+
+    refreshPortList() {
+        return this.updatePortList(Array.from(this.ports.keys()));
+    }
+
+    // 设备插入：加入列表；是等待重连的设备则立即重新打开
+    async handlePortConnected(port) {
+        this.unpluggedPorts.delete(port);
+        const portId = this.getPortId(port);
+        // 同一设备拔出前的port对象不再显示
+        for (const other of Array.from(this.ports.keys())) {
+            if (other !== port && this.getPortId(other) === portId) {
+                this.ports.delete(other);
+            }
+        }
+        this.ports.set(port, await this.getPortInfo(port));
+        if (this.reconnects.has(portId)) {
+            await this.attemptReconnect(portId);
+        } else {
+            this.logEvent('info', port, '设备已插入');
+            this.showNotification(`检测到设备插入: ${this.ports.get(port).name}`, 'info');
+        }
+        await this.refreshPortList();
+    }
+
+    // 设备拔出：已连接的端口进入重连等待，未连接的从列表移除
+    async handlePortDisconnected(port) {
+        this.unpluggedPorts.add(port);
+        if (this.activeConnections.has(port)) {
+            await this.handleConnectionLost(port, '设备已拔出');
+            return;
+        }
+        if (!this.reconnects.has(this.getPortId(port))) {
+            this.logEvent('info', port, '设备已拔出');
+            this.ports.delete(port);
+        }
+        await this.refreshPortList();
+    }
+
+    // 连接意外中断（设备拔出或致命读取错误）：释放端口并按退避间隔尝试以原参数重新打开
+    async handleConnectionLost(port, reason) {
+        if (!this.activeConnections.has(port)) return;
+        const portId = this.getPortId(port);
+        const settings = this.portSettings.get(port);
+        this.activeConnections.delete(port);
+        if (this.bridgeHost) this.bridgeHost.unshare(portId);
+        await this.stopReading(port);
+        try {
+            await this.transport.close(port);
+        } catch (error) {
+            console.warn('关闭中断的串口失败:', error);
+        }
+        await this.finishSessionForPort(portId);
+        this.portSettings.delete(port);
+        this.updateSendTargets();
+        this.broadcastStatus();
+        if (this.activeConnections.size === 0) {
+            this.stopRepeatSend();
+        }
+
+        this.logEvent('warning', port, `连接中断: ${reason}，等待重新连接`);
+        this.showNotification(`${this.getPortName(portId)} 连接中断，将自动重新连接`, 'warning');
+        this.reconnects.set(portId, { settings, attempt: 0, timer: null, delayMs: 0, lastError: reason, connecting: false });
+        this.scheduleReconnect(portId);
+        await this.refreshPortList();
+    }
+
+    scheduleReconnect(portId) {
+        const state = this.reconnects.get(portId);
+        const { initialMs, maxMs } = SerialMonitorPro.RECONNECT_BACKOFF;
+        clearTimeout(state.timer);
+        state.delayMs = Math.min(maxMs, initialMs * 2 ** state.attempt);
+        state.timer = setTimeout(() => this.attemptReconnect(portId), state.delayMs);
+    }
+
+    // 查找同一设备当前可用的port对象并以中断前的参数打开
+    async attemptReconnect(portId) {
+        const state = this.reconnects.get(portId);
+        if (!state || state.connecting) return false;
+        clearTimeout(state.timer);
+        state.connecting = true;
+        state.attempt++;
+        try {
+            const ports = await this.getAvailablePorts();
+            const port = ports.find(item => !this.activeConnections.has(item) && this.getPortId(item) === portId);
+            if (!port) {
+                throw new Error('设备未连接');
+            }
+            await this.openConnection(port, state.settings);
+            this.reconnects.delete(portId);
+            this.logEvent('info', port, `设备已重新连接 (第${state.attempt}次尝试)`);
+            this.showNotification(`${this.getPortName(portId)} 已重新连接`, 'success');
+            return true;
+        } catch (error) {
+            state.lastError = error.message;
+            // 尝试期间被取消时不再继续
+            if (this.reconnects.get(portId) === state) {
+                this.scheduleReconnect(portId);
+            }
+            return false;
+        } finally {
+            state.connecting = false;
+            await this.refreshPortList();
+        }
+    }
+
+    cancelReconnect(portId) {
+        const state = this.reconnects.get(portId);
+        if (!state) return;
+        clearTimeout(state.timer);
+        this.reconnects.delete(portId);
+        // 已拔出的设备不再显示
+        const port = this.portsById.get(portId);
+        if (port && this.unpluggedPorts.has(port)) {
+            this.ports.delete(port);
+        }
+        this.logEvent('info', port, '已取消自动重连');
+    }
+
     async updatePortList(ports) {
         const portList = document.getElementById('portList');
         const portCount = document.getElementById('portCount');
         
         portCount.textContent = ports.length;
+        this.updateTriggerPortOptions();
+        this.updateFilterPortOptions();
         
         if (ports.length === 0) {
             portList.innerHTML = `
@@ -137,47 +582,180 @@ class SerialMonitorPro {
             const port = ports[i];
             const portInfo = await this.getPortInfo(port);
             const isActive = this.activeConnections.has(port);
+            const portId = this.getPortId(port);
+            const portIdAttr = this.escapeHtml(portId); // 远程串口的ID和名称来自中继，写入HTML前转义
+            const reconnect = this.reconnects.get(portId);
+            const indicator = isActive ? 'status-active pulse-animation' : reconnect ? 'status-warning pulse-animation' : 'status-inactive';
+            const framerConfig = this.framerConfigs.get(portId) || StreamFramer.DEFAULTS;
+            const framerOptions = Object.entries(StreamFramer.TYPES).map(([type, label]) =>
+                `<option value="${type}" ${type === framerConfig.type ? 'selected' : ''}>${label}</option>`).join('');
+            const decoderType = this.decoderTypes.get(portId) || 'none';
+            const decoderOptions = Object.entries(SerialMonitorPro.PROTOCOL_DECODERS).map(([type, decoder]) =>
+                `<option value="${type}" ${type === decoderType ? 'selected' : ''}>${decoder.label}</option>`).join('');
+            // 由协议解析器决定分帧方式时禁用手动分帧设置
+            const framerLocked = Boolean(SerialMonitorPro.PROTOCOL_DECODERS[decoderType].framer);
+            const encoding = this.getPortEncoding(portId);
+            const encodingOptions = Object.entries(TextCodec.ENCODINGS).map(([value, label]) =>
+                `<option value="${value}" ${value === encoding ? 'selected' : ''}>${label}</option>`).join('');
             
             html += `
-                <div class="connection-card rounded-lg p-4 cursor-pointer hover-lift" data-port-index="${i}">
+                <div class="connection-card rounded-lg p-4 cursor-pointer hover-lift" data-port-id="${portIdAttr}">
                     <div class="flex items-center justify-between mb-2">
                         <div class="flex items-center">
-                            <span class="status-indicator ${isActive ? 'status-active pulse-animation' : 'status-inactive'}"></span>
-                            <span class="font-medium">${portInfo.name || '未知串口'}</span>
+                            <span class="status-indicator ${indicator}"></span>
+                            <span class="font-medium">${this.escapeHtml(portInfo.name || '未知串口')}</span>
+                        </div>
+                        ${reconnect ? `
+                        <div class="flex items-center space-x-1">
+                            <button class="reconnect-btn px-2 py-1 text-xs rounded bg-yellow-600 hover:bg-yellow-700 transition-colors" data-port-id="${portIdAttr}">
+                                立即重试
+                            </button>
+                            <button class="cancel-reconnect-btn px-2 py-1 text-xs rounded bg-gray-600 hover:bg-gray-700 transition-colors" data-port-id="${portIdAttr}">
+                                取消重连
+                            </button>
                         </div>
-                        <button class="connect-btn px-2 py-1 text-xs rounded ${isActive ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'} transition-colors" 
-                                data-port-index="${i}">
-                            ${isActive ? '断开' : '连接'}
-                        </button>
+                        ` : `
+                        <div class="flex items-center space-x-1">
+                            <button class="detect-btn px-2 py-1 text-xs rounded bg-blue-600 hover:bg-blue-700 transition-colors" data-port-id="${portIdAttr}" ${isActive || portInfo.remote ? 'disabled' : ''}
+                                    title="自动检测波特率、数据位、校验位和停止位">
+                                检测参数
+                            </button>
+                            <button class="connect-btn px-2 py-1 text-xs rounded ${isActive ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'} transition-colors" 
+                                    data-port-id="${portIdAttr}">
+                                ${isActive ? '断开' : '连接'}
+                            </button>
+                        </div>
+                        `}
                     </div>
                     
                     <div class="text-xs text-gray-400 space-y-1">
-                        <div>波特率: ${portInfo.baudRate || '自动检测'}</div>
-                        <div>状态: ${isActive ? '已连接' : '未连接'}</div>
-                        <div>数据: ${this.dataBuffer.get(port)?.length || 0} bytes</div>
+                        <div>波特率: ${this.escapeHtml(reconnect && reconnect.settings ? reconnect.settings.baudRate : portInfo.baudRate || '自动检测')}</div>
+                        <div>状态: ${isActive ? '已连接' : reconnect ? this.describeReconnect(reconnect) : '未连接'}</div>
+                        ${isActive && this.portPresets.has(port) ? `<div>预设: ${this.escapeHtml(this.portPresets.get(port))}</div>` : ''}
+                        ${this.bridgeHost && this.bridgeHost.isShared(portId) ? '<div class="text-green-400">已共享到中继</div>' : ''}
+                        <div>数据: RX ${this.capture.getStats(this.getPortId(port)).rxBytes} / TX ${this.capture.getStats(this.getPortId(port)).txBytes} bytes</div>
+                    </div>
+                    
+                    <div class="flex items-center space-x-1 mt-2">
+                        <select class="framer-type flex-1 px-1 py-1 bg-gray-700 border border-gray-600 rounded text-xs" data-port-id="${portIdAttr}" ${framerLocked ? 'disabled' : ''}>
+                            ${framerOptions}
+                        </select>
+                        <input class="framer-params flex-1 min-w-0 px-1 py-1 bg-gray-700 border border-gray-600 rounded text-xs" data-port-id="${portIdAttr}" ${framerLocked ? 'disabled' : ''}
+                               value="${this.escapeHtml(framerConfig.params || '')}" placeholder="${StreamFramer.paramsHint(framerConfig.type)}">
+                    </div>
+                    
+                    <div class="flex items-center space-x-1 mt-1">
+                        <span class="text-xs text-gray-400">协议:</span>
+                        <select class="decoder-type flex-1 px-1 py-1 bg-gray-700 border border-gray-600 rounded text-xs" data-port-id="${portIdAttr}">
+                            ${decoderOptions}
+                        </select>
+                        <span class="text-xs text-gray-400">编码:</span>
+                        <select class="port-encoding px-1 py-1 bg-gray-700 border border-gray-600 rounded text-xs" data-port-id="${portIdAttr}">
+                            ${encodingOptions}
+                        </select>
                     </div>
                     
-                    ${portInfo.vendorId ? `<div class="text-xs text-blue-400">VID: ${portInfo.vendorId}</div>` : ''}
-                    ${portInfo.productId ? `<div class="text-xs text-blue-400">PID: ${portInfo.productId}</div>` : ''}
+                    ${isActive ? this.renderSignalControls(port, portId) : ''}
+                    
+                    ${portInfo.vendorId ? `<div class="text-xs text-blue-400">VID: ${this.escapeHtml(portInfo.vendorId)}</div>` : ''}
+                    ${portInfo.productId ? `<div class="text-xs text-blue-400">PID: ${this.escapeHtml(portInfo.productId)}</div>` : ''}
                 </div>
             `;
         }
         
         portList.innerHTML = html;
+        this.updateSendTargets();
         
+        // 分帧设置
+        portList.querySelectorAll('.framer-type, .framer-params').forEach(input => {
+            input.addEventListener('change', () => {
+                const card = input.closest('.connection-card');
+                const typeSelect = card.querySelector('.framer-type');
+                const paramsInput = card.querySelector('.framer-params');
+                paramsInput.placeholder = StreamFramer.paramsHint(typeSelect.value);
+                this.setFramerConfig(input.dataset.portId, typeSelect.value, paramsInput.value);
+            });
+        });
+
+        // 协议解析设置
+        portList.querySelectorAll('.decoder-type').forEach(select => {
+            select.addEventListener('change', () => {
+                this.setDecoderType(select.dataset.portId, select.value);
+            });
+        });
+
+        // 文本编码设置
+        portList.querySelectorAll('.port-encoding').forEach(select => {
+            select.addEventListener('change', () => {
+                this.setPortEncoding(select.dataset.portId, select.value);
+            });
+        });
+
+        // 单个端口的参数检测
+        portList.querySelectorAll('.detect-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleAutoBaudDetect(this.portsById.get(btn.dataset.portId));
+            });
+        });
+
         // 添加连接按钮事件监听
         portList.querySelectorAll('.connect-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                const portIndex = parseInt(btn.dataset.portIndex);
-                this.togglePortConnection(ports[portIndex], btn);
+                this.togglePortConnection(this.portsById.get(btn.dataset.portId));
+            });
+        });
+
+        // 控制信号
+        portList.querySelectorAll('.signal-toggle').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.togglePortSignal(btn.dataset.portId, btn.dataset.signal);
+            });
+        });
+        portList.querySelectorAll('.signal-break').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const input = btn.closest('.connection-card').querySelector('.signal-break-ms');
+                this.sendPortBreak(btn.dataset.portId, parseInt(input.value));
+            });
+        });
+        portList.querySelectorAll('.signal-break-ms').forEach(input => {
+            input.addEventListener('click', (e) => e.stopPropagation());
+        });
+        portList.querySelectorAll('.signal-sequence').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.runSignalSequence(btn.dataset.portId, btn.dataset.sequence);
+            });
+        });
+
+        // 等待重连的端口
+        portList.querySelectorAll('.reconnect-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.attemptReconnect(btn.dataset.portId);
+            });
+        });
+        portList.querySelectorAll('.cancel-reconnect-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.cancelReconnect(btn.dataset.portId);
+                this.refreshPortList();
             });
         });
     }
 
+    describeReconnect(state) {
+        if (state.connecting) return `正在重新连接 (第${state.attempt}次)`;
+        const seconds = Math.ceil(state.delayMs / 1000);
+        return `等待重连，已尝试${state.attempt}次，${seconds}秒后重试 (${this.escapeHtml(state.lastError || '')})`;
+    }
+
     async getPortInfo(port) {
         try {
-            const info = await port.getInfo();
+            const info = await this.transport.getInfo(port);
             // 优先用真实端口名
             let name = info.usbProductName || info.serialNumber || info.path || '';
             if (!name) {
@@ -190,8 +768,11 @@ class SerialMonitorPro {
             }
             // 获取当前端口的波特率（如果已连接）
             let baudRate = undefined;
-            if (this.activeConnections.has(port) && port.baudRate) {
-                baudRate = port.baudRate;
+            if (this.activeConnections.has(port) && this.portSettings.has(port)) {
+                baudRate = this.portSettings.get(port).baudRate;
+            } else if (port.remoteSettings) {
+                // 远程串口使用主机上的参数
+                baudRate = port.remoteSettings.baudRate;
             } else {
                 // 尝试从配置获取
                 const baudSelect = document.getElementById('quickBaudRate');
@@ -201,6 +782,8 @@ class SerialMonitorPro {
                 name,
                 vendorId: info.usbVendorId,
                 productId: info.usbProductId,
+                serialNumber: info.serialNumber,
+                remote: Boolean(info.remotePortId),
                 baudRate
             };
         } catch (error) {
@@ -212,357 +795,2434 @@ class SerialMonitorPro {
         }
     }
 
-    // 自动波特率检测入口
-    async handleAutoBaudDetect() {
+    // 串口参数检测入口；未指定端口时优先使用已授权且未连接的端口
+    async handleAutoBaudDetect(port = null) {
+        // 检测进行中再次点击则取消
+        if (this.lineDetector) {
+            this.lineDetector.cancel();
+            return;
+        }
         try {
-            this.showNotification('请授权串口设备...', 'info');
-            let port;
-            try {
-                port = await navigator.serial.requestPort();
-            } catch (e) {
-                this.showNotification('用户未授权串口访问', 'warning');
+            if (!port) {
+                port = await this.pickPortForDetection();
+                if (!port) return;
+            }
+            if (this.activeConnections.has(port)) {
+                this.showNotification('请先断开该串口再检测参数', 'warning');
                 return;
             }
-            this.showNotification('开始自动检测波特率...', 'info');
-            const {baud, sample} = await this.autoDetectBaudRate(port);
-            if (baud) {
-                this.showNotification(`检测到波特率：${baud} bps`, 'success');
-                // 自动连接并设置波特率
-                const baudSelect = document.getElementById('quickBaudRate');
-                if (baudSelect) {
-                    let found = false;
-                    for (let opt of baudSelect.options) {
-                        if (parseInt(opt.value) === baud) { opt.selected = true; found = true; break; }
-                    }
-                    if (!found) {
-                        // 动态添加并选中
-                        const newOpt = document.createElement('option');
-                        newOpt.value = baud;
-                        newOpt.text = baud + ' (自动检测)';
-                        newOpt.selected = true;
-                        baudSelect.appendChild(newOpt);
-                    }
-                }
-                await this.connectPortWithBaud(port, baud);
-                await this.scanPorts();
-                // 高亮显示检测到的数据样本
-                if (sample && sample.length > 0) {
-                    this.showNotification('数据样本: ' + this.formatSampleData(sample), 'info');
+            this.showNotification('开始自动检测串口参数...', 'info');
+            const results = await this.autoDetectLineSettings(port, (settings, tested) => {
+                this.setDetectButtonText(`检测中 ${settings.baudRate} ${LineSettingsDetector.formatName(settings)} (${tested}) · 点击取消`);
+            });
+            this.showLineDetectResults(port, results);
+
+            const best = results[0];
+            if (!best || best.confidence === 0) {
+                this.showNotification('未能检测到有效的串口参数', 'error');
+                return;
+            }
+            this.applyLineSettings(best.settings);
+            const percent = Math.round(best.confidence * 100);
+            if (best.confidence >= SerialMonitorPro.LINE_DETECT_AUTO_CONNECT) {
+                this.showNotification(`检测到串口参数：${best.name}（置信度 ${percent}%）`, 'success');
+                await this.connectDetectedPort(port);
+                if (best.sample.length > 0) {
+                    this.showNotification('数据样本: ' + this.formatSampleData(best.sample, this.getPortEncoding(this.getPortId(port))), 'info');
                 }
             } else {
-                this.showNotification('未能检测到有效波特率', 'error');
+                this.showNotification(`最可能的参数为 ${best.name}，置信度仅 ${percent}%，请在检测结果中确认后连接`, 'warning');
             }
         } catch (err) {
-            this.showNotification('自动波特率检测失败: ' + err.message, 'error');
+            this.showNotification('自动检测串口参数失败: ' + err.message, 'error');
+        } finally {
+            this.setDetectButtonText(null);
+        }
+    }
+
+    // 只有一个已授权的空闲端口时直接使用，否则请用户选择
+    async pickPortForDetection() {
+        const granted = await this.transport.getPorts();
+        const idle = granted.filter(port => !this.activeConnections.has(port));
+        if (idle.length === 1) return idle[0];
+        try {
+            this.showNotification('请选择要检测的串口设备...', 'info');
+            return await this.transport.requestPort();
+        } catch (e) {
+            this.showNotification('用户未授权串口访问', 'warning');
+            return null;
+        }
+    }
+
+    // 依次尝试各组串口参数，返回按置信度排列的结果
+    async autoDetectLineSettings(port, onProgress) {
+        this.lineDetector = new LineSettingsDetector(this.transport, this.lineDetectOptions);
+        try {
+            return await this.lineDetector.detect(port, { onProgress });
+        } finally {
+            this.lineDetector = null;
+        }
+    }
+
+    setDetectButtonText(text) {
+        const button = document.getElementById('autoBaudDetect');
+        if (!button) return;
+        if (text === null) {
+            if (button.dataset.label) button.innerHTML = button.dataset.label;
+            delete button.dataset.label;
+            return;
+        }
+        if (!button.dataset.label) button.dataset.label = button.innerHTML;
+        button.textContent = text;
+    }
+
+    // 检测结果列表，每项可直接以该参数连接
+    showLineDetectResults(port, results) {
+        const container = document.getElementById('lineDetectResults');
+        if (!container) return;
+        const candidates = results.filter(result => result.confidence > 0).slice(0, 5);
+        if (candidates.length === 0) {
+            container.innerHTML = '<div class="text-xs text-gray-400">没有收到可识别的数据</div>';
+            container.classList.remove('hidden');
+            return;
+        }
+        container.innerHTML = `
+            <div class="text-xs text-gray-400 mb-1">${this.escapeHtml(this.getPortName(this.getPortId(port)))} 检测结果</div>
+            ${candidates.map((result, index) => `
+                <div class="flex items-center justify-between text-xs py-1 border-b border-gray-700">
+                    <div class="min-w-0">
+                        <div><span class="font-mono">${result.name}</span> <span class="${result.confidence >= SerialMonitorPro.LINE_DETECT_AUTO_CONNECT ? 'text-green-400' : 'text-yellow-400'}">${Math.round(result.confidence * 100)}%</span></div>
+                        <div class="text-gray-500 truncate" title="${this.escapeHtml(result.reason)}">${this.escapeHtml(result.reason)}</div>
+                    </div>
+                    <button class="line-detect-use px-2 py-1 bg-green-600 hover:bg-green-700 rounded" data-index="${index}">连接</button>
+                </div>
+            `).join('')}
+        `;
+        container.classList.remove('hidden');
+        container.querySelectorAll('.line-detect-use').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.applyLineSettings(candidates[parseInt(btn.dataset.index)].settings);
+                this.connectDetectedPort(port);
+            });
+        });
+    }
+
+    // 把检测到的参数填入快速配置，之后的连接使用这些参数
+    applyLineSettings(settings) {
+        const baudSelect = document.getElementById('quickBaudRate');
+        if (baudSelect) {
+            const found = Array.from(baudSelect.options).some(opt => parseInt(opt.value) === settings.baudRate);
+            if (!found) {
+                // 动态添加并选中
+                const newOpt = document.createElement('option');
+                newOpt.value = settings.baudRate;
+                newOpt.text = settings.baudRate + ' (自动检测)';
+                baudSelect.appendChild(newOpt);
+            }
+            baudSelect.value = String(settings.baudRate);
+        }
+        const fields = { quickDataBits: settings.dataBits, quickParity: settings.parity, quickStopBits: settings.stopBits };
+        Object.entries(fields).forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (select) select.value = String(value);
+        });
+    }
+
+    async connectDetectedPort(port) {
+        if (this.activeConnections.has(port)) return false;
+        // 检测时可能新授权了端口，加入列表
+        if (!this.ports.has(port)) {
+            this.ports.set(port, await this.getPortInfo(port));
+        }
+        // 检测结果优先于绑定的预设
+        const success = await this.connectPort(port, this.readQuickSettings());
+        await this.updatePortList(Array.from(this.ports.keys()));
+        return success;
+    }
+
+    // 格式化数据样本为可读字符串，截断处不完整的多字节字符不显示
+    formatSampleData(data, encoding = 'utf-8') {
+        if (!data || data.length === 0) return '';
+        const text = new TextCodec(encoding).decode(data.slice(0, 16));
+        return SerialMonitorPro.replaceControlChars(text) + (data.length > 16 ? ' ...' : '');
+    }
+
+    async togglePortConnection(port) {
+        const isActive = this.activeConnections.has(port);
+        
+        if (isActive) {
+            // 断开连接
+            await this.disconnectPort(port);
+        } else {
+            // 连接串口
+            await this.connectPort(port);
+        }
+        
+        // 已连接的端口卡片带控制信号按钮，重新生成列表
+        await this.refreshPortList();
+        this.updateStats();
+    }
+
+    // 未指定参数时，绑定到该设备的预设优先于快速配置
+    async connectPort(port, settings = null) {
+        try {
+            let preset = null;
+            if (!settings) {
+                preset = this.findPortPreset(port);
+                settings = preset ? PresetStore.settingsOf(preset) : this.readQuickSettings();
+            }
+            // 手动连接时放弃该设备的自动重连
+            this.cancelReconnect(this.getPortId(port));
+            await this.openConnection(port, settings);
+            if (preset) this.portPresets.set(port, preset.name);
+            this.logEvent('info', port, `串口已连接 (${this.describeSettings(settings)}${preset ? `，预设"${preset.name}"` : ''})`);
+
+            if (preset) {
+                this.showNotification(`已应用预设"${preset.name}" (${settings.baudRate}bps)`, 'success');
+            } else {
+                this.showNotification(`串口连接成功 (${settings.baudRate}bps)`, 'success');
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('连接串口失败:', error);
+            this.showNotification('串口连接失败: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    findPortPreset(port) {
+        const info = this.ports.get(port) || {};
+        return this.presets.findForDevice({
+            usbVendorId: info.vendorId,
+            usbProductId: info.productId,
+            serialNumber: info.serialNumber
+        });
+    }
+
+    readQuickSettings() {
+        const settings = {};
+        Object.entries(SerialMonitorPro.QUICK_CONFIG_FIELDS).forEach(([id, field]) => {
+            settings[field.key] = field.parse(document.getElementById(id).value);
+        });
+        return settings;
+    }
+
+    describeSettings(settings) {
+        let text = `${settings.baudRate} ${LineSettingsDetector.formatName(settings)}`;
+        if (settings.flowControl === 'hardware') text += ' RTS/CTS';
+        return text;
+    }
+
+    // 打开串口并开始读取，连接和自动重连共用
+    async openConnection(port, settings) {
+        // 远程串口的线路参数由主机决定
+        if (port.remoteSettings) {
+            const { baudRate, dataBits, stopBits, parity } = port.remoteSettings;
+            settings = { ...settings, baudRate, dataBits, stopBits, parity };
+        }
+        await this.transport.open(port, settings);
+
+        this.activeConnections.add(port);
+        this.portSettings.set(port, settings);
+        // 分帧器可能依赖串口参数（如Modbus RTU的静默间隔），重新创建；上次连接未解码完的字节丢弃
+        this.framers.delete(this.getPortId(port));
+        this.deleteTextDecoders(this.getPortId(port));
+        // 连接后刷新this.ports
+        this.ports.set(port, await this.getPortInfo(port));
+        this.updateSendTargets();
+        this.broadcastStatus();
+        if (this.recording) this.startSessionForPort(port);
+        this.startReadingPort(port);
+        this.startPortSignals(port);
+        if (port.remoteId !== undefined) {
+            // 其他用户发往远程串口的数据也记录为TX
+            port.onTransmit = bytes => this.capture.append(this.getPortId(port), 'TX', bytes);
+        }
+        this.shareBridgePort(port);
+    }
+
+    // 连接期间轮询CTS/DSR/DCD/RI，信号变化记录到捕获时间线
+    startPortSignals(port) {
+        const portId = this.getPortId(port);
+        const signals = new ModemSignals(this.transport, port, {
+            onChange: event => {
+                this.capture.appendEvent(portId, event);
+                this.updateSignalIndicators(port);
+            }
+        });
+        this.portSignals.set(port, signals);
+        signals.startPolling();
+    }
+
+    // 停止读取并释放读写锁，串口仍保持打开：先取消reader，并等待读取循环释放锁
+    async stopReading(port) {
+        this.stopPortSignals(port);
+        if (this.readers.has(port)) {
+            try {
+                await this.readers.get(port).cancel();
+            } catch {}
+            this.readers.delete(port);
+        }
+        if (this.readLoops.has(port)) {
+            await this.readLoops.get(port);
+        }
+        if (this.writers.has(port)) {
+            try {
+                this.writers.get(port).releaseLock();
+            } catch {}
+            this.writers.delete(port);
+        }
+        this.readIdle.delete(port);
+    }
+
+    /**
+     * 修改已连接串口的参数。只改读写超时时直接生效；其他参数需要关闭后以新参数重新打开，
+     * 捕获数据和会话录制不中断，参数变化记录到捕获时间线。新参数打开失败时恢复原参数，
+     * 原参数也无法打开时按连接中断处理。
+     */
+    async reconfigurePort(port, changes) {
+        if (this.reconfiguring.has(port)) throw new Error('正在重新配置该串口');
+        if (this.exclusivePorts.has(port)) throw new Error('串口正在烧录或传输文件');
+        const portId = this.getPortId(port);
+        const previous = this.portSettings.get(port);
+        const settings = { ...previous, ...changes };
+        if (Object.keys(settings).every(key => settings[key] === previous[key])) return settings;
+        const reopen = SerialMonitorPro.REOPEN_SETTINGS.some(key => settings[key] !== previous[key]);
+        if (!reopen) {
+            this.portSettings.set(port, settings);
+            this.capture.appendEvent(portId, { type: 'config', message: `读写超时: ${settings.readTimeout || '不限'}/${settings.writeTimeout || '不限'} ms` });
+            return settings;
+        }
+
+        this.reconfiguring.add(port);
+        try {
+            await this.stopReading(port);
+            await this.transport.close(port);
+            try {
+                await this.transport.open(port, settings);
+            } catch (error) {
+                try {
+                    await this.transport.open(port, previous);
+                } catch {
+                    this.reconfiguring.delete(port);
+                    await this.handleConnectionLost(port, '重新打开失败: ' + error.message);
+                    throw error;
+                }
+                this.resumeConnection(port);
+                throw new Error(`新参数无法打开串口，已恢复原参数: ${error.message}`);
+            }
+            this.portSettings.set(port, settings);
+            this.portPresets.delete(port); // 参数已不再是预设的参数
+            // 协议解析器决定的分帧方式依赖串口参数（如Modbus RTU的静默间隔），重新创建分帧器
+            if (SerialMonitorPro.PROTOCOL_DECODERS[this.decoderTypes.get(portId) || 'none'].framer) {
+                this.framers.delete(portId);
+            }
+            this.resumeConnection(port);
+            const message = `串口参数已更改: ${this.describeSettings(previous)} → ${this.describeSettings(settings)}`;
+            this.capture.appendEvent(portId, { type: 'config', message });
+            this.logEvent('info', port, message);
+            this.broadcastStatus();
+            return settings;
+        } finally {
+            this.reconfiguring.delete(port);
+        }
+    }
+
+    // 重新打开后恢复读取和信号轮询，未完成的帧保留在分帧器中继续拼接
+    resumeConnection(port) {
+        this.startReadingPort(port);
+        this.startPortSignals(port);
+    }
+
+    /**
+     * 独占已连接的串口执行task(stream)，用于烧录、文件传输等请求-应答协议：暂停监控读取和信号轮询，
+     * 按changes临时修改串口参数，task通过SerialByteStream收发，收发的数据照常记录到捕获。
+     * 结束后以原参数恢复监控，原参数无法重新打开时按连接中断处理。
+     */
+    async runExclusive(port, changes, task) {
+        if (!this.activeConnections.has(port)) throw new Error('串口未连接');
+        if (this.exclusivePorts.has(port) || this.reconfiguring.has(port)) throw new Error('串口正被其他操作占用');
+        const portId = this.getPortId(port);
+        const previous = this.portSettings.get(port);
+        const settings = { ...previous, ...changes };
+        const reopen = SerialMonitorPro.REOPEN_SETTINGS.some(key => settings[key] !== previous[key]);
+        this.exclusivePorts.add(port);
+        let stream = null;
+        try {
+            await this.stopReading(port);
+            if (reopen) {
+                await this.transport.close(port);
+                await this.transport.open(port, settings);
+            }
+            stream = new SerialByteStream(this.transport, port, {
+                onData: (direction, bytes) => this.capture.append(portId, direction, bytes)
+            });
+            return await task(stream);
+        } finally {
+            if (stream) await stream.release();
+            this.exclusivePorts.delete(port);
+            // 期间连接已中断（如设备拔出）时由重连流程接管
+            if (this.activeConnections.has(port)) {
+                try {
+                    if (reopen) {
+                        try {
+                            await this.transport.close(port);
+                        } catch {}
+                        await this.transport.open(port, previous);
+                    }
+                    this.resumeConnection(port);
+                } catch (error) {
+                    await this.handleConnectionLost(port, '重新打开失败: ' + error.message);
+                }
+            }
+        }
+    }
+
+    stopPortSignals(port) {
+        const signals = this.portSignals.get(port);
+        if (!signals) return;
+        signals.stopPolling();
+        this.portSignals.delete(port);
+    }
+
+    getPortSignals(portId) {
+        const signals = this.portSignals.get(this.portsById.get(portId));
+        if (!signals) {
+            this.showNotification('串口未连接', 'warning');
+        }
+        return signals;
+    }
+
+    async togglePortSignal(portId, name) {
+        const signals = this.getPortSignals(portId);
+        if (!signals) return;
+        try {
+            await signals.toggle(name);
+        } catch (error) {
+            this.showNotification(`设置${name}失败: ${error.message}`, 'error');
+        }
+        this.updateSignalIndicators(signals.port);
+    }
+
+    async sendPortBreak(portId, durationMs = this.breakDurationMs) {
+        const signals = this.getPortSignals(portId);
+        if (!signals) return;
+        if (!(durationMs > 0)) {
+            this.showNotification('请输入有效的Break持续时间', 'warning');
+            return;
+        }
+        this.breakDurationMs = durationMs;
+        try {
+            await signals.sendBreak(durationMs);
+        } catch (error) {
+            this.showNotification('发送Break失败: ' + error.message, 'error');
+        }
+        this.updateSignalIndicators(signals.port);
+    }
+
+    async runSignalSequence(portId, name) {
+        const signals = this.getPortSignals(portId);
+        if (!signals) return;
+        const sequence = ModemSignals.SEQUENCES[name];
+        try {
+            await signals.runSequence(name);
+            this.showNotification(`${this.getPortName(portId)} ${sequence.label}完成`, 'success');
+        } catch (error) {
+            this.showNotification(`${sequence ? sequence.label : name}失败: ${error.message}`, 'error');
+        }
+        this.updateSignalIndicators(signals.port);
+    }
+
+    // 只更新卡片上的信号按钮和指示灯，不重建端口列表
+    updateSignalIndicators(port) {
+        const signals = this.portSignals.get(port);
+        if (!signals) return;
+        const portId = this.getPortId(port);
+        const portList = document.getElementById('portList');
+        portList.querySelectorAll('.signal-toggle').forEach(btn => {
+            if (btn.dataset.portId !== portId) return;
+            const on = signals.outputs[ModemSignals.OUTPUTS[btn.dataset.signal]];
+            btn.className = `signal-toggle ${this.signalButtonClass(on)}`;
+        });
+        portList.querySelectorAll('.signal-indicator').forEach(item => {
+            if (item.dataset.portId !== portId) return;
+            const on = signals.inputs && signals.inputs[ModemSignals.INPUTS[item.dataset.signal]];
+            item.className = `signal-indicator ${this.signalIndicatorClass(on)}`;
+        });
+    }
+
+    signalButtonClass(on) {
+        return `px-2 py-0.5 text-xs rounded transition-colors ${on ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-600 hover:bg-gray-700'}`;
+    }
+
+    signalIndicatorClass(on) {
+        return `px-1 text-xs rounded ${on ? 'bg-green-500 text-gray-900' : 'bg-gray-700 text-gray-400'}`;
+    }
+
+    renderSignalControls(port, portId) {
+        const signals = this.portSignals.get(port);
+        if (!signals) return '';
+        const portIdAttr = this.escapeHtml(portId);
+        const toggles = ['DTR', 'RTS'].map(name => `
+                            <button class="signal-toggle ${this.signalButtonClass(signals.outputs[ModemSignals.OUTPUTS[name]])}"
+                                    data-port-id="${portIdAttr}" data-signal="${name}">${name}</button>`).join('');
+        const indicators = Object.keys(ModemSignals.INPUTS).map(name => `
+                            <span class="signal-indicator ${this.signalIndicatorClass(signals.inputs && signals.inputs[ModemSignals.INPUTS[name]])}"
+                                  data-port-id="${portIdAttr}" data-signal="${name}">${name}</span>`).join('');
+        const sequences = Object.entries(ModemSignals.SEQUENCES).map(([name, sequence]) => `
+                            <button class="signal-sequence px-2 py-0.5 text-xs rounded bg-indigo-600 hover:bg-indigo-700 transition-colors"
+                                    data-port-id="${portIdAttr}" data-sequence="${name}">${sequence.label}</button>`).join('');
+        return `
+                    <div class="mt-2 space-y-1">
+                        <div class="flex items-center flex-wrap gap-1">
+                            ${toggles}
+                            <button class="signal-break px-2 py-0.5 text-xs rounded bg-orange-600 hover:bg-orange-700 transition-colors" data-port-id="${portIdAttr}">Break</button>
+                            <input class="signal-break-ms w-14 px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs" data-port-id="${portIdAttr}"
+                                   type="number" min="1" value="${this.breakDurationMs}" title="Break持续时间(ms)">
+                            <span class="text-xs text-gray-400">ms</span>
+                        </div>
+                        <div class="flex items-center flex-wrap gap-1">
+                            ${indicators}
+                        </div>
+                        <div class="flex items-center flex-wrap gap-1">
+                            ${sequences}
+                        </div>
+                    </div>`;
+    }
+
+    async disconnectPort(port) {
+        try {
+            if (this.bridgeHost) this.bridgeHost.unshare(this.getPortId(port));
+            await this.stopReading(port);
+            await this.transport.close(port);
+            await this.finishSessionForPort(this.getPortId(port));
+            this.activeConnections.delete(port);
+            this.portSettings.delete(port);
+            this.portPresets.delete(port);
+            // 断开后刷新this.ports
+            this.ports.set(port, await this.getPortInfo(port));
+            this.updateSendTargets();
+            this.broadcastStatus();
+            this.logEvent('info', port, '串口已断开');
+            if (this.activeConnections.size === 0) {
+                this.stopRepeatSend();
+            }
+            this.showNotification('串口已断开', 'info');
+        } catch (error) {
+            console.error('断开串口失败:', error);
+            this.showNotification('断开串口失败: ' + error.message, 'error');
+        }
+    }
+
+    async connectAllPorts() {
+        const ports = await this.getAvailablePorts();
+        let connectedCount = 0;
+        
+        for (const port of ports) {
+            if (!this.activeConnections.has(port)) {
+                const success = await this.connectPort(port);
+                if (success) connectedCount++;
+                
+                // 添加延迟避免同时连接多个串口造成冲突
+                await new Promise(resolve => setTimeout(resolve, 500));
+            }
+        }
+        
+        if (connectedCount > 0) {
+            this.showNotification(`成功连接 ${connectedCount} 个串口`, 'success');
+            await this.updatePortList(ports);
+        } else {
+            this.showNotification('没有可连接的串口', 'warning');
+        }
+    }
+
+    async disconnectAllPorts() {
+        const ports = Array.from(this.activeConnections);
+        let disconnectedCount = 0;
+        Array.from(this.reconnects.keys()).forEach(portId => this.cancelReconnect(portId));
+        
+        for (const port of ports) {
+            await this.disconnectPort(port);
+            disconnectedCount++;
+        }
+        
+        if (disconnectedCount > 0) {
+            this.showNotification(`已断开 ${disconnectedCount} 个串口`, 'info');
+        }
+        await this.refreshPortList();
+    }
+
+    // 读取循环；帧错误、校验错误等可恢复错误之后重新获取reader继续读取，
+    // 设备拔出等致命错误结束读取后转入自动重连
+    startReadingPort(port) {
+        const loop = this.readPort(port).finally(() => this.readLoops.delete(port));
+        this.readLoops.set(port, loop);
+        loop.then(error => {
+            if (error && this.activeConnections.has(port)) {
+                this.handleConnectionLost(port, error.message);
+            }
+        });
+        return loop;
+    }
+
+    // 过小的读超时按下限处理，0为不提示
+    getReadTimeout(port) {
+        const readTimeout = (this.portSettings.get(port) || {}).readTimeout;
+        return readTimeout > 0 ? Math.max(readTimeout, SerialMonitorPro.MIN_READ_TIMEOUT_MS) : 0;
+    }
+
+    async readPort(port) {
+        const portId = this.getPortId(port);
+        while (this.activeConnections.has(port)) {
+            const reader = this.transport.getReader(port);
+            if (!reader) return;
+            this.readers.set(port, reader);
+            try {
+                while (this.activeConnections.has(port)) {
+                    if (!this.isMonitoring) {
+                        await new Promise(resolve => setTimeout(resolve, 200));
+                        continue;
+                    }
+                    const read = reader.read();
+                    // 读取超时只作空闲提示：每段空闲期记录一次，读取继续等待，收到数据后重新计时
+                    const readTimeout = this.getReadTimeout(port);
+                    if (readTimeout > 0 && !this.readIdle.has(port)) {
+                        try {
+                            await SerialTransport.withTimeout(read, readTimeout);
+                        } catch (error) {
+                            if (error.name !== 'TimeoutError') throw error;
+                            this.readIdle.add(port);
+                            const message = `读取超时: ${readTimeout}ms内未收到数据`;
+                            this.capture.appendEvent(portId, { type: 'timeout', message });
+                            this.logEvent('warning', port, message);
+                        }
+                    }
+                    const { value, done } = await read;
+                    if (done) return;
+                    if (value) {
+                        this.readIdle.delete(port);
+                        // 读取到数据即记录到达时间
+                        this.capture.append(portId, 'RX', value);
+                    }
+                }
+            } catch (error) {
+                if (error && error.name === 'AbortError') return;
+                console.error('读取串口数据失败:', error);
+                this.errorCount++;
+                this.logEvent('error', port, '读取错误: ' + error.message);
+                if (!SerialTransport.NON_FATAL_READ_ERRORS.includes(error && error.name)) {
+                    return error;
+                }
+            } finally {
+                reader.releaseLock();
+                this.readers.delete(port);
+            }
+        }
+    }
+
+    // 监控区使用虚拟滚动，只渲染可见的行
+    setupMonitorView() {
+        const jumpButton = document.getElementById('monitorJumpLatest');
+        this.monitorView = new MonitorView(document.getElementById('dataMonitor'), this.frames, {
+            rowHeight: 18,
+            renderRow: item => this.terminal ? this.terminal.renderLine(item) : this.renderFrameRow(item),
+            renderEmpty: () => this.renderMonitorEmpty(),
+            onFollowChange: following => {
+                if (jumpButton) jumpButton.classList.toggle('hidden', following);
+            }
+        });
+        if (jumpButton) {
+            jumpButton.addEventListener('click', () => this.monitorView.scrollToEnd());
+        }
+        this.monitorView.refresh();
+    }
+
+    // 显示格式等变化后重新生成可见行
+    updateMonitorDisplay() {
+        this.monitorView.refresh();
+    }
+
+    renderMonitorEmpty() {
+        if (this.activeConnections.size === 0 && this.capture.records.length === 0) {
+            return `
+                <div class="text-gray-500 text-center py-8">
+                    <svg class="w-16 h-16 mx-auto mb-4 opacity-30" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
+                    </svg>
+                    <p>等待串口连接...</p>
+                    <p class="text-xs mt-2">连接串口后将在此显示实时数据</p>
+                </div>
+            `;
+        }
+        return `
+            <div class="text-gray-500 text-center py-4">
+                <p>等待数据...</p>
+            </div>
+        `;
+    }
+
+    // 每帧一行，行高固定；过长的内容截断，完整数据显示在提示中
+    renderFrameRow(frame) {
+        const searchMatch = this.frameFilter !== null && this.frameFilter.searching && this.frameFilter.matches(frame);
+        const current = searchMatch && frame.seq === this.filterCursor ? ' ring-1 ring-inset ring-yellow-400' : '';
+        if (frame.direction === 'EVENT') {
+            return `<div class="flex items-center space-x-2 whitespace-nowrap overflow-hidden${searchMatch ? ' bg-yellow-900 bg-opacity-40' : ''}${current}">` +
+                `<span class="text-gray-400">[${this.formatTimestamp(frame.timestamp)}] ${this.escapeHtml(this.getPortName(frame.portId))}</span>` +
+                `<span class="text-cyan-400">EVENT</span>` +
+                `<span class="text-cyan-300 truncate">${this.escapeHtml(frame.event.message)}</span>` +
+                `</div>`;
+        }
+        const color = frame.direction === 'TX' ? 'text-yellow-300' : 'text-green-400';
+        const highlight = frame.triggered && frame.triggered.length > 0;
+        const rowClass = highlight ? ' bg-red-900 bg-opacity-60' : searchMatch ? ' bg-yellow-900 bg-opacity-40' : '';
+        const format = document.getElementById('dataFormat').value;
+        const formattedData = this.formatFrameData(frame, format);
+        const preview = this.highlightFrameData(frame, formattedData.slice(0, 512), format) + (formattedData.length > 512 ? '…' : '');
+        const title = formattedData.length > 2048 ? formattedData.slice(0, 2048) + '…' : formattedData;
+        return `<div class="flex items-center space-x-2 whitespace-nowrap overflow-hidden${rowClass}${current}" title="${this.escapeHtml(title)}">` +
+            `<span class="text-gray-400">[${this.formatTimestamp(frame.timestamp)}] ${this.escapeHtml(this.getPortName(frame.portId))}</span>` +
+            `<span class="${color}">${frame.direction}</span>` +
+            (highlight ? `<span class="text-red-300">⚑ ${this.escapeHtml(frame.triggered.join(', '))}</span>` : '') +
+            `<span class="text-blue-400">${frame.data.length}B</span>` +
+            (frame.error ? `<span class="text-red-400">帧错误: ${frame.error}</span>` : '') +
+            `<span class="${color} truncate">${preview}</span>` +
+            (frame.decoded ? this.formatDecoded(frame.decoded) : '') +
+            `</div>`;
+    }
+
+    // 标记搜索匹配的内容：十六进制和二进制每字节占5和9个字符（含分隔空格）；文本格式在解码后的文本中查找，
+    // 十六进制搜索只在字符与字节一一对应时标记。文本中的无效字节序列标红
+    highlightFrameData(frame, text, format) {
+        let ranges = [];
+        if (this.frameFilter && format !== 'text') {
+            ranges = this.frameFilter.matchRanges(frame);
+        } else if (this.frameFilter && this.frameFilter.criteria.mode !== 'hex') {
+            ranges = this.frameFilter.textRanges(text);
+        } else if (this.frameFilter && frame.text.length === frame.data.length) {
+            ranges = this.frameFilter.matchRanges(frame);
+        }
+        const escape = format === 'text' ? (part) => this.markInvalidText(this.escapeHtml(part)) : (part) => this.escapeHtml(part);
+        if (ranges.length === 0) return escape(text);
+        const width = format === 'hex' ? 5 : format === 'binary' ? 9 : 1;
+        const gap = width > 1 ? 1 : 0;
+        let html = '';
+        let position = 0;
+        for (const [start, end] of ranges) {
+            const from = start * width;
+            if (from >= text.length) break;
+            const to = Math.min(text.length, end * width - gap);
+            html += escape(text.slice(position, from)) +
+                `<mark class="bg-yellow-400 text-black">${escape(text.slice(from, to))}</mark>`;
+            position = to;
+        }
+        return html + escape(text.slice(position));
+    }
+
+    markInvalidText(html) {
+        return html.replace(/\ufffd+/g, match => `<span class="text-red-500" title="无效字节序列">${match}</span>`);
+    }
+
+    // 文本格式显示按串口编码解码的文本（frame.text）
+    formatFrameData(frame, format) {
+        switch (format) {
+            case 'hex':
+                return Array.from(frame.data, b => '0x' + b.toString(16).padStart(2, '0')).join(' ');
+            case 'binary':
+                return Array.from(frame.data, b => b.toString(2).padStart(8, '0')).join(' ');
+            default:
+                // 行尾的换行符不显示
+                return SerialMonitorPro.replaceControlChars(frame.text.replace(/[\r\n]+$/, ''));
+        }
+    }
+
+    // 控制字符显示为'.'
+    static replaceControlChars(text) {
+        return text.replace(/[\x00-\x1f\x7f-\x9f]/g, '.');
+    }
+
+    clearMonitor() {
+        this.capture.clear();
+        this.frames.clear();
+        this.framers.clear();
+        this.decoders.clear();
+        this.textDecoders.clear();
+        if (this.terminal) this.terminal.reset();
+        this.updateMonitorDisplay();
+        this.updateGpsPanel();
+        this.showNotification('监控数据已清空', 'info');
+    }
+
+    toggleMonitoring() {
+        this.isMonitoring = !this.isMonitoring;
+        const button = document.getElementById('pauseStream');
+        button.textContent = this.isMonitoring ? '暂停' : '继续';
+        button.className = this.isMonitoring ? 
+            'px-3 py-1 bg-yellow-600 hover:bg-yellow-700 rounded text-sm transition-colors' :
+            'px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-sm transition-colors';
+    }
+
+    addTriggerRule() {
+        const actions = Object.keys(TriggerRules.ACTIONS).filter(action =>
+            document.getElementById(`triggerAction-${action}`).checked);
+        try {
+            const rule = this.triggers.add({
+                name: document.getElementById('triggerName').value,
+                type: document.getElementById('triggerType').value,
+                pattern: document.getElementById('triggerPattern').value,
+                portId: document.getElementById('triggerPort').value || null,
+                actions,
+                preMs: document.getElementById('triggerPreMs').value,
+                postMs: document.getElementById('triggerPostMs').value
+            });
+            document.getElementById('triggerName').value = '';
+            document.getElementById('triggerPattern').value = '';
+            this.renderTriggerList();
+            this.updateTriggerStats();
+            this.showNotification(`已添加触发规则"${rule.name}"`, 'success');
+        } catch (error) {
+            this.showNotification('添加触发规则失败: ' + error.message, 'error');
+        }
+    }
+
+    setTriggerEnabled(id, enabled) {
+        this.triggers.update(id, { enabled });
+        this.renderTriggerList();
+    }
+
+    removeTriggerRule(id) {
+        this.triggers.remove(id);
+        this.renderTriggerList();
+        this.updateTriggerStats();
+    }
+
+    renderTriggerList() {
+        const list = document.getElementById('triggerList');
+        if (this.triggers.rules.length === 0) {
+            list.innerHTML = '<div class="text-xs text-gray-500">暂无规则</div>';
+            return;
+        }
+        list.innerHTML = this.triggers.rules.map(rule => `
+            <div class="flex items-center justify-between text-xs ${rule.enabled ? '' : 'opacity-50'}">
+                <div class="min-w-0">
+                    <div class="font-medium truncate">${this.escapeHtml(rule.name)}
+                        <span class="text-gray-400">${rule.portId ? this.escapeHtml(this.getPortName(rule.portId)) : '全部串口'}</span>
+                    </div>
+                    <div class="text-gray-400 truncate" title="${this.escapeHtml(TriggerRules.describe(rule))}">${this.escapeHtml(TriggerRules.describe(rule))}</div>
+                </div>
+                <div class="flex items-center space-x-1 flex-shrink-0 ml-2">
+                    <span class="trigger-hits text-red-300 font-mono" data-rule-id="${rule.id}">${this.triggers.getHits(rule.id)}</span>
+                    <button class="trigger-toggle px-2 py-1 rounded bg-gray-600 hover:bg-gray-700 transition-colors" data-rule-id="${rule.id}">${rule.enabled ? '停用' : '启用'}</button>
+                    <button class="trigger-delete px-2 py-1 rounded bg-red-600 hover:bg-red-700 transition-colors" data-rule-id="${rule.id}">删除</button>
+                </div>
+            </div>
+        `).join('');
+        list.querySelectorAll('.trigger-toggle').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const rule = this.triggers.rules.find(item => item.id === btn.dataset.ruleId);
+                if (rule) this.setTriggerEnabled(rule.id, !rule.enabled);
+            });
+        });
+        list.querySelectorAll('.trigger-delete').forEach(btn => {
+            btn.addEventListener('click', () => this.removeTriggerRule(btn.dataset.ruleId));
+        });
+    }
+
+    // 统计卡片显示命中总数和选择了计数动作的规则的命中次数
+    updateTriggerStats() {
+        document.getElementById('triggerHits').textContent = this.triggers.totalHits;
+        const counters = this.triggers.rules.filter(rule => rule.actions.includes('count'));
+        document.getElementById('triggerCounters').textContent = counters.length > 0 ?
+            counters.map(rule => `${rule.name}: ${this.triggers.getHits(rule.id)}`).join(' · ') :
+            `${this.triggers.rules.filter(rule => rule.enabled).length} 条规则启用`;
+        document.getElementById('triggerList').querySelectorAll('.trigger-hits').forEach(element => {
+            element.textContent = this.triggers.getHits(element.dataset.ruleId);
+        });
+    }
+
+    readFilterForm() {
+        const time = (id) => {
+            const value = document.getElementById(id).value;
+            const ms = value ? new Date(value).getTime() : NaN;
+            return isNaN(ms) ? null : ms;
+        };
+        const until = time('filterUntil');
+        return {
+            portId: document.getElementById('filterPort').value,
+            direction: document.getElementById('filterDirection').value,
+            since: time('filterSince'),
+            // 结束时间精确到秒，包含该秒内的数据
+            until: until === null ? null : until + 999,
+            mode: document.getElementById('filterMode').value,
+            search: document.getElementById('filterSearch').value,
+            onlyMatches: document.getElementById('filterOnlyMatches').checked
+        };
+    }
+
+    // 按过滤条件切换监控区显示的帧，条件未变化时保持当前匹配位置
+    applyFilter() {
+        const criteria = this.readFilterForm();
+        const key = JSON.stringify(criteria);
+        if (key === this.filterKey) return;
+        let filter;
+        try {
+            filter = new FrameFilter(criteria);
+        } catch (error) {
+            const status = document.getElementById('filterStatus');
+            status.textContent = error.message;
+            status.className = 'text-red-400';
+            return;
+        }
+        this.filterKey = key;
+        this.filterCursor = null;
+        if (filter.active) {
+            this.frameFilter = filter;
+            this.frameView = new FilteredFrameLog(this.frames, frame => filter.accepts(frame),
+                filter.searching ? frame => filter.matches(frame) : null);
+        } else {
+            this.frameFilter = null;
+            this.frameView = this.frames;
+        }
+        if (!this.terminal) this.monitorView.setSource(this.frameView);
+        this.updateFilterStatus();
+    }
+
+    clearFilter() {
+        ['filterPort', 'filterSince', 'filterUntil', 'filterSearch'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('filterDirection').value = 'all';
+        document.getElementById('filterOnlyMatches').checked = false;
+        this.applyFilter();
+    }
+
+    // 在显示的帧中跳到上一个或下一个匹配，到头后从另一端继续
+    findMatch(step) {
+        const filter = this.frameFilter;
+        if (!filter || !filter.searching) return;
+        const view = this.frameView;
+        const count = view.length;
+        if (view.matchCount === 0) {
+            this.showNotification('没有匹配的数据', 'info');
+            return;
+        }
+        let start;
+        if (this.filterCursor === null) {
+            start = step > 0 ? 0 : count - 1;
+        } else {
+            const index = view.indexOfSeq(this.filterCursor);
+            const onCursor = index < count && view.at(index).seq === this.filterCursor;
+            start = step > 0 ? (onCursor ? index + 1 : index) : index - 1;
+        }
+        for (let n = 0; n < count; n++) {
+            const index = ((start + n * step) % count + count) % count;
+            const frame = view.at(index);
+            if (filter.matches(frame)) {
+                this.filterCursor = frame.seq;
+                this.monitorView.scrollToIndex(index);
+                this.updateFilterStatus();
+                return;
+            }
+        }
+    }
+
+    updateFilterStatus() {
+        const status = document.getElementById('filterStatus');
+        status.className = 'text-gray-400';
+        if (!this.frameFilter) {
+            status.textContent = '';
+            return;
+        }
+        const parts = [`显示 ${this.frameView.length} / ${this.frames.length} 帧`];
+        if (this.frameFilter.searching) parts.push(`${this.frameView.matchCount} 个匹配`);
+        status.textContent = parts.join('，');
+    }
+
+    // 过滤、绘图和终端的串口选项包括已连接的串口和回放；终端只显示一个串口，默认选第一个
+    updateFilterPortOptions() {
+        const portIds = new Set(Array.from(this.ports.keys(), port => this.getPortId(port)));
+        this.portLabels.forEach((label, portId) => portIds.add(portId));
+        const terminalSelect = document.getElementById('terminalPort');
+        const terminalPort = terminalSelect.value;
+        terminalSelect.innerHTML = Array.from(portIds, portId =>
+            `<option value="${this.escapeHtml(portId)}">${this.escapeHtml(this.getPortName(portId))}</option>`
+        ).join('');
+        terminalSelect.value = portIds.has(terminalPort) ? terminalPort : (portIds.values().next().value || '');
+        if (this.terminal && terminalSelect.value !== terminalPort) this.rebuildTerminal();
+        ['filterPort', 'plotPort'].forEach(id => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            const options = new Set(portIds);
+            if (previous) options.add(previous);
+            select.innerHTML = '<option value="">全部串口</option>' + Array.from(options, portId =>
+                `<option value="${this.escapeHtml(portId)}">${this.escapeHtml(this.getPortName(portId))}</option>`
+            ).join('');
+            select.value = previous;
+        });
+    }
+
+    updateTriggerPortOptions() {
+        const select = document.getElementById('triggerPort');
+        const previous = select.value;
+        select.innerHTML = '<option value="">全部串口</option>' + Array.from(this.ports.keys()).map(port => {
+            const portId = this.getPortId(port);
+            return `<option value="${this.escapeHtml(portId)}">${this.escapeHtml(this.getPortName(portId))}</option>`;
+        }).join('');
+        select.value = previous;
+    }
+
+    // 执行命中规则的动作，同一规则的通知和声音每秒最多一次
+    fireTriggers(frame, rules) {
+        const portName = this.getPortName(frame.portId);
+        let pause = false;
+        rules.forEach(rule => {
+            this.triggers.hit(rule);
+            const now = Date.now();
+            const alert = now - (this.triggerAlerts.get(rule.id) || 0) >= 1000;
+            if (alert && (rule.actions.includes('notify') || rule.actions.includes('sound'))) {
+                this.triggerAlerts.set(rule.id, now);
+                if (rule.actions.includes('notify')) {
+                    this.showNotification(`触发规则"${rule.name}": ${portName}`, 'warning');
+                }
+                if (rule.actions.includes('sound')) this.playTriggerSound();
+            }
+            if (rule.actions.includes('capture')) {
+                this.scheduleTriggerCapture(rule, frame, rule.actions.includes('pause'));
+            } else if (rule.actions.includes('pause')) {
+                pause = true;
+            }
+            this.logEvent('warning', this.portsById.get(frame.portId), `触发规则"${rule.name}"`);
+        });
+        if (pause) this.pauseForTrigger(rules.find(rule => rule.actions.includes('pause')));
+    }
+
+    pauseForTrigger(rule) {
+        if (!this.isMonitoring) return;
+        this.toggleMonitoring();
+        this.showNotification(`规则"${rule.name}"触发，已暂停监控`, 'warning');
+    }
+
+    /**
+     * 等到触发后postMs再保存前后窗口内该串口的捕获记录为会话；同一规则同一串口的窗口未保存前不重复保存。
+     * 同时要求暂停时在窗口保存后再暂停，否则暂停后收不到触发后的数据
+     */
+    scheduleTriggerCapture(rule, frame, pauseAfter) {
+        const key = `${rule.id}|${frame.portId}`;
+        if (this.triggerCaptures.has(key)) return;
+        this.triggerCaptures.add(key);
+        setTimeout(async () => {
+            try {
+                await this.saveTriggerWindow(rule, frame.portId, frame.timestamp);
+            } finally {
+                this.triggerCaptures.delete(key);
+                if (pauseAfter) this.pauseForTrigger(rule);
+            }
+        }, rule.postMs);
+    }
+
+    async saveTriggerWindow(rule, portId, timestamp) {
+        if (!this.sessions.available) {
+            this.showNotification('浏览器不支持IndexedDB，无法保存触发前后的数据', 'error');
+            return null;
+        }
+        const since = timestamp - rule.preMs;
+        const until = timestamp + rule.postMs;
+        const records = this.capture.query({ portId, since, until });
+        const port = this.portsById.get(portId);
+        const info = (port && this.ports.get(port)) || {};
+        try {
+            const sessionId = await this.sessions.createSession({
+                portId,
+                portName: this.getPortName(portId),
+                vendorId: info.vendorId,
+                productId: info.productId,
+                settings: { ...(port && this.portSettings.get(port)) },
+                startTime: since,
+                trigger: { rule: rule.name, timestamp }
+            });
+            await this.sessions.appendChunks(sessionId, records);
+            await this.sessions.finishSession(sessionId, until);
+            this.showNotification(`已保存规则"${rule.name}"触发前后的数据 (${records.length} 块)`, 'success');
+            return sessionId;
+        } catch (error) {
+            console.error('保存触发数据失败:', error);
+            this.showNotification('保存触发数据失败: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    playTriggerSound() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        try {
+            if (!this.audioContext) this.audioContext = new AudioContextClass();
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.value = 0.1;
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start();
+            oscillator.stop(this.audioContext.currentTime + 0.15);
+        } catch (error) {
+            console.warn('播放提示音失败:', error);
+        }
+    }
+
+    getFramer(portId) {
+        if (!this.framers.has(portId)) {
+            this.framers.set(portId, new StreamFramer(this.getFramerConfig(portId)));
+        }
+        return this.framers.get(portId);
+    }
+
+    // 协议解析器指定了分帧方式时优先使用，例如Modbus RTU按3.5字符静默间隔分帧
+    getFramerConfig(portId) {
+        const decoder = SerialMonitorPro.PROTOCOL_DECODERS[this.decoderTypes.get(portId) || 'none'];
+        if (decoder.framer) {
+            const port = this.portsById.get(portId);
+            const settings = (port && this.portSettings.get(port)) || {};
+            return { ...StreamFramer.DEFAULTS, ...decoder.framer(settings) };
+        }
+        return this.framerConfigs.get(portId);
+    }
+
+    getDecoder(portId) {
+        const decoder = SerialMonitorPro.PROTOCOL_DECODERS[this.decoderTypes.get(portId) || 'none'];
+        if (!decoder.create) return null;
+        if (!this.decoders.has(portId)) {
+            this.decoders.set(portId, decoder.create());
+        }
+        return this.decoders.get(portId);
+    }
+
+    getPortEncoding(portId) {
+        return this.portEncodings.get(portId) || 'utf-8';
+    }
+
+    // 每个串口每个方向一个流式解码器，分在两帧中的多字节字符在后一帧中显示
+    getTextDecoder(portId, direction) {
+        const key = `${portId}|${direction}`;
+        if (!this.textDecoders.has(key)) {
+            this.textDecoders.set(key, new TextCodec(this.getPortEncoding(portId)));
+        }
+        return this.textDecoders.get(key);
+    }
+
+    deleteTextDecoders(portId) {
+        this.textDecoders.delete(`${portId}|RX`);
+        this.textDecoders.delete(`${portId}|TX`);
+    }
+
+    // 接收数据经分帧器切分；发送数据每次发送为一帧
+    handleRecordFrames(record, broadcast = true) {
+        // 控制信号等事件按到达时间单独显示一行，不经过分帧和协议解析
+        if (record.direction === 'EVENT') {
+            this.frames.push({
+                seq: this.nextFrameSeq++,
+                portId: record.portId,
+                direction: 'EVENT',
+                timestamp: record.timestamp,
+                data: record.data,
+                error: null,
+                event: record.event,
+                recordSeq: record.seq
+            });
+            this.monitorView.update();
+        } else if (record.direction === 'TX') {
+            this.addFrame(record.portId, 'TX', {
+                data: record.data,
+                timestamp: record.timestamp,
+                endTimestamp: record.timestamp,
+                rawLength: record.data.length,
+                error: null,
+                recordSeq: record.seq
+            }, broadcast);
+        } else {
+            const frames = this.getFramer(record.portId).push(record.data, record.timestamp);
+            frames.forEach(frame => this.addFrame(record.portId, 'RX', { ...frame, recordSeq: record.seq }, broadcast));
+        }
+        this.trimFrames();
+    }
+
+    // 帧的数据来自捕获记录：完成该帧的记录被保留策略丢弃后，帧也从监控区移除
+    trimFrames() {
+        const firstSeq = this.capture.firstSeq;
+        let count = 0;
+        while (count < this.frames.length && this.frames.at(count).recordSeq < firstSeq) count++;
+        if (count > 0) {
+            this.frames.dropHead(count);
+            this.monitorView.update();
+        }
+    }
+
+    // 空闲超时结束的帧没有对应的新记录，按最新一条记录计
+    addFrame(portId, direction, frame, broadcast = true) {
+        const entry = { seq: this.nextFrameSeq++, portId, direction, recordSeq: this.capture.nextSeq - 1, ...frame };
+        entry.text = this.getTextDecoder(portId, direction).decode(entry.data);
+        const decoder = this.getDecoder(portId);
+        if (decoder) {
+            const decoded = decoder.decode(entry.data, entry.timestamp, entry.seq);
+            if (decoded) entry.decoded = decoded;
+            if (decoder instanceof NmeaDecoder && decoded && decoded.valid) {
+                this.gpsPortId = portId;
+                this.scheduleGpsPanelUpdate();
+            }
+        }
+        // 重新分帧时也标记命中的行，触发动作只对实时数据执行
+        const rules = this.triggers.match(entry);
+        if (rules.length > 0) {
+            entry.triggered = rules.filter(rule => rule.actions.includes('highlight')).map(rule => rule.name);
+            if (broadcast) this.fireTriggers(entry, rules);
+        }
+        this.frames.push(entry);
+        // 同一动画帧内的新帧合并为一次渲染
+        this.monitorView.update();
+        if (broadcast) {
+            if (entry.error || (entry.decoded && !entry.decoded.valid)) this.errorCount++;
+            this.channel.post('frame', this.getFrameMeta(entry));
+        }
+        return entry;
+    }
+
+    getFrameMeta(frame) {
+        return {
+            seq: frame.seq,
+            portId: frame.portId,
+            direction: frame.direction,
+            timestamp: frame.timestamp,
+            length: frame.data.length,
+            error: frame.error,
+            decoded: frame.decoded || null
+        };
+    }
+
+    // 协议解析结果显示在帧数据之后，校验失败时标红
+    formatDecoded(decoded) {
+        let checksum = '';
+        if (decoded.checksum) {
+            const width = decoded.checksum.type === 'CRC16' ? 4 : 2;
+            const hex = (value) => value.toString(16).toUpperCase().padStart(width, '0');
+            checksum = decoded.valid ?
+                ` | ${decoded.checksum.type} ✓` :
+                ` | ${decoded.checksum.type} ✗ 期望 ${hex(decoded.checksum.expected)} 实际 ${hex(decoded.checksum.actual)}`;
+        }
+        const color = decoded.valid ? (decoded.kind === 'exception' ? 'text-orange-300' : 'text-purple-300') : 'text-red-400';
+        return `<span class="${color} flex-shrink-0">${this.escapeHtml(`${decoded.protocol} | ${decoded.summary}${checksum}`)}</span>`;
+    }
+
+    // 空闲间隔分帧需要定时检查超时
+    flushFramers() {
+        const now = CaptureStore.now();
+        for (const [portId, framer] of this.framers) {
+            framer.flush(now).forEach(frame => this.addFrame(portId, 'RX', frame));
+        }
+    }
+
+    setFramerConfig(portId, type, params) {
+        let config;
+        try {
+            config = { ...StreamFramer.parseParams(type, params), params };
+        } catch (error) {
+            this.showNotification('分帧参数错误: ' + error.message, 'error');
+            return;
+        }
+        this.framerConfigs.set(portId, config);
+        this.rebuildFrames();
+        this.updateMonitorDisplay();
+        this.showNotification(`分帧方式已设置为: ${StreamFramer.TYPES[type]}`, 'info');
+    }
+
+    // GPS面板每个动画帧最多刷新一次
+    scheduleGpsPanelUpdate() {
+        if (this.gpsPanelPending) return;
+        this.gpsPanelPending = true;
+        requestAnimationFrame(() => {
+            this.gpsPanelPending = false;
+            this.updateGpsPanel();
+        });
+    }
+
+    updateGpsPanel() {
+        const panel = document.getElementById('gpsPanel');
+        if (!panel) return;
+        const decoder = this.gpsPortId && this.decoders.get(this.gpsPortId);
+        if (!(decoder instanceof NmeaDecoder)) {
+            panel.classList.add('hidden');
+            return;
+        }
+        panel.classList.remove('hidden');
+        const state = decoder.state;
+        const format = (value, digits, unit = '') => value === null || value === undefined ? '--' : value.toFixed(digits) + unit;
+
+        let fix = '未定位';
+        let fixColor = 'text-red-400';
+        if (state.fixType === 3 || (state.fixType === null && state.fixQuality > 0)) {
+            fix = state.fixType === 3 ? '3D定位' : NmeaDecoder.FIX_QUALITY_NAMES[state.fixQuality];
+            fixColor = 'text-green-400';
+        } else if (state.fixType === 2) {
+            fix = '2D定位';
+            fixColor = 'text-yellow-400';
+        }
+        if (state.fixQuality > 1 && NmeaDecoder.FIX_QUALITY_NAMES[state.fixQuality]) {
+            fix += ` (${NmeaDecoder.FIX_QUALITY_NAMES[state.fixQuality]})`;
+        }
+        const fixElement = document.getElementById('gpsFix');
+        fixElement.textContent = fix;
+        fixElement.className = `font-bold ${fixColor}`;
+
+        document.getElementById('gpsSource').textContent = this.getPortName(this.gpsPortId) + (state.time ? ` | UTC ${state.date ? state.date + ' ' : ''}${state.time}` : '');
+        document.getElementById('gpsLatitude').textContent = format(state.latitude, 6, '°');
+        document.getElementById('gpsLongitude').textContent = format(state.longitude, 6, '°');
+        document.getElementById('gpsAltitude').textContent = format(state.altitude, 1, ' m');
+        document.getElementById('gpsSpeed').textContent = format(state.speedKmh, 1, ' km/h');
+        document.getElementById('gpsHdop').textContent = format(state.hdop, 1);
+        document.getElementById('gpsSatelliteCount').textContent = `${state.satellitesUsed ?? '--'} / ${state.satellites.size}`;
+
+        // 可见卫星信噪比柱状图，SNR满刻度按50dB计
+        const satellites = Array.from(state.satellites.values()).sort((a, b) => (b.snr || 0) - (a.snr || 0));
+        document.getElementById('gpsSatellites').innerHTML = satellites.map(satellite => {
+            const snr = satellite.snr || 0;
+            const color = snr >= 35 ? 'bg-green-500' : snr >= 20 ? 'bg-yellow-500' : 'bg-red-500';
+            return `
+                <div class="flex flex-col items-center justify-end h-full" title="${satellite.talker} PRN ${satellite.prn}: ${satellite.snr ?? '无信号'} dB">
+                    <div class="w-3 ${color} rounded-t" style="height: ${Math.min(100, snr * 2)}%"></div>
+                    <span class="text-gray-400 mt-1" style="font-size: 9px;">${satellite.prn}</span>
+                </div>
+            `;
+        }).join('') || '<div class="text-gray-500 text-xs">暂无卫星信息</div>';
+    }
+
+    setDecoderType(portId, type) {
+        this.decoderTypes.set(portId, type);
+        if (this.gpsPortId === portId) this.gpsPortId = null;
+        this.rebuildFrames();
+        this.updateGpsPanel();
+        this.updatePortList(Array.from(this.ports.keys()));
+        this.updateMonitorDisplay();
+        this.showNotification(`协议解析已设置为: ${SerialMonitorPro.PROTOCOL_DECODERS[type].label}`, 'info');
+    }
+
+    setPortEncoding(portId, encoding) {
+        this.portEncodings.set(portId, encoding);
+        this.rebuildFrames();
+        if (this.terminal && document.getElementById('terminalPort').value === portId) this.rebuildTerminal();
+        this.updateMonitorDisplay();
+        this.showNotification(`文本编码已设置为: ${TextCodec.ENCODINGS[encoding]}`, 'info');
+    }
+
+    // 分帧设置变化后用已捕获的数据重新分帧
+    rebuildFrames() {
+        this.frames.clear();
+        this.framers.clear();
+        this.decoders.clear();
+        this.textDecoders.clear();
+        for (const record of this.capture.records) {
+            this.handleRecordFrames(record, false);
+        }
+    }
+
+    // 刷新发送目标下拉框
+    updateSendTargets() {
+        const targetSelect = document.getElementById('sendTarget');
+        if (!targetSelect) return;
+        const previous = targetSelect.value;
+        this.sendTargets = Array.from(this.activeConnections);
+        let html = '<option value="all">全部已连接串口</option>';
+        this.sendTargets.forEach((port, index) => {
+            const portInfo = this.ports.get(port) || { name: '未知串口' };
+            html += `<option value="${index}">${this.escapeHtml(portInfo.name)}</option>`;
+        });
+        targetSelect.innerHTML = html;
+        if (previous && previous !== 'all' && parseInt(previous) < this.sendTargets.length) {
+            targetSelect.value = previous;
+        }
+    }
+
+    // 发送按钮：单次发送或开启/停止循环发送
+    async handleSendClick() {
+        if (this.repeatSendTimer) {
+            this.stopRepeatSend();
+            return;
+        }
+        const sent = await this.sendFromInput();
+        if (!sent || !document.getElementById('sendRepeat').checked) return;
+
+        const interval = Math.max(10, parseInt(document.getElementById('sendRepeatInterval').value) || 1000);
+        this.repeatSendTimer = setInterval(async () => {
+            if (!await this.sendFromInput(false)) {
+                this.stopRepeatSend();
+            }
+        }, interval);
+        const button = document.getElementById('sendData');
+        button.textContent = '停止';
+        button.className = 'px-4 py-2 bg-red-600 hover:bg-red-700 rounded text-sm transition-colors';
+    }
+
+    stopRepeatSend() {
+        if (this.repeatSendTimer) {
+            clearInterval(this.repeatSendTimer);
+            this.repeatSendTimer = null;
+        }
+        const button = document.getElementById('sendData');
+        if (button) {
+            button.textContent = '发送';
+            button.className = 'px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-sm transition-colors';
+        }
+    }
+
+    // 读取发送栏内容并写入目标串口
+    async sendFromInput(recordHistory = true) {
+        const input = document.getElementById('sendInput').value;
+        const mode = document.getElementById('sendMode').value;
+        const lineEnding = document.getElementById('sendLineEnding').value;
+        const target = document.getElementById('sendTarget').value;
+
+        if (!input && lineEnding === 'none') {
+            this.showNotification('请输入要发送的数据', 'warning');
+            return false;
+        }
+
+        const ports = target === 'all' ? Array.from(this.activeConnections) : [this.sendTargets?.[parseInt(target)]].filter(Boolean);
+        if (ports.length === 0) {
+            this.showNotification('没有已连接的串口', 'warning');
+            return false;
+        }
+
+        // 文本按各串口的编码分别编码
+        let payloads;
+        try {
+            payloads = ports.map(port => this.encodeSendPayload(input, mode, lineEnding, this.getPortEncoding(this.getPortId(port))));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return false;
+        }
+
+        let sentCount = 0;
+        for (let i = 0; i < ports.length; i++) {
+            if (await this.writeToPort(ports[i], payloads[i])) sentCount++;
+        }
+        if (sentCount === 0) return false;
+
+        if (recordHistory) {
+            this.addSendHistory({ data: input, mode, lineEnding });
+        }
+        return true;
+    }
+
+    // 将发送栏内容编码为字节，文本按串口的编码
+    encodeSendPayload(input, mode, lineEnding, encoding = 'utf-8') {
+        const endings = { none: [], cr: [0x0d], lf: [0x0a], crlf: [0x0d, 0x0a] };
+        let payload;
+        if (mode === 'hex') {
+            payload = this.parseHexString(input);
+        } else {
+            payload = Array.from(TextCodec.encode(input, encoding));
+        }
+        return new Uint8Array([...payload, ...(endings[lineEnding] || [])]);
+    }
+
+    // 解析十六进制字符串，支持 "01 02 0A"、"0x01,0x02"、"01020A" 等写法
+    parseHexString(input) {
+        const cleaned = input.replace(/0x/gi, '').replace(/[\s,;:-]/g, '');
+        if (cleaned.length % 2 !== 0 || /[^0-9a-f]/i.test(cleaned)) {
+            throw new Error('十六进制格式错误: ' + input);
+        }
+        const bytes = [];
+        for (let i = 0; i < cleaned.length; i += 2) {
+            bytes.push(parseInt(cleaned.substr(i, 2), 16));
+        }
+        return bytes;
+    }
+
+    // 写入数据到串口，并记录为TX数据
+    async writeToPort(port, bytes) {
+        try {
+            if (this.exclusivePorts.has(port)) throw new Error('串口正在烧录或传输文件');
+            let writer = this.writers.get(port);
+            if (!writer) {
+                writer = this.transport.getWriter(port);
+                if (!writer) throw new Error('串口不可写');
+                this.writers.set(port, writer);
+            }
+            const writeTimeout = (this.portSettings.get(port) || {}).writeTimeout;
+            await SerialTransport.withTimeout(writer.write(bytes), writeTimeout, `写入超时: ${writeTimeout}ms内未写完`);
+            this.capture.append(this.getPortId(port), 'TX', bytes);
+            return true;
+        } catch (error) {
+            // 写入出错后writer不再可用，下次发送时重新获取；超时的写入（如硬件流控下CTS无效）需要abort丢弃
+            if (this.writers.has(port)) {
+                const writer = this.writers.get(port);
+                this.writers.delete(port);
+                if (error.name === 'TimeoutError') {
+                    try {
+                        await writer.abort(error);
+                    } catch {}
+                }
+                try {
+                    writer.releaseLock();
+                } catch {}
+            }
+            console.error('发送数据失败:', error);
+            this.errorCount++;
+            this.logEvent('error', port, '发送失败: ' + error.message);
+            this.showNotification('发送数据失败: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    loadSendHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem('serialMonitor.sendHistory') || '[]');
+            return Array.isArray(history) ? history : [];
+        } catch {
+            return [];
+        }
+    }
+
+    saveSendHistory() {
+        try {
+            localStorage.setItem('serialMonitor.sendHistory', JSON.stringify(this.sendHistory));
+        } catch (error) {
+            console.warn('保存发送历史失败:', error);
+        }
+    }
+
+    addSendHistory(entry) {
+        // 去重后放到最前
+        this.sendHistory = this.sendHistory.filter(item =>
+            !(item.data === entry.data && item.mode === entry.mode && item.lineEnding === entry.lineEnding));
+        this.sendHistory.unshift(entry);
+        if (this.sendHistory.length > this.maxSendHistory) {
+            this.sendHistory.length = this.maxSendHistory;
+        }
+        this.saveSendHistory();
+        this.updateSendHistoryList();
+    }
+
+    updateSendHistoryList() {
+        const historySelect = document.getElementById('sendHistory');
+        if (!historySelect) return;
+        let html = `<option value="">发送历史 (${this.sendHistory.length})</option>`;
+        this.sendHistory.forEach((item, index) => {
+            const label = item.mode === 'hex' ? `[HEX] ${item.data}` : item.data;
+            html += `<option value="${index}">${this.escapeHtml(label)}</option>`;
+        });
+        historySelect.innerHTML = html;
+    }
+
+    applySendHistory(value) {
+        const item = this.sendHistory[parseInt(value)];
+        if (!item) return;
+        document.getElementById('sendInput').value = item.data;
+        document.getElementById('sendMode').value = item.mode;
+        document.getElementById('sendLineEnding').value = item.lineEnding;
+        document.getElementById('sendHistory').value = '';
+    }
+
+    clearSendHistory() {
+        this.sendHistory = [];
+        this.saveSendHistory();
+        this.updateSendHistoryList();
+        this.showNotification('发送历史已清除', 'info');
+    }
+
+    // 开始/停止将捕获数据录制到IndexedDB
+    async toggleRecording() {
+        if (this.recording) {
+            await this.stopRecording();
+        } else {
+            await this.startRecording();
+        }
+    }
+
+    async startRecording() {
+        if (!this.sessions.available) {
+            this.showNotification('当前浏览器不支持IndexedDB，无法录制会话', 'error');
+            return;
+        }
+        this.recording = true;
+        for (const port of this.activeConnections) {
+            await this.startSessionForPort(port);
+        }
+        this.recordFlushTimer = setInterval(() => this.flushRecordedChunks(), 1000);
+        this.updateRecordButton();
+        this.showNotification('开始录制会话', 'success');
+    }
+
+    async stopRecording() {
+        this.recording = false;
+        if (this.recordFlushTimer) {
+            clearInterval(this.recordFlushTimer);
+            this.recordFlushTimer = null;
+        }
+        for (const portId of Array.from(this.recordingSessions.keys())) {
+            await this.finishSessionForPort(portId);
+        }
+        this.updateRecordButton();
+        this.showNotification('会话已保存', 'success');
+    }
+
+    updateRecordButton() {
+        const button = document.getElementById('recordSession');
+        button.textContent = this.recording ? '● 录制中' : '录制';
+        button.className = this.recording ?
+            'px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-sm transition-colors pulse-animation' :
+            'px-3 py-1 bg-gray-600 hover:bg-gray-700 rounded text-sm transition-colors';
+    }
+
+    // 每个串口单独建立一个会话，记录其端口信息和串口参数
+    async startSessionForPort(port) {
+        const portId = this.getPortId(port);
+        if (this.recordingSessions.has(portId)) return;
+        // 先登记再创建，创建期间到达的数据进入待写队列
+        const entry = { sessionId: null, pending: [] };
+        this.recordingSessions.set(portId, entry);
+        const info = this.ports.get(port) || {};
+        try {
+            entry.sessionId = await this.sessions.createSession({
+                portId,
+                portName: info.name || '未知串口',
+                vendorId: info.vendorId,
+                productId: info.productId,
+                settings: { ...this.portSettings.get(port) }
+            });
+        } catch (error) {
+            console.error('创建会话失败:', error);
+            this.recordingSessions.delete(portId);
+            this.showNotification('创建会话失败: ' + error.message, 'error');
+        }
+    }
+
+    queueRecordedChunk(record) {
+        const entry = this.recordingSessions.get(record.portId);
+        if (entry) entry.pending.push(record);
+    }
+
+    async flushRecordedChunks() {
+        for (const entry of this.recordingSessions.values()) {
+            if (entry.sessionId === null || entry.pending.length === 0) continue;
+            const records = entry.pending;
+            entry.pending = [];
+            try {
+                await this.sessions.appendChunks(entry.sessionId, records);
+            } catch (error) {
+                console.error('写入会话数据失败:', error);
+            }
+        }
+    }
+
+    async finishSessionForPort(portId) {
+        const entry = this.recordingSessions.get(portId);
+        if (!entry) return;
+        this.recordingSessions.delete(portId);
+        if (entry.sessionId === null) return;
+        try {
+            await this.sessions.appendChunks(entry.sessionId, entry.pending);
+            await this.sessions.finishSession(entry.sessionId);
+        } catch (error) {
+            console.error('结束会话失败:', error);
+        }
+    }
+
+    async openSessionBrowser() {
+        const modal = document.getElementById('sessionModal');
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+        await this.renderSessionList();
+    }
+
+    closeSessionBrowser() {
+        const modal = document.getElementById('sessionModal');
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+
+    async renderSessionList() {
+        const list = document.getElementById('sessionList');
+        let sessions;
+        try {
+            sessions = await this.sessions.listSessions();
+        } catch (error) {
+            list.innerHTML = `<div class="text-red-400 text-center py-8">读取会话失败: ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+        if (sessions.length === 0) {
+            list.innerHTML = '<div class="text-gray-500 text-center py-8">暂无会话记录</div>';
+            return;
+        }
+
+        list.innerHTML = sessions.map(session => {
+            const settings = session.settings || {};
+            const lineSettings = settings.baudRate ?
+                `${settings.baudRate}, ${settings.dataBits}${(settings.parity || 'none').charAt(0).toUpperCase()}${settings.stopBits}` : '--';
+            const endTime = session.endTime || session.lastTimestamp;
+            const duration = endTime ? ((endTime - session.startTime) / 1000).toFixed(1) + ' 秒' : '--';
+            return `
+                <div class="connection-card rounded-lg p-4">
+                    <div class="flex items-center justify-between mb-2">
+                        <span class="font-medium">${this.escapeHtml(session.portName)}</span>
+                        <div class="space-x-2">
+                            <button class="replay-session-btn px-2 py-1 text-xs rounded bg-green-600 hover:bg-green-700 transition-colors" data-session-id="${session.id}">回放</button>
+                            <button class="delete-session-btn px-2 py-1 text-xs rounded bg-red-600 hover:bg-red-700 transition-colors" data-session-id="${session.id}">删除</button>
+                        </div>
+                    </div>
+                    ${session.trigger ? `<div class="text-xs text-red-300 mb-1">触发规则"${this.escapeHtml(session.trigger.rule)}"前后的数据，触发于 ${new Date(session.trigger.timestamp).toLocaleString()}</div>` : ''}
+                    <div class="text-xs text-gray-400 grid grid-cols-2 gap-1">
+                        <div>参数: ${lineSettings}</div>
+                        <div>VID/PID: ${session.vendorId ?? '--'} / ${session.productId ?? '--'}</div>
+                        <div>开始: ${new Date(session.startTime).toLocaleString()}</div>
+                        <div>结束: ${session.endTime ? new Date(session.endTime).toLocaleString() : '<span class="text-yellow-400">未正常结束</span>'}</div>
+                        <div>时长: ${duration}</div>
+                        <div>数据: ${this.formatBytes(session.byteCount)} (${session.chunkCount} 块)</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.replay-session-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.replaySession(parseInt(btn.dataset.sessionId)));
+        });
+        list.querySelectorAll('.delete-session-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteSession(parseInt(btn.dataset.sessionId)));
+        });
+    }
+
+    async deleteSession(sessionId) {
+        if (!confirm('确定删除该会话记录？')) return;
+        try {
+            await this.sessions.deleteSession(sessionId);
+            this.showNotification('会话已删除', 'info');
+        } catch (error) {
+            this.showNotification('删除会话失败: ' + error.message, 'error');
+        }
+        await this.renderSessionList();
+    }
+
+    // 按原始时间间隔回放会话，数据经由捕获存储进入与实时数据相同的显示流程
+    async replaySession(sessionId) {
+        if (this.replay) this.stopReplay();
+
+        const speedValue = document.getElementById('replaySpeed').value;
+        const speed = speedValue === 'max' ? Infinity : parseFloat(speedValue);
+        let session, chunks;
+        try {
+            session = await this.sessions.getSession(sessionId);
+            chunks = await this.sessions.getChunks(sessionId);
+        } catch (error) {
+            this.showNotification('读取会话失败: ' + error.message, 'error');
+            return;
+        }
+        if (!session || chunks.length === 0) {
+            this.showNotification('该会话没有数据', 'warning');
+            return;
+        }
+
+        const portId = `replay-${sessionId}`;
+        this.portLabels.set(portId, `回放: ${session.portName}`);
+        this.updateFilterPortOptions();
+        const replay = { cancelled: false };
+        this.replay = replay;
+        document.getElementById('stopReplay').disabled = false;
+        this.closeSessionBrowser();
+        this.showNotification(`开始回放 ${session.portName} (${speed === Infinity ? '最快' : speed + 'x'})`, 'info');
+
+        try {
+            if (speed === Infinity) {
+                for (let i = 0; i < chunks.length && !replay.cancelled; i += 500) {
+                    for (const chunk of chunks.slice(i, i + 500)) {
+                        this.capture.append(portId, chunk.direction, chunk.data, chunk.timestamp, chunk.event);
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            } else {
+                const startWall = performance.now();
+                const startTimestamp = chunks[0].timestamp;
+                for (const chunk of chunks) {
+                    const due = (chunk.timestamp - startTimestamp) / speed;
+                    await this.waitForReplay(due - (performance.now() - startWall), replay);
+                    if (replay.cancelled) break;
+                    this.capture.append(portId, chunk.direction, chunk.data, chunk.timestamp, chunk.event);
+                }
+            }
+            this.showNotification(replay.cancelled ? '回放已停止' : '回放完成', 'info');
+        } finally {
+            if (this.replay === replay) {
+                this.replay = null;
+                document.getElementById('stopReplay').disabled = true;
+            }
+        }
+    }
+
+    // 分段等待，便于及时响应停止回放
+    async waitForReplay(ms, replay) {
+        const until = performance.now() + ms;
+        while (!replay.cancelled && performance.now() < until) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(200, until - performance.now())));
+        }
+    }
+
+    stopReplay() {
+        if (!this.replay) return;
+        this.replay.cancelled = true;
+        this.replay = null;
+        document.getElementById('stopReplay').disabled = true;
+    }
+
+    // 终端模式用TerminalEmulator的行代替帧列表显示在监控区，过滤栏隐藏
+    setDataFormat(format) {
+        this.dataFormat = format;
+        const terminalMode = format === 'terminal';
+        document.getElementById('terminalBar').classList.toggle('hidden', !terminalMode);
+        document.getElementById('filterBar').classList.toggle('hidden', terminalMode);
+        if (terminalMode && !this.terminal) {
+            this.terminal = new TerminalEmulator({
+                respond: text => {
+                    if (!this.terminalReplaying) this.sendTerminalInput(text);
+                }
+            });
+            this.monitorView.setSource(this.terminal.lines);
+            this.rebuildTerminal();
+            this.monitorView.scrollToEnd();
+            document.getElementById('dataMonitor').focus();
+        } else if (!terminalMode && this.terminal) {
+            this.terminal = null;
+            this.monitorView.setSource(this.frameView);
+        }
+        this.updateMonitorDisplay();
+    }
+
+    // 显示选中串口的接收数据；打开本地回显时发送的数据也显示在终端中
+    handleTerminalRecord(record) {
+        if (!this.terminal || record.portId !== document.getElementById('terminalPort').value) return;
+        const echo = document.getElementById('terminalEcho').value === 'on';
+        if (record.direction === 'RX' || (record.direction === 'TX' && echo)) {
+            this.terminal.write(record.data);
+            this.updateMonitorDisplay();
+        }
+    }
+
+    // 切换串口或回显后用已捕获的数据重建屏幕
+    rebuildTerminal() {
+        if (!this.terminal) return;
+        this.terminal.encoding = this.getPortEncoding(document.getElementById('terminalPort').value);
+        this.terminal.reset();
+        this.terminalReplaying = true;
+        try {
+            for (const record of this.capture.records) {
+                this.handleTerminalRecord(record);
+            }
+        } finally {
+            this.terminalReplaying = false;
+        }
+        this.updateMonitorDisplay();
+    }
+
+    clearTerminal() {
+        if (!this.terminal) return;
+        this.terminal.reset();
+        this.updateMonitorDisplay();
+    }
+
+    handleTerminalKey(e) {
+        if (!this.terminal) return;
+        const sequence = TerminalEmulator.keyToSequence(e);
+        if (sequence === null) return;
+        e.preventDefault();
+        this.sendTerminalInput(sequence);
+    }
+
+    sendTerminalInput(text) {
+        const port = this.portsById.get(document.getElementById('terminalPort').value);
+        if (!port || !this.activeConnections.has(port)) {
+            this.showNotification('终端串口未连接', 'warning');
+            return;
+        }
+        let bytes;
+        try {
+            bytes = TextCodec.encode(text, this.getPortEncoding(this.getPortId(port)));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.writeToPort(port, bytes);
+    }
+
+    // 共享本机已连接的串口到中继，之后连接的串口也自动共享；再次点击停止共享
+    async toggleBridgeShare() {
+        if (this.bridgeHost) {
+            this.stopBridgeShare();
+            this.showNotification('已停止共享串口', 'info');
+            return;
+        }
+        const url = document.getElementById('bridgeUrl').value.trim();
+        const token = document.getElementById('bridgeToken').value.trim();
+        if (!url || !token) {
+            this.showNotification('请输入中继地址和令牌', 'warning');
+            return;
+        }
+        const host = new BridgeHost(url, token, {
+            onWrite: (portId, bytes, from) => this.handleBridgeWrite(portId, bytes, from),
+            onSetSignals: (portId, signals, from) => this.handleBridgeSignals(portId, signals, from),
+            onClose: () => {
+                if (this.bridgeHost !== host) return;
+                this.bridgeHost = null;
+                this.updateBridgeStatus();
+                this.refreshPortList();
+                this.showNotification('与中继服务器的连接已断开，串口共享已停止', 'warning');
+            }
+        });
+        try {
+            await host.connect();
+        } catch (error) {
+            this.showNotification('共享串口失败: ' + error.message, 'error');
+            return;
         }
+        this.bridgeHost = host;
+        this.bridgeShareMode = document.getElementById('bridgeShareMode').value;
+        this.activeConnections.forEach(port => this.shareBridgePort(port));
+        this.updateBridgeStatus();
+        await this.refreshPortList();
+        this.showNotification(`已共享 ${host.shared.size} 个串口`, 'success');
     }
 
-    // 自动检测波特率主逻辑
-    async autoDetectBaudRate(port) {
-        // 先检测常见波特率
-        let result = await this._tryBaudList(port, SerialMonitorPro.COMMON_BAUD_RATES_PRIOR);
-        if (result.baud) return result;
-        // 再检测不常见波特率
-        return await this._tryBaudList(port, SerialMonitorPro.COMMON_BAUD_RATES_EXTRA);
+    stopBridgeShare() {
+        const host = this.bridgeHost;
+        if (!host) return;
+        this.bridgeHost = null;
+        host.close();
+        this.updateBridgeStatus();
+        this.refreshPortList();
     }
 
-    async _tryBaudList(port, baudList) {
-        for (const baudRate of baudList) {
-            try {
-                await port.open({
-                    baudRate,
-                    dataBits: 8,
-                    stopBits: 1,
-                    parity: 'none',
-                    flowControl: 'none'
-                });
-                const reader = port.readable.getReader();
-                // 读取多次，增加鲁棒性
-                let valid = false;
-                let sample = null;
-                for (let i = 0; i < 3; i++) {
-                    const { value, done } = await Promise.race([
-                        reader.read(),
-                        new Promise(resolve => setTimeout(() => resolve({ value: null, done: true }), 200))
-                    ]);
-                    if (value && value.length > 0 && this.isLikelyValidData(value)) {
-                        valid = true;
-                        sample = value;
-                        break;
-                    }
-                }
-                reader.releaseLock();
-                await port.close();
-                if (valid) {
-                    return { baud: baudRate, sample };
-                }
-            } catch (e) {
-                try { await port.close(); } catch {}
-            }
-        }
-        return { baud: null, sample: null };
+    // 远程串口不再转共享
+    shareBridgePort(port) {
+        if (!this.bridgeHost || port.remoteId !== undefined) return;
+        this.bridgeHost.share(this.bridgeDescriptor(port));
     }
-    // 格式化数据样本为可读字符串
-    formatSampleData(data) {
-        if (!data || data.length === 0) return '';
-        let str = '';
-        for (let b of data.slice(0, 16)) {
-            if (b >= 32 && b <= 126) str += String.fromCharCode(b);
-            else str += '.';
+
+    // 共享给远程用户的串口描述，只共享数据时不带参数和信号
+    bridgeDescriptor(port) {
+        const portId = this.getPortId(port);
+        const control = this.bridgeShareMode === 'control';
+        const signals = this.portSignals.get(port);
+        let info = {};
+        try {
+            info = this.transport.getInfo(port) || {};
+        } catch {}
+        return {
+            id: portId,
+            name: this.getPortName(portId),
+            info: { usbVendorId: info.usbVendorId, usbProductId: info.usbProductId, serialNumber: info.serialNumber },
+            settings: control ? this.bridgeSettings(port) : null,
+            signals: control ? (signals && signals.inputs) || {} : null
+        };
+    }
+
+    bridgeSettings(port) {
+        const { baudRate, dataBits, stopBits, parity, flowControl } = this.portSettings.get(port) || {};
+        return { baudRate, dataBits, stopBits, parity, flowControl };
+    }
+
+    // 转发共享串口的收发数据；共享控制信号时同时转发输入信号和参数变化
+    handleBridgeRecord(record) {
+        if (!this.bridgeHost || !this.bridgeHost.isShared(record.portId)) return;
+        if (record.direction !== 'EVENT') {
+            this.bridgeHost.sendData(record.portId, record.direction, record.data, record.timestamp);
+            return;
+        }
+        if (this.bridgeShareMode !== 'control') return;
+        const port = this.portsById.get(record.portId);
+        if (record.event.type === 'signals' && record.event.inputs) {
+            this.bridgeHost.sendSignals(record.portId, record.event.inputs);
+        } else if (record.event.type === 'config' && port) {
+            this.bridgeHost.sendSettings(record.portId, this.bridgeSettings(port));
         }
-        return str + (data.length > 16 ? ' ...' : '');
     }
 
-    // 简单判断数据是否有效（可根据实际协议优化）
-    isLikelyValidData(data) {
-        // 判断是否有较多可见字符
-        let visible = 0;
-        for (let b of data) {
-            if (b >= 32 && b <= 126) visible++;
+    // 远程用户发送的数据，与本机发送一样记录为TX并回传给所有远程用户
+    async handleBridgeWrite(portId, bytes, from) {
+        const host = this.bridgeHost;
+        const port = this.portsById.get(portId);
+        if (!port || !this.activeConnections.has(port)) {
+            host.reportError(from, portId, 'write', '主机上的串口未连接');
+            return;
+        }
+        if (!await this.writeToPort(port, bytes)) {
+            host.reportError(from, portId, 'write', '主机写入串口失败');
         }
-        return visible >= Math.max(2, data.length / 3);
     }
 
-    // 用指定波特率连接端口
-    async connectPortWithBaud(port, baudRate) {
+    async handleBridgeSignals(portId, signals, from) {
+        const host = this.bridgeHost;
+        if (this.bridgeShareMode !== 'control') {
+            host.reportError(from, portId, 'set-signals', '主机未开放控制信号');
+            return;
+        }
+        const modem = this.getPortSignals(portId);
+        if (!modem) {
+            host.reportError(from, portId, 'set-signals', '主机上的串口未连接');
+            return;
+        }
+        // 只接受输出信号
+        const changes = {};
+        Object.values(ModemSignals.OUTPUTS).forEach(key => {
+            if (typeof signals[key] === 'boolean') changes[key] = signals[key];
+        });
         try {
-            await port.open({
-                baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
-            });
-            this.activeConnections.add(port);
-            this.dataBuffer.set(port, []);
-            this.showNotification(`串口连接成功 (${baudRate}bps)`, 'success');
-            this.startReadingPort(port);
-            return true;
+            await modem.set(changes, '远程用户');
+            this.updateSignalIndicators(modem.port);
         } catch (error) {
-            this.showNotification('串口连接失败: ' + error.message, 'error');
-            return false;
+            host.reportError(from, portId, 'set-signals', error.message);
         }
     }
 
-    async togglePortConnection(port, button) {
-        const isActive = this.activeConnections.has(port);
-        
-        if (isActive) {
-            // 断开连接
-            await this.disconnectPort(port);
-            button.textContent = '连接';
-            button.className = button.className.replace('bg-red-600 hover:bg-red-700', 'bg-green-600 hover:bg-green-700');
-        } else {
-            // 连接串口
-            const success = await this.connectPort(port);
-            if (success) {
-                button.textContent = '断开';
-                button.className = button.className.replace('bg-green-600 hover:bg-green-700', 'bg-red-600 hover:bg-red-700');
+    // 连接中继，其上共享的串口作为远程串口加入串口列表；再次点击断开
+    async toggleBridgeJoin() {
+        if (this.remote) {
+            await this.leaveBridge();
+            this.showNotification('已断开与中继服务器的连接', 'info');
+            return;
+        }
+        const url = document.getElementById('bridgeUrl').value.trim();
+        const token = document.getElementById('bridgeToken').value.trim();
+        if (!url || !token) {
+            this.showNotification('请输入中继地址和令牌', 'warning');
+            return;
+        }
+        const remote = new RemoteTransport(url, token, {
+            onError: message => this.showNotification('远程串口: ' + message, 'error'),
+            onClose: () => {
+                if (this.remote !== remote) return;
+                this.remote = null;
+                this.updateBridgeStatus();
+                this.showNotification('与中继服务器的连接已断开', 'warning');
             }
+        });
+        // 共享的串口出现和消失与设备插拔一样处理，已连接的远程串口在主机重新共享后自动重连
+        remote.addEventListener('connect', event => this.handlePortConnected(event.target));
+        remote.addEventListener('disconnect', event => this.handlePortDisconnected(event.target));
+        try {
+            await remote.connect();
+        } catch (error) {
+            this.showNotification('连接中继服务器失败: ' + error.message, 'error');
+            return;
         }
-        
-        this.updateStats();
+        if (remote.role === 'host') {
+            remote.close();
+            this.showNotification('主机令牌不能连接远程串口', 'warning');
+            return;
+        }
+        this.remote = remote;
+        this.updateBridgeStatus();
+        const ports = await remote.getPorts();
+        for (const port of ports) {
+            this.ports.set(port, await this.getPortInfo(port));
+        }
+        await this.refreshPortList();
+        this.showNotification(`已连接中继服务器 (${BridgeConnection.ROLES[remote.role]})，共享的串口 ${ports.length} 个`, 'success');
     }
 
-    async connectPort(port) {
-        try {
-            const baudRate = parseInt(document.getElementById('quickBaudRate').value);
-            const dataBits = parseInt(document.getElementById('quickDataBits').value);
-            const stopBits = parseInt(document.getElementById('quickStopBits').value);
-            const parity = document.getElementById('quickParity').value;
+    async leaveBridge() {
+        const remote = this.remote;
+        if (!remote) return;
+        this.remote = null;
+        Array.from(this.reconnects.keys()).filter(portId => portId.startsWith('remote-')).forEach(portId => this.cancelReconnect(portId));
+        for (const port of await remote.getPorts()) {
+            if (this.activeConnections.has(port)) await this.disconnectPort(port);
+            this.ports.delete(port);
+        }
+        remote.close();
+        this.updateBridgeStatus();
+        await this.refreshPortList();
+    }
 
-            await port.open({
-                baudRate: baudRate,
-                dataBits: dataBits,
-                stopBits: stopBits,
-                parity: parity,
-                flowControl: 'none'
-            });
+    updateBridgeStatus() {
+        const status = [];
+        if (this.bridgeHost) status.push(`共享中 (${this.bridgeShareMode === 'control' ? '数据、参数和控制信号' : '只共享数据'})`);
+        if (this.remote) status.push(`已连接远程串口 (${BridgeConnection.ROLES[this.remote.role]})`);
+        document.getElementById('bridgeStatus').textContent = status.join('，') || '未连接';
+        document.getElementById('bridgeShare').textContent = this.bridgeHost ? '停止共享' : '共享串口';
+        document.getElementById('bridgeJoin').textContent = this.remote ? '断开远程' : '连接远程串口';
+        document.getElementById('bridgeShareMode').disabled = Boolean(this.bridgeHost);
+    }
 
-            this.activeConnections.add(port);
-            this.dataBuffer.set(port, []);
-            // 连接后刷新this.ports
-            this.ports.set(port, await this.getPortInfo(port));
+    // 烧录和文件传输可选已连接的本机串口，远程串口不支持独占和修改参数
+    updateLocalPortOptions(selectId) {
+        const select = document.getElementById(selectId);
+        const previous = select.value;
+        const portIds = Array.from(this.activeConnections)
+            .filter(port => port.remoteId === undefined)
+            .map(port => this.getPortId(port));
+        select.innerHTML = portIds.map(portId =>
+            `<option value="${this.escapeHtml(portId)}">${this.escapeHtml(this.getPortName(portId))}</option>`
+        ).join('');
+        select.value = portIds.includes(previous) ? previous : (portIds[0] || '');
+    }
 
-            this.showNotification(`串口连接成功 (${baudRate}bps)`, 'success');
-            this.startReadingPort(port);
-            
-            return true;
-            
+    openFlashPanel() {
+        this.updateLocalPortOptions('flashPort');
+        const modal = document.getElementById('flashModal');
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+
+    closeFlashPanel() {
+        const modal = document.getElementById('flashModal');
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+
+    // .bin从起始地址开始存放，.hex按文件中的地址
+    loadFlashFile(name, bytes) {
+        const info = document.getElementById('flashFileInfo');
+        const address = parseInt(document.getElementById('flashAddress').value, 16);
+        try {
+            if (!(address >= 0)) throw new Error('起始地址无效');
+            this.flashImage = FirmwareImage.fromFile(name, bytes, address);
+            if (this.flashImage.size === 0) throw new Error('固件为空');
         } catch (error) {
-            console.error('连接串口失败:', error);
-            this.showNotification('串口连接失败: ' + error.message, 'error');
-            return false;
+            this.flashImage = null;
+            info.textContent = '';
+            this.showNotification(`读取固件失败: ${error.message}`, 'error');
+            return null;
         }
+        info.textContent = this.flashImage.describe();
+        return this.flashImage;
     }
 
-    async disconnectPort(port) {
+    /**
+     * 以8E1独占串口烧录固件，完成后恢复原参数和监控。勾选复位信号时先以DTR/RTS进入引导模式，
+     * 烧录后不运行程序时再以运行模式复位。过程记录到捕获时间线。
+     */
+    async startFlash() {
+        if (this.flashing) return false;
+        const port = this.portsById.get(document.getElementById('flashPort').value);
+        if (!port || !this.activeConnections.has(port)) {
+            this.showNotification('请选择已连接的串口', 'warning');
+            return false;
+        }
+        const image = this.flashImage;
+        if (!image) {
+            this.showNotification('请选择固件文件', 'warning');
+            return false;
+        }
+        const portId = this.getPortId(port);
+        const options = {
+            erase: document.getElementById('flashErase').value,
+            pageSize: parseInt(document.getElementById('flashPageSize').value) || 1024,
+            verify: document.getElementById('flashVerify').checked,
+            go: document.getElementById('flashGo').checked,
+            onProgress: progress => this.handleFlashProgress(portId, progress)
+        };
+        const resetSignals = document.getElementById('flashResetSignals').checked;
+        const changes = { ...Stm32Bootloader.LINE_SETTINGS, baudRate: parseInt(document.getElementById('flashBaudRate').value) || 115200 };
+
+        this.flashing = true;
+        this.setFlashBusy(true);
+        document.getElementById('flashLog').textContent = '';
+        this.handleFlashProgress(portId, { stage: 'start', done: 0, total: 0, message: `开始烧录 ${image.name || '固件'}: ${image.describe()}` });
         try {
-            // 先取消reader
-            if (this.readers.has(port)) {
-                try {
-                    await this.readers.get(port).cancel();
-                } catch {}
-                this.readers.delete(port);
+            const result = await this.runExclusive(port, changes, async stream => {
+                this.flashJob = new Stm32Bootloader(stream);
+                const signals = resetSignals ? new ModemSignals(this.transport, port, {
+                    onChange: event => this.capture.appendEvent(portId, event)
+                }) : null;
+                if (signals) await signals.runSequence('stm32-boot');
+                const result = await this.flashJob.flash(image, options);
+                if (signals && !result.started) await signals.runSequence('stm32-run');
+                return result;
+            });
+            if (result.mismatches.length > 0) {
+                const addresses = result.mismatches.slice(0, 5).map(address => '0x' + FirmwareImage.hex(address)).join(', ');
+                throw new Error(`校验失败，${result.mismatches.length} 个数据块不一致: ${addresses}`);
             }
-            await port.close();
-            this.activeConnections.delete(port);
-            this.dataBuffer.delete(port);
-            // 断开后刷新this.ports
-            this.ports.set(port, await this.getPortInfo(port));
-            this.showNotification('串口已断开', 'info');
+            const message = `烧录完成: ${result.bytes} 字节${result.verified ? '，校验通过' : ''}${result.started ? '，程序已运行' : ''}`;
+            this.handleFlashProgress(portId, { stage: 'done', done: 1, total: 1, message });
+            this.logEvent('info', port, message);
+            this.showNotification(message, 'success');
+            return true;
         } catch (error) {
-            console.error('断开串口失败:', error);
-            this.showNotification('断开串口失败: ' + error.message, 'error');
+            const message = `烧录失败: ${error.message}`;
+            this.handleFlashProgress(portId, { stage: 'error', done: 0, total: 0, message });
+            this.logEvent('error', port, message);
+            this.showNotification(message, 'error');
+            return false;
+        } finally {
+            this.flashJob = null;
+            this.flashing = false;
+            this.setFlashBusy(false);
         }
     }
 
-    async connectAllPorts() {
-        const ports = await navigator.serial.getPorts();
-        let connectedCount = 0;
-        
-        for (const port of ports) {
-            if (!this.activeConnections.has(port)) {
-                const success = await this.connectPort(port);
-                if (success) connectedCount++;
-                
-                // 添加延迟避免同时连接多个串口造成冲突
-                await new Promise(resolve => setTimeout(resolve, 500));
-            }
-        }
-        
-        if (connectedCount > 0) {
-            this.showNotification(`成功连接 ${connectedCount} 个串口`, 'success');
-            await this.updatePortList(ports);
-        } else {
-            this.showNotification('没有可连接的串口', 'warning');
-        }
+    cancelFlash() {
+        if (this.flashJob) this.flashJob.cancel();
     }
 
-    async disconnectAllPorts() {
-        const ports = Array.from(this.activeConnections);
-        let disconnectedCount = 0;
-        
-        for (const port of ports) {
-            await this.disconnectPort(port);
-            disconnectedCount++;
-        }
-        
-        if (disconnectedCount > 0) {
-            this.showNotification(`已断开 ${disconnectedCount} 个串口`, 'info');
-            const availablePorts = await navigator.serial.getPorts();
-            await this.updatePortList(availablePorts);
-        }
+    setFlashBusy(busy) {
+        document.getElementById('flashStart').disabled = busy;
+        document.getElementById('flashCancel').disabled = !busy;
+        document.getElementById('flashFile').disabled = busy;
+    }
+
+    // 写入和校验的逐块进度只更新进度条，阶段变化记录到日志和捕获时间线
+    handleFlashProgress(portId, { stage, done, total, message }) {
+        document.getElementById('flashProgressBar').style.width = `${total > 0 ? Math.round(done / total * 100) : 0}%`;
+        document.getElementById('flashStatus').textContent = message;
+        if ((stage === 'write' || stage === 'verify') && done < total) return;
+        const log = document.getElementById('flashLog');
+        log.textContent += `${new Date().toLocaleTimeString()} ${message}\n`;
+        log.scrollTop = log.scrollHeight;
+        this.capture.appendEvent(portId, { type: 'flash', message });
+    }
+
+    openTransferPanel() {
+        this.updateLocalPortOptions('transferPort');
+        const modal = document.getElementById('transferModal');
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+
+    closeTransferPanel() {
+        const modal = document.getElementById('transferModal');
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
     }
 
-    async startReadingPort(port) {
-        if (!port.readable) return;
-        const reader = port.readable.getReader();
-        this.readers.set(port, reader);
-        const buffer = this.dataBuffer.get(port) || [];
+    setTransferFiles(files) {
+        this.transferFiles = files;
+        const total = files.reduce((sum, file) => sum + file.data.length, 0);
+        document.getElementById('transferFileInfo').textContent = files.length > 0
+            ? `${files.map(file => file.name).join(', ')} (${this.formatBytes(total)})`
+            : '';
+    }
+
+    /**
+     * 以XMODEM/YMODEM发送所选文件或接收文件，期间独占串口，监控暂停读取，收发的数据仍记录到捕获。
+     * 接收到的文件逐个下载保存，XMODEM没有文件名时按时间命名。
+     */
+    async startTransfer(direction) {
+        if (this.transferring) return false;
+        const port = this.portsById.get(document.getElementById('transferPort').value);
+        if (!port || !this.activeConnections.has(port)) {
+            this.showNotification('请选择已连接的串口', 'warning');
+            return false;
+        }
+        const protocol = document.getElementById('transferProtocol').value;
+        const { label, batch } = FileTransfer.PROTOCOLS[protocol];
+        const files = this.transferFiles;
+        if (direction === 'send') {
+            if (files.length === 0) {
+                this.showNotification('请选择要发送的文件', 'warning');
+                return false;
+            }
+            if (!batch && files.length > 1) {
+                this.showNotification(`${label}一次只能发送一个文件，多个文件请使用YMODEM`, 'warning');
+                return false;
+            }
+        }
+        const portId = this.getPortId(port);
+        this.transferring = true;
+        this.setTransferBusy(true);
+        document.getElementById('transferLog').textContent = '';
+        document.getElementById('transferProgressBar').style.width = '0%';
+        this.logTransfer(portId, direction === 'send'
+            ? `${label}发送 ${files.map(file => file.name).join(', ')}，等待接收方`
+            : `${label}接收，等待发送方`);
         try {
-            while (this.activeConnections.has(port)) {
-                if (!this.isMonitoring) {
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                    continue;
-                }
-                const { value, done } = await reader.read();
-                if (done) break;
-                if (value) {
-                    buffer.push(...value);
-                    this.totalData += value.length;
-                    // 限制缓冲区大小
-                    if (buffer.length > this.maxBufferLength) {
-                        buffer.splice(0, buffer.length - this.maxBufferLength);
-                    }
-                    this.updateMonitorDisplay();
-                    this.updateTrafficChart();
+            const result = await this.runExclusive(port, {}, async stream => {
+                this.transferJob = new FileTransfer(stream, {
+                    protocol,
+                    onProgress: progress => this.handleTransferProgress(progress)
+                });
+                if (direction === 'send') {
+                    await this.transferJob.send(files);
+                    return files;
                 }
-            }
+                return this.transferJob.receive();
+            });
+            const { transferred, startedAt, errors } = this.transferJob;
+            const seconds = Math.max(Date.now() - startedAt, 1) / 1000;
+            if (direction === 'receive') result.forEach(file => this.saveReceivedFile(file));
+            const message = `${direction === 'send' ? '发送' : '接收'}完成: ${result.length} 个文件，${this.formatBytes(transferred)}，` +
+                `用时 ${seconds.toFixed(1)} s${errors > 0 ? `，重传 ${errors} 次` : ''}`;
+            this.logTransfer(portId, message);
+            this.logEvent('info', port, message);
+            this.showNotification(message, 'success');
+            return true;
         } catch (error) {
-            if (error && error.name !== 'AbortError') {
-                console.error('读取串口数据失败:', error);
-                this.errorCount++;
-                this.showNotification('串口数据读取错误: ' + error.message, 'error');
-            }
+            const message = `文件传输失败: ${error.message}`;
+            this.logTransfer(portId, message);
+            this.logEvent('error', port, message);
+            this.showNotification(message, 'error');
+            return false;
         } finally {
-            reader.releaseLock();
-            this.readers.delete(port);
+            this.transferJob = null;
+            this.transferring = false;
+            this.setTransferBusy(false);
         }
     }
 
-    updateMonitorDisplay() {
-        const monitor = document.getElementById('dataMonitor');
-        const format = document.getElementById('dataFormat').value;
-        if (this.activeConnections.size === 0) {
-            monitor.innerHTML = `
-                <div class="text-gray-500 text-center py-8">
-                    <svg class="w-16 h-16 mx-auto mb-4 opacity-30" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-                    </svg>
-                    <p>等待串口连接...</p>
-                    <p class="text-xs mt-2">连接串口后将在此显示实时数据</p>
-                </div>
-            `;
-            return;
-        }
-        let html = '';
-        let totalPackets = 0;
-        for (const [port, data] of this.dataBuffer) {
-            if (data.length === 0) continue;
-            totalPackets++;
-            const portInfo = this.ports.get(port) || { name: '未知串口' };
-            const timestamp = new Date().toLocaleTimeString();
-            let formattedData = '';
-            let showLen = Math.min(data.length, this.maxBufferLength);
-            switch (format) {
-                case 'hex':
-                    formattedData = data.slice(-showLen).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' ');
-                    break;
-                case 'binary':
-                    formattedData = data.slice(-showLen).map(b => b.toString(2).padStart(8, '0')).join(' ');
-                    break;
-                default:
-                    formattedData = data.slice(-showLen).map(b => {
-                        const char = String.fromCharCode(b);
-                        return b >= 32 && b <= 126 ? char : '.';
-                    }).join('');
-            }
-            html += `
-                <div class="data-packet mb-2">
-                    <div class="flex items-center justify-between text-xs text-gray-400 mb-1">
-                        <span>[${timestamp}] ${portInfo.name}</span>
-                        <span class="text-blue-400">${data.length} bytes</span>
-                    </div>
-                    <div class="text-green-400 font-mono text-xs break-all">${formattedData}</div>
-                </div>
-            `;
-        }
-        if (html === '') {
-            html = `
-                <div class="text-gray-500 text-center py-4">
-                    <p>等待数据...</p>
-                </div>
-            `;
+    cancelTransfer() {
+        if (this.transferJob) this.transferJob.cancel();
+    }
+
+    setTransferBusy(busy) {
+        ['transferSend', 'transferReceive', 'transferFile', 'transferProtocol'].forEach(id => {
+            document.getElementById(id).disabled = busy;
+        });
+        document.getElementById('transferCancel').disabled = !busy;
+    }
+
+    // 进度条按当前文件，XMODEM接收时大小未知只显示已接收的字节数
+    handleTransferProgress({ name, bytes, total, transferred, elapsedMs, errors }) {
+        const rate = elapsedMs > 0 ? Math.round(transferred / elapsedMs * 1000) : 0;
+        document.getElementById('transferProgressBar').style.width = `${total ? Math.round(bytes / total * 100) : 0}%`;
+        const parts = [name || '文件', total !== null ? `${this.formatBytes(bytes)} / ${this.formatBytes(total)}` : this.formatBytes(bytes), `${this.formatBytes(rate)}/s`];
+        if (errors > 0) parts.push(`重传 ${errors} 次`);
+        document.getElementById('transferStatus').textContent = parts.join('，');
+    }
+
+    logTransfer(portId, message) {
+        const log = document.getElementById('transferLog');
+        log.textContent += `${new Date().toLocaleTimeString()} ${message}\n`;
+        log.scrollTop = log.scrollHeight;
+        this.capture.appendEvent(portId, { type: 'transfer', message });
+    }
+
+    saveReceivedFile(file) {
+        const blob = new Blob([file.data], { type: 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = file.name || `serial-receive-${new Date().toISOString().replace(/[:.]/g, '-')}.bin`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    togglePlot() {
+        this.plotEnabled = !this.plotEnabled;
+        document.getElementById('plotPanel').classList.toggle('hidden', !this.plotEnabled);
+        document.getElementById('togglePlot').textContent = this.plotEnabled ? '关闭绘图' : '绘图';
+        if (this.plotEnabled) {
+            // 面板显示后才有尺寸，此时再创建图表
+            if (!this.plotChart) this.initPlotChart();
+            else this.plotChart.resize();
+            this.rebuildPlot();
+        } else {
+            this.plotStore.clear();
+            this.plotParser.clear();
         }
-        monitor.innerHTML = html;
-        monitor.scrollTop = monitor.scrollHeight;
     }
 
-    clearMonitor() {
-        for (const port of this.dataBuffer.keys()) {
-            this.dataBuffer.set(port, []);
+    initPlotChart() {
+        this.plotChart = echarts.init(document.getElementById('plotChart'));
+        this.plotChart.setOption({
+            backgroundColor: 'transparent',
+            animation: false,
+            grid: { left: 50, right: 20, top: 30, bottom: 50 },
+            tooltip: { trigger: 'axis' },
+            legend: { type: 'scroll', textStyle: { color: '#a0aec0' } },
+            xAxis: { type: 'time', ...SerialMonitorPro.CHART_AXIS_STYLE },
+            yAxis: { type: 'value', scale: true, ...SerialMonitorPro.CHART_AXIS_STYLE, splitLine: SerialMonitorPro.CHART_SPLIT_LINE },
+            // 滚轮缩放和底部滑块，暂停后查看细节
+            dataZoom: [
+                { type: 'inside', xAxisIndex: 0, filterMode: 'none' },
+                { type: 'slider', xAxisIndex: 0, filterMode: 'none', height: 16, bottom: 8 }
+            ],
+            series: []
+        });
+    }
+
+    // 接收数据按行解析为采样，只解析选中的串口
+    handlePlotRecord(record) {
+        if (!this.plotEnabled || record.direction !== 'RX') return;
+        const portId = document.getElementById('plotPort').value;
+        if (portId && record.portId !== portId) return;
+        this.plotParser.push(record.portId, record.data).forEach(line => {
+            const values = TelemetryParser.parseLine(line);
+            if (values) this.plotStore.add(record.portId, record.timestamp, values);
+        });
+        this.schedulePlotUpdate();
+    }
+
+    // 用已捕获的数据重新解析，打开面板或切换串口后可以看到之前的数据
+    rebuildPlot() {
+        this.plotStore.clear();
+        this.plotParser.clear();
+        for (const record of this.capture.records) {
+            this.handlePlotRecord(record);
         }
-        this.updateMonitorDisplay();
-        this.showNotification('监控数据已清空', 'info');
+        this.updatePlot();
     }
 
-    toggleMonitoring(button) {
-        this.isMonitoring = !this.isMonitoring;
-        button.textContent = this.isMonitoring ? '暂停' : '继续';
-        button.className = this.isMonitoring ? 
-            'px-3 py-1 bg-yellow-600 hover:bg-yellow-700 rounded text-sm transition-colors' :
-            'px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-sm transition-colors';
+    clearPlot() {
+        this.plotStore.clear();
+        this.plotParser.clear();
+        this.updatePlot();
+    }
+
+    // 暂停时图表不再刷新，数据继续解析，继续后显示最新数据
+    togglePlotPause() {
+        this.plotPaused = !this.plotPaused;
+        document.getElementById('plotPause').textContent = this.plotPaused ? '继续' : '暂停';
+        if (!this.plotPaused) this.updatePlot();
+    }
+
+    // 高频数据时图表每200ms最多刷新一次
+    schedulePlotUpdate() {
+        if (this.plotPending || this.plotPaused) return;
+        this.plotPending = true;
+        setTimeout(() => {
+            this.plotPending = false;
+            if (!this.plotPaused) this.updatePlot();
+        }, 200);
+    }
+
+    // 显示最后一个采样之前windowMs内的数据，回放的历史数据同样适用
+    updatePlot() {
+        const fixed = document.getElementById('plotYMode').value === 'fixed';
+        ['plotYMin', 'plotYMax'].forEach(id => { document.getElementById(id).disabled = !fixed; });
+        if (!this.plotChart) return;
+        const windowMs = parseInt(document.getElementById('plotWindow').value) || 30000;
+        const end = this.plotStore.lastTimestamp ?? CaptureStore.now();
+        const since = end - windowMs;
+        const series = this.plotStore.series(since);
+        const bound = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return fixed && !isNaN(value) ? value : null;
+        };
+        this.plotChart.setOption({
+            xAxis: { min: since, max: end },
+            yAxis: { scale: !fixed, min: bound('plotYMin'), max: bound('plotYMax') },
+            series: Array.from(series, ([name, data]) => ({ name, type: 'line', showSymbol: false, data }))
+        }, { replaceMerge: ['series'] });
+
+        const stats = this.plotStore.stats(since);
+        const format = (value) => parseFloat(value.toFixed(3));
+        document.getElementById('plotStats').innerHTML = stats.length === 0 ?
+            '<div class="text-gray-500">等待数值数据，每行如 1.2,3.4 或 t=23.4,h=51</div>' :
+            '<div class="grid grid-cols-5 gap-x-3 text-gray-400"><span>通道</span><span>最小</span><span>最大</span><span>平均</span><span>当前</span></div>' +
+            stats.map(item => `<div class="grid grid-cols-5 gap-x-3"><span class="text-cyan-300 truncate">${this.escapeHtml(item.name)}</span>` +
+                `<span>${format(item.min)}</span><span>${format(item.max)}</span><span>${format(item.avg)}</span><span>${format(item.last)}</span></div>`).join('');
+        document.getElementById('plotStatus').textContent =
+            `${this.plotStore.length} 个采样，${this.plotStore.channels.length} 个通道${this.plotPaused ? '（已暂停）' : ''}`;
+    }
+
+    exportPlot() {
+        if (this.plotStore.length === 0) {
+            this.showNotification('没有可导出的绘图数据', 'warning');
+            return;
+        }
+        const blob = new Blob([this.plotStore.toCsv(portId => this.getPortName(portId))], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `serial-plot-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+        this.showNotification(`已导出 ${this.plotStore.length} 个采样`, 'success');
     }
 
     initTrafficChart() {
@@ -580,14 +3240,12 @@ class SerialMonitorPro {
             xAxis: {
                 type: 'category',
                 data: [],
-                axisLine: { lineStyle: { color: '#4a5568' } },
-                axisLabel: { color: '#a0aec0', fontSize: 10 }
+                ...SerialMonitorPro.CHART_AXIS_STYLE
             },
             yAxis: {
                 type: 'value',
-                axisLine: { lineStyle: { color: '#4a5568' } },
-                axisLabel: { color: '#a0aec0', fontSize: 10 },
-                splitLine: { lineStyle: { color: '#2d3748' } }
+                ...SerialMonitorPro.CHART_AXIS_STYLE,
+                splitLine: SerialMonitorPro.CHART_SPLIT_LINE
             },
             series: [{
                 data: [],
@@ -611,52 +3269,43 @@ class SerialMonitorPro {
         this.trafficChart.setOption(option);
     }
 
+    // 由定时器按固定间隔调用，不随数据到达刷新
     updateTrafficChart() {
         if (!this.trafficChart) return;
         
-        const now = new Date();
-        const timeStr = now.toLocaleTimeString();
+        const timeStr = new Date().toLocaleTimeString();
         const currentRate = this.calculateDataRate();
-        
-        const option = this.trafficChart.getOption();
-        const xData = option.xAxis[0].data;
-        const yData = option.series[0].data;
+        const { times, rates } = this.trafficSamples;
         
         // 保持最近20个数据点
-        if (xData.length >= 20) {
-            xData.shift();
-            yData.shift();
+        if (times.length >= 20) {
+            times.shift();
+            rates.shift();
         }
         
-        xData.push(timeStr);
-        yData.push(currentRate);
+        times.push(timeStr);
+        rates.push(currentRate);
         
         this.trafficChart.setOption({
-            xAxis: { data: xData },
-            series: [{ data: yData }]
+            xAxis: { data: times },
+            series: [{ data: rates }]
         });
     }
 
     calculateDataRate() {
-        const now = Date.now();
-        const timeDiff = (now - this.lastUpdateTime) / 1000; // 转换为秒
-        
-        if (timeDiff > 0) {
-            const rate = this.totalData / timeDiff;
-            this.dataRate = rate;
-            this.lastUpdateTime = now;
-            this.totalData = 0;
-            
-            // 更新显示
-            const rateElement = document.getElementById('dataRate');
-            if (rateElement) {
-                rateElement.textContent = this.formatBytes(rate) + '/s';
-            }
-            
-            return rate;
+        // 根据捕获记录的到达时间统计最近窗口内的接收速率
+        const now = CaptureStore.now();
+        const bytes = this.capture.bytesSince(now - this.rateWindowMs, { direction: 'RX' });
+        const rate = bytes / (this.rateWindowMs / 1000);
+        this.dataRate = rate;
+
+        // 更新显示
+        const rateElement = document.getElementById('dataRate');
+        if (rateElement) {
+            rateElement.textContent = this.formatBytes(rate) + '/s';
         }
-        
-        return this.dataRate;
+
+        return rate;
     }
 
     updateStats() {
@@ -672,11 +3321,35 @@ class SerialMonitorPro {
             const errorRate = totalOperations > 0 ? (this.errorCount / totalOperations * 100).toFixed(1) : 0;
             errorRateElement.textContent = errorRate + '%';
         }
+        // 命中次数和过滤结果随统计定时刷新，高频命中时不逐帧更新页面
+        this.updateTriggerStats();
+        this.updateFilterStatus();
     }
 
-    updateQuickConfig() {
-        // 这里可以实现快速配置应用到所有连接的串口
-        this.showNotification('配置已更新', 'info');
+    // 快速配置的修改应用到所有已连接的串口，只改变被修改的参数
+    async updateQuickConfig(id) {
+        const field = SerialMonitorPro.QUICK_CONFIG_FIELDS[id];
+        if (!field) return;
+        const value = field.parse(document.getElementById(id).value);
+        const ports = Array.from(this.activeConnections);
+        if (ports.length === 0) {
+            this.showNotification('配置已更新，将在连接时使用', 'info');
+            return;
+        }
+        let applied = 0;
+        for (const port of ports) {
+            try {
+                await this.reconfigurePort(port, { [field.key]: value });
+                applied++;
+            } catch (error) {
+                console.error('应用串口参数失败:', error);
+                this.showNotification(`${this.getPortName(this.getPortId(port))} 应用配置失败: ${error.message}`, 'error');
+            }
+        }
+        if (applied > 0) {
+            this.showNotification(`配置已应用到 ${applied} 个已连接的串口`, 'success');
+        }
+        await this.refreshPortList();
     }
 
     startSystemMonitoring() {
@@ -693,15 +3366,111 @@ class SerialMonitorPro {
             
             // 更新统计信息
             this.updateStats();
+            this.broadcastStatus();
             
         }, 1000);
         
+        // 空闲间隔分帧超时检查
+        setInterval(() => {
+            this.flushFramers();
+        }, 20);
+        
         // 定期更新流量图表
         setInterval(() => {
             this.updateTrafficChart();
         }, 2000);
     }
 
+    // 捕获记录使用的端口ID，同一个port对象始终对应同一个ID
+    getPortId(port) {
+        if (!this.portIds.has(port)) {
+            const portId = this.allocatePortId(port);
+            this.portIds.set(port, portId);
+            this.portsById.set(portId, port);
+        }
+        return this.portIds.get(port);
+    }
+
+    // USB设备按VID/PID/序列号生成ID，拔出后重新插入（浏览器给出新的port对象）时沿用原ID；
+    // 相同型号的多个设备依次加#2、#3区分
+    allocatePortId(port) {
+        const identity = this.getPortIdentity(port);
+        if (!identity) return `port-${this.portIds.size + 1}`;
+        for (let index = 1; ; index++) {
+            const portId = index === 1 ? identity : `${identity}#${index}`;
+            const owner = this.portsById.get(portId);
+            if (!owner || this.unpluggedPorts.has(owner)) return portId;
+        }
+    }
+
+    getPortIdentity(port) {
+        let info = {};
+        try {
+            info = this.transport.getInfo(port) || {};
+        } catch {}
+        // 远程串口沿用主机上的端口ID，重新共享后仍对应同一ID
+        if (info.remotePortId) return `remote-${info.remotePortId}`;
+        if (!info.usbVendorId) return null;
+        const hex = (value) => (value || 0).toString(16).padStart(4, '0');
+        return `usb-${hex(info.usbVendorId)}-${hex(info.usbProductId)}` + (info.serialNumber ? `-${info.serialNumber}` : '');
+    }
+
+    getPortName(portId) {
+        if (this.portLabels.has(portId)) return this.portLabels.get(portId);
+        const port = this.portsById.get(portId);
+        return ((port && this.ports.get(port)) || {}).name || portId;
+    }
+
+    loadRetention() {
+        try {
+            return JSON.parse(localStorage.getItem('serialMonitor.retention') || '{}');
+        } catch {
+            return {};
+        }
+    }
+
+    updateRetentionForm() {
+        const { mode, maxBytes, maxAgeMs } = this.capture.retention;
+        document.getElementById('retentionMode').value = mode;
+        document.getElementById('retentionLimit').value = mode === 'age' ? maxAgeMs / 60000 : maxBytes / (1024 * 1024);
+    }
+
+    // 从表单读取保留策略：按容量时单位为MB，按时长时单位为分钟
+    updateRetention() {
+        const mode = document.getElementById('retentionMode').value;
+        const limit = parseFloat(document.getElementById('retentionLimit').value);
+        if (!(limit > 0)) {
+            this.showNotification('保留上限必须大于0', 'warning');
+            this.updateRetentionForm();
+            return;
+        }
+        const retention = mode === 'age'
+            ? { mode, maxAgeMs: limit * 60000 }
+            : { mode, maxBytes: Math.round(limit * 1024 * 1024) };
+        this.capture.setRetention(retention);
+        this.trimFrames();
+        try {
+            localStorage.setItem('serialMonitor.retention', JSON.stringify(this.capture.retention));
+        } catch {}
+        this.updateRetentionForm();
+        this.updateMonitorDisplay();
+        this.showNotification('缓存保留策略已更新', 'info');
+    }
+
+    // 时间戳格式化为 时:分:秒.毫秒
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        return date.toLocaleTimeString('zh-CN', { hour12: false }) + '.' + String(date.getMilliseconds()).padStart(3, '0');
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     formatBytes(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -770,6 +3539,9 @@ document.addEventListener('DOMContentLoaded', () => {
 // 页面卸载时清理
 window.addEventListener('beforeunload', async () => {
     if (window.serialMonitor) {
+        if (window.serialMonitor.recording) {
+            window.serialMonitor.stopRecording();
+        }
         for (const port of Array.from(window.serialMonitor.activeConnections)) {
             await window.serialMonitor.disconnectPort(port);
         }
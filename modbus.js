@@ -0,0 +1,270 @@
+/**
+ * Modbus 协议解析 - RTU (CRC16) 与 ASCII (LRC)
+ * Serial Monitor Pro - Modbus Decoder
+ */
+
+class ModbusDecoder {
+    static FUNCTION_NAMES = {
+        0x01: '读线圈',
+        0x02: '读离散输入',
+        0x03: '读保持寄存器',
+        0x04: '读输入寄存器',
+        0x05: '写单个线圈',
+        0x06: '写单个寄存器',
+        0x0f: '写多个线圈',
+        0x10: '写多个寄存器',
+        0x17: '读写多个寄存器'
+    };
+
+    static EXCEPTION_NAMES = {
+        0x01: '非法功能码',
+        0x02: '非法数据地址',
+        0x03: '非法数据值',
+        0x04: '从站设备故障',
+        0x05: '确认',
+        0x06: '从站设备忙',
+        0x08: '存储奇偶性差错',
+        0x0a: '网关路径不可用',
+        0x0b: '网关目标设备无响应'
+    };
+
+    // Modbus CRC16 (多项式0xA001，初值0xFFFF)
+    static crc16(bytes) {
+        let crc = 0xffff;
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let i = 0; i < 8; i++) {
+                crc = (crc & 1) ? (crc >>> 1) ^ 0xa001 : crc >>> 1;
+            }
+        }
+        return crc;
+    }
+
+    // Modbus ASCII LRC：所有字节求和后取补码
+    static lrc(bytes) {
+        let sum = 0;
+        for (const byte of bytes) sum = (sum + byte) & 0xff;
+        return (-sum) & 0xff;
+    }
+
+    // 3.5个字符的静默间隔（毫秒）；波特率高于19200时规范规定固定为1.75ms
+    static silentIntervalMs(settings = {}) {
+        const baudRate = settings.baudRate || 9600;
+        if (baudRate > 19200) return 1.75;
+        const bitsPerChar = 1 + (settings.dataBits || 8) + (settings.parity && settings.parity !== 'none' ? 1 : 0) + (settings.stopBits || 1);
+        return 3.5 * bitsPerChar * 1000 / baudRate;
+    }
+
+    constructor(mode = 'rtu') {
+        this.mode = mode;
+        this.pending = new Map(); // 从站地址 -> 等待应答的请求
+        this.requestTimeoutMs = 1000;
+    }
+
+    reset() {
+        this.pending.clear();
+    }
+
+    get protocolName() {
+        return this.mode === 'ascii' ? 'Modbus ASCII' : 'Modbus RTU';
+    }
+
+    // 解析一帧数据，返回解析结果
+    decode(frameBytes, timestamp, seq) {
+        const unpacked = this.mode === 'ascii' ? this.unpackAscii(frameBytes) : this.unpackRtu(frameBytes);
+        const result = {
+            protocol: this.protocolName,
+            valid: unpacked.valid,
+            checksum: unpacked.checksum,
+            error: unpacked.error || null
+        };
+        if (!unpacked.adu) {
+            result.summary = unpacked.error;
+            return result;
+        }
+
+        const adu = unpacked.adu;
+        result.address = adu[0];
+        result.functionCode = adu[1] & 0x7f;
+        result.functionName = ModbusDecoder.FUNCTION_NAMES[result.functionCode] || `功能码 0x${this.hex(result.functionCode)}`;
+        Object.assign(result, this.parsePdu(adu[0], adu[1], adu.slice(2), unpacked.valid));
+
+        // 请求/应答配对
+        if (unpacked.valid) {
+            if (result.kind === 'request') {
+                this.pending.set(result.address, { ...result, timestamp, seq });
+            } else {
+                const request = this.pending.get(result.address);
+                if (request && request.functionCode === result.functionCode && timestamp - request.timestamp <= this.requestTimeoutMs) {
+                    result.requestSeq = request.seq;
+                    result.latencyMs = timestamp - request.timestamp;
+                    this.applyRequestContext(result, request);
+                    this.pending.delete(result.address);
+                }
+            }
+        }
+
+        result.summary = this.summarize(result);
+        return result;
+    }
+
+    unpackRtu(bytes) {
+        if (bytes.length < 4) {
+            return { valid: false, adu: null, error: `帧过短 (${bytes.length} 字节)` };
+        }
+        const adu = bytes.slice(0, bytes.length - 2);
+        const expected = ModbusDecoder.crc16(adu);
+        const actual = bytes[bytes.length - 2] | (bytes[bytes.length - 1] << 8);
+        const valid = expected === actual;
+        return {
+            valid,
+            adu,
+            checksum: { type: 'CRC16', expected, actual },
+            error: valid ? null : 'CRC校验失败'
+        };
+    }
+
+    unpackAscii(bytes) {
+        const text = String.fromCharCode(...bytes).trim();
+        if (!text.startsWith(':')) {
+            return { valid: false, adu: null, error: '缺少起始符 ":"' };
+        }
+        const hex = text.slice(1);
+        if (hex.length < 6 || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+            return { valid: false, adu: null, error: 'ASCII帧格式错误' };
+        }
+        const raw = [];
+        for (let i = 0; i < hex.length; i += 2) raw.push(parseInt(hex.substr(i, 2), 16));
+        const adu = raw.slice(0, raw.length - 1);
+        const expected = ModbusDecoder.lrc(adu);
+        const actual = raw[raw.length - 1];
+        const valid = expected === actual;
+        return {
+            valid,
+            adu: Uint8Array.from(adu),
+            checksum: { type: 'LRC', expected, actual },
+            error: valid ? null : 'LRC校验失败'
+        };
+    }
+
+    // 根据功能码和长度判断是请求还是应答，并解析各字段
+    parsePdu(address, functionByte, data, valid) {
+        const word = (offset) => (data[offset] << 8) | data[offset + 1];
+        const fc = functionByte & 0x7f;
+        const pending = valid ? this.pending.get(address) : null;
+        const awaitingReply = pending && pending.functionCode === fc;
+
+        if (functionByte & 0x80) {
+            const code = data[0];
+            return {
+                kind: 'exception',
+                exceptionCode: code,
+                exceptionName: ModbusDecoder.EXCEPTION_NAMES[code] || '未知异常'
+            };
+        }
+
+        switch (fc) {
+            case 0x01: case 0x02: case 0x03: case 0x04: {
+                const isResponse = data.length === data[0] + 1 && (awaitingReply || data.length !== 4);
+                if (isResponse) {
+                    const payload = Array.from(data.slice(1));
+                    const values = fc <= 0x02 ? this.unpackBits(payload) : this.unpackWords(payload);
+                    return { kind: 'response', byteCount: data[0], values };
+                }
+                if (data.length === 4) {
+                    return { kind: 'request', startAddress: word(0), quantity: word(2) };
+                }
+                break;
+            }
+            case 0x05: case 0x06: {
+                if (data.length !== 4) break;
+                const value = fc === 0x05 ? (word(2) === 0xff00 ? 1 : 0) : word(2);
+                const isEcho = awaitingReply && pending.startAddress === word(0) && pending.values[0] === value;
+                return { kind: isEcho ? 'response' : 'request', startAddress: word(0), quantity: 1, values: [value] };
+            }
+            case 0x0f: case 0x10: {
+                if (data.length === 4) {
+                    return { kind: 'response', startAddress: word(0), quantity: word(2) };
+                }
+                if (data.length >= 5 && data.length === 5 + data[4]) {
+                    const payload = Array.from(data.slice(5));
+                    const quantity = word(2);
+                    const values = fc === 0x0f ? this.unpackBits(payload).slice(0, quantity) : this.unpackWords(payload);
+                    return { kind: 'request', startAddress: word(0), quantity, byteCount: data[4], values };
+                }
+                break;
+            }
+            case 0x17: {
+                if (data.length >= 9 && data.length === 9 + data[8]) {
+                    return {
+                        kind: 'request',
+                        startAddress: word(0),
+                        quantity: word(2),
+                        writeAddress: word(4),
+                        writeQuantity: word(6),
+                        values: this.unpackWords(Array.from(data.slice(9)))
+                    };
+                }
+                if (data.length === data[0] + 1) {
+                    return { kind: 'response', byteCount: data[0], values: this.unpackWords(Array.from(data.slice(1))) };
+                }
+                break;
+            }
+        }
+        return { kind: awaitingReply ? 'response' : 'request', raw: Array.from(data) };
+    }
+
+    // 应答中没有地址信息，从配对的请求中补充
+    applyRequestContext(result, request) {
+        if (result.startAddress === undefined && request.startAddress !== undefined) {
+            result.startAddress = request.startAddress;
+            result.quantity = request.quantity;
+        }
+        if (result.values && request.quantity !== undefined && result.functionCode <= 0x02) {
+            result.values = result.values.slice(0, request.quantity);
+        }
+    }
+
+    unpackWords(bytes) {
+        const values = [];
+        for (let i = 0; i + 1 < bytes.length; i += 2) values.push((bytes[i] << 8) | bytes[i + 1]);
+        return values;
+    }
+
+    unpackBits(bytes) {
+        const values = [];
+        for (const byte of bytes) {
+            for (let bit = 0; bit < 8; bit++) values.push((byte >> bit) & 1);
+        }
+        return values;
+    }
+
+    summarize(result) {
+        const parts = [`从站 ${result.address}`, `${this.hex(result.functionCode)} ${result.functionName}`];
+        const kindNames = { request: '请求', response: '应答', exception: '异常应答' };
+        parts.push(kindNames[result.kind] || result.kind);
+
+        if (result.kind === 'exception') {
+            parts.push(`异常码 0x${this.hex(result.exceptionCode)} ${result.exceptionName}`);
+        }
+        if (result.startAddress !== undefined) {
+            const end = result.startAddress + Math.max(1, result.quantity || 1) - 1;
+            parts.push(result.quantity > 1 ? `地址 ${result.startAddress}-${end}` : `地址 ${result.startAddress}`);
+        }
+        if (result.writeAddress !== undefined) {
+            parts.push(`写地址 ${result.writeAddress}-${result.writeAddress + result.writeQuantity - 1}`);
+        }
+        if (result.values && result.values.length > 0) {
+            const shown = result.values.slice(0, 16).join(', ');
+            parts.push(`值 [${shown}${result.values.length > 16 ? ', ...' : ''}]`);
+        }
+        if (result.latencyMs !== undefined) {
+            parts.push(`响应 ${result.latencyMs.toFixed(1)}ms`);
+        }
+        return parts.join(' | ');
+    }
+
+    hex(value) {
+        return value.toString(16).toUpperCase().padStart(2, '0');
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * 监控区渲染 - 帧列表存储与虚拟滚动视图
+ * Serial Monitor Pro - Monitor View
+ *
+ *   FrameLog          分帧结果的追加式存储，超出上限时从头部丢弃，均摊O(1)
+ *   FilteredFrameLog  FrameLog中满足条件的帧，读取时增量同步源的新增和丢弃，接口与FrameLog相同
+ *   MonitorView       固定行高的虚拟滚动列表，只渲染可见的行；数据更新在每个动画帧最多渲染一次，
+ *                     追加数据时只增删进出可见范围的行
+ */
+
+class FrameLog {
+    constructor(maxLength = Infinity) {
+        this.maxLength = maxLength;
+        this.items = [];
+        this.head = 0; // items中第一个有效元素的位置
+        this.dropped = 0; // 累计从头部丢弃的条数，视图据此保持滚动位置
+    }
+
+    get length() {
+        return this.items.length - this.head;
+    }
+
+    at(index) {
+        if (index < 0) index += this.length;
+        return this.items[this.head + index];
+    }
+
+    push(item) {
+        this.items.push(item);
+        if (this.length > this.maxLength) {
+            this.dropHead(this.length - this.maxLength);
+        }
+    }
+
+    dropHead(count) {
+        count = Math.min(count, this.length);
+        for (let i = this.head; i < this.head + count; i++) this.items[i] = undefined;
+        this.head += count;
+        this.dropped += count;
+        // 已丢弃的部分超过一半时再整理数组，避免每次丢弃都移动全部元素
+        if (this.head > 1024 && this.head * 2 > this.items.length) {
+            this.items = this.items.slice(this.head);
+            this.head = 0;
+        }
+    }
+
+    // 与Array.prototype.slice相同，支持负数下标
+    slice(start = 0, end = this.length) {
+        const length = this.length;
+        const clamp = (index) => Math.max(0, Math.min(length, index < 0 ? length + index : index));
+        return this.items.slice(this.head + clamp(start), this.head + clamp(end));
+    }
+
+    clear() {
+        this.dropped += this.length;
+        this.items = [];
+        this.head = 0;
+    }
+
+    forEach(callback) {
+        for (let i = this.head; i < this.items.length; i++) callback(this.items[i], i - this.head);
+    }
+}
+
+class FilteredFrameLog {
+    /**
+     * source     FrameLog，帧按seq递增
+     * predicate  frame => boolean，为true的帧进入视图
+     * isMatch    frame => boolean，统计视图中的搜索匹配数
+     */
+    constructor(source, predicate, isMatch = null) {
+        this.source = source;
+        this.predicate = predicate;
+        this.isMatch = isMatch;
+        this.items = new FrameLog();
+        this.scanned = source.dropped; // 已检查到源的绝对序号
+        this.matchCount = 0;
+    }
+
+    get length() {
+        this.sync();
+        return this.items.length;
+    }
+
+    get dropped() {
+        return this.items.dropped;
+    }
+
+    at(index) {
+        return this.items.at(index);
+    }
+
+    // 源头部丢弃或清空的帧同样从视图丢弃，之后检查新增的帧
+    sync() {
+        const source = this.source;
+        const firstSeq = source.length > 0 ? source.at(0).seq : Infinity;
+        let drop = 0;
+        while (drop < this.items.length && this.items.at(drop).seq < firstSeq) {
+            if (this.isMatch && this.isMatch(this.items.at(drop))) this.matchCount--;
+            drop++;
+        }
+        if (drop > 0) this.items.dropHead(drop);
+
+        const end = source.dropped + source.length;
+        for (let i = Math.max(this.scanned, source.dropped); i < end; i++) {
+            const frame = source.at(i - source.dropped);
+            if (!this.predicate(frame)) continue;
+            this.items.push(frame);
+            if (this.isMatch && this.isMatch(frame)) this.matchCount++;
+        }
+        this.scanned = end;
+    }
+
+    // 按seq二分查找，返回第一个seq不小于给定值的下标
+    indexOfSeq(seq) {
+        this.sync();
+        let low = 0;
+        let high = this.items.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.items.at(mid).seq < seq) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+}
+
+class MonitorView {
+    // 浏览器对元素高度有上限，总高度超过此值时按比例把滚动位置映射到行号
+    static MAX_SCROLL_HEIGHT = 8000000;
+
+    /**
+     * container  可滚动的容器元素
+     * source     FrameLog或FilteredFrameLog，提供 length / at(index) / dropped
+     * options    rowHeight 行高(px)，overscan 可见范围外多渲染的行数，
+     *            renderRow(item) 返回一行的HTML，renderEmpty() 返回无数据时的HTML，
+     *            onFollowChange(following) 是否跟随最新数据变化时回调
+     */
+    constructor(container, source, options = {}) {
+        this.container = container;
+        this.source = source;
+        this.rowHeight = options.rowHeight || 18;
+        this.overscan = options.overscan ?? 10;
+        this.renderRow = options.renderRow;
+        this.renderEmpty = options.renderEmpty || (() => '');
+        this.onFollowChange = options.onFollowChange || null;
+        this.following = true; // 滚动到底部时跟随最新数据
+        this.pending = false;
+        this.dirty = true; // 行内容需要全部重新生成（显示格式变化、清空等）
+        this.rendered = null; // 当前已渲染的范围 { start, end }，按包含已丢弃条数的绝对序号
+        this.lastDropped = source.dropped;
+        this.renderCount = 0;
+
+        this.spacer = document.createElement('div');
+        this.spacer.style.position = 'relative';
+        this.rows = document.createElement('div');
+        this.rows.style.position = 'absolute';
+        this.rows.style.left = '0';
+        this.rows.style.right = '0';
+        this.rows.style.top = '0';
+        this.container.replaceChildren(this.spacer);
+        this.spacer.appendChild(this.rows);
+
+        this.container.addEventListener('scroll', () => this.handleScroll());
+    }
+
+    // 有新数据：下一个动画帧增量渲染
+    update() {
+        if (this.pending) return;
+        this.pending = true;
+        requestAnimationFrame(() => this.render());
+    }
+
+    // 行内容整体变化：下一个动画帧重新生成可见行
+    refresh() {
+        this.dirty = true;
+        this.update();
+    }
+
+    scrollToEnd() {
+        this.setFollowing(true);
+        this.update();
+    }
+
+    // 切换数据源（如应用过滤条件），重新生成可见行
+    setSource(source) {
+        this.source = source;
+        this.lastDropped = source.dropped;
+        this.rendered = null;
+        this.refresh();
+    }
+
+    // 滚动到指定行并居中显示，停止跟随最新数据
+    scrollToIndex(index) {
+        this.setFollowing(false);
+        const count = this.source.length;
+        const viewport = this.viewportHeight;
+        const totalHeight = count * this.rowHeight;
+        const height = Math.min(totalHeight, MonitorView.MAX_SCROLL_HEIGHT);
+        const maxScroll = Math.max(0, height - viewport);
+        const scale = maxScroll > 0 ? Math.max(0, totalHeight - viewport) / maxScroll : 1;
+        const realTop = index * this.rowHeight - (viewport - this.rowHeight) / 2;
+        this.spacer.style.height = height + 'px';
+        this.container.scrollTop = Math.max(0, Math.min(maxScroll, realTop / scale));
+        this.lastDropped = this.source.dropped;
+        this.refresh();
+    }
+
+    setFollowing(following) {
+        if (this.following === following) return;
+        this.following = following;
+        if (this.onFollowChange) this.onFollowChange(following);
+    }
+
+    get viewportHeight() {
+        return this.container.clientHeight || 400;
+    }
+
+    // 程序设置滚动位置也会触发，跟随时位置在底部，不会改变跟随状态
+    handleScroll() {
+        const maxScroll = (parseFloat(this.spacer.style.height) || 0) - this.viewportHeight;
+        this.setFollowing(this.container.scrollTop >= maxScroll - this.rowHeight);
+        this.update();
+    }
+
+    render() {
+        this.pending = false;
+        this.renderCount++;
+        const count = this.source.length;
+        if (count === 0) {
+            this.spacer.style.height = '';
+            this.rows.style.transform = '';
+            this.rows.replaceChildren();
+            this.rows.innerHTML = this.renderEmpty();
+            this.rendered = null;
+            this.dirty = false;
+            this.lastDropped = this.source.dropped;
+            return;
+        }
+
+        const rowHeight = this.rowHeight;
+        const viewport = this.viewportHeight;
+        const totalHeight = count * rowHeight;
+        const height = Math.min(totalHeight, MonitorView.MAX_SCROLL_HEIGHT);
+        const maxScroll = Math.max(0, height - viewport);
+        const scale = maxScroll > 0 ? Math.max(0, totalHeight - viewport) / maxScroll : 1;
+        this.spacer.style.height = height + 'px';
+
+        let scrollTop;
+        if (this.following) {
+            scrollTop = maxScroll;
+        } else {
+            // 头部丢弃了旧数据时上移滚动位置，保持正在查看的行不动
+            const dropped = this.source.dropped - this.lastDropped;
+            scrollTop = Math.max(0, Math.min(maxScroll, this.container.scrollTop - dropped * rowHeight / scale));
+        }
+        if (this.container.scrollTop !== scrollTop) this.container.scrollTop = scrollTop;
+        this.lastDropped = this.source.dropped;
+
+        const realTop = scrollTop * scale;
+        const first = Math.floor(realTop / rowHeight);
+        const start = Math.max(0, first - this.overscan);
+        const end = Math.min(count, first + Math.ceil(viewport / rowHeight) + 1 + this.overscan);
+        this.rows.style.transform = `translateY(${scrollTop - (realTop - start * rowHeight)}px)`;
+        this.renderRange(start, end);
+    }
+
+    // 新范围与已渲染范围重叠时只增删差异的行；范围按绝对序号比较，不受头部丢弃影响
+    renderRange(start, end) {
+        const dropped = this.source.dropped;
+        const previous = this.rendered;
+        this.rendered = { start: start + dropped, end: end + dropped };
+        const absStart = start + dropped;
+        const absEnd = end + dropped;
+        if (this.dirty || !previous || absStart < previous.start || absStart >= previous.end || absEnd < previous.end) {
+            this.dirty = false;
+            this.rows.replaceChildren();
+            this.appendRows(start, end);
+            return;
+        }
+        for (let i = previous.start; i < absStart; i++) {
+            this.rows.removeChild(this.rows.children[0]);
+        }
+        this.appendRows(previous.end - dropped, end);
+    }
+
+    appendRows(start, end) {
+        for (let i = start; i < end; i++) {
+            const row = document.createElement('div');
+            row.className = 'monitor-row';
+            row.style.height = this.rowHeight + 'px';
+            row.innerHTML = this.renderRow(this.source.at(i));
+            this.rows.appendChild(row);
+        }
+    }
+}
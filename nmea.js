@@ -0,0 +1,219 @@
+/**
+ * NMEA 0183 协议解析 - GGA/RMC/GSV/GSA/VTG/GLL
+ * Serial Monitor Pro - NMEA Decoder
+ */
+
+class NmeaDecoder {
+    static SENTENCE_NAMES = {
+        GGA: '定位信息',
+        RMC: '推荐最小定位信息',
+        GSV: '可见卫星',
+        GSA: '精度因子与有效卫星',
+        VTG: '地面速度',
+        GLL: '地理位置'
+    };
+
+    static FIX_QUALITY_NAMES = {
+        0: '未定位',
+        1: 'GPS定位',
+        2: '差分定位',
+        3: 'PPS定位',
+        4: 'RTK固定解',
+        5: 'RTK浮点解',
+        6: '估算',
+        7: '手动输入',
+        8: '模拟'
+    };
+
+    // 校验和：'$'与'*'之间所有字符的异或
+    static checksum(body) {
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+        return sum;
+    }
+
+    // ddmm.mmmm 格式转换为十进制度数
+    static parseCoordinate(value, hemisphere) {
+        if (!value) return null;
+        const dot = value.indexOf('.');
+        const degreeDigits = (dot === -1 ? value.length : dot) - 2;
+        const degrees = parseInt(value.slice(0, degreeDigits));
+        const minutes = parseFloat(value.slice(degreeDigits));
+        if (isNaN(degrees) || isNaN(minutes)) return null;
+        const decimal = degrees + minutes / 60;
+        return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+    }
+
+    static parseNumber(value) {
+        if (value === undefined || value === '') return null;
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        // 由各语句汇总出的当前定位状态
+        this.state = {
+            time: null,
+            date: null,
+            status: null,          // RMC/GLL: 'A' 有效, 'V' 无效
+            fixQuality: null,      // GGA
+            fixType: null,         // GSA: 1 无定位, 2 2D, 3 3D
+            latitude: null,
+            longitude: null,
+            altitude: null,
+            speedKmh: null,
+            course: null,
+            hdop: null,
+            pdop: null,
+            vdop: null,
+            satellitesUsed: null,
+            satellites: new Map(), // 'GP-12' -> { talker, prn, elevation, azimuth, snr }
+            updatedAt: null
+        };
+    }
+
+    // 解析一行数据；不是NMEA语句的行（如模块启动信息）返回null
+    decode(frameBytes, timestamp) {
+        const line = String.fromCharCode(...frameBytes).trim();
+        if (!line.startsWith('$') && !line.startsWith('!')) return null;
+
+        const result = { protocol: 'NMEA 0183', valid: false, checksum: null, error: null };
+        const star = line.lastIndexOf('*');
+        if (star === -1) {
+            result.error = '缺少校验和';
+            result.summary = result.error;
+            return result;
+        }
+
+        const body = line.slice(1, star);
+        const expected = NmeaDecoder.checksum(body);
+        const actual = parseInt(line.slice(star + 1, star + 3), 16);
+        result.checksum = { type: 'XOR', expected, actual };
+        result.valid = expected === actual;
+        if (!result.valid) result.error = '校验和错误';
+
+        const fields = body.split(',');
+        const address = fields[0];
+        if (address.startsWith('P')) {
+            result.talker = 'P';
+            result.sentence = address.slice(1);
+            result.summary = `私有语句 ${address}`;
+            return result;
+        }
+        result.talker = address.slice(0, 2);
+        result.sentence = address.slice(2);
+
+        const parser = this[`parse${result.sentence}`];
+        if (!parser) {
+            result.summary = `${address} 未解析`;
+            return result;
+        }
+        // 校验失败的语句只显示，不更新定位状态
+        const state = result.valid ? this.state : this.cloneState();
+        result.summary = `${address} ${NmeaDecoder.SENTENCE_NAMES[result.sentence]} | ` +
+            parser.call(this, fields, result.talker, state);
+        if (result.valid) this.state.updatedAt = timestamp;
+        return result;
+    }
+
+    cloneState() {
+        return { ...this.state, satellites: new Map(this.state.satellites) };
+    }
+
+    parseGGA(fields, talker, state) {
+        state.time = this.formatTime(fields[1]) ?? state.time;
+        state.latitude = NmeaDecoder.parseCoordinate(fields[2], fields[3]);
+        state.longitude = NmeaDecoder.parseCoordinate(fields[4], fields[5]);
+        state.fixQuality = NmeaDecoder.parseNumber(fields[6]);
+        state.satellitesUsed = NmeaDecoder.parseNumber(fields[7]);
+        state.hdop = NmeaDecoder.parseNumber(fields[8]);
+        state.altitude = NmeaDecoder.parseNumber(fields[9]);
+        const quality = NmeaDecoder.FIX_QUALITY_NAMES[state.fixQuality] || '未知';
+        return `${quality} | ${this.formatPosition(state)} | 海拔 ${state.altitude ?? '--'}m | 卫星 ${state.satellitesUsed ?? '--'} | HDOP ${state.hdop ?? '--'}`;
+    }
+
+    parseRMC(fields, talker, state) {
+        state.time = this.formatTime(fields[1]) ?? state.time;
+        state.status = fields[2] || null;
+        state.latitude = NmeaDecoder.parseCoordinate(fields[3], fields[4]);
+        state.longitude = NmeaDecoder.parseCoordinate(fields[5], fields[6]);
+        const knots = NmeaDecoder.parseNumber(fields[7]);
+        state.speedKmh = knots === null ? null : knots * 1.852;
+        state.course = NmeaDecoder.parseNumber(fields[8]);
+        if (fields[9] && fields[9].length === 6) {
+            state.date = `20${fields[9].slice(4, 6)}-${fields[9].slice(2, 4)}-${fields[9].slice(0, 2)}`;
+        }
+        return `${state.status === 'A' ? '有效' : '无效'} | ${this.formatPosition(state)} | ${this.formatSpeed(state)}`;
+    }
+
+    parseGSV(fields, talker, state) {
+        const messageNumber = parseInt(fields[2]);
+        const inView = parseInt(fields[3]) || 0;
+        // 每组GSV的第一条语句开始时清除该系统之前的卫星
+        if (messageNumber === 1) {
+            for (const key of state.satellites.keys()) {
+                if (key.startsWith(talker + '-')) state.satellites.delete(key);
+            }
+        }
+        // NMEA 4.10 在末尾追加信号ID，卫星信息固定为每组4个字段
+        for (let i = 4; i + 3 < fields.length; i += 4) {
+            const prn = parseInt(fields[i]);
+            if (isNaN(prn)) continue;
+            state.satellites.set(`${talker}-${prn}`, {
+                talker,
+                prn,
+                elevation: NmeaDecoder.parseNumber(fields[i + 1]),
+                azimuth: NmeaDecoder.parseNumber(fields[i + 2]),
+                snr: NmeaDecoder.parseNumber(fields[i + 3])
+            });
+        }
+        return `第 ${messageNumber}/${fields[1]} 条 | 可见卫星 ${inView}`;
+    }
+
+    parseGSA(fields, talker, state) {
+        state.fixType = NmeaDecoder.parseNumber(fields[2]);
+        const used = fields.slice(3, 15).filter(Boolean);
+        state.pdop = NmeaDecoder.parseNumber(fields[15]);
+        state.hdop = NmeaDecoder.parseNumber(fields[16]);
+        state.vdop = NmeaDecoder.parseNumber(fields[17]);
+        const fixNames = { 1: '未定位', 2: '2D定位', 3: '3D定位' };
+        return `${fixNames[state.fixType] || '未知'} | 使用卫星 [${used.join(', ')}] | PDOP ${state.pdop ?? '--'} HDOP ${state.hdop ?? '--'} VDOP ${state.vdop ?? '--'}`;
+    }
+
+    parseVTG(fields, talker, state) {
+        state.course = NmeaDecoder.parseNumber(fields[1]);
+        const kmh = NmeaDecoder.parseNumber(fields[7]);
+        const knots = NmeaDecoder.parseNumber(fields[5]);
+        state.speedKmh = kmh ?? (knots === null ? null : knots * 1.852);
+        return this.formatSpeed(state);
+    }
+
+    parseGLL(fields, talker, state) {
+        state.latitude = NmeaDecoder.parseCoordinate(fields[1], fields[2]);
+        state.longitude = NmeaDecoder.parseCoordinate(fields[3], fields[4]);
+        state.time = this.formatTime(fields[5]) ?? state.time;
+        state.status = fields[6] || null;
+        return `${state.status === 'A' ? '有效' : '无效'} | ${this.formatPosition(state)}`;
+    }
+
+    // hhmmss.ss -> hh:mm:ss.ss (UTC)
+    formatTime(value) {
+        if (!value || value.length < 6) return null;
+        return `${value.slice(0, 2)}:${value.slice(2, 4)}:${value.slice(4)}`;
+    }
+
+    formatPosition(state) {
+        if (state.latitude === null || state.longitude === null) return '无位置';
+        return `${state.latitude.toFixed(6)}, ${state.longitude.toFixed(6)}`;
+    }
+
+    formatSpeed(state) {
+        const speed = state.speedKmh === null ? '--' : state.speedKmh.toFixed(1);
+        const course = state.course === null ? '--' : state.course.toFixed(1);
+        return `速度 ${speed}km/h | 航向 ${course}°`;
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * 数据绘图 - 从接收的文本行中解析数值，按通道保存采样并统计
+ * Serial Monitor Pro - Telemetry Plotter
+ *
+ *   TelemetryParser  按行解析，支持 "1.2,3.4,5.6"（按列编号为通道1、通道2…）和 "t=23.4,h=51" / "t:23.4 h:51"
+ *                    （按名称），分隔符为逗号、分号、空白或制表符；不含数值的行忽略
+ *   TelemetryStore   按时间顺序保存解析出的采样，超出上限时丢弃最早的；按时间窗口取各通道的数据和最小/最大/平均值，
+ *                    导出为CSV
+ */
+
+class TelemetryParser {
+    static NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+    static MAX_LINE_LENGTH = 4096; // 超过此长度仍未换行的数据不是文本遥测，丢弃
+
+    constructor() {
+        this.buffers = new Map(); // portId -> { decoder, text } 未以换行结束的文本
+    }
+
+    // 追加接收的数据，返回其中完整的行
+    push(portId, bytes) {
+        if (!this.buffers.has(portId)) this.buffers.set(portId, { decoder: new TextDecoder(), text: '' });
+        const buffer = this.buffers.get(portId);
+        const lines = (buffer.text + buffer.decoder.decode(bytes, { stream: true })).split(/\r\n|\r|\n/);
+        const rest = lines.pop();
+        buffer.text = rest.length > TelemetryParser.MAX_LINE_LENGTH ? '' : rest;
+        return lines;
+    }
+
+    clear() {
+        this.buffers.clear();
+    }
+
+    // 返回 { 通道名: 数值 }，没有数值时返回null
+    static parseLine(line) {
+        // "t: 23.4" 与 "t:23.4" 相同
+        const tokens = line.trim().replace(/\s*([=:])\s*/g, '$1').split(/[,;\s]+/).filter(Boolean);
+        const values = {};
+        let count = 0;
+        tokens.forEach((token, index) => {
+            const pair = /^([^=:]+)[=:](.+)$/.exec(token);
+            const name = pair ? pair[1] : `通道${index + 1}`;
+            const text = pair ? pair[2] : token;
+            if (!TelemetryParser.NUMBER.test(text)) return;
+            values[name] = parseFloat(text);
+            count++;
+        });
+        return count > 0 ? values : null;
+    }
+}
+
+class TelemetryStore {
+    constructor(maxRows = 200000) {
+        this.rows = new FrameLog(maxRows); // { timestamp, portId, values }
+        this.channels = []; // 通道名，按首次出现的顺序
+    }
+
+    get length() {
+        return this.rows.length;
+    }
+
+    // 时间早于最后一个采样时（如开始回放历史数据）从头开始保存
+    add(portId, timestamp, values) {
+        if (this.rows.length > 0 && timestamp < this.lastTimestamp) this.clear();
+        Object.keys(values).forEach(name => {
+            if (!this.channels.includes(name)) this.channels.push(name);
+        });
+        this.rows.push({ timestamp, portId, values });
+    }
+
+    clear() {
+        this.rows.clear();
+        this.channels = [];
+    }
+
+    get lastTimestamp() {
+        return this.rows.length > 0 ? this.rows.at(-1).timestamp : null;
+    }
+
+    // 第一个时间不早于since的行，行按时间递增
+    indexOf(since) {
+        let low = 0;
+        let high = this.rows.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.rows.at(mid).timestamp < since) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    // 时间窗口内各通道的 [[时间, 数值], ...]
+    series(since = -Infinity, until = Infinity) {
+        const series = new Map(this.channels.map(name => [name, []]));
+        for (let i = this.indexOf(since); i < this.rows.length; i++) {
+            const row = this.rows.at(i);
+            if (row.timestamp > until) break;
+            for (const name in row.values) series.get(name).push([row.timestamp, row.values[name]]);
+        }
+        return series;
+    }
+
+    // 时间窗口内各通道的 { count, min, max, avg, last }
+    stats(since = -Infinity, until = Infinity) {
+        const stats = new Map();
+        for (let i = this.indexOf(since); i < this.rows.length; i++) {
+            const row = this.rows.at(i);
+            if (row.timestamp > until) break;
+            for (const name in row.values) {
+                const value = row.values[name];
+                const item = stats.get(name);
+                if (!item) {
+                    stats.set(name, { count: 1, min: value, max: value, sum: value, last: value });
+                    continue;
+                }
+                item.count++;
+                item.min = Math.min(item.min, value);
+                item.max = Math.max(item.max, value);
+                item.sum += value;
+                item.last = value;
+            }
+        }
+        return this.channels.filter(name => stats.has(name)).map(name => {
+            const { count, min, max, sum, last } = stats.get(name);
+            return { name, count, min, max, avg: sum / count, last };
+        });
+    }
+
+    // 每行一个采样，缺少的通道留空
+    toCsv(portName = portId => portId) {
+        const field = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const lines = [['时间戳(ms)', '时间', '串口', ...this.channels].map(field).join(',')];
+        this.rows.forEach(row => {
+            lines.push([
+                row.timestamp.toFixed(3),
+                new Date(row.timestamp).toISOString(),
+                field(String(portName(row.portId))),
+                ...this.channels.map(name => name in row.values ? String(row.values[name]) : '')
+            ].join(','));
+        });
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * 串口参数预设 - 持久化到localStorage，配置页编辑，监控页连接时按设备自动应用
+ * Serial Monitor Pro - Preset Store
+ *
+ * 预设: { id, name, baudRate, dataBits, stopBits, parity, flowControl, bufferSize,
+ *         readTimeout, writeTimeout, match, updatedAt }
+ * match 为 null 或 { usbVendorId, usbProductId, serialNumber? }，绑定后该USB设备连接时自动使用此预设。
+ *
+ * 导出文件格式: { format: 'serial-monitor-presets', version: 1, exportedAt, presets: [...] }
+ */
+
+class PresetStore {
+    static STORAGE_KEY = 'serialMonitor.presets';
+    static FILE_FORMAT = 'serial-monitor-presets';
+    static FILE_VERSION = 1;
+
+    static SETTINGS_DEFAULTS = {
+        baudRate: 115200,
+        dataBits: 8,
+        stopBits: 1,
+        parity: 'none',
+        flowControl: 'none',
+        bufferSize: 4096,
+        readTimeout: 0,
+        writeTimeout: 1000
+    };
+
+    // 首次使用时的内置预设
+    static DEFAULTS = [
+        { id: 'default', name: '默认配置', baudRate: 115200 },
+        { id: 'arduino-uno', name: 'Arduino UNO', baudRate: 9600 },
+        { id: 'gps', name: 'GPS模块', baudRate: 9600 },
+        { id: 'esp8266', name: 'ESP8266', baudRate: 115200 },
+        { id: 'stm32', name: 'STM32', baudRate: 115200 }
+    ];
+
+    static PARITIES = ['none', 'even', 'odd', 'mark', 'space'];
+
+    // 预设中的串口参数，可直接用于打开串口
+    static settingsOf(preset) {
+        const settings = {};
+        Object.keys(PresetStore.SETTINGS_DEFAULTS).forEach(key => { settings[key] = preset[key]; });
+        return settings;
+    }
+
+    static describe(preset) {
+        let text = `${preset.baudRate}, ${preset.dataBits}${preset.parity.charAt(0).toUpperCase()}${preset.stopBits}`;
+        text += preset.flowControl === 'hardware' ? ', RTS/CTS' : ', 无流控';
+        return text;
+    }
+
+    static describeMatch(match) {
+        if (!match) return '';
+        const hex = (value) => value.toString(16).toUpperCase().padStart(4, '0');
+        return `VID ${hex(match.usbVendorId)} PID ${hex(match.usbProductId)}` + (match.serialNumber ? ` SN ${match.serialNumber}` : '');
+    }
+
+    // 检查并规范化预设，缺少的串口参数取默认值；格式错误时抛出异常
+    static normalize(preset) {
+        if (!preset || typeof preset !== 'object') throw new Error('预设格式错误');
+        const name = String(preset.name || '').trim();
+        if (!name) throw new Error('预设名称不能为空');
+        const result = { id: preset.id ? String(preset.id) : PresetStore.createId(), name };
+        Object.entries(PresetStore.SETTINGS_DEFAULTS).forEach(([key, value]) => {
+            result[key] = preset[key] === undefined || preset[key] === '' ? value : preset[key];
+        });
+        ['baudRate', 'dataBits', 'stopBits', 'bufferSize', 'readTimeout', 'writeTimeout'].forEach(key => {
+            result[key] = Number(result[key]);
+        });
+        if (!(result.baudRate > 0)) throw new Error(`预设"${name}"的波特率无效`);
+        if (![7, 8].includes(result.dataBits)) throw new Error(`预设"${name}"的数据位无效`);
+        if (![1, 2].includes(result.stopBits)) throw new Error(`预设"${name}"的停止位无效`);
+        if (!PresetStore.PARITIES.includes(result.parity)) throw new Error(`预设"${name}"的校验位无效`);
+        if (!['none', 'hardware'].includes(result.flowControl)) throw new Error(`预设"${name}"的流控制无效`);
+        if (!(result.bufferSize > 0)) throw new Error(`预设"${name}"的缓冲区大小无效`);
+        if (!(result.readTimeout >= 0) || !(result.writeTimeout >= 0)) throw new Error(`预设"${name}"的超时无效`);
+        result.match = PresetStore.normalizeMatch(preset.match, name);
+        result.updatedAt = preset.updatedAt || Date.now();
+        return result;
+    }
+
+    static normalizeMatch(match, name) {
+        if (!match) return null;
+        const usbVendorId = Number(match.usbVendorId);
+        const usbProductId = Number(match.usbProductId);
+        const valid = (value) => Number.isInteger(value) && value > 0 && value <= 0xffff;
+        if (!valid(usbVendorId) || !valid(usbProductId)) throw new Error(`预设"${name}"绑定的VID/PID无效`);
+        const serialNumber = match.serialNumber ? String(match.serialNumber).trim() : '';
+        return serialNumber ? { usbVendorId, usbProductId, serialNumber } : { usbVendorId, usbProductId };
+    }
+
+    static createId() {
+        return `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    constructor(storage = localStorage) {
+        this.storage = storage;
+    }
+
+    // 每次从存储读取，其他页面的修改立即可见
+    list() {
+        const raw = this.storage.getItem(PresetStore.STORAGE_KEY);
+        if (raw === null) {
+            return PresetStore.DEFAULTS.map(preset => PresetStore.normalize(preset));
+        }
+        try {
+            const presets = JSON.parse(raw);
+            if (!Array.isArray(presets)) return [];
+            return presets.flatMap(preset => {
+                try {
+                    return [PresetStore.normalize(preset)];
+                } catch (error) {
+                    console.warn('忽略无效的预设:', error.message);
+                    return [];
+                }
+            });
+        } catch {
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.list().find(preset => preset.id === id) || null;
+    }
+
+    write(presets) {
+        this.storage.setItem(PresetStore.STORAGE_KEY, JSON.stringify(presets));
+    }
+
+    // 新建或按id更新，名称不能与其他预设重复
+    save(preset) {
+        const normalized = PresetStore.normalize({ ...preset, updatedAt: Date.now() });
+        const presets = this.list();
+        if (presets.some(item => item.id !== normalized.id && item.name === normalized.name)) {
+            throw new Error(`已存在名为"${normalized.name}"的预设`);
+        }
+        const index = presets.findIndex(item => item.id === normalized.id);
+        if (index >= 0) presets[index] = normalized;
+        else presets.push(normalized);
+        this.write(presets);
+        return normalized;
+    }
+
+    rename(id, name) {
+        const preset = this.get(id);
+        if (!preset) throw new Error('预设不存在');
+        return this.save({ ...preset, name });
+    }
+
+    remove(id) {
+        const presets = this.list();
+        const remaining = presets.filter(preset => preset.id !== id);
+        if (remaining.length === presets.length) return false;
+        this.write(remaining);
+        return true;
+    }
+
+    // 绑定到该设备的预设，指定了序列号的绑定优先
+    findForDevice(info = {}) {
+        if (!info.usbVendorId) return null;
+        const candidates = this.list().filter(preset => preset.match &&
+            preset.match.usbVendorId === info.usbVendorId &&
+            preset.match.usbProductId === info.usbProductId &&
+            (!preset.match.serialNumber || preset.match.serialNumber === info.serialNumber));
+        return candidates.find(preset => preset.match.serialNumber) || candidates[0] || null;
+    }
+
+    exportJson() {
+        return JSON.stringify({
+            format: PresetStore.FILE_FORMAT,
+            version: PresetStore.FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            presets: this.list()
+        }, null, 2);
+    }
+
+    /**
+     * 导入导出的JSON，也接受预设数组。replace为true时替换全部预设，
+     * 否则与现有预设合并：id或名称相同的覆盖，其余追加。返回 { added, updated, total }
+     */
+    importJson(text, { replace = false } = {}) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('文件不是有效的JSON');
+        }
+        let items = data;
+        if (!Array.isArray(data)) {
+            if (!data || data.format !== PresetStore.FILE_FORMAT || !Array.isArray(data.presets)) {
+                throw new Error('不是预设导出文件');
+            }
+            if (data.version > PresetStore.FILE_VERSION) {
+                throw new Error(`不支持的预设文件版本: ${data.version}`);
+            }
+            items = data.presets;
+        }
+        const imported = items.map(item => PresetStore.normalize(item));
+        const names = new Set();
+        imported.forEach(preset => {
+            if (names.has(preset.name)) throw new Error(`文件中有重名的预设"${preset.name}"`);
+            names.add(preset.name);
+        });
+
+        const presets = replace ? [] : this.list();
+        let added = 0;
+        let updated = 0;
+        imported.forEach(preset => {
+            const index = presets.findIndex(item => item.id === preset.id || item.name === preset.name);
+            if (index >= 0) {
+                presets[index] = preset;
+                updated++;
+            } else {
+                presets.push(preset);
+                added++;
+            }
+        });
+        this.write(presets);
+        return { added, updated, total: presets.length };
+    }
+}
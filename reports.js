@@ -0,0 +1,393 @@
+/**
+ * 通信报告 - 根据捕获记录和分帧结果统计，生成HTML或Markdown报告
+ * Serial Monitor Pro - Report Builder
+ *
+ * 统计内容:
+ *   按串口的收发字节数、平均速率、峰值速率（按时间段统计的最大值）和随时间变化的吞吐量
+ *   帧长度分布（按2的幂分组）、接收帧之间的间隔（最小/平均/中位数/P95/最大）
+ *   按类型统计的错误：分帧错误、校验失败、协议格式错误、读取超时；协议校验失败率
+ *
+ * records为CaptureStore的记录，frames为监控页广播的帧元数据 { portId, direction, timestamp, length, error, decoded }。
+ * HTML报告是独立的页面，图表由ECharts绘制，图表数据内嵌在页面中。
+ */
+
+class ReportBuilder {
+    static TYPES = {
+        summary: '汇总报告',
+        detailed: '详细报告',
+        error: '错误分析',
+        performance: '性能分析'
+    };
+
+    // 各类报告包含的章节，按顺序输出
+    static SECTIONS = {
+        summary: ['overview', 'ports'],
+        detailed: ['overview', 'ports', 'throughput', 'frameSizes', 'gaps', 'errors', 'errorList'],
+        error: ['overview', 'errors', 'errorList'],
+        performance: ['overview', 'ports', 'throughput', 'frameSizes', 'gaps']
+    };
+
+    static FRAME_ERRORS = {
+        overflow: '帧超长',
+        'slip-escape': 'SLIP转义错误',
+        'cobs-length': 'COBS长度错误'
+    };
+
+    static MAX_BUCKETS = 120;
+    static MAX_ERROR_LIST = 50;
+    static ECHARTS_URL = 'https://cdn.jsdelivr.net/npm/echarts@5.4.3/dist/echarts.min.js';
+
+    static analyze(records, frames = [], { portName = portId => portId, generatedAt = Date.now() } = {}) {
+        const data = records.filter(record => record.direction !== 'EVENT');
+        const start = records.length > 0 ? records[0].timestamp : generatedAt;
+        const end = records.length > 0 ? records[records.length - 1].timestamp : generatedAt;
+        const durationMs = end - start;
+        // 时间段为整秒，段数不超过MAX_BUCKETS
+        const bucketMs = Math.max(1000, Math.ceil(durationMs / ReportBuilder.MAX_BUCKETS / 1000) * 1000);
+        const bucketCount = Math.floor(durationMs / bucketMs) + 1;
+
+        const ports = new Map();
+        const getPort = (portId) => {
+            if (!ports.has(portId)) {
+                ports.set(portId, {
+                    portId,
+                    name: portName(portId),
+                    rxBytes: 0,
+                    txBytes: 0,
+                    first: null,
+                    last: null,
+                    rx: new Array(bucketCount).fill(0),
+                    tx: new Array(bucketCount).fill(0),
+                    frames: 0,
+                    gaps: []
+                });
+            }
+            return ports.get(portId);
+        };
+        for (const record of data) {
+            const port = getPort(record.portId);
+            const bucket = Math.min(bucketCount - 1, Math.floor((record.timestamp - start) / bucketMs));
+            if (record.direction === 'RX') {
+                port.rxBytes += record.data.length;
+                port.rx[bucket] += record.data.length;
+            } else {
+                port.txBytes += record.data.length;
+                port.tx[bucket] += record.data.length;
+            }
+            if (port.first === null) port.first = record.timestamp;
+            port.last = record.timestamp;
+        }
+
+        const sizes = [];
+        const lastRx = new Map();
+        const errors = new Map(); // 错误类型 -> 次数
+        const errorList = [];
+        const addError = (type, frame, detail) => {
+            errors.set(type, (errors.get(type) || 0) + 1);
+            errorList.push({ timestamp: frame.timestamp, port: portName(frame.portId), type, detail });
+        };
+        let checked = 0;
+        let checksumFailed = 0;
+        for (const frame of frames) {
+            if (frame.direction === 'EVENT') continue;
+            sizes.push(frame.length);
+            const port = getPort(frame.portId);
+            port.frames++;
+            if (frame.direction === 'RX') {
+                if (lastRx.has(frame.portId)) port.gaps.push(frame.timestamp - lastRx.get(frame.portId));
+                lastRx.set(frame.portId, frame.timestamp);
+            }
+            if (frame.error) {
+                addError(ReportBuilder.FRAME_ERRORS[frame.error] || `分帧错误(${frame.error})`, frame, frame.error);
+            }
+            const decoded = frame.decoded;
+            if (!decoded) continue;
+            if (decoded.checksum) {
+                checked++;
+                if (!decoded.valid) {
+                    checksumFailed++;
+                    addError(`${decoded.checksum.type}校验失败`, frame, `${decoded.protocol || ''} 期望 ${decoded.checksum.expected} 实际 ${decoded.checksum.actual}`.trim());
+                }
+            } else if (!decoded.valid) {
+                addError('协议格式错误', frame, decoded.error || decoded.summary || decoded.protocol || '');
+            }
+        }
+        records.filter(record => record.direction === 'EVENT' && record.event && record.event.type === 'timeout')
+            .forEach(record => addError('读取超时', record, record.event.message));
+        errorList.sort((a, b) => a.timestamp - b.timestamp);
+
+        const bucketSeconds = bucketMs / 1000;
+        const portStats = Array.from(ports.values()).map(port => {
+            const span = port.first === null ? 0 : port.last - port.first;
+            const bytes = port.rxBytes + port.txBytes;
+            const rates = port.rx.map((rx, i) => (rx + port.tx[i]) / bucketSeconds);
+            return {
+                portId: port.portId,
+                name: port.name,
+                rxBytes: port.rxBytes,
+                txBytes: port.txBytes,
+                frames: port.frames,
+                averageRate: bytes / Math.max(1, span / 1000),
+                peakRate: rates.length > 0 ? Math.max(...rates) : 0,
+                rxRate: port.rx.map(bytes => bytes / bucketSeconds),
+                txRate: port.tx.map(bytes => bytes / bucketSeconds),
+                gaps: ReportBuilder.summarize(port.gaps)
+            };
+        });
+        const totalBytes = portStats.reduce((sum, port) => sum + port.rxBytes + port.txBytes, 0);
+        const totalRates = new Array(bucketCount).fill(0);
+        portStats.forEach(port => port.rxRate.forEach((rate, i) => { totalRates[i] += rate + port.txRate[i]; }));
+
+        return {
+            generatedAt,
+            start,
+            end,
+            durationMs,
+            bucketMs,
+            times: Array.from({ length: bucketCount }, (_, i) => start + i * bucketMs),
+            totalBytes,
+            recordCount: data.length,
+            frameCount: sizes.length,
+            averageRate: totalBytes / Math.max(1, durationMs / 1000),
+            peakRate: Math.max(0, ...totalRates),
+            ports: portStats,
+            frameSizes: ReportBuilder.histogram(sizes),
+            meanFrameSize: sizes.length > 0 ? sizes.reduce((sum, size) => sum + size, 0) / sizes.length : 0,
+            errors: Array.from(errors, ([type, count]) => ({ type, count })).sort((a, b) => b.count - a.count),
+            errorCount: errorList.length,
+            errorList: errorList.slice(-ReportBuilder.MAX_ERROR_LIST),
+            checksum: { checked, failed: checksumFailed, rate: checked > 0 ? checksumFailed / checked : 0 }
+        };
+    }
+
+    // 按2的幂分组: 1, 2-3, 4-7 ... 1024+
+    static histogram(sizes) {
+        const bins = [];
+        for (let low = 1; low <= 1024; low *= 2) {
+            bins.push({ label: low === 1 ? '1' : low === 1024 ? '1024+' : `${low}-${low * 2 - 1}`, low, count: 0 });
+        }
+        const empty = { label: '0', low: 0, count: 0 };
+        for (const size of sizes) {
+            if (size <= 0) {
+                empty.count++;
+                continue;
+            }
+            const index = Math.min(bins.length - 1, Math.floor(Math.log2(size)));
+            bins[index].count++;
+        }
+        return (empty.count > 0 ? [empty, ...bins] : bins).map(({ label, count }) => ({ label, count }));
+    }
+
+    static summarize(values) {
+        if (values.length === 0) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const at = (ratio) => sorted[Math.min(sorted.length - 1, Math.floor(ratio * sorted.length))];
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+            p50: at(0.5),
+            p95: at(0.95)
+        };
+    }
+
+    static formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        return parseFloat((bytes / Math.pow(1024, i)).toFixed(1)) + ' ' + units[i];
+    }
+
+    static formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString();
+    }
+
+    static formatMs(ms) {
+        return ms < 1000 ? `${parseFloat(ms.toFixed(1))} ms` : `${parseFloat((ms / 1000).toFixed(2))} s`;
+    }
+
+    static percent(ratio) {
+        return `${(ratio * 100).toFixed(2)}%`;
+    }
+
+    // 报告内容按章节生成 { title, table?: { head, rows }, text?, chart? }，HTML和Markdown共用
+    static sections(type, stats) {
+        const f = ReportBuilder;
+        const builders = {
+            overview: () => ({
+                title: '概况',
+                table: {
+                    head: ['项目', '数值'],
+                    rows: [
+                        ['时间范围', stats.recordCount > 0 ? `${f.formatTime(stats.start)} ~ ${f.formatTime(stats.end)}` : '无数据'],
+                        ['持续时间', f.formatMs(stats.durationMs)],
+                        ['串口数', stats.ports.length],
+                        ['总数据量', f.formatBytes(stats.totalBytes)],
+                        ['数据块数', stats.recordCount],
+                        ['帧数', stats.frameCount],
+                        ['平均速率', `${f.formatBytes(stats.averageRate)}/s`],
+                        ['峰值速率', `${f.formatBytes(stats.peakRate)}/s（按${stats.bucketMs / 1000}秒统计）`],
+                        ['错误数', stats.errorCount],
+                        ['协议校验失败率', stats.checksum.checked > 0 ?
+                            `${f.percent(stats.checksum.rate)}（${stats.checksum.failed}/${stats.checksum.checked}）` : '无校验数据']
+                    ]
+                }
+            }),
+            ports: () => ({
+                title: '各串口统计',
+                table: {
+                    head: ['串口', '接收', '发送', '帧数', '平均速率', '峰值速率'],
+                    rows: stats.ports.map(port => [
+                        port.name,
+                        f.formatBytes(port.rxBytes),
+                        f.formatBytes(port.txBytes),
+                        port.frames,
+                        `${f.formatBytes(port.averageRate)}/s`,
+                        `${f.formatBytes(port.peakRate)}/s`
+                    ])
+                }
+            }),
+            throughput: () => ({
+                title: '吞吐量',
+                text: `每${stats.bucketMs / 1000}秒统计一次，单位为字节/秒。`,
+                chart: {
+                    tooltip: { trigger: 'axis' },
+                    legend: { type: 'scroll' },
+                    xAxis: { type: 'category', data: stats.times.map(time => new Date(time).toLocaleTimeString()) },
+                    yAxis: { type: 'value', name: 'B/s' },
+                    series: stats.ports.flatMap(port => [
+                        { name: `${port.name} 接收`, type: 'line', showSymbol: false, data: port.rxRate.map(Math.round) },
+                        { name: `${port.name} 发送`, type: 'line', showSymbol: false, data: port.txRate.map(Math.round) }
+                    ])
+                },
+                table: {
+                    head: ['时间', ...stats.ports.flatMap(port => [`${port.name} 接收(B/s)`, `${port.name} 发送(B/s)`])],
+                    rows: stats.times.map((time, i) => [
+                        new Date(time).toLocaleTimeString(),
+                        ...stats.ports.flatMap(port => [Math.round(port.rxRate[i]), Math.round(port.txRate[i])])
+                    ])
+                }
+            }),
+            frameSizes: () => ({
+                title: '帧长度分布',
+                text: stats.frameCount > 0 ? `共${stats.frameCount}帧，平均长度 ${stats.meanFrameSize.toFixed(1)} 字节。` : '没有分帧数据。',
+                chart: stats.frameCount > 0 ? {
+                    tooltip: {},
+                    xAxis: { type: 'category', name: '字节', data: stats.frameSizes.map(bin => bin.label) },
+                    yAxis: { type: 'value', name: '帧数' },
+                    series: [{ type: 'bar', data: stats.frameSizes.map(bin => bin.count) }]
+                } : null,
+                table: {
+                    head: ['长度(字节)', '帧数'],
+                    rows: stats.frameSizes.filter(bin => bin.count > 0).map(bin => [bin.label, bin.count])
+                }
+            }),
+            gaps: () => ({
+                title: '接收帧间隔',
+                table: {
+                    head: ['串口', '间隔数', '最小', '平均', '中位数', 'P95', '最大'],
+                    rows: stats.ports.filter(port => port.gaps).map(port => [
+                        port.name,
+                        port.gaps.count,
+                        f.formatMs(port.gaps.min),
+                        f.formatMs(port.gaps.mean),
+                        f.formatMs(port.gaps.p50),
+                        f.formatMs(port.gaps.p95),
+                        f.formatMs(port.gaps.max)
+                    ])
+                }
+            }),
+            errors: () => ({
+                title: '错误统计',
+                text: stats.errorCount === 0 ? '没有错误记录。' : `共${stats.errorCount}个错误。`,
+                chart: stats.errorCount > 0 ? {
+                    tooltip: {},
+                    series: [{ type: 'pie', radius: '60%', data: stats.errors.map(item => ({ name: item.type, value: item.count })) }]
+                } : null,
+                table: {
+                    head: ['错误类型', '次数', '占比'],
+                    rows: stats.errors.map(item => [item.type, item.count, f.percent(item.count / stats.errorCount)])
+                }
+            }),
+            errorList: () => ({
+                title: `最近的错误（最多${ReportBuilder.MAX_ERROR_LIST}条）`,
+                table: {
+                    head: ['时间', '串口', '类型', '详情'],
+                    rows: stats.errorList.map(item => [f.formatTime(item.timestamp), item.port, item.type, item.detail])
+                }
+            })
+        };
+        return ReportBuilder.SECTIONS[type].map(name => builders[name]());
+    }
+
+    static toMarkdown(type, stats) {
+        const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const lines = [`# 串口通信${ReportBuilder.TYPES[type]}`, '', `生成时间: ${ReportBuilder.formatTime(stats.generatedAt)}`];
+        for (const section of ReportBuilder.sections(type, stats)) {
+            lines.push('', `## ${section.title}`);
+            if (section.text) lines.push('', section.text);
+            if (section.table && section.table.rows.length > 0) {
+                lines.push('', `| ${section.table.head.map(cell).join(' | ')} |`, `|${section.table.head.map(() => ' --- ').join('|')}|`);
+                section.table.rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static toHtml(type, stats) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const title = `串口通信${ReportBuilder.TYPES[type]}`;
+        const charts = [];
+        const body = ReportBuilder.sections(type, stats).map(section => {
+            let html = `<section><h2>${escape(section.title)}</h2>`;
+            if (section.text) html += `<p>${escape(section.text)}</p>`;
+            if (section.chart) {
+                html += `<div class="chart" id="chart-${charts.length}"></div>`;
+                charts.push(section.chart);
+            }
+            if (section.table && section.table.rows.length > 0) {
+                html += '<table><thead><tr>' + section.table.head.map(item => `<th>${escape(item)}</th>`).join('') + '</tr></thead><tbody>' +
+                    section.table.rows.map(row => '<tr>' + row.map(item => `<td>${escape(item)}</td>`).join('') + '</tr>').join('') +
+                    '</tbody></table>';
+            }
+            return html + '</section>';
+        }).join('\n');
+        // 内嵌的JSON中转义<，避免提前结束script标签
+        const chartData = JSON.stringify(charts).replace(/</g, '\\u003c');
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<script src="${ReportBuilder.ECHARTS_URL}"></script>
+<style>
+body { font-family: -apple-system, "Segoe UI", "Microsoft YaHei", sans-serif; margin: 2rem auto; max-width: 1100px; color: #1f2937; }
+h1 { border-bottom: 2px solid #00d4ff; padding-bottom: .5rem; }
+h2 { margin-top: 2rem; color: #0f3460; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; margin-top: .5rem; }
+th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; }
+th { background: #f3f4f6; }
+.chart { height: 320px; margin: 1rem 0; }
+.meta { color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p class="meta">生成时间: ${escape(ReportBuilder.formatTime(stats.generatedAt))}</p>
+${body}
+<script>
+const charts = ${chartData};
+if (window.echarts) {
+    charts.forEach((option, i) => echarts.init(document.getElementById('chart-' + i)).setOption(option));
+}
+</script>
+</body>
+</html>
+`;
+    }
+}
@@ -0,0 +1,565 @@
+/**
+ * 测试序列 - 按脚本发送数据、等待应答、断言结果，用于板卡上电检查和引导程序握手等自动化测试
+ * Serial Monitor Pro - Test Sequences
+ *
+ * 脚本每行一条命令，#开头为注释:
+ *   send "AT\r\n"            发送文本，支持 \r \n \t \0 \\ \" \xHH 转义和 ${变量}
+ *   sendhex 7F 00 FF         发送十六进制字节
+ *   expect /OK/i [500ms]     等待接收数据匹配正则，也可以是 "文本"；未指定超时时使用默认超时
+ *   expecthex 79 ?? [500ms]  等待字节序列，?? 匹配任意字节
+ *   delay 100                等待毫秒数
+ *   timeout 2000             设置之后expect的默认超时
+ *   loop 3 ... end           循环执行，可嵌套
+ *   set ver = $1             从上一次expect的捕获组取值（$0为整个匹配），也可以是 "文本" 或数字
+ *   assert ${ver} == "1.2"   断言，运算符 == != < > <= >= =~（右侧为正则）
+ *   log "版本 ${ver}"         输出到日志
+ *
+ * 接收数据从运行开始累积，expect从上次匹配结束处向后查找。正则按单字节字符匹配，
+ * 适用于AT命令、引导程序等ASCII或二进制协议。任一步骤失败时停止执行。
+ */
+
+class SequenceRunner {
+    static DEFAULT_TIMEOUT_MS = 1000;
+    static MAX_BUFFER = 64 * 1024; // 已匹配的接收数据超过此长度时丢弃
+    static OPERATORS = ['==', '!=', '<=', '>=', '<', '>', '=~'];
+
+    /**
+     * 解析脚本为步骤列表，格式错误时抛出 "第N行: 原因"
+     * 步骤: { line, source, type, ... }，loop步骤带steps子列表
+     */
+    static parse(source) {
+        const root = { steps: [] };
+        const stack = [root];
+        source.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = index + 1;
+            const text = rawLine.trim();
+            if (!text || text.startsWith('#')) return;
+            try {
+                const tokens = SequenceRunner.tokenize(text);
+                const command = tokens.shift().toLowerCase();
+                const current = stack[stack.length - 1];
+                if (command === 'end') {
+                    if (tokens.length > 0) throw new Error('end不带参数');
+                    if (stack.length === 1) throw new Error('多余的end');
+                    stack.pop();
+                    return;
+                }
+                const step = { line, source: text, ...SequenceRunner.parseCommand(command, tokens) };
+                current.steps.push(step);
+                if (step.type === 'loop') stack.push(step);
+            } catch (error) {
+                throw new Error(`第${line}行: ${error.message}`);
+            }
+        });
+        if (stack.length > 1) {
+            throw new Error(`第${stack[stack.length - 1].line}行: loop缺少对应的end`);
+        }
+        return root.steps;
+    }
+
+    static parseCommand(command, tokens) {
+        const count = (min, max = min) => {
+            if (tokens.length < min || tokens.length > max) throw new Error(`${command}的参数个数不正确`);
+        };
+        switch (command) {
+            case 'send':
+                count(1);
+                return { type: 'send', text: SequenceRunner.parseString(tokens[0]) };
+            case 'sendhex':
+                if (tokens.length === 0) throw new Error('sendhex缺少数据');
+                return { type: 'sendhex', bytes: SequenceRunner.parseHex(tokens.join(' '), false) };
+            case 'expect': {
+                const timeoutMs = SequenceRunner.takeTimeout(tokens);
+                count(1);
+                const token = tokens[0];
+                if (token.startsWith('/')) {
+                    return { type: 'expect', pattern: SequenceRunner.parseRegex(token), timeoutMs };
+                }
+                const literal = SequenceRunner.toBinary(SequenceRunner.unescape(SequenceRunner.parseString(token)));
+                return { type: 'expect', pattern: new RegExp(SequenceRunner.escapeRegex(literal)), timeoutMs };
+            }
+            case 'expecthex': {
+                const timeoutMs = SequenceRunner.takeTimeout(tokens);
+                if (tokens.length === 0) throw new Error('expecthex缺少数据');
+                const bytes = SequenceRunner.parseHex(tokens.join(' '), true);
+                const source = bytes.map(byte => byte === null ? '[\\s\\S]' : `\\x${byte.toString(16).padStart(2, '0')}`).join('');
+                return { type: 'expect', pattern: new RegExp(source), timeoutMs };
+            }
+            case 'delay':
+                count(1);
+                return { type: 'delay', ms: SequenceRunner.parseMs(tokens[0]) };
+            case 'timeout':
+                count(1);
+                return { type: 'timeout', ms: SequenceRunner.parseMs(tokens[0]) };
+            case 'loop': {
+                count(1);
+                const times = Number(tokens[0]);
+                if (!Number.isInteger(times) || times < 1) throw new Error('循环次数应为正整数');
+                return { type: 'loop', times, steps: [] };
+            }
+            case 'set': {
+                count(3);
+                if (!/^[A-Za-z_]\w*$/.test(tokens[0])) throw new Error(`无效的变量名: ${tokens[0]}`);
+                if (tokens[1] !== '=') throw new Error('set的格式为 set 变量 = 值');
+                const value = tokens[2];
+                if (/^\$\d$/.test(value)) return { type: 'set', name: tokens[0], group: Number(value.slice(1)) };
+                return { type: 'set', name: tokens[0], value: SequenceRunner.parseOperand(value) };
+            }
+            case 'assert': {
+                count(3);
+                const operator = tokens[1];
+                if (!SequenceRunner.OPERATORS.includes(operator)) throw new Error(`不支持的运算符: ${operator}`);
+                const right = operator === '=~'
+                    ? { regex: SequenceRunner.parseRegex(tokens[2]) }
+                    : SequenceRunner.parseOperand(tokens[2]);
+                return { type: 'assert', left: SequenceRunner.parseOperand(tokens[0]), operator, right };
+            }
+            case 'log':
+                count(1);
+                return { type: 'log', text: SequenceRunner.parseString(tokens[0]) };
+            default:
+                throw new Error(`未知的命令: ${command}`);
+        }
+    }
+
+    // 按空白拆分，保留 "字符串" 和 /正则/标志 中的空白
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+            const start = i;
+            const quote = text[i] === '"' ? '"' : text[i] === '/' ? '/' : null;
+            if (quote) {
+                i++;
+                while (i < text.length && text[i] !== quote) {
+                    i += text[i] === '\\' ? 2 : 1;
+                }
+                if (i >= text.length) throw new Error(quote === '"' ? '字符串缺少结束引号' : '正则缺少结束的/');
+                i++;
+                if (quote === '/') {
+                    while (i < text.length && /[a-z]/i.test(text[i])) i++;
+                }
+                if (i < text.length && !/\s/.test(text[i])) throw new Error(`无法解析: ${text.slice(start)}`);
+            } else {
+                while (i < text.length && !/\s/.test(text[i])) i++;
+            }
+            tokens.push(text.slice(start, i));
+        }
+        return tokens;
+    }
+
+    // 去掉末尾的 "500ms" 超时参数
+    static takeTimeout(tokens) {
+        if (tokens.length > 1 && /^\d+ms$/.test(tokens[tokens.length - 1])) {
+            return parseInt(tokens.pop());
+        }
+        return null;
+    }
+
+    static parseMs(token) {
+        const match = /^(\d+)(ms)?$/.exec(token);
+        if (!match) throw new Error(`无效的毫秒数: ${token}`);
+        return parseInt(match[1]);
+    }
+
+    // 字符串字面量，转义和变量在运行时处理
+    static parseString(token) {
+        if (!/^".*"$/.test(token) || token.length < 2) throw new Error(`应为带引号的字符串: ${token}`);
+        return token.slice(1, -1);
+    }
+
+    static parseRegex(token) {
+        const match = /^\/(.*)\/([a-z]*)$/i.exec(token);
+        if (!match) throw new Error(`应为正则表达式: ${token}`);
+        try {
+            // 查找位置由cursor控制，忽略g和y标志
+            return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+        } catch (error) {
+            throw new Error(`无效的正则表达式: ${error.message}`);
+        }
+    }
+
+    // 十六进制字节，允许空格分隔或连写；wildcard为true时 ?? 表示任意字节（返回null）
+    static parseHex(text, wildcard) {
+        const compact = text.replace(/\s+/g, '').replace(/0x/gi, '');
+        if (compact.length === 0 || compact.length % 2 !== 0) throw new Error(`无效的十六进制数据: ${text}`);
+        const bytes = [];
+        for (let i = 0; i < compact.length; i += 2) {
+            const pair = compact.slice(i, i + 2);
+            if (wildcard && pair === '??') {
+                bytes.push(null);
+            } else if (/^[0-9a-f]{2}$/i.test(pair)) {
+                bytes.push(parseInt(pair, 16));
+            } else {
+                throw new Error(`无效的十六进制数据: ${text}`);
+            }
+        }
+        return bytes;
+    }
+
+    // 操作数: ${变量}、"字符串" 或数字
+    static parseOperand(token) {
+        const variable = /^\$\{([A-Za-z_]\w*)\}$/.exec(token);
+        if (variable) return { variable: variable[1] };
+        if (token.startsWith('"')) return { text: SequenceRunner.parseString(token) };
+        if (token !== '' && !isNaN(Number(token))) return { number: Number(token) };
+        throw new Error(`无效的值: ${token}`);
+    }
+
+    static unescape(text) {
+        return text.replace(/\\(x[0-9a-fA-F]{2}|.)/g, (all, code) => {
+            if (code[0] === 'x' && code.length === 3) return String.fromCharCode(parseInt(code.slice(1), 16));
+            return { r: '\r', n: '\n', t: '\t', 0: '\0' }[code] ?? code;
+        });
+    }
+
+    static escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // 文本按UTF-8编码后每个字节一个字符，与接收缓冲区的表示一致；\xHH转义保持为单字节
+    static toBinary(text) {
+        let result = '';
+        for (const char of text) {
+            if (char.charCodeAt(0) < 0x100) {
+                result += char;
+            } else {
+                new TextEncoder().encode(char).forEach(byte => { result += String.fromCharCode(byte); });
+            }
+        }
+        return result;
+    }
+
+    // 接收缓冲区中的单字节字符串按UTF-8解码为文本
+    static fromBinary(binary) {
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    }
+
+    static printable(binary, max = 40) {
+        const text = binary.length > max ? binary.slice(-max) : binary;
+        return (binary.length > max ? '...' : '') + Array.from(text, char => {
+            const code = char.charCodeAt(0);
+            if (code === 0x0d) return '\\r';
+            if (code === 0x0a) return '\\n';
+            return code >= 0x20 && code < 0x7f ? char : `\\x${code.toString(16).padStart(2, '0')}`;
+        }).join('');
+    }
+
+    /**
+     * io         { send(bytes) => Promise, onReceive(callback(bytes)) => 取消订阅函数 }
+     * options    timeoutMs expect的默认超时，
+     *            onLog(entry) 每步执行后回调，entry为 { line, source, status: 'pass'|'fail'|'info', message, timestamp }
+     */
+    constructor(io, options = {}) {
+        this.io = io;
+        this.defaultTimeoutMs = options.timeoutMs || SequenceRunner.DEFAULT_TIMEOUT_MS;
+        this.onLog = options.onLog || null;
+        this.running = false;
+        this.stopped = false;
+        this.wake = null; // 等待中的步骤，收到数据或停止时调用
+        this.sleepTimer = null;
+        this.log = [];
+    }
+
+    /**
+     * 执行脚本或已解析的步骤。返回 { ok, stopped, passed, failed, durationMs, variables, log }
+     */
+    async run(script) {
+        if (this.running) throw new Error('测试序列正在运行');
+        const steps = typeof script === 'string' ? SequenceRunner.parse(script) : script;
+        this.running = true;
+        this.stopped = false;
+        this.timeoutMs = this.defaultTimeoutMs;
+        this.buffer = ''; // 接收数据，每个字节一个字符
+        this.cursor = 0; // 下一次expect的起始位置
+        this.lastMatch = null;
+        this.variables = {};
+        this.log = [];
+        const startTime = Date.now();
+        const unsubscribe = this.io.onReceive(bytes => this.receive(bytes));
+        let ok = false;
+        try {
+            ok = await this.runSteps(steps);
+        } finally {
+            unsubscribe();
+            this.running = false;
+        }
+        const count = (status) => this.log.filter(entry => entry.status === status).length;
+        return {
+            ok: ok && !this.stopped,
+            stopped: this.stopped,
+            passed: count('pass'),
+            failed: count('fail'),
+            durationMs: Date.now() - startTime,
+            variables: { ...this.variables },
+            log: this.log
+        };
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.stopped = true;
+        clearTimeout(this.sleepTimer);
+        if (this.wake) this.wake();
+    }
+
+    receive(bytes) {
+        for (const byte of bytes) this.buffer += String.fromCharCode(byte);
+        if (this.cursor > SequenceRunner.MAX_BUFFER) {
+            this.buffer = this.buffer.slice(this.cursor);
+            this.cursor = 0;
+        }
+        if (this.wake) this.wake();
+    }
+
+    async runSteps(steps) {
+        for (const step of steps) {
+            if (this.stopped) return false;
+            let ok;
+            try {
+                ok = await this.runStep(step);
+            } catch (error) {
+                this.record(step, 'fail', error.message);
+                ok = false;
+            }
+            if (!ok) return false;
+        }
+        return !this.stopped;
+    }
+
+    async runStep(step) {
+        switch (step.type) {
+            case 'send':
+            case 'sendhex': {
+                const bytes = step.type === 'send'
+                    ? Uint8Array.from(SequenceRunner.toBinary(SequenceRunner.unescape(this.interpolate(step.text))), char => char.charCodeAt(0))
+                    : Uint8Array.from(step.bytes);
+                await this.io.send(bytes);
+                this.record(step, 'pass', `已发送 ${bytes.length} 字节`);
+                return true;
+            }
+            case 'expect':
+                return this.expect(step);
+            case 'delay':
+                await this.sleep(step.ms);
+                if (this.stopped) return false;
+                this.record(step, 'info', `等待 ${step.ms}ms`);
+                return true;
+            case 'timeout':
+                this.timeoutMs = step.ms;
+                this.record(step, 'info', `默认超时 ${step.ms}ms`);
+                return true;
+            case 'loop':
+                for (let i = 1; i <= step.times; i++) {
+                    this.record(step, 'info', `第 ${i}/${step.times} 次`);
+                    if (!await this.runSteps(step.steps)) return false;
+                }
+                return true;
+            case 'set': {
+                let value;
+                if (step.group !== undefined) {
+                    if (!this.lastMatch) throw new Error('之前没有成功的expect');
+                    if (this.lastMatch[step.group] === undefined) throw new Error(`上一次匹配没有第${step.group}个捕获组`);
+                    value = SequenceRunner.fromBinary(this.lastMatch[step.group]);
+                } else {
+                    value = this.resolve(step.value);
+                }
+                this.variables[step.name] = value;
+                this.record(step, 'pass', `${step.name} = ${JSON.stringify(value)}`);
+                return true;
+            }
+            case 'assert':
+                return this.assert(step);
+            case 'log':
+                this.record(step, 'info', SequenceRunner.unescape(this.interpolate(step.text)));
+                return true;
+            default:
+                throw new Error(`未知的步骤: ${step.type}`);
+        }
+    }
+
+    async expect(step) {
+        const timeoutMs = step.timeoutMs ?? this.timeoutMs;
+        const startTime = Date.now();
+        const match = await new Promise(resolve => {
+            const finish = (result) => {
+                this.wake = null;
+                clearTimeout(timer);
+                resolve(result);
+            };
+            const attempt = () => {
+                if (this.stopped) return finish(null);
+                const found = step.pattern.exec(this.buffer.slice(this.cursor));
+                if (found) {
+                    this.cursor += found.index + found[0].length;
+                    finish(found);
+                }
+            };
+            const timer = setTimeout(() => finish(null), timeoutMs);
+            this.wake = attempt;
+            attempt();
+        });
+        if (this.stopped) return false;
+        if (!match) {
+            const rest = this.buffer.slice(this.cursor);
+            this.record(step, 'fail', `${timeoutMs}ms内未匹配，已收到: ${rest.length > 0 ? `"${SequenceRunner.printable(rest)}"` : '无数据'}`);
+            return false;
+        }
+        this.lastMatch = match;
+        this.record(step, 'pass', `匹配 "${SequenceRunner.printable(match[0])}" (${Date.now() - startTime}ms)`);
+        return true;
+    }
+
+    assert(step) {
+        const left = this.resolve(step.left);
+        let ok;
+        let right;
+        if (step.operator === '=~') {
+            right = step.right.regex;
+            ok = right.test(String(left));
+        } else {
+            right = this.resolve(step.right);
+            const numeric = typeof right === 'number' || typeof left === 'number';
+            const a = numeric ? Number(left) : String(left);
+            const b = numeric ? Number(right) : String(right);
+            if (numeric && (isNaN(a) || isNaN(b))) {
+                ok = false;
+            } else {
+                ok = {
+                    '==': a === b, '!=': a !== b, '<': a < b, '>': a > b, '<=': a <= b, '>=': a >= b
+                }[step.operator];
+            }
+        }
+        const describe = (value) => value instanceof RegExp ? String(value) : JSON.stringify(value);
+        this.record(step, ok ? 'pass' : 'fail', `${describe(left)} ${step.operator} ${describe(right)}${ok ? '' : ' 不成立'}`);
+        return ok;
+    }
+
+    resolve(operand) {
+        if (operand.variable !== undefined) {
+            if (!(operand.variable in this.variables)) throw new Error(`未定义的变量: ${operand.variable}`);
+            return this.variables[operand.variable];
+        }
+        if (operand.text !== undefined) return SequenceRunner.unescape(this.interpolate(operand.text));
+        return operand.number;
+    }
+
+    interpolate(text) {
+        return text.replace(/\$\{([A-Za-z_]\w*)\}/g, (all, name) => {
+            if (!(name in this.variables)) throw new Error(`未定义的变量: ${name}`);
+            return this.variables[name];
+        });
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.wake = () => {
+                this.wake = null;
+                resolve();
+            };
+            this.sleepTimer = setTimeout(() => {
+                this.wake = null;
+                resolve();
+            }, ms);
+        });
+    }
+
+    record(step, status, message) {
+        const entry = { line: step.line, source: step.source, status, message, timestamp: Date.now() };
+        this.log.push(entry);
+        if (this.onLog) this.onLog(entry);
+    }
+}
+
+/**
+ * 保存的测试脚本，持久化到localStorage
+ * 脚本: { id, name, script, updatedAt }
+ */
+class SequenceStore {
+    static STORAGE_KEY = 'serialMonitor.sequences';
+
+    // 首次使用时的示例脚本
+    static DEFAULTS = [
+        {
+            id: 'at-check',
+            name: 'AT命令检查',
+            script: [
+                '# 适用于ESP8266/ESP32 AT固件和常见通信模组',
+                'timeout 2000',
+                'loop 3',
+                '  send "AT\\r\\n"',
+                '  expect /OK\\r\\n/',
+                'end',
+                'send "AT+GMR\\r\\n"',
+                'expect /AT version:(\\S+)/',
+                'set version = $1',
+                'expect "OK"',
+                'log "固件版本 ${version}"',
+                'assert ${version} != ""'
+            ].join('\n')
+        },
+        {
+            id: 'stm32-bootloader',
+            name: 'STM32 Bootloader握手',
+            script: [
+                '# 系统存储器引导程序(AN3155)，串口参数需为8E1',
+                'timeout 500',
+                'sendhex 7F',
+                'expecthex 79',
+                '# GET命令：应答ACK、字节数N、版本号、N个命令码、ACK',
+                'sendhex 00 FF',
+                'expecthex 79 ?? ??',
+                'log "引导程序已应答GET命令"'
+            ].join('\n')
+        }
+    ];
+
+    constructor(storage = localStorage) {
+        this.storage = storage;
+    }
+
+    list() {
+        const raw = this.storage.getItem(SequenceStore.STORAGE_KEY);
+        if (raw === null) return SequenceStore.DEFAULTS.map(item => ({ ...item, updatedAt: 0 }));
+        try {
+            const items = JSON.parse(raw);
+            return Array.isArray(items) ? items.filter(item => item && item.id && item.name) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.list().find(item => item.id === id) || null;
+    }
+
+    // 保存前检查脚本语法，名称不能与其他脚本重复
+    save({ id, name, script }) {
+        name = String(name || '').trim();
+        if (!name) throw new Error('脚本名称不能为空');
+        SequenceRunner.parse(script);
+        const items = this.list();
+        if (items.some(item => item.id !== id && item.name === name)) {
+            throw new Error(`已存在名为"${name}"的脚本`);
+        }
+        const saved = { id: id || `sequence-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, name, script, updatedAt: Date.now() };
+        const index = items.findIndex(item => item.id === saved.id);
+        if (index >= 0) items[index] = saved;
+        else items.push(saved);
+        this.storage.setItem(SequenceStore.STORAGE_KEY, JSON.stringify(items));
+        return saved;
+    }
+
+    remove(id) {
+        const items = this.list();
+        const remaining = items.filter(item => item.id !== id);
+        if (remaining.length === items.length) return false;
+        this.storage.setItem(SequenceStore.STORAGE_KEY, JSON.stringify(remaining));
+        return true;
+    }
+}
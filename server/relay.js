@@ -0,0 +1,357 @@
+/**
+ * 串口共享中继服务器 - 在主机（打开串口的页面）和远程用户之间转发串口数据，仅依赖Node内置模块
+ * Serial Monitor Pro - Bridge Relay
+ *
+ * 用法: node server/relay.js [--port 8765] [--host-token 令牌] [--token 令牌] [--viewer-token 令牌]
+ *
+ *   --host-token    共享串口的主机使用
+ *   --token         远程用户，可查看并发送数据、设置控制信号
+ *   --viewer-token  只读用户，只能查看
+ * 未指定的令牌随机生成并在启动时打印。页面以 ws://地址:端口/?token=令牌 连接，令牌无效时返回401。
+ *
+ * 消息格式见 bridge.js。中继只校验角色并转发，不保存串口数据。
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 4 * 1024 * 1024;
+
+// WebSocket帧：服务器发出的帧不加掩码，客户端发出的帧必须加掩码
+function encodeFrame(opcode, payload, mask = false) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    const lengthBytes = data.length < 126 ? 0 : data.length < 0x10000 ? 2 : 8;
+    const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+    header[0] = 0x80 | opcode;
+    if (lengthBytes === 0) {
+        header[1] = data.length;
+    } else if (lengthBytes === 2) {
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    if (!mask) return Buffer.concat([header, data]);
+    header[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    key.copy(header, 2 + lengthBytes);
+    const masked = Buffer.from(data);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= key[i & 3];
+    return Buffer.concat([header, masked]);
+}
+
+// 帧格式错误，closeCode为关闭连接时使用的状态码
+function frameError(message, closeCode) {
+    const error = new Error(message);
+    error.closeCode = closeCode;
+    return error;
+}
+
+// 从TCP数据流中切分WebSocket帧，合并分片消息；onMessage(opcode, payload)，控制帧单独回调
+// requireMask 服务器解析客户端的帧时为true，未加掩码的帧按协议错误处理
+class FrameParser {
+    constructor(onMessage, { requireMask = false } = {}) {
+        this.onMessage = onMessage;
+        this.requireMask = requireMask;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // { opcode, parts, length }
+    }
+
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        for (;;) {
+            if (this.buffer.length < 2) return;
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            if (this.requireMask && !masked) throw frameError('客户端帧未加掩码', 1002);
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            // 分片消息按累计长度限制
+            const total = opcode === 0 && this.fragments ? this.fragments.length + length : length;
+            if (total > MAX_MESSAGE_SIZE) throw frameError('消息过大', 1009);
+            const keyOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= this.buffer[keyOffset + (i & 3)];
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode >= 0x8) {
+                this.onMessage(opcode, payload);
+            } else if (opcode !== 0) {
+                if (fin) this.onMessage(opcode, payload);
+                else this.fragments = { opcode, parts: [payload], length: payload.length };
+            } else if (this.fragments) {
+                this.fragments.parts.push(payload);
+                this.fragments.length += payload.length;
+                if (fin) {
+                    const { opcode: first, parts } = this.fragments;
+                    this.fragments = null;
+                    this.onMessage(first, Buffer.concat(parts));
+                }
+            }
+        }
+    }
+}
+
+/**
+ * 中继逻辑，与网络连接无关
+ * join(role, transport) 加入一个连接，transport为 { send(text), close(code, reason) }，返回客户端对象；
+ * receive(client, text) 处理收到的消息；leave(client) 连接关闭
+ */
+class Relay {
+    static ROLES = {
+        host: '主机',
+        control: '远程用户',
+        view: '只读用户'
+    };
+
+    // tokens: { 令牌: 角色 }
+    constructor(tokens = {}) {
+        this.tokens = new Map(Object.entries(tokens));
+        this.clients = new Map(); // 客户端ID -> { id, role, transport }
+        this.ports = new Map(); // 串口ID -> { descriptor, host }
+        this.nextClientId = 1;
+    }
+
+    roleOf(token) {
+        return this.tokens.get(token) || null;
+    }
+
+    join(role, transport) {
+        const client = { id: `c${this.nextClientId++}`, role, transport };
+        this.clients.set(client.id, client);
+        this.send(client, { type: 'welcome', role, clientId: client.id, ports: this.portList() });
+        return client;
+    }
+
+    leave(client) {
+        if (!this.clients.delete(client.id)) return;
+        let changed = false;
+        for (const [id, port] of this.ports) {
+            if (port.host === client) {
+                this.ports.delete(id);
+                changed = true;
+            }
+        }
+        if (changed) this.broadcastPorts();
+    }
+
+    send(client, message) {
+        try {
+            client.transport.send(JSON.stringify(message));
+        } catch (error) {
+            console.warn(`发送到 ${client.id} 失败:`, error.message);
+        }
+    }
+
+    // 发给全部远程用户和只读用户
+    broadcast(message) {
+        const text = JSON.stringify(message);
+        for (const client of this.clients.values()) {
+            if (client.role === 'host') continue;
+            try {
+                client.transport.send(text);
+            } catch (error) {
+                console.warn(`发送到 ${client.id} 失败:`, error.message);
+            }
+        }
+    }
+
+    portList() {
+        return Array.from(this.ports.values(), port => port.descriptor);
+    }
+
+    broadcastPorts() {
+        this.broadcast({ type: 'ports', ports: this.portList() });
+    }
+
+    receive(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch {
+            this.send(client, { type: 'error', message: '消息格式错误' });
+            return;
+        }
+        if (!message || typeof message.type !== 'string') {
+            this.send(client, { type: 'error', message: '消息格式错误' });
+            return;
+        }
+        if (client.role === 'host') this.handleHostMessage(client, message);
+        else this.handleClientMessage(client, message);
+    }
+
+    handleHostMessage(host, message) {
+        const port = this.ports.get(message.id);
+        const owned = port && port.host === host;
+        switch (message.type) {
+            case 'share':
+                if (!message.port || typeof message.port.id !== 'string') break;
+                if (this.ports.has(message.port.id) && this.ports.get(message.port.id).host !== host) {
+                    this.send(host, { type: 'error', id: message.port.id, message: '串口ID已被其他主机共享' });
+                    return;
+                }
+                this.ports.set(message.port.id, { descriptor: message.port, host });
+                this.broadcastPorts();
+                return;
+            case 'unshare':
+                if (!owned) return;
+                this.ports.delete(message.id);
+                this.broadcastPorts();
+                return;
+            case 'data':
+                if (owned) this.broadcast(message);
+                return;
+            case 'signals':
+            case 'settings':
+                if (!owned) return;
+                port.descriptor[message.type] = message[message.type];
+                this.broadcast(message);
+                return;
+            case 'error': {
+                // 主机执行远程用户请求失败时回复该用户
+                const target = this.clients.get(message.to);
+                if (target) this.send(target, { type: 'error', id: message.id, request: message.request, message: message.message });
+                return;
+            }
+        }
+        this.send(host, { type: 'error', message: `无效的消息: ${message.type}` });
+    }
+
+    handleClientMessage(client, message) {
+        if (message.type !== 'write' && message.type !== 'set-signals') {
+            this.send(client, { type: 'error', message: `无效的消息: ${message.type}` });
+            return;
+        }
+        if (client.role !== 'control') {
+            this.send(client, { type: 'error', id: message.id, request: message.type, message: '只读用户不能操作串口' });
+            return;
+        }
+        const port = this.ports.get(message.id);
+        if (!port) {
+            this.send(client, { type: 'error', id: message.id, request: message.type, message: '串口未共享' });
+            return;
+        }
+        this.send(port.host, { ...message, from: client.id });
+    }
+}
+
+// 在HTTP服务器上接受WebSocket连接，令牌放在查询参数token中
+function createRelayServer(relay) {
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Serial Monitor Pro 中继服务器，请使用WebSocket连接\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const url = new URL(req.url, 'http://localhost');
+        const role = relay.roleOf(url.searchParams.get('token') || '');
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (!role) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        let closed = false;
+        const close = (code = 1000, reason = '') => {
+            if (closed) return;
+            closed = true;
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+            payload.writeUInt16BE(code, 0);
+            payload.write(reason, 2);
+            socket.end(encodeFrame(0x8, payload));
+        };
+        const client = relay.join(role, {
+            send: text => {
+                if (!closed) socket.write(encodeFrame(0x1, text));
+            },
+            close
+        });
+        const parser = new FrameParser((opcode, payload) => {
+            if (opcode === 0x1) relay.receive(client, payload.toString('utf8'));
+            else if (opcode === 0x8) close();
+            else if (opcode === 0x9) socket.write(encodeFrame(0xa, payload));
+        }, { requireMask: true });
+        socket.on('data', chunk => {
+            if (closed) return;
+            try {
+                parser.push(chunk);
+            } catch (error) {
+                close(error.closeCode || 1002, error.message);
+            }
+        });
+        // 对方直接断开TCP连接时没有关闭帧
+        socket.on('end', () => socket.end());
+        socket.on('close', () => {
+            closed = true;
+            relay.leave(client);
+        });
+        socket.on('error', () => socket.destroy());
+    });
+    return server;
+}
+
+function parseArgs(argv) {
+    const options = { port: 8765 };
+    const names = { '--port': 'port', '--host-token': 'hostToken', '--token': 'token', '--viewer-token': 'viewerToken' };
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!names[argv[i]] || argv[i + 1] === undefined) throw new Error(`无效的参数: ${argv[i]}`);
+        options[names[argv[i]]] = argv[i + 1];
+    }
+    options.port = parseInt(options.port, 10);
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const token = () => crypto.randomBytes(9).toString('base64url');
+    const tokens = {
+        [options.hostToken || token()]: 'host',
+        [options.token || token()]: 'control',
+        [options.viewerToken || token()]: 'view'
+    };
+    const server = createRelayServer(new Relay(tokens));
+    server.listen(options.port, () => {
+        console.log(`中继服务器已启动: ws://localhost:${server.address().port}/`);
+        Object.entries(tokens).forEach(([value, role]) => console.log(`  ${Relay.ROLES[role]}令牌: ${value}`));
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { Relay, FrameParser, encodeFrame, createRelayServer, parseArgs };
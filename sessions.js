@@ -0,0 +1,152 @@
+/**
+ * 会话存储 - 将捕获数据持久化到IndexedDB
+ * Serial Monitor Pro - Session Store
+ *
+ * sessions: { id, portId, portName, vendorId, productId, settings,
+ *             startTime, endTime, byteCount, chunkCount }
+ * chunks:   { id, sessionId, direction, timestamp, data, event? }
+ */
+
+class SessionStore {
+    static DB_NAME = 'serial-monitor-pro';
+    static DB_VERSION = 1;
+
+    constructor(indexedDBFactory = (typeof indexedDB !== 'undefined' ? indexedDB : null)) {
+        this.factory = indexedDBFactory;
+        this.dbPromise = null;
+    }
+
+    get available() {
+        return this.factory !== null;
+    }
+
+    open() {
+        if (!this.factory) {
+            return Promise.reject(new Error('当前浏览器不支持IndexedDB'));
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(SessionStore.DB_NAME, SessionStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('sessions')) {
+                        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                    }
+                    if (!db.objectStoreNames.contains('chunks')) {
+                        const chunks = db.createObjectStore('chunks', { keyPath: 'id', autoIncrement: true });
+                        chunks.createIndex('sessionId', 'sessionId', { unique: false });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // 在一个事务中执行操作，事务完成后返回work的结果
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('事务已中止'));
+            Promise.resolve(work(tx)).then(value => { result = value; }, reject);
+        });
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async createSession(meta) {
+        const session = {
+            startTime: Date.now(),
+            endTime: null,
+            byteCount: 0,
+            chunkCount: 0,
+            ...meta
+        };
+        return this.transaction('sessions', 'readwrite', tx =>
+            SessionStore.request(tx.objectStore('sessions').add(session)));
+    }
+
+    // 批量写入数据块并更新会话的统计信息
+    async appendChunks(sessionId, records) {
+        if (records.length === 0) return;
+        return this.transaction(['sessions', 'chunks'], 'readwrite', async tx => {
+            const chunks = tx.objectStore('chunks');
+            let bytes = 0;
+            for (const record of records) {
+                const chunk = {
+                    sessionId,
+                    direction: record.direction,
+                    timestamp: record.timestamp,
+                    data: record.data
+                };
+                if (record.event) chunk.event = record.event;
+                chunks.add(chunk);
+                bytes += record.data.length;
+            }
+            const sessions = tx.objectStore('sessions');
+            const session = await SessionStore.request(sessions.get(sessionId));
+            if (session) {
+                session.byteCount += bytes;
+                session.chunkCount += records.length;
+                session.lastTimestamp = records[records.length - 1].timestamp;
+                sessions.put(session);
+            }
+        });
+    }
+
+    async finishSession(sessionId, endTime = Date.now()) {
+        return this.transaction('sessions', 'readwrite', async tx => {
+            const sessions = tx.objectStore('sessions');
+            const session = await SessionStore.request(sessions.get(sessionId));
+            if (session) {
+                session.endTime = endTime;
+                sessions.put(session);
+            }
+        });
+    }
+
+    async listSessions() {
+        const sessions = await this.transaction('sessions', 'readonly', tx =>
+            SessionStore.request(tx.objectStore('sessions').getAll()));
+        return sessions.sort((a, b) => b.startTime - a.startTime);
+    }
+
+    async getSession(sessionId) {
+        return this.transaction('sessions', 'readonly', tx =>
+            SessionStore.request(tx.objectStore('sessions').get(sessionId)));
+    }
+
+    // 按写入顺序返回会话的全部数据块
+    async getChunks(sessionId) {
+        const chunks = await this.transaction('chunks', 'readonly', tx =>
+            SessionStore.request(tx.objectStore('chunks').index('sessionId').getAll(sessionId)));
+        return chunks.sort((a, b) => a.id - b.id);
+    }
+
+    async deleteSession(sessionId) {
+        return this.transaction(['sessions', 'chunks'], 'readwrite', tx => {
+            tx.objectStore('sessions').delete(sessionId);
+            const cursorRequest = tx.objectStore('chunks').index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    tx.objectStore('chunks').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * 串口控制信号 - DTR/RTS/Break输出、CTS/DSR/DCD/RI状态轮询和开发板复位时序
+ * Serial Monitor Pro - Modem Signals
+ *
+ * 每个已连接的端口一个ModemSignals实例，通过传输层的setSignals/getSignals访问端口。
+ * Web Serial不提供输入信号变化的事件，连接期间按固定间隔轮询，状态变化时回调onChange。
+ */
+
+class ModemSignals {
+    // 输出信号：名称 -> SerialOutputSignals中的字段
+    static OUTPUTS = {
+        DTR: 'dataTerminalReady',
+        RTS: 'requestToSend',
+        BRK: 'break'
+    };
+
+    // 输入信号：名称 -> SerialInputSignals中的字段
+    static INPUTS = {
+        CTS: 'clearToSend',
+        DSR: 'dataSetReady',
+        DCD: 'dataCarrierDetect',
+        RI: 'ringIndicator'
+    };
+
+    /**
+     * 复位时序，每步设置信号后等待waitMs
+     *   arduino-reset  DTR/RTS拉低再恢复，经板上电容在RESET产生一个低脉冲（Arduino自动复位）
+     *   esp-download   esptool的经典时序：EN拉低时IO0保持低电平，释放EN后芯片进入下载模式
+     *   esp-reset      只拉低EN再释放，芯片正常启动
+     *   stm32-boot     按DTR接BOOT0、RTS接NRST（信号有效时BOOT0为高、NRST为低）：BOOT0为高时复位，进入系统存储器引导程序
+     *   stm32-run      BOOT0为低时复位，运行闪存中的程序
+     */
+    static SEQUENCES = {
+        'arduino-reset': {
+            label: 'Arduino复位',
+            steps: [
+                { signals: { dataTerminalReady: false, requestToSend: false }, waitMs: 250 },
+                { signals: { dataTerminalReady: true, requestToSend: true }, waitMs: 50 }
+            ]
+        },
+        'esp-download': {
+            label: 'ESP下载模式',
+            steps: [
+                { signals: { dataTerminalReady: false, requestToSend: true }, waitMs: 100 },
+                { signals: { dataTerminalReady: true, requestToSend: false }, waitMs: 50 },
+                { signals: { dataTerminalReady: false }, waitMs: 0 }
+            ]
+        },
+        'esp-reset': {
+            label: '硬件复位',
+            steps: [
+                { signals: { dataTerminalReady: false, requestToSend: true }, waitMs: 100 },
+                { signals: { requestToSend: false }, waitMs: 0 }
+            ]
+        },
+        'stm32-boot': {
+            label: 'STM32引导模式',
+            steps: [
+                { signals: { dataTerminalReady: true, requestToSend: true }, waitMs: 100 },
+                { signals: { requestToSend: false }, waitMs: 50 }
+            ]
+        },
+        'stm32-run': {
+            label: 'STM32运行',
+            steps: [
+                { signals: { dataTerminalReady: false, requestToSend: true }, waitMs: 100 },
+                { signals: { requestToSend: false }, waitMs: 50 }
+            ]
+        }
+    };
+
+    // 信号状态的文字描述，如 "DTR=1 RTS=0"
+    static describe(signals, names = { ...ModemSignals.OUTPUTS, ...ModemSignals.INPUTS }) {
+        return Object.entries(names)
+            .filter(([, key]) => key in signals)
+            .map(([name, key]) => `${name}=${signals[key] ? 1 : 0}`)
+            .join(' ');
+    }
+
+    /**
+     * transport  串口传输层
+     * port       已打开的端口
+     * options    pollMs 输入信号轮询间隔，
+     *            onChange(event) 信号变化时回调，event为 { type: 'signals', message, outputs?, inputs? }
+     */
+    constructor(transport, port, options = {}) {
+        this.transport = transport;
+        this.port = port;
+        this.pollMs = options.pollMs || 100;
+        this.onChange = options.onChange || null;
+        // 打开串口时驱动置位DTR和RTS
+        this.outputs = { dataTerminalReady: true, requestToSend: true, break: false };
+        this.inputs = null; // 首次轮询前未知
+        this.pollTimer = null;
+        this.polling = false;
+        this.busy = null; // 进行中的Break或复位时序
+    }
+
+    // 设置输出信号，只有实际变化的信号会记录
+    async set(signals, reason = '') {
+        await this.transport.setSignals(this.port, signals);
+        const changed = {};
+        Object.entries(signals).forEach(([key, value]) => {
+            if (this.outputs[key] !== value) changed[key] = value;
+        });
+        Object.assign(this.outputs, signals);
+        if (Object.keys(changed).length > 0) {
+            this.notify({
+                type: 'signals',
+                message: `${reason ? reason + ': ' : ''}${ModemSignals.describe(changed, ModemSignals.OUTPUTS)}`,
+                outputs: { ...this.outputs }
+            });
+        }
+    }
+
+    async toggle(name) {
+        const key = ModemSignals.OUTPUTS[name];
+        if (!key) throw new Error(`未知的输出信号: ${name}`);
+        await this.set({ [key]: !this.outputs[key] });
+    }
+
+    // 保持Break状态durationMs后恢复
+    async sendBreak(durationMs = 250) {
+        return this.exclusive(async () => {
+            await this.set({ break: true }, `发送Break ${durationMs}ms`);
+            try {
+                await ModemSignals.wait(durationMs);
+            } finally {
+                await this.set({ break: false }, 'Break结束');
+            }
+        });
+    }
+
+    async runSequence(name) {
+        const sequence = ModemSignals.SEQUENCES[name];
+        if (!sequence) throw new Error(`未知的复位时序: ${name}`);
+        return this.exclusive(async () => {
+            for (const step of sequence.steps) {
+                await this.set(step.signals, sequence.label);
+                if (step.waitMs > 0) await ModemSignals.wait(step.waitMs);
+            }
+        });
+    }
+
+    // Break和复位时序不能交叠执行
+    async exclusive(task) {
+        if (this.busy) throw new Error('正在执行其他信号操作');
+        this.busy = task();
+        try {
+            return await this.busy;
+        } finally {
+            this.busy = null;
+        }
+    }
+
+    startPolling() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+        return this.poll();
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    // 读取输入信号，与上次不同时回调；上一次读取未完成时跳过
+    async poll() {
+        if (this.polling) return this.inputs;
+        this.polling = true;
+        try {
+            const signals = await this.transport.getSignals(this.port);
+            const inputs = {};
+            Object.values(ModemSignals.INPUTS).forEach(key => { inputs[key] = Boolean(signals[key]); });
+            const previous = this.inputs;
+            this.inputs = inputs;
+            const changed = {};
+            Object.entries(inputs).forEach(([key, value]) => {
+                if (!previous || previous[key] !== value) changed[key] = value;
+            });
+            if (Object.keys(changed).length > 0) {
+                this.notify({
+                    type: 'signals',
+                    message: `${previous ? '输入信号变化' : '输入信号'}: ${ModemSignals.describe(changed, ModemSignals.INPUTS)}`,
+                    inputs: { ...inputs }
+                });
+            }
+            return inputs;
+        } catch (error) {
+            // 端口关闭或设备拔出时由连接管理处理，这里只停止轮询
+            this.stopPolling();
+            return this.inputs;
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    notify(event) {
+        if (this.onChange) this.onChange(event);
+    }
+
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,375 @@
+/**
+ * STM32串口烧录 - 系统存储器引导程序(AN3155)的串口协议
+ * Serial Monitor Pro - STM32 UART Bootloader
+ *
+ *   FirmwareImage     固件映像：.bin从指定地址开始存放，Intel HEX按记录中的地址，分为若干连续段
+ *   Stm32Bootloader   引导程序命令：同步、Get、Get ID、擦除（标准/扩展）、写入、读取、Go，以及完整的烧录流程
+ *
+ * 串口参数为8E1，引导程序根据收到的第一个0x7F识别波特率。每条命令为命令码及其反码，引导程序应答
+ * ACK(0x79)或NACK(0x1F)；地址为4字节大端加异或校验，数据块前为字节数减1，后为异或校验。
+ */
+
+class FirmwareImage {
+    static DEFAULT_ADDRESS = 0x08000000;
+
+    // segments: [{ address, data }]，按地址排序并合并相邻的段，重叠时抛出异常
+    constructor(segments = [], name = '') {
+        this.name = name;
+        this.segments = [];
+        const sorted = segments.filter(segment => segment.data.length > 0).sort((a, b) => a.address - b.address);
+        for (const segment of sorted) {
+            const last = this.segments[this.segments.length - 1];
+            const lastEnd = last ? last.address + last.data.length : 0;
+            if (last && segment.address < lastEnd) {
+                throw new Error(`地址0x${FirmwareImage.hex(segment.address)}处的数据重叠`);
+            }
+            if (last && segment.address === lastEnd) {
+                const merged = new Uint8Array(last.data.length + segment.data.length);
+                merged.set(last.data);
+                merged.set(segment.data, last.data.length);
+                last.data = merged;
+            } else {
+                this.segments.push({ address: segment.address, data: Uint8Array.from(segment.data) });
+            }
+        }
+    }
+
+    static hex(value, width = 8) {
+        return value.toString(16).toUpperCase().padStart(width, '0');
+    }
+
+    // 按扩展名识别：.hex/.ihex/.ihx为Intel HEX，其余按二进制从address开始存放
+    static fromFile(name, bytes, address = FirmwareImage.DEFAULT_ADDRESS) {
+        if (/\.(hex|ihex|ihx)$/i.test(name)) {
+            return FirmwareImage.parseIntelHex(new TextDecoder().decode(bytes), name);
+        }
+        return new FirmwareImage([{ address, data: bytes }], name);
+    }
+
+    // 支持数据(00)、结束(01)、扩展段地址(02)和扩展线性地址(04)记录；起始地址记录(03/05)不影响烧录，忽略
+    static parseIntelHex(text, name = '') {
+        const segments = [];
+        let base = 0;
+        let ended = false;
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line || ended) return;
+            const lineNo = index + 1;
+            if (!/^:([0-9a-fA-F]{2}){5,}$/.test(line)) throw new Error(`第${lineNo}行不是有效的HEX记录`);
+            const bytes = [];
+            for (let i = 1; i < line.length; i += 2) bytes.push(parseInt(line.substr(i, 2), 16));
+            const length = bytes[0];
+            if (bytes.length !== length + 5) throw new Error(`第${lineNo}行长度不符`);
+            if (bytes.reduce((sum, byte) => sum + byte, 0) & 0xff) throw new Error(`第${lineNo}行校验和错误`);
+            const offset = (bytes[1] << 8) | bytes[2];
+            const data = bytes.slice(4, 4 + length);
+            switch (bytes[3]) {
+                case 0x00:
+                    segments.push({ address: base + offset, data: Uint8Array.from(data) });
+                    break;
+                case 0x01:
+                    ended = true;
+                    break;
+                case 0x02:
+                    base = ((data[0] << 8) | data[1]) * 16;
+                    break;
+                case 0x04:
+                    base = ((data[0] << 8) | data[1]) * 0x10000;
+                    break;
+                case 0x03:
+                case 0x05:
+                    break;
+                default:
+                    throw new Error(`第${lineNo}行的记录类型${bytes[3]}不支持`);
+            }
+        });
+        if (!ended) throw new Error('HEX文件缺少结束记录');
+        return new FirmwareImage(segments, name);
+    }
+
+    get address() {
+        return this.segments.length > 0 ? this.segments[0].address : FirmwareImage.DEFAULT_ADDRESS;
+    }
+
+    get size() {
+        return this.segments.reduce((sum, segment) => sum + segment.data.length, 0);
+    }
+
+    describe() {
+        const ranges = this.segments.map(segment =>
+            `0x${FirmwareImage.hex(segment.address)}-0x${FirmwareImage.hex(segment.address + segment.data.length - 1)}`);
+        return `${this.size} 字节，${ranges.join(', ')}`;
+    }
+
+    // 分为不超过size字节的块，块不跨段；末尾不足4字节的倍数时以0xFF补齐
+    blocks(size) {
+        const blocks = [];
+        for (const segment of this.segments) {
+            for (let offset = 0; offset < segment.data.length; offset += size) {
+                const chunk = segment.data.subarray(offset, offset + size);
+                const data = new Uint8Array(Math.ceil(chunk.length / 4) * 4).fill(0xff);
+                data.set(chunk);
+                blocks.push({ address: segment.address + offset, data });
+            }
+        }
+        return blocks;
+    }
+
+    // 固件覆盖的页号，页号从base起算
+    pages(pageSize, base = FirmwareImage.DEFAULT_ADDRESS) {
+        const pages = new Set();
+        for (const segment of this.segments) {
+            if (segment.address < base) throw new Error(`地址0x${FirmwareImage.hex(segment.address)}不在闪存范围内`);
+            const first = Math.floor((segment.address - base) / pageSize);
+            const last = Math.floor((segment.address + segment.data.length - 1 - base) / pageSize);
+            for (let page = first; page <= last; page++) pages.add(page);
+        }
+        return Array.from(pages).sort((a, b) => a - b);
+    }
+}
+
+class Stm32Bootloader {
+    static ACK = 0x79;
+    static NACK = 0x1f;
+    static SYNC = 0x7f;
+    static COMMANDS = {
+        GET: 0x00,
+        GET_VERSION: 0x01,
+        GET_ID: 0x02,
+        READ_MEMORY: 0x11,
+        GO: 0x21,
+        WRITE_MEMORY: 0x31,
+        ERASE: 0x43,
+        EXTENDED_ERASE: 0x44
+    };
+    static BLOCK_SIZE = 256;
+    static LINE_SETTINGS = { dataBits: 8, parity: 'even', stopBits: 1, flowControl: 'none' };
+
+    // Get ID返回的常见芯片ID
+    static DEVICES = {
+        0x410: 'STM32F10x 中密度',
+        0x412: 'STM32F10x 小容量',
+        0x414: 'STM32F10x 大容量',
+        0x430: 'STM32F10x XL密度',
+        0x440: 'STM32F030x8/F05x',
+        0x444: 'STM32F03x',
+        0x413: 'STM32F405/407/415/417',
+        0x419: 'STM32F42x/43x',
+        0x431: 'STM32F411',
+        0x415: 'STM32L47x/48x',
+        0x460: 'STM32G07x/08x',
+        0x466: 'STM32G03x/04x',
+        0x468: 'STM32G43x/44x',
+        0x450: 'STM32H74x/75x'
+    };
+
+    /**
+     * stream   字节流，见SerialByteStream：read(count, timeoutMs) / write(bytes) / discard()
+     * options  timeoutMs 命令应答超时，eraseTimeoutMs 擦除应答超时（全片擦除可能需要数十秒）
+     */
+    constructor(stream, options = {}) {
+        this.stream = stream;
+        this.timeoutMs = options.timeoutMs || 1000;
+        this.eraseTimeoutMs = options.eraseTimeoutMs || 40000;
+        this.version = null;
+        this.commands = [];
+        this.productId = null;
+        this.cancelled = false;
+    }
+
+    static checksum(bytes, initial = 0) {
+        return bytes.reduce((sum, byte) => sum ^ byte, initial);
+    }
+
+    static addressFrame(address) {
+        const bytes = [(address >>> 24) & 0xff, (address >>> 16) & 0xff, (address >>> 8) & 0xff, address & 0xff];
+        return Uint8Array.from([...bytes, Stm32Bootloader.checksum(bytes)]);
+    }
+
+    static describeDevice(productId) {
+        const name = Stm32Bootloader.DEVICES[productId];
+        return `0x${FirmwareImage.hex(productId, 3)}${name ? ` (${name})` : ''}`;
+    }
+
+    // 立即结束等待中的应答（如全片擦除），之后的命令不再发送
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        this.stream.interrupt(new Error('烧录已取消'));
+    }
+
+    async read(count, what, timeoutMs = this.timeoutMs) {
+        try {
+            return await this.stream.read(count, timeoutMs);
+        } catch (error) {
+            if (error.name === 'TimeoutError') throw new Error(`${what}: 引导程序无应答`);
+            throw error;
+        }
+    }
+
+    async expectAck(what, timeoutMs = this.timeoutMs) {
+        const [byte] = await this.read(1, what, timeoutMs);
+        if (byte === Stm32Bootloader.ACK) return;
+        if (byte === Stm32Bootloader.NACK) throw new Error(`${what}: 引导程序拒绝 (NACK)`);
+        throw new Error(`${what}: 无效的应答 0x${FirmwareImage.hex(byte, 2)}`);
+    }
+
+    async command(code, what) {
+        if (this.cancelled) throw new Error('烧录已取消');
+        this.stream.discard();
+        await this.stream.write(Uint8Array.of(code, code ^ 0xff));
+        await this.expectAck(what);
+    }
+
+    // 发送0x7F供引导程序识别波特率；已同步的引导程序把它当作无效命令回NACK，同样说明引导程序在运行
+    async sync(attempts = 3) {
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            if (this.cancelled) throw new Error('烧录已取消');
+            this.stream.discard();
+            await this.stream.write(Uint8Array.of(Stm32Bootloader.SYNC));
+            try {
+                const [byte] = await this.stream.read(1, this.timeoutMs);
+                if (byte === Stm32Bootloader.ACK || byte === Stm32Bootloader.NACK) return;
+            } catch (error) {
+                if (error.name !== 'TimeoutError') throw error;
+            }
+        }
+        throw new Error('无法与引导程序同步，请确认芯片已进入引导模式（BOOT0为高时复位）');
+    }
+
+    // 引导程序版本和支持的命令
+    async get() {
+        await this.command(Stm32Bootloader.COMMANDS.GET, 'Get');
+        const [count] = await this.read(1, 'Get');
+        const bytes = await this.read(count + 1, 'Get');
+        await this.expectAck('Get');
+        this.version = bytes[0];
+        this.commands = Array.from(bytes.subarray(1));
+        return { version: this.version, commands: this.commands };
+    }
+
+    async getId() {
+        await this.command(Stm32Bootloader.COMMANDS.GET_ID, 'Get ID');
+        const [count] = await this.read(1, 'Get ID');
+        const bytes = await this.read(count + 1, 'Get ID');
+        await this.expectAck('Get ID');
+        this.productId = bytes.reduce((id, byte) => (id << 8) | byte, 0);
+        return this.productId;
+    }
+
+    async readMemory(address, length) {
+        const what = `读取0x${FirmwareImage.hex(address)}`;
+        await this.command(Stm32Bootloader.COMMANDS.READ_MEMORY, what);
+        await this.stream.write(Stm32Bootloader.addressFrame(address));
+        await this.expectAck(what);
+        await this.stream.write(Uint8Array.of(length - 1, (length - 1) ^ 0xff));
+        await this.expectAck(what);
+        return this.read(length, what);
+    }
+
+    // 最多256字节，长度应为4的倍数
+    async writeMemory(address, data) {
+        const what = `写入0x${FirmwareImage.hex(address)}`;
+        await this.command(Stm32Bootloader.COMMANDS.WRITE_MEMORY, what);
+        await this.stream.write(Stm32Bootloader.addressFrame(address));
+        await this.expectAck(what);
+        const frame = new Uint8Array(data.length + 2);
+        frame[0] = data.length - 1;
+        frame.set(data, 1);
+        frame[data.length + 1] = Stm32Bootloader.checksum(data, data.length - 1);
+        await this.stream.write(frame);
+        await this.expectAck(what);
+    }
+
+    // pages为null时全片擦除；按Get返回的命令表使用扩展擦除(0x44，页号2字节)或标准擦除(0x43，页号1字节)
+    async erase(pages = null) {
+        const { ERASE, EXTENDED_ERASE } = Stm32Bootloader.COMMANDS;
+        let frame;
+        if (this.commands.includes(EXTENDED_ERASE)) {
+            await this.command(EXTENDED_ERASE, '擦除');
+            if (pages === null) {
+                frame = [0xff, 0xff, 0x00];
+            } else {
+                const bytes = [(pages.length - 1) >> 8, (pages.length - 1) & 0xff];
+                pages.forEach(page => bytes.push(page >> 8, page & 0xff));
+                frame = [...bytes, Stm32Bootloader.checksum(bytes)];
+            }
+        } else if (this.commands.includes(ERASE)) {
+            if (pages !== null && (pages.length > 255 || pages.some(page => page > 0xff))) {
+                throw new Error('标准擦除命令只能擦除前256页，请使用全片擦除');
+            }
+            await this.command(ERASE, '擦除');
+            frame = pages === null ? [0xff, 0x00] : [pages.length - 1, ...pages, Stm32Bootloader.checksum(pages, pages.length - 1)];
+        } else {
+            throw new Error('引导程序不支持擦除命令');
+        }
+        await this.stream.write(Uint8Array.from(frame));
+        await this.expectAck('擦除', this.eraseTimeoutMs);
+    }
+
+    // 从address处的向量表（栈顶和复位地址）开始运行程序
+    async go(address) {
+        const what = `运行0x${FirmwareImage.hex(address)}`;
+        await this.command(Stm32Bootloader.COMMANDS.GO, what);
+        await this.stream.write(Stm32Bootloader.addressFrame(address));
+        await this.expectAck(what);
+    }
+
+    /**
+     * 烧录固件：同步、识别芯片、擦除、按256字节分块写入、读回校验，校验通过后运行
+     *   options  erase 'all' 全片 / 'pages' 只擦除固件覆盖的页 / 'none'，pageSize 按页擦除的页大小，
+     *            verify 读回校验，go 完成后运行，onProgress({ stage, done, total, message })
+     *            stage为 sync / info / erase / write / verify / go
+     * 返回 { productId, version, bytes, verified, mismatches, started }，mismatches为不一致的块的首个不同地址
+     */
+    async flash(image, options = {}) {
+        const { erase = 'all', pageSize = 1024, verify = true, go = true } = options;
+        const progress = (stage, done, total, message) => {
+            if (options.onProgress) options.onProgress({ stage, done, total, message });
+        };
+        const result = { productId: null, version: null, bytes: image.size, verified: false, mismatches: [], started: false };
+
+        progress('sync', 0, 0, '正在与引导程序同步');
+        await this.sync();
+        const { version } = await this.get();
+        result.version = version;
+        result.productId = await this.getId();
+        progress('info', 0, 0, `引导程序 v${version >> 4}.${version & 0x0f}，芯片ID ${Stm32Bootloader.describeDevice(result.productId)}`);
+
+        if (erase !== 'none') {
+            const pages = erase === 'pages' ? image.pages(pageSize) : null;
+            progress('erase', 0, 1, pages ? `正在擦除 ${pages.length} 页` : '正在全片擦除');
+            await this.erase(pages);
+            progress('erase', 1, 1, '擦除完成');
+        }
+
+        const blocks = image.blocks(Stm32Bootloader.BLOCK_SIZE);
+        const total = blocks.reduce((sum, block) => sum + block.data.length, 0);
+        let done = 0;
+        for (const block of blocks) {
+            await this.writeMemory(block.address, block.data);
+            done += block.data.length;
+            progress('write', done, total, `已写入 ${done}/${total} 字节`);
+        }
+
+        if (verify) {
+            done = 0;
+            for (const block of blocks) {
+                const data = await this.readMemory(block.address, block.data.length);
+                const index = block.data.findIndex((byte, i) => byte !== data[i]);
+                if (index >= 0) result.mismatches.push(block.address + index);
+                done += block.data.length;
+                progress('verify', done, total, `已校验 ${done}/${total} 字节`);
+            }
+            result.verified = result.mismatches.length === 0;
+        }
+
+        // 校验失败时不运行
+        if (go && result.mismatches.length === 0) {
+            await this.go(image.address);
+            result.started = true;
+            progress('go', 1, 1, `已从0x${FirmwareImage.hex(image.address)}运行程序`);
+        }
+        return result;
+    }
+}
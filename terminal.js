@@ -0,0 +1,407 @@
+/**
+ * 终端模式 - 解释ANSI/VT100转义序列的屏幕缓冲，以及按键到发送字节的转换
+ * Serial Monitor Pro - Terminal Emulator
+ *
+ * 屏幕为最后rows行，之前的行为回滚缓冲，总行数超过rows + scrollback时丢弃最早的行。
+ * 支持的控制:
+ *   C0        CR LF BS HT BEL，VT/FF按LF处理
+ *   ESC       7 8 保存/恢复光标，M 反向换行，c 复位，其余两字符序列忽略
+ *   CSI       m SGR（粗体、暗、下划线、反显，16/256色和24位色），A B C D E F G H f d 光标移动，
+ *             J K 擦除屏幕/行，P @ X 删除/插入/擦除字符，s u 保存/恢复光标，
+ *             ?25h/l 显示/隐藏光标，5n 6n 状态查询（通过respond回复）
+ *   OSC       窗口标题等，整体忽略
+ *
+ * 行 { chars, styles } 在原位修改，styles中的样式对象在连续相同时共用，渲染时合并为一个span。
+ */
+
+class TerminalEmulator {
+    static DEFAULTS = { cols: 80, rows: 24, scrollback: 5000 };
+
+    // 16色调色板，与xterm默认值一致
+    static PALETTE = [
+        '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+        '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff'
+    ];
+
+    static DEFAULT_STYLE = Object.freeze({ fg: null, bg: null, bold: false, dim: false, underline: false, inverse: false });
+
+    /**
+     * options  cols 列数，rows 屏幕行数，scrollback 回滚行数，
+     *          encoding 文本编码（见TextCodec.ENCODINGS），respond(text) 回复终端状态查询（如光标位置）
+     */
+    constructor(options = {}) {
+        const { cols, rows, scrollback } = { ...TerminalEmulator.DEFAULTS, ...options };
+        this.cols = cols;
+        this.rows = rows;
+        this.lines = new FrameLog(rows + scrollback);
+        this.respond = options.respond || null;
+        this.encoding = options.encoding || 'utf-8';
+        this.reset();
+    }
+
+    // 清屏并回到初始状态，按当前编码重新开始解码
+    reset() {
+        this.decoder = new TextCodec(this.encoding);
+        this.lines.clear();
+        for (let i = 0; i < this.rows; i++) this.lines.push(TerminalEmulator.blankLine());
+        this.cursorRow = 0; // 相对屏幕顶部
+        this.cursorCol = 0;
+        this.cursorVisible = true;
+        this.saved = { row: 0, col: 0, style: TerminalEmulator.DEFAULT_STYLE };
+        this.style = TerminalEmulator.DEFAULT_STYLE;
+        this.state = 'normal';
+        this.params = '';
+    }
+
+    static blankLine() {
+        return { chars: [], styles: [] };
+    }
+
+    get screenTop() {
+        return this.lines.length - this.rows;
+    }
+
+    get cursorLine() {
+        return this.lines.at(this.screenTop + this.cursorRow);
+    }
+
+    write(bytes) {
+        const text = this.decoder.decode(bytes);
+        for (const ch of text) this.feed(ch);
+    }
+
+    feed(ch) {
+        const code = ch.codePointAt(0);
+        switch (this.state) {
+            case 'escape':
+                this.handleEscape(ch);
+                return;
+            case 'csi':
+                // 参数字节和中间字节，以0x40-0x7e结束
+                if (code >= 0x40 && code <= 0x7e) {
+                    this.state = 'normal';
+                    this.handleCsi(ch, this.params);
+                } else if (code === 0x1b) {
+                    this.state = 'escape';
+                } else {
+                    this.params += ch;
+                }
+                return;
+            case 'osc':
+                // 以BEL或ST（ESC \）结束
+                if (code === 0x07) this.state = 'normal';
+                else if (code === 0x1b) this.state = 'osc-escape';
+                return;
+            case 'osc-escape':
+                this.state = ch === '\\' ? 'normal' : 'osc';
+                return;
+            case 'charset':
+                // ESC ( B 等字符集选择，忽略
+                this.state = 'normal';
+                return;
+        }
+        switch (code) {
+            case 0x1b: this.state = 'escape'; return;
+            case 0x0d: this.cursorCol = 0; return;
+            case 0x0a:
+            case 0x0b:
+            case 0x0c: this.lineFeed(); return;
+            case 0x08: this.cursorCol = Math.max(0, Math.min(this.cursorCol, this.cols - 1) - 1); return;
+            case 0x09: this.cursorCol = Math.min(this.cols - 1, (Math.floor(this.cursorCol / 8) + 1) * 8); return;
+            case 0x07:
+            case 0x00:
+            case 0x7f: return;
+        }
+        if (code < 0x20) return;
+        this.print(ch);
+    }
+
+    handleEscape(ch) {
+        this.state = 'normal';
+        switch (ch) {
+            case '[': this.state = 'csi'; this.params = ''; break;
+            case ']': this.state = 'osc'; break;
+            case '(':
+            case ')': this.state = 'charset'; break;
+            case '7': this.saveCursor(); break;
+            case '8': this.restoreCursor(); break;
+            case 'D': this.lineFeed(); break;
+            case 'E': this.cursorCol = 0; this.lineFeed(); break;
+            case 'M': this.reverseIndex(); break;
+            case 'c': this.reset(); break;
+        }
+    }
+
+    handleCsi(final, params) {
+        const isPrivate = params.startsWith('?');
+        const values = (isPrivate ? params.slice(1) : params).split(';').map(value => parseInt(value, 10));
+        const arg = (index, fallback = 1) => Number.isNaN(values[index]) || values[index] === undefined || values[index] === 0 ? fallback : values[index];
+        switch (final) {
+            case 'm': if (!isPrivate) this.applySgr(values); break;
+            case 'A': this.moveCursor(this.cursorRow - arg(0), this.cursorCol); break;
+            case 'B': this.moveCursor(this.cursorRow + arg(0), this.cursorCol); break;
+            case 'C': this.moveCursor(this.cursorRow, this.cursorCol + arg(0)); break;
+            case 'D': this.moveCursor(this.cursorRow, Math.min(this.cursorCol, this.cols - 1) - arg(0)); break;
+            case 'E': this.moveCursor(this.cursorRow + arg(0), 0); break;
+            case 'F': this.moveCursor(this.cursorRow - arg(0), 0); break;
+            case 'G': this.moveCursor(this.cursorRow, arg(0) - 1); break;
+            case 'd': this.moveCursor(arg(0) - 1, this.cursorCol); break;
+            case 'H':
+            case 'f': this.moveCursor(arg(0) - 1, arg(1) - 1); break;
+            case 'J': this.eraseDisplay(arg(0, 0)); break;
+            case 'K': this.eraseLine(this.cursorLine, arg(0, 0)); break;
+            case 'P': this.deleteChars(arg(0)); break;
+            case '@': this.insertChars(arg(0)); break;
+            case 'X': this.eraseChars(arg(0)); break;
+            case 's': this.saveCursor(); break;
+            case 'u': this.restoreCursor(); break;
+            case 'h':
+            case 'l':
+                if (isPrivate && values.includes(25)) this.cursorVisible = final === 'h';
+                break;
+            case 'n':
+                if (!this.respond) break;
+                if (values[0] === 6) this.respond(`\x1b[${this.cursorRow + 1};${Math.min(this.cursorCol, this.cols - 1) + 1}R`);
+                else if (values[0] === 5) this.respond('\x1b[0n');
+                break;
+        }
+    }
+
+    applySgr(values) {
+        const style = { ...this.style };
+        for (let i = 0; i < values.length; i++) {
+            const value = Number.isNaN(values[i]) ? 0 : values[i];
+            if (value === 0) Object.assign(style, TerminalEmulator.DEFAULT_STYLE);
+            else if (value === 1) style.bold = true;
+            else if (value === 2) style.dim = true;
+            else if (value === 4) style.underline = true;
+            else if (value === 7) style.inverse = true;
+            else if (value === 22) style.bold = style.dim = false;
+            else if (value === 24) style.underline = false;
+            else if (value === 27) style.inverse = false;
+            else if (value >= 30 && value <= 37) style.fg = TerminalEmulator.PALETTE[value - 30];
+            else if (value >= 90 && value <= 97) style.fg = TerminalEmulator.PALETTE[value - 90 + 8];
+            else if (value >= 40 && value <= 47) style.bg = TerminalEmulator.PALETTE[value - 40];
+            else if (value >= 100 && value <= 107) style.bg = TerminalEmulator.PALETTE[value - 100 + 8];
+            else if (value === 39) style.fg = null;
+            else if (value === 49) style.bg = null;
+            else if (value === 38 || value === 48) {
+                // 38;5;n 256色，38;2;r;g;b 24位色
+                let color = null;
+                if (values[i + 1] === 5) {
+                    color = TerminalEmulator.color256(values[i + 2]);
+                    i += 2;
+                } else if (values[i + 1] === 2) {
+                    const hex = (component) => Math.max(0, Math.min(255, component || 0)).toString(16).padStart(2, '0');
+                    color = `#${hex(values[i + 2])}${hex(values[i + 3])}${hex(values[i + 4])}`;
+                    i += 4;
+                }
+                if (value === 38) style.fg = color;
+                else style.bg = color;
+            }
+        }
+        this.style = Object.freeze(style);
+    }
+
+    static color256(index) {
+        if (!(index >= 0 && index <= 255)) return null;
+        if (index < 16) return TerminalEmulator.PALETTE[index];
+        if (index >= 232) {
+            const level = (8 + (index - 232) * 10).toString(16).padStart(2, '0');
+            return `#${level}${level}${level}`;
+        }
+        const cube = index - 16;
+        const level = (value) => (value === 0 ? 0 : 55 + value * 40).toString(16).padStart(2, '0');
+        return `#${level(Math.floor(cube / 36))}${level(Math.floor(cube / 6) % 6)}${level(cube % 6)}`;
+    }
+
+    print(ch) {
+        // 写到最后一列之后自动换行
+        if (this.cursorCol >= this.cols) {
+            this.cursorCol = 0;
+            this.lineFeed();
+        }
+        const line = this.cursorLine;
+        while (line.chars.length < this.cursorCol) {
+            line.chars.push(' ');
+            line.styles.push(TerminalEmulator.DEFAULT_STYLE);
+        }
+        line.chars[this.cursorCol] = ch;
+        line.styles[this.cursorCol] = this.style;
+        this.cursorCol++;
+    }
+
+    // 光标在最后一行时屏幕上滚，顶行进入回滚缓冲
+    lineFeed() {
+        if (this.cursorRow < this.rows - 1) {
+            this.cursorRow++;
+            return;
+        }
+        this.lines.push(TerminalEmulator.blankLine());
+    }
+
+    // 光标在第一行时屏幕下滚，底行丢弃
+    reverseIndex() {
+        if (this.cursorRow > 0) {
+            this.cursorRow--;
+            return;
+        }
+        const top = this.screenTop;
+        for (let i = this.rows - 1; i > 0; i--) {
+            const target = this.lines.at(top + i);
+            const source = this.lines.at(top + i - 1);
+            target.chars = source.chars;
+            target.styles = source.styles;
+        }
+        Object.assign(this.lines.at(top), TerminalEmulator.blankLine());
+    }
+
+    moveCursor(row, col) {
+        this.cursorRow = Math.max(0, Math.min(this.rows - 1, row));
+        this.cursorCol = Math.max(0, Math.min(this.cols - 1, col));
+    }
+
+    saveCursor() {
+        this.saved = { row: this.cursorRow, col: this.cursorCol, style: this.style };
+    }
+
+    restoreCursor() {
+        this.moveCursor(this.saved.row, this.saved.col);
+        this.style = this.saved.style;
+    }
+
+    // mode: 0 光标到行尾，1 行首到光标，2 整行
+    eraseLine(line, mode) {
+        const col = Math.min(this.cursorCol, this.cols - 1);
+        if (mode === 0) {
+            line.chars.length = Math.min(line.chars.length, col);
+            line.styles.length = line.chars.length;
+        } else if (mode === 1) {
+            for (let i = 0; i <= col && i < line.chars.length; i++) {
+                line.chars[i] = ' ';
+                line.styles[i] = TerminalEmulator.DEFAULT_STYLE;
+            }
+        } else {
+            Object.assign(line, TerminalEmulator.blankLine());
+        }
+    }
+
+    // mode: 0 光标到屏幕末尾，1 屏幕开头到光标，2 整个屏幕，3 屏幕和回滚缓冲
+    eraseDisplay(mode) {
+        const top = this.screenTop;
+        if (mode === 0 || mode === 1) {
+            this.eraseLine(this.cursorLine, mode);
+            const [from, to] = mode === 0 ? [this.cursorRow + 1, this.rows] : [0, this.cursorRow];
+            for (let i = from; i < to; i++) Object.assign(this.lines.at(top + i), TerminalEmulator.blankLine());
+            return;
+        }
+        if (mode === 3) this.lines.dropHead(top);
+        for (let i = 0; i < this.rows; i++) Object.assign(this.lines.at(this.screenTop + i), TerminalEmulator.blankLine());
+    }
+
+    deleteChars(count) {
+        const line = this.cursorLine;
+        line.chars.splice(this.cursorCol, count);
+        line.styles.splice(this.cursorCol, count);
+    }
+
+    insertChars(count) {
+        const line = this.cursorLine;
+        if (line.chars.length <= this.cursorCol) return;
+        line.chars.splice(this.cursorCol, 0, ...new Array(count).fill(' '));
+        line.styles.splice(this.cursorCol, 0, ...new Array(count).fill(TerminalEmulator.DEFAULT_STYLE));
+        line.chars.length = Math.min(line.chars.length, this.cols);
+        line.styles.length = line.chars.length;
+    }
+
+    eraseChars(count) {
+        const line = this.cursorLine;
+        for (let i = this.cursorCol; i < this.cursorCol + count && i < line.chars.length; i++) {
+            line.chars[i] = ' ';
+            line.styles[i] = TerminalEmulator.DEFAULT_STYLE;
+        }
+    }
+
+    // 一行的纯文本，用于测试和复制
+    lineText(index) {
+        return this.lines.at(index).chars.join('').replace(/\s+$/, '');
+    }
+
+    get screenText() {
+        return Array.from({ length: this.rows }, (_, i) => this.lineText(this.screenTop + i));
+    }
+
+    static styleCss(style) {
+        let fg = style.fg;
+        let bg = style.bg;
+        if (style.inverse) [fg, bg] = [bg || '#000000', fg || '#e5e5e5'];
+        const css = [];
+        if (fg) css.push(`color:${fg}`);
+        if (bg) css.push(`background:${bg}`);
+        if (style.bold) css.push('font-weight:bold');
+        if (style.dim) css.push('opacity:.7');
+        if (style.underline) css.push('text-decoration:underline');
+        return css.join(';');
+    }
+
+    // 一行的HTML，连续相同样式的字符合并为一个span，光标所在位置反显
+    renderLine(line) {
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const cursorCol = this.cursorVisible && line === this.cursorLine ? Math.min(this.cursorCol, this.cols - 1) : -1;
+        const length = Math.max(line.chars.length, cursorCol + 1);
+        let html = '';
+        let text = '';
+        let current = null;
+        const flush = () => {
+            if (!text) return;
+            const css = TerminalEmulator.styleCss(current);
+            html += css ? `<span style="${css}">${escape(text)}</span>` : escape(text);
+            text = '';
+        };
+        for (let i = 0; i < length; i++) {
+            let style = line.styles[i] || TerminalEmulator.DEFAULT_STYLE;
+            if (i === cursorCol) style = { ...style, inverse: !style.inverse };
+            if (style !== current) {
+                flush();
+                current = style;
+            }
+            text += line.chars[i] || ' ';
+        }
+        flush();
+        return `<div class="whitespace-pre overflow-hidden">${html}</div>`;
+    }
+
+    /**
+     * 键盘事件转换为发送的字节序列，不需要发送时返回null
+     * Enter发送CR，Backspace发送DEL(0x7f)，Ctrl+字母发送对应控制字符（如Ctrl-C为0x03）
+     */
+    static keyToSequence(event) {
+        const special = {
+            Enter: '\r',
+            Backspace: '\x7f',
+            Tab: '\t',
+            Escape: '\x1b',
+            ArrowUp: '\x1b[A',
+            ArrowDown: '\x1b[B',
+            ArrowRight: '\x1b[C',
+            ArrowLeft: '\x1b[D',
+            Home: '\x1b[H',
+            End: '\x1b[F',
+            Insert: '\x1b[2~',
+            Delete: '\x1b[3~',
+            PageUp: '\x1b[5~',
+            PageDown: '\x1b[6~'
+        };
+        if (event.metaKey) return null;
+        if (event.ctrlKey && !event.altKey) {
+            const key = event.key.length === 1 ? event.key.toUpperCase() : '';
+            if (key >= 'A' && key <= 'Z') return String.fromCharCode(key.charCodeAt(0) - 64);
+            if (key === '[') return '\x1b';
+            if (key === ' ' || key === '@') return '\x00';
+            return special[event.key] || null;
+        }
+        if (special[event.key]) return special[event.key];
+        if (event.key.length > 0 && [...event.key].length === 1) return (event.altKey ? '\x1b' : '') + event.key;
+        return null;
+    }
+}
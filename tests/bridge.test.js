@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMonitor, waitFor } = require('./helpers/browser');
+const { Relay } = require('../server/relay');
+
+const TOKENS = { 'host-token': 'host', 'user-token': 'control', 'viewer-token': 'view' };
+
+// 浏览器WebSocket的替身，直接连到进程内的中继，消息异步按顺序送达
+function createRelayNetwork() {
+    const relay = new Relay(TOKENS);
+    class FakeWebSocket {
+        constructor(url) {
+            const role = relay.roleOf(new URLSearchParams(url.split('?')[1]).get('token'));
+            this.closed = false;
+            this.client = null;
+            setTimeout(() => {
+                if (!role) {
+                    this.close();
+                    return;
+                }
+                this.client = relay.join(role, {
+                    send: data => setTimeout(() => {
+                        if (!this.closed && this.onmessage) this.onmessage({ data });
+                    }, 0),
+                    close: () => this.close()
+                });
+            }, 0);
+        }
+
+        send(data) {
+            setTimeout(() => relay.receive(this.client, data), 0);
+        }
+
+        close() {
+            if (this.closed) return;
+            this.closed = true;
+            if (this.client) relay.leave(this.client);
+            setTimeout(() => this.onclose && this.onclose({}), 0);
+        }
+    }
+    return { relay, FakeWebSocket };
+}
+
+async function createMonitor(network, token, createPorts = () => []) {
+    const env = loadMonitor({
+        globals: { WebSocket: network.FakeWebSocket },
+        values: { bridgeUrl: 'ws://relay.test', bridgeToken: token }
+    });
+    const VirtualTransport = env.get('VirtualTransport');
+    const ports = createPorts(env);
+    const transport = new VirtualTransport(ports);
+    transport.grantAll();
+    const SerialMonitorPro = env.get('SerialMonitorPro');
+    const app = new SerialMonitorPro({ transport });
+    await waitFor(() => app.ports.size === ports.length);
+    return { env, app, ports };
+}
+
+async function teardown(...monitors) {
+    for (const { env, app } of monitors) {
+        if (app.remote) await app.leaveBridge();
+        app.stopBridgeShare();
+        for (const port of Array.from(app.activeConnections)) {
+            await app.disconnectPort(port);
+        }
+        env.dispose();
+    }
+}
+
+const text = (records) => records.map(record => Buffer.from(record.data).toString()).join('');
+const loopback = env => [new (env.get('VirtualSerialPort'))(new (env.get('LoopbackDevice'))(), { usbVendorId: 0x0483, usbProductId: 0x5740, usbProductName: '开发板' })];
+
+test('共享的串口作为远程串口出现在列表中，收发数据与主机一致', async () => {
+    const network = createRelayNetwork();
+    const host = await createMonitor(network, 'host-token', loopback);
+    const [port] = host.ports;
+    await host.app.connectPort(port);
+    await host.app.toggleBridgeShare();
+    assert.ok(host.app.bridgeHost.isShared('usb-0483-5740'));
+
+    const user = await createMonitor(network, 'user-token');
+    await user.app.toggleBridgeJoin();
+    assert.equal(user.env.document.getElementById('bridgeStatus').textContent, '已连接远程串口 (远程用户)');
+    const [remote] = Array.from(user.app.ports.keys());
+    assert.equal(user.app.ports.get(remote).name, '开发板 (远程)');
+    assert.equal(user.app.getPortId(remote), 'remote-usb-0483-5740');
+    assert.equal(await user.app.connectPort(remote), true);
+
+    // 远程用户发送：经主机写入串口，回环的数据作为RX送回；本端的TX只记录一次
+    const remoteId = user.app.getPortId(remote);
+    assert.equal(await user.app.writeToPort(remote, Uint8Array.from(Buffer.from('AT\r\n'))), true);
+    await waitFor(() => user.app.capture.query({ portId: remoteId, direction: 'RX' }).length > 0);
+    assert.equal(text(host.app.capture.query({ portId: 'usb-0483-5740', direction: 'TX' })), 'AT\r\n');
+    assert.equal(text(user.app.capture.query({ portId: remoteId, direction: 'RX' })), 'AT\r\n');
+
+    // 主机本地发送的数据在远程端记录为TX
+    await host.app.sendToPortId('usb-0483-5740', 'hi');
+    await waitFor(() => text(user.app.capture.query({ portId: remoteId, direction: 'RX' })) === 'AT\r\nhi');
+    assert.equal(text(user.app.capture.query({ portId: remoteId, direction: 'TX' })), 'AT\r\nhi');
+
+    // 主机断开后远程串口如同拔出，进入重连等待；重新共享后自动恢复
+    await host.app.disconnectPort(port);
+    await waitFor(() => user.app.reconnects.has(remoteId));
+    await host.app.connectPort(port);
+    await waitFor(() => !user.app.reconnects.has(remoteId) && user.app.activeConnections.size === 1);
+    await teardown(user, host);
+});
+
+test('只读用户只能查看，只共享数据时不能设置控制信号', async () => {
+    const network = createRelayNetwork();
+    const host = await createMonitor(network, 'host-token', loopback);
+    await host.app.connectPort(host.ports[0]);
+    await host.app.toggleBridgeShare();
+
+    const viewer = await createMonitor(network, 'viewer-token');
+    await viewer.app.toggleBridgeJoin();
+    const [remote] = Array.from(viewer.app.ports.keys());
+    await viewer.app.connectPort(remote);
+    assert.equal(await viewer.app.writeToPort(remote, Uint8Array.of(0x41)), false);
+    await assert.rejects(remote.setSignals({ dataTerminalReady: false }), /只读用户/);
+
+    // 中继同样拒绝只读用户的请求
+    const errors = [];
+    viewer.app.remote.onError = message => errors.push(message);
+    viewer.app.remote.send({ type: 'write', id: 'usb-0483-5740', data: 'QQ==' });
+    await waitFor(() => errors.length === 1);
+    assert.equal(errors[0], '只读用户不能操作串口');
+
+    const user = await createMonitor(network, 'user-token');
+    await user.app.toggleBridgeJoin();
+    const [controlled] = Array.from(user.app.ports.keys());
+    await user.app.connectPort(controlled);
+    await assert.rejects(controlled.setSignals({ dataTerminalReady: false }), /主机未共享控制信号/);
+
+    await host.app.sendToPortId('usb-0483-5740', 'log');
+    await waitFor(() => text(viewer.app.capture.query({ direction: 'RX' })) === 'log');
+    assert.equal(text(host.app.capture.query({ direction: 'TX' })), 'log');
+    await teardown(viewer, user, host);
+});
+
+test('共享控制信号时远程用户可以设置DTR/RTS，并看到主机的串口参数', async () => {
+    const network = createRelayNetwork();
+    const host = await createMonitor(network, 'host-token', loopback);
+    host.env.document.getElementById('bridgeShareMode').value = 'control';
+    host.env.document.getElementById('quickBaudRate').value = '921600';
+    await host.app.connectPort(host.ports[0]);
+    await host.app.toggleBridgeShare();
+
+    const user = await createMonitor(network, 'user-token');
+    await user.app.toggleBridgeJoin();
+    const [remote] = Array.from(user.app.ports.keys());
+    assert.equal(remote.remoteSettings.baudRate, 921600);
+    await user.app.connectPort(remote);
+    assert.equal(user.app.portSettings.get(remote).baudRate, 921600);
+
+    await user.app.getPortSignals(user.app.getPortId(remote)).set({ dataTerminalReady: false });
+    await waitFor(() => host.ports[0].signals.dataTerminalReady === false);
+    const events = host.app.capture.query({ direction: 'EVENT' }).map(record => record.event.message);
+    assert.ok(events.includes('远程用户: DTR=0'));
+    await teardown(user, host);
+});
+
+test('令牌无效时无法连接中继', async () => {
+    const network = createRelayNetwork();
+    const monitor = await createMonitor(network, 'wrong');
+    await monitor.app.toggleBridgeJoin();
+    assert.equal(monitor.app.remote, null);
+    const host = await createMonitor(network, 'user-token');
+    await host.app.toggleBridgeShare();
+    assert.equal(host.app.bridgeHost, null);
+    assert.equal(network.relay.clients.size, 0);
+    await teardown(monitor, host);
+});
+
+test('远程串口的名称作为文本显示，ID不合规的串口描述被忽略', async () => {
+    const network = createRelayNetwork();
+    const evilName = '<img src=x onerror=alert(1)>';
+    const host = await createMonitor(network, 'host-token', env => [
+        new (env.get('VirtualSerialPort'))(new (env.get('LoopbackDevice'))(), { usbVendorId: 0x0483, usbProductId: 0x5740, usbProductName: evilName })
+    ]);
+    await host.app.connectPort(host.ports[0]);
+    await host.app.toggleBridgeShare();
+    // 主机直接发送ID带有标记的串口描述
+    host.app.bridgeHost.share({ id: 'x"><script>alert(1)</script>', name: 'bad' });
+    host.app.bridgeHost.share({ id: 'usb-1234-0001', name: { toString: null } });
+
+    const user = await createMonitor(network, 'user-token');
+    await user.app.toggleBridgeJoin();
+    await waitFor(() => network.relay.ports.size === 3 && user.app.ports.size === 1);
+    const [remote] = Array.from(user.app.ports.keys());
+    assert.equal(user.app.ports.get(remote).name, `${evilName} (远程)`);
+    await waitFor(() => user.env.document.getElementById('portList').innerHTML.includes('&lt;img'));
+    const html = user.env.document.getElementById('portList').innerHTML;
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt; (远程)'));
+    assert.ok(!html.includes('<img'));
+    assert.ok(!html.includes('<script'));
+
+    await user.app.connectPort(remote);
+    assert.ok(!user.env.document.getElementById('portList').innerHTML.includes('<img'));
+    await teardown(user, host);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadCapture(retention) {
+    const env = loadScripts(['capture.js']);
+    const CaptureStore = env.get('CaptureStore');
+    return { env, CaptureStore, capture: new CaptureStore(retention) };
+}
+
+const seqs = (records) => Array.from(records, record => record.seq);
+
+test('按容量保留时丢弃最早的记录，至少保留最新一条', () => {
+    const { env, CaptureStore, capture } = loadCapture();
+    const overhead = CaptureStore.RECORD_OVERHEAD;
+    capture.setRetention({ mode: 'bytes', maxBytes: 2 * (4 + overhead) + 2 });
+    for (let i = 0; i < 5; i++) capture.append('a', 'RX', new Uint8Array(4), i);
+    assert.deepEqual(seqs(capture.records), [4, 5]);
+    assert.equal(capture.retainedBytes, 8);
+    assert.equal(capture.retainedSize, 8 + 2 * overhead);
+    // 统计不受保留策略影响
+    assert.equal(capture.getStats('a').rxBytes, 20);
+    assert.equal(capture.bytesSince(0), 8);
+
+    capture.append('a', 'TX', new Uint8Array(32), 5);
+    assert.deepEqual(seqs(capture.records), [6]);
+    assert.equal(capture.retainedBytes, 32);
+
+    capture.setRetention({ maxBytes: 1000 });
+    capture.appendEvent('a', { type: 'info', message: '事件' }, 6);
+    assert.deepEqual(seqs(capture.query({ portId: 'a' })), [6, 7]);
+    assert.equal(capture.retainedSize, 32 + 2 * overhead);
+    env.dispose();
+});
+
+test('没有数据的事件记录也计入容量，超出后同样丢弃', () => {
+    const { env, CaptureStore, capture } = loadCapture();
+    capture.setRetention({ mode: 'bytes', maxBytes: 10 * CaptureStore.RECORD_OVERHEAD });
+    capture.append('a', 'RX', new Uint8Array(4), 0);
+    for (let i = 1; i <= 10000; i++) {
+        capture.appendEvent('a', { type: 'signal', message: `CTS=${i & 1}` }, i);
+    }
+    assert.equal(capture.records.length, 10);
+    assert.deepEqual(seqs(capture.records), Array.from({ length: 10 }, (_, i) => 9992 + i));
+    assert.equal(capture.retainedBytes, 0);
+    assert.equal(capture.retainedSize, 10 * CaptureStore.RECORD_OVERHEAD);
+    capture.clear('a');
+    assert.equal(capture.retainedSize, 0);
+    env.dispose();
+});
+
+test('按时长保留时以最新记录的时间为基准丢弃过期记录', () => {
+    const { env, capture } = loadCapture({ mode: 'age', maxAgeMs: 100 });
+    for (const timestamp of [0, 40, 80, 120]) capture.append('a', 'RX', Uint8Array.of(1, 2), timestamp);
+    assert.deepEqual(seqs(capture.records), [2, 3, 4]);
+    assert.equal(capture.retainedBytes, 6);
+
+    // 回放的旧数据以最新一条为基准，不会立即清除
+    capture.append('b', 'RX', Uint8Array.of(3), 500);
+    assert.deepEqual(seqs(capture.records), [5]);
+    assert.equal(capture.retainedBytes, 1);
+    assert.deepEqual(seqs(capture.query({ since: 0 })), [5]);
+
+    capture.setRetention({ mode: 'bytes', maxBytes: 1 });
+    capture.append('a', 'RX', Uint8Array.of(4), 501);
+    assert.deepEqual(seqs(capture.records), [6]);
+    capture.clear('a');
+    assert.equal(capture.records.length, 0);
+    assert.equal(capture.retainedBytes, 0);
+    env.dispose();
+});
+
+test('连续追加时丢弃的记录不会在内部累积', () => {
+    const { env, CaptureStore, capture } = loadCapture();
+    capture.setRetention({ mode: 'bytes', maxBytes: 100 * (10 + CaptureStore.RECORD_OVERHEAD) });
+    for (let i = 0; i < 20000; i++) {
+        capture.append('a', 'RX', new Uint8Array(10), i);
+        assert.ok(capture.buffer.length <= 2 * 100 + 1);
+    }
+    assert.equal(capture.records.length, 100);
+    assert.equal(capture.records[0].seq, 19901);
+    assert.equal(capture.bytesSince(19950), 500);
+    assert.equal(capture.retainedBytes, 1000);
+    env.dispose();
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadCodec() {
+    const env = loadScripts(['encoding.js']);
+    return { env, TextCodec: env.get('TextCodec') };
+}
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+test('流式解码时被拆开的多字节字符在下一块中拼接，无效序列解码为U+FFFD', () => {
+    const { TextCodec } = loadCodec();
+    const gbk = new TextCodec('gbk');
+    // "温度" GBK: CE C2 B6 C8
+    assert.equal(gbk.decode(Uint8Array.from([0x74, 0x3d, 0xce])), 't=');
+    assert.equal(gbk.decode(Uint8Array.from([0xc2, 0xb6])), '温');
+    assert.equal(gbk.decode(Uint8Array.from([0xc8, 0x0d, 0x0a])), '度\r\n');
+
+    const utf8 = new TextCodec('utf-8');
+    const bytes = Buffer.from('中文');
+    assert.equal(utf8.decode(bytes.subarray(0, 2)) + utf8.decode(bytes.subarray(2)), '中文');
+    assert.equal(utf8.decode(Uint8Array.from([0x41, 0xff, 0x42])), 'A\ufffdB');
+    assert.equal(utf8.decode(Uint8Array.from([0xe4, 0xb8])), '');
+    assert.equal(utf8.flush(), '\ufffd');
+
+    assert.equal(TextCodec.decode(Uint8Array.from([0xa4, 0xa4, 0xa4, 0xe5]), 'big5'), '中文');
+    assert.equal(TextCodec.decode(Uint8Array.from([0x41, 0x80, 0xe9]), 'latin1'), 'A\u0080é');
+    assert.equal(TextCodec.decode(Uint8Array.from([0x41, 0xe9]), 'ascii'), 'A\ufffd');
+    assert.throws(() => new TextCodec('utf-16'), /不支持的编码/);
+});
+
+test('按GBK、GB18030、Big5等编码发送文本，无法编码的字符报错', () => {
+    const { TextCodec } = loadCodec();
+    assert.equal(hex(TextCodec.encode('温度=25℃\r\n', 'gbk')), 'cec2b6c83d3235a1e60d0a');
+    assert.equal(hex(TextCodec.encode('€', 'gbk')), '80');
+    assert.equal(hex(TextCodec.encode('€', 'gb18030')), 'a2e3');
+    // GB18030四字节：基本平面字符和辅助平面字符
+    assert.equal(hex(TextCodec.encode('\u0080😀', 'gb18030')), '813081309439fc36');
+    assert.equal(TextCodec.decode(TextCodec.encode('\u0080😀', 'gb18030'), 'gb18030'), '\u0080😀');
+    assert.equal(hex(TextCodec.encode('中文', 'big5')), 'a4a4a4e5');
+    assert.equal(hex(TextCodec.encode('café', 'latin1')), '636166e9');
+    assert.equal(hex(TextCodec.encode('中文', 'utf-8')), 'e4b8ade69687');
+    assert.throws(() => TextCodec.encode('😀', 'gbk'), /字符"😀"无法用GBK编码/);
+    assert.throws(() => TextCodec.encode('é', 'ascii'), /无法用ASCII编码/);
+});
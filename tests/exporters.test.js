@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadExporter() {
+    const env = loadScripts(['capture.js', 'exporters.js']);
+    const CaptureStore = env.get('CaptureStore');
+    const capture = new CaptureStore();
+    const start = Date.UTC(2026, 0, 1, 8, 0, 0);
+    capture.append('p1', 'TX', Buffer.from('AT\r\n'), start);
+    capture.append('p1', 'RX', Buffer.from('OK, "ready"\r\n'), start + 12.5);
+    capture.appendEvent('p1', { type: 'signals', message: 'DTR=1' }, start + 20);
+    capture.append('p2', 'RX', Uint8Array.from([0xee, 0x01]), start + 3000);
+    return { env, CaptureExporter: env.get('CaptureExporter'), records: capture.records, start };
+}
+
+const portName = (portId) => ({ p1: 'COM3', p2: 'USB 1' })[portId];
+
+test('按时间范围、串口和方向筛选记录', () => {
+    const { CaptureExporter, records, start } = loadExporter();
+    const directions = (options) => Array.from(CaptureExporter.select(records, options), record => record.direction);
+    assert.deepEqual(directions({}), ['TX', 'RX', 'EVENT', 'RX']);
+    assert.deepEqual(directions({ until: start + 1000 }), ['TX', 'RX', 'EVENT']);
+    assert.deepEqual(directions({ since: start + 10, portId: 'p1' }), ['RX', 'EVENT']);
+    assert.deepEqual(directions({ direction: 'RX' }), ['RX', 'RX']);
+});
+
+test('导出CSV和JSON Lines', () => {
+    const { CaptureExporter, records, start } = loadExporter();
+    const lines = CaptureExporter.toCsv(records, portName).split('\r\n');
+    assert.equal(lines[0], '\ufeff时间戳(ms),时间,串口,方向,长度,数据(HEX),事件');
+    assert.equal(lines[1], `${start}.000,2026-01-01T08:00:00.000Z,COM3,TX,4,41 54 0d 0a,`);
+    assert.equal(lines[3], `${start + 20}.000,2026-01-01T08:00:00.020Z,COM3,EVENT,0,,DTR=1`);
+    assert.equal(lines.length, 6);
+
+    const entries = CaptureExporter.toJsonLines(records, portName).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(entries[1], {
+        timestamp: start + 12.5,
+        time: '2026-01-01T08:00:00.012Z',
+        portId: 'p1',
+        port: 'COM3',
+        direction: 'RX',
+        length: 13,
+        hex: '4f 4b 2c 20 22 72 65 61 64 79 22 0d 0a'
+    });
+    assert.equal(entries[2].event.message, 'DTR=1');
+});
+
+test('原始二进制按串口和方向拼接，hexdump与hexdump -C格式一致', () => {
+    const { CaptureExporter, records } = loadExporter();
+    const files = CaptureExporter.toBinaryFiles(records, portName);
+    assert.deepEqual(Array.from(files, file => file.name), ['COM3_TX.bin', 'COM3_RX.bin', 'USB_1_RX.bin']);
+    assert.equal(Buffer.from(files[1].data).toString(), 'OK, "ready"\r\n');
+
+    const data = Buffer.concat([Buffer.from('Hello World\r\n0123456789abcdef'), Buffer.alloc(48, 'A'), Buffer.from('xyz')]);
+    assert.deepEqual(Array.from(CaptureExporter.hexdumpLines(Uint8Array.from(data))), [
+        '00000000  48 65 6c 6c 6f 20 57 6f  72 6c 64 0d 0a 30 31 32  |Hello World..012|',
+        '00000010  33 34 35 36 37 38 39 61  62 63 64 65 66 41 41 41  |3456789abcdefAAA|',
+        '00000020  41 41 41 41 41 41 41 41  41 41 41 41 41 41 41 41  |AAAAAAAAAAAAAAAA|',
+        '*',
+        '00000040  41 41 41 41 41 41 41 41  41 41 41 41 41 78 79 7a  |AAAAAAAAAAAAAxyz|',
+        '00000050'
+    ]);
+    const dump = CaptureExporter.toHexdump(records.slice(0, 3), portName).split('\n\n');
+    assert.equal(dump[0], '# 2026-01-01T08:00:00.000Z COM3 TX 4 字节\n' +
+        '00000000  41 54 0d 0a                                       |AT..|\n00000004');
+    assert.equal(dump[2], '# 2026-01-01T08:00:00.020Z COM3 EVENT DTR=1\n');
+});
+
+test('pcapng每个串口一个接口，收发方向写入epb_flags', () => {
+    const { CaptureExporter, records, start } = loadExporter();
+    const bytes = CaptureExporter.toPcapng(records, portName);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blocks = [];
+    for (let offset = 0; offset < bytes.length;) {
+        const type = view.getUint32(offset, true);
+        const length = view.getUint32(offset + 4, true);
+        assert.equal(length % 4, 0);
+        assert.equal(view.getUint32(offset + length - 4, true), length);
+        blocks.push({ type, offset, length });
+        offset += length;
+    }
+    assert.deepEqual(blocks.map(block => block.type), [0x0a0d0d0a, 1, 1, 6, 6, 6]);
+    assert.equal(view.getUint32(8, true), 0x1a2b3c4d);
+
+    const idb = blocks[1];
+    assert.equal(view.getUint16(idb.offset + 8, true), 147);
+    assert.equal(view.getUint16(idb.offset + 16, true), 2); // if_name
+    const nameLength = view.getUint16(idb.offset + 18, true);
+    assert.equal(Buffer.from(bytes.subarray(idb.offset + 20, idb.offset + 20 + nameLength)).toString(), 'COM3');
+
+    const epb = blocks[4];
+    const micros = view.getUint32(epb.offset + 12, true) * 0x100000000 + view.getUint32(epb.offset + 16, true);
+    assert.equal(micros, (start + 12.5) * 1000);
+    assert.equal(view.getUint32(epb.offset + 20, true), 13);
+    assert.equal(Buffer.from(bytes.subarray(epb.offset + 28, epb.offset + 41)).toString(), 'OK, "ready"\r\n');
+    // 13字节数据补齐到16字节后是epb_flags选项，1为入站
+    assert.equal(view.getUint16(epb.offset + 44, true), 2);
+    assert.equal(view.getUint32(epb.offset + 48, true), 1);
+    assert.equal(view.getUint32(blocks[3].offset + 36, true), 2);
+    assert.equal(view.getUint32(blocks[5].offset + 8, true), 1);
+});
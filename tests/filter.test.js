@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadFilter() {
+    const env = loadScripts(['triggers.js', 'filter.js']);
+    return { env, FrameFilter: env.get('FrameFilter') };
+}
+
+const frame = (direction, data, extra = {}) => ({
+    seq: 1,
+    portId: 'p1',
+    direction,
+    timestamp: 1000,
+    data: Uint8Array.from(typeof data === 'string' ? Buffer.from(data, 'latin1') : data),
+    ...extra
+});
+
+test('按串口、方向和时间范围过滤', () => {
+    const { FrameFilter } = loadFilter();
+    const filter = new FrameFilter({ portId: 'p1', direction: 'RX', since: 500, until: 1500 });
+    assert.equal(filter.active, true);
+    assert.equal(filter.searching, false);
+    assert.equal(filter.accepts(frame('RX', 'a')), true);
+    assert.equal(filter.accepts(frame('TX', 'a')), false);
+    assert.equal(filter.accepts(frame('RX', 'a', { portId: 'p2' })), false);
+    assert.equal(filter.accepts(frame('RX', 'a', { timestamp: 1600 })), false);
+    assert.equal(new FrameFilter().active, false);
+});
+
+test('关键字、正则和十六进制搜索返回匹配的字节范围', () => {
+    const { FrameFilter } = loadFilter();
+    const keyword = new FrameFilter({ search: 'ok' });
+    assert.deepEqual(Array.from(keyword.matchRanges(frame('RX', 'OK ok\r\n')), range => Array.from(range)), [[0, 2], [3, 5]]);
+    assert.equal(keyword.matches(frame('RX', 'ERROR')), false);
+    // 解析摘要和事件内容参与搜索
+    assert.equal(keyword.matches(frame('RX', [0x01], { decoded: { summary: 'Lookup ok' } })), true);
+    assert.equal(keyword.matches(frame('EVENT', [], { event: { message: 'DTR ok' } })), true);
+
+    const regex = new FrameFilter({ mode: 'regex', search: 'T=\\d+' });
+    assert.deepEqual(Array.from(regex.matchRanges(frame('RX', 'a T=12 T=3')), range => Array.from(range)), [[2, 6], [7, 10]]);
+
+    const hex = new FrameFilter({ mode: 'hex', search: 'EE ?? 0A' });
+    assert.deepEqual(Array.from(hex.matchRanges(frame('RX', [0x01, 0xee, 0x55, 0x0a])), range => Array.from(range)), [[1, 4]]);
+    assert.equal(hex.matches(frame('RX', [0xee, 0x0a])), false);
+
+    // 只显示匹配时不匹配的帧不显示
+    const only = new FrameFilter({ search: 'ok', onlyMatches: true });
+    assert.equal(only.accepts(frame('RX', 'ERROR')), false);
+    assert.equal(only.accepts(frame('RX', 'OK')), true);
+
+    assert.throws(() => new FrameFilter({ mode: 'regex', search: '(' }), /无效的正则表达式/);
+    assert.throws(() => new FrameFilter({ mode: 'hex', search: 'EEE' }), /无效的十六进制序列/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadFramer() {
+    const env = loadScripts(['framing.js']);
+    return { env, StreamFramer: env.get('StreamFramer') };
+}
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+const describe = (frames) => Array.from(frames, frame => ({ data: hex(frame.data), error: frame.error }));
+
+// 依次输入各段数据（时间戳为段序号），收集全部帧
+function feed(framer, chunks) {
+    return chunks.flatMap((chunk, i) => Array.from(framer.push(Uint8Array.from(chunk), i)));
+}
+
+test('SLIP分帧：跨数据块的转义、合并的多帧和无效转义', () => {
+    const { env, StreamFramer } = loadFramer();
+    const framer = new StreamFramer({ type: 'slip' });
+    // ESC与ESC_END被拆到两个数据块中；连续的END不产生空帧
+    const frames = feed(framer, [[0xc0, 0x01, 0xdb], [0xdc, 0x02, 0xc0, 0xc0, 0x03, 0xdb, 0xdd, 0xc0]]);
+    assert.deepEqual(describe(frames), [
+        { data: '01c002', error: null },
+        { data: '03db', error: null }
+    ]);
+    assert.equal(frames[0].timestamp, 0);
+    assert.equal(frames[0].endTimestamp, 1);
+
+    assert.deepEqual(describe(feed(framer, [[0x41, 0xdb, 0x42, 0xc0], [0x43, 0xdb, 0xc0], [0x44, 0xc0]])), [
+        { data: '4142', error: 'slip-escape' },
+        { data: '43', error: 'slip-escape' },
+        { data: '44', error: null }
+    ]);
+    env.dispose();
+});
+
+test('COBS分帧：按0x00切分并解码，数据块长度越界时标记错误', () => {
+    const { env, StreamFramer } = loadFramer();
+    const framer = new StreamFramer({ type: 'cobs' });
+    // [11 00 22]、[00]、[33 44] 三帧，第三帧的结尾在下一个数据块中
+    const frames = feed(framer, [[0x02, 0x11, 0x02, 0x22, 0x00, 0x01, 0x01, 0x00, 0x03, 0x33], [0x44, 0x00]]);
+    assert.deepEqual(describe(frames), [
+        { data: '110022', error: null },
+        { data: '00', error: null },
+        { data: '3344', error: null }
+    ]);
+    assert.deepEqual(Array.from(frames, frame => frame.rawLength), [5, 3, 4]);
+    assert.equal(frames[2].timestamp, 0);
+    assert.equal(frames[2].endTimestamp, 1);
+
+    // 0xFF块之后不插入0x00
+    const payload = Array.from({ length: 254 }, (_, i) => i + 1);
+    const [long] = feed(framer, [[0xff, ...payload, 0x01, 0x00]]);
+    assert.equal(hex(long.data), hex(payload));
+    assert.equal(long.error, null);
+
+    assert.deepEqual(describe(feed(framer, [[0x05, 0x01, 0x00]])), [{ data: '01', error: 'cobs-length' }]);
+    env.dispose();
+});
+
+test('长度前缀分帧：大端、小端，长度超过上限时强制结束并标记溢出', () => {
+    const { env, StreamFramer } = loadFramer();
+    const big = new StreamFramer(StreamFramer.parseParams('length', '2 BE'));
+    const frames = feed(big, [[0x00], [0x03, 0xaa, 0xbb], [0xcc, 0x00, 0x01, 0xdd, 0x00]]);
+    assert.deepEqual(describe(frames), [
+        { data: '0003aabbcc', error: null },
+        { data: '0001dd', error: null }
+    ]);
+    assert.equal(big.buffer.length, 1); // 下一帧的长度字段尚不完整
+
+    const little = new StreamFramer(StreamFramer.parseParams('length', '2 le'));
+    assert.deepEqual(describe(feed(little, [[0x02, 0x00, 0x01, 0x02, 0x00, 0x00]])), [
+        { data: '02000102', error: null },
+        { data: '0000', error: null }
+    ]);
+
+    const limited = new StreamFramer({ type: 'length', maxFrameLength: 8 });
+    const [overflow] = feed(limited, [[0x20, 1, 2, 3], [4, 5, 6, 7, 8]]);
+    assert.deepEqual(describe([overflow]), [{ data: '2001020304050607', error: 'overflow' }]);
+
+    assert.throws(() => StreamFramer.parseParams('length', '3'), /长度字段应为1或2字节/);
+    assert.throws(() => StreamFramer.parseParams('length', '2 middle'), /字节序应为 BE 或 LE/);
+    env.dispose();
+});
+
+test('空闲间隔分帧：新数据到达或超时检查时结束当前帧', () => {
+    const { env, StreamFramer } = loadFramer();
+    const framer = new StreamFramer(StreamFramer.parseParams('idle', '20'));
+    assert.deepEqual(Array.from(framer.push(Uint8Array.of(1, 2), 0)), []);
+    assert.deepEqual(Array.from(framer.push(Uint8Array.of(3), 10)), []);
+    assert.deepEqual(Array.from(framer.flush(25)), []);
+
+    const [flushed] = framer.flush(30);
+    assert.equal(hex(flushed.data), '010203');
+    assert.equal(flushed.timestamp, 0);
+    assert.equal(flushed.endTimestamp, 10);
+    assert.deepEqual(Array.from(framer.flush(100)), []);
+
+    framer.push(Uint8Array.of(4), 100);
+    const [previous] = framer.push(Uint8Array.of(5), 130);
+    assert.equal(hex(previous.data), '04');
+    assert.equal(previous.endTimestamp, 100);
+    assert.equal(hex(framer.flush(150)[0].data), '05');
+    assert.throws(() => StreamFramer.parseParams('idle', '0'), /空闲间隔必须大于0/);
+    env.dispose();
+});
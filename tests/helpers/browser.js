@@ -0,0 +1,369 @@
+/**
+ * 测试辅助 - 在vm上下文中加载页面脚本，提供最小化的浏览器环境
+ *
+ * 页面脚本是普通的<script>文件，类声明在同一个上下文的多个脚本之间共享，
+ * 与浏览器中按顺序加载的效果一致。
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+class FakeClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get names() {
+        return this.element.className.split(/\s+/).filter(Boolean);
+    }
+
+    add(...names) {
+        this.element.className = Array.from(new Set([...this.names, ...names])).join(' ');
+    }
+
+    remove(...names) {
+        this.element.className = this.names.filter(name => !names.includes(name)).join(' ');
+    }
+
+    contains(name) {
+        return this.names.includes(name);
+    }
+
+    toggle(name, force) {
+        const enable = force === undefined ? !this.contains(name) : force;
+        if (enable) this.add(name);
+        else this.remove(name);
+        return enable;
+    }
+}
+
+class FakeElement {
+    constructor(tagName, id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.value = '';
+        this.text = '';
+        this.textContent = '';
+        this.innerHTML = '';
+        this.className = '';
+        this.title = '';
+        this.placeholder = '';
+        this.disabled = false;
+        this.checked = false;
+        this.selected = false;
+        this.scrollTop = 0;
+        this.scrollHeight = 0;
+        this.style = {};
+        this.dataset = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = new Map();
+        this.classList = new FakeClassList(this);
+    }
+
+    get options() {
+        return this.children.filter(child => child.tagName === 'OPTION');
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const listeners = this.listeners.get(type) || [];
+        this.listeners.set(type, listeners.filter(item => item !== listener));
+    }
+
+    dispatchEvent(event) {
+        (this.listeners.get(event.type) || []).forEach(listener => listener({ target: this, preventDefault() {}, stopPropagation() {}, ...event }));
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click' });
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(item => item !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    replaceChildren(...children) {
+        this.children.forEach(child => { child.parentNode = null; });
+        this.children = [];
+        this.innerHTML = '';
+        children.forEach(child => this.appendChild(child));
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    closest() {
+        return null;
+    }
+
+    focus() {}
+
+    blur() {}
+}
+
+class FakeDocument {
+    constructor(values = {}) {
+        this.elements = new Map();
+        this.body = new FakeElement('body');
+        this.listeners = new Map();
+        Object.entries(values).forEach(([id, value]) => {
+            this.getElementById(id).value = value;
+        });
+    }
+
+    // 页面中的元素按需创建，测试只关心脚本读写的属性
+    getElementById(id) {
+        if (!this.elements.has(id)) {
+            this.elements.set(id, new FakeElement('div', id));
+        }
+        return this.elements.get(id);
+    }
+
+    createElement(tagName) {
+        return new FakeElement(tagName);
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+
+    // 页面上显示过的通知文本
+    get notifications() {
+        return this.body.children.map(child => child.textContent);
+    }
+}
+
+class FakeStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+// ECharts实例：按组件合并选项，getOption返回数组形式的组件，与ECharts一致
+class FakeChart {
+    constructor() {
+        this.option = {};
+    }
+
+    setOption(option) {
+        Object.entries(option).forEach(([key, value]) => {
+            if (value === null || typeof value !== 'object') {
+                this.option[key] = value;
+                return;
+            }
+            const items = Array.isArray(value) ? value : [value];
+            const current = this.option[key] || [];
+            this.option[key] = items.map((item, index) => ({ ...current[index], ...item }));
+        });
+    }
+
+    getOption() {
+        return this.option;
+    }
+
+    resize() {}
+
+    dispose() {}
+}
+
+// 监控页表单的默认值，与index.html一致
+const MONITOR_FORM_DEFAULTS = {
+    quickBaudRate: '115200',
+    quickDataBits: '8',
+    quickStopBits: '1',
+    quickParity: 'none',
+    quickFlowControl: 'none',
+    quickBufferSize: '4096',
+    quickReadTimeout: '0',
+    quickWriteTimeout: '1000',
+    retentionMode: 'bytes',
+    retentionLimit: '4',
+    dataFormat: 'text',
+    sendTarget: 'all',
+    sendMode: 'text',
+    sendLineEnding: 'crlf',
+    sendRepeatInterval: '1000',
+    replaySpeed: '1',
+    triggerType: 'text',
+    triggerPreMs: '2000',
+    triggerPostMs: '2000',
+    filterDirection: 'all',
+    filterMode: 'keyword',
+    plotWindow: '30000',
+    plotYMode: 'auto',
+    terminalEcho: 'off',
+    bridgeShareMode: 'data',
+    flashAddress: '0x08000000',
+    flashErase: 'all',
+    flashPageSize: '1024',
+    flashBaudRate: '115200',
+    transferProtocol: 'ymodem'
+};
+
+/**
+ * 创建浏览器上下文并按顺序加载脚本
+ * 返回 { context, document, localStorage, get(name), dispose() }
+ */
+function loadScripts(files, { values = {}, search = '', globals = {} } = {}) {
+    const timers = new Set();
+    const intervals = new Set();
+    const document = new FakeDocument(values);
+    const localStorage = new FakeStorage();
+
+    const context = {
+        console,
+        document,
+        localStorage,
+        location: { search },
+        navigator: {},
+        performance,
+        TextEncoder,
+        TextDecoder,
+        ReadableStream,
+        WritableStream,
+        DOMException,
+        URLSearchParams,
+        btoa,
+        atob,
+        echarts: { init: () => new FakeChart() },
+        anime: Object.assign(() => {}, { stagger: () => 0 }),
+        confirm: () => true,
+        prompt: () => null,
+        alert: () => {},
+        setTimeout: (callback, ms, ...args) => {
+            const id = setTimeout(() => {
+                timers.delete(id);
+                callback(...args);
+            }, ms);
+            timers.add(id);
+            return id;
+        },
+        clearTimeout: (id) => {
+            timers.delete(id);
+            clearTimeout(id);
+        },
+        setInterval: (callback, ms, ...args) => {
+            const id = setInterval(callback, ms, ...args);
+            intervals.add(id);
+            return id;
+        },
+        clearInterval: (id) => {
+            intervals.delete(id);
+            clearInterval(id);
+        },
+        requestAnimationFrame: (callback) => context.setTimeout(() => callback(performance.now()), 16),
+        cancelAnimationFrame: (id) => context.clearTimeout(id),
+        addEventListener() {},
+        removeEventListener() {},
+        ...globals
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    for (const file of files) {
+        const filename = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    return {
+        context,
+        document,
+        localStorage,
+        // 顶层类声明不是全局对象的属性，需要在上下文中求值取得
+        get(name) {
+            return vm.runInContext(name, context);
+        },
+        // 清除脚本创建的全部定时器，避免测试进程无法退出
+        dispose() {
+            timers.forEach(id => clearTimeout(id));
+            intervals.forEach(id => clearInterval(id));
+            timers.clear();
+            intervals.clear();
+        }
+    };
+}
+
+// 监控页脚本，顺序与index.html一致
+const MONITOR_SCRIPTS = ['transport.js', 'capture.js', 'channel.js', 'sessions.js', 'encoding.js', 'framing.js', 'modbus.js', 'nmea.js', 'signals.js', 'bridge.js', 'stm32boot.js', 'xmodem.js', 'presets.js', 'triggers.js', 'filter.js', 'linedetect.js', 'monitorview.js', 'plotter.js', 'terminal.js', 'main.js'];
+
+function loadMonitor(options = {}) {
+    return loadScripts(MONITOR_SCRIPTS, {
+        ...options,
+        values: { ...MONITOR_FORM_DEFAULTS, ...options.values }
+    });
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 轮询等待条件成立
+async function waitFor(condition, { timeout = 2000, interval = 10 } = {}) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('等待条件超时');
+        }
+        await delay(interval);
+    }
+}
+
+module.exports = {
+    FakeChart,
+    FakeDocument,
+    FakeElement,
+    FakeStorage,
+    loadScripts,
+    loadMonitor,
+    MONITOR_SCRIPTS,
+    delay,
+    waitFor
+};
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadDetector() {
+    const env = loadScripts(['transport.js', 'modbus.js', 'nmea.js', 'linedetect.js']);
+    return {
+        env,
+        LineSettingsDetector: env.get('LineSettingsDetector'),
+        VirtualTransport: env.get('VirtualTransport'),
+        VirtualSerialPort: env.get('VirtualSerialPort'),
+        ScriptedDevice: env.get('ScriptedDevice'),
+        ModbusDecoder: env.get('ModbusDecoder')
+    };
+}
+
+const FORMAT_8N1 = { dataBits: 8, parity: 'none', stopBits: 1 };
+const bytesOf = (text) => Array.from(Buffer.from(text));
+
+// 读取03功能码请求及其响应，附带CRC
+function modbusFrames(ModbusDecoder) {
+    const withCrc = (pdu) => {
+        const crc = ModbusDecoder.crc16(pdu);
+        return [...pdu, crc & 0xff, crc >> 8];
+    };
+    return [
+        withCrc([0x01, 0x03, 0x00, 0x00, 0x00, 0x02]),
+        withCrc([0x01, 0x03, 0x04, 0x00, 0x0a, 0x01, 0x02])
+    ];
+}
+
+test('可见文本得分高，读取错误和乱码字节降低得分', () => {
+    const { env, LineSettingsDetector } = loadDetector();
+    const settings = { baudRate: 9600, ...FORMAT_8N1 };
+    const text = bytesOf('TEMP=23.5,HUM=41\r\n'.repeat(4));
+
+    const clean = LineSettingsDetector.evaluate({ settings, bytes: text, chunks: 4, errors: {}, errorCount: 0 });
+    const noisy = LineSettingsDetector.evaluate({ settings, bytes: text, chunks: 4, errors: { FramingError: 4 }, errorCount: 4 });
+    const garbage = LineSettingsDetector.evaluate({ settings, bytes: new Array(72).fill(0xf0), chunks: 4, errors: {}, errorCount: 0 });
+    const empty = LineSettingsDetector.evaluate({ settings, bytes: [], chunks: 0, errors: {}, errorCount: 0 });
+
+    assert.equal(clean.confidence, 1);
+    assert.ok(noisy.confidence < 0.3);
+    assert.equal(garbage.confidence, 0);
+    assert.equal(empty.confidence, 0);
+    assert.equal(empty.reason, '未收到数据');
+    env.dispose();
+});
+
+test('最高位符合校验规律时降低8N1的得分', () => {
+    const { env, LineSettingsDetector, ScriptedDevice } = loadDetector();
+    const text = bytesOf('$GPGGA,READY,ACK\r\n'.repeat(4));
+    const withParity = text.map(byte => byte | (ScriptedDevice.parityBit(byte, 7, 'even') << 7));
+
+    const result = LineSettingsDetector.evaluate({
+        settings: { baudRate: 9600, ...FORMAT_8N1 }, bytes: withParity, chunks: 4, errors: {}, errorCount: 0
+    });
+    assert.equal(result.details.parityHint, 'even');
+    assert.ok(result.confidence < 0.6);
+    assert.match(result.reason, /疑似7位偶校验/);
+
+    const sevenEven = LineSettingsDetector.evaluate({
+        settings: { baudRate: 9600, dataBits: 7, parity: 'even', stopBits: 1 }, bytes: text, chunks: 4, errors: {}, errorCount: 0
+    });
+    assert.equal(sevenEven.confidence, 1);
+    env.dispose();
+});
+
+test('二进制数据按Modbus CRC和NMEA校验和识别', () => {
+    const { env, LineSettingsDetector, ModbusDecoder, VirtualTransport } = loadDetector();
+    const settings = { baudRate: 19200, ...FORMAT_8N1 };
+    const modbus = modbusFrames(ModbusDecoder).flat();
+
+    const binary = LineSettingsDetector.evaluate({ settings, bytes: [...modbus, ...modbus, ...modbus], chunks: 6, errors: {}, errorCount: 0 });
+    assert.equal(binary.details.protocol, 'Modbus RTU');
+    assert.equal(binary.details.protocolFrames, 6);
+    assert.equal(binary.confidence, 1);
+
+    const nmea = bytesOf(VirtualTransport.nmeaSentence('GPVTG,31.66,T,,M,0.02,N,0.04,K,A'));
+    const sentence = LineSettingsDetector.evaluate({ settings, bytes: nmea, chunks: 1, errors: {}, errorCount: 0 });
+    assert.equal(sentence.details.protocol, 'NMEA 0183');
+    env.dispose();
+});
+
+test('检测Modbus RTU设备的波特率和校验方式', async () => {
+    const { env, LineSettingsDetector, ModbusDecoder, VirtualTransport, VirtualSerialPort, ScriptedDevice } = loadDetector();
+    const device = new ScriptedDevice({ chunks: modbusFrames(ModbusDecoder), intervalMs: 5, baudRate: 19200, parity: 'even' });
+    const port = new VirtualSerialPort(device);
+    const transport = new VirtualTransport([port]);
+    const detector = new LineSettingsDetector(transport, {
+        baudRates: [9600, 19200, 38400], extraBaudRates: [], sampleMs: 60
+    });
+
+    const tried = [];
+    const results = await detector.detect(port, { onProgress: (settings) => tried.push(settings) });
+    assert.equal(results[0].name, '19200 8E1');
+    assert.ok(results[0].confidence >= 0.9);
+    assert.equal(results[0].details.protocol, 'Modbus RTU');
+    assert.ok(results[1].confidence < results[0].confidence);
+    assert.equal(results.length, tried.length);
+    assert.equal(port.opened, false);
+    assert.equal(device.timers.size, 0);
+    env.dispose();
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadDecoder() {
+    const env = loadScripts(['modbus.js']);
+    return { env, ModbusDecoder: env.get('ModbusDecoder') };
+}
+
+// 附加CRC（低字节在前）得到完整的RTU帧
+function rtu(ModbusDecoder, bytes) {
+    const crc = ModbusDecoder.crc16(bytes);
+    return Uint8Array.from([...bytes, crc & 0xff, crc >> 8]);
+}
+
+// 附加LRC并编码为ASCII帧
+function ascii(ModbusDecoder, bytes) {
+    const hex = [...bytes, ModbusDecoder.lrc(bytes)].map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+    return Uint8Array.from(Buffer.from(`:${hex}\r\n`));
+}
+
+test('RTU帧校验CRC，应答与请求配对后补充起始地址和响应时间', () => {
+    const { env, ModbusDecoder } = loadDecoder();
+    const decoder = new ModbusDecoder('rtu');
+    // 读保持寄存器的标准示例帧
+    const request = decoder.decode(Uint8Array.of(0x01, 0x03, 0x00, 0x00, 0x00, 0x0a, 0xc5, 0xcd), 100, 1);
+    assert.equal(request.valid, true);
+    assert.equal(request.kind, 'request');
+    assert.equal(request.startAddress, 0);
+    assert.equal(request.quantity, 10);
+    assert.equal(request.summary, '从站 1 | 03 读保持寄存器 | 请求 | 地址 0-9');
+
+    // CRC错误的应答不参与配对
+    const words = Array.from({ length: 10 }, (_, i) => 0x1200 + i);
+    const response = rtu(ModbusDecoder, [0x01, 0x03, 20, ...words.flatMap(word => [word >> 8, word & 0xff])]);
+    const corrupted = Uint8Array.from(response);
+    corrupted[3] ^= 0xff;
+    const bad = decoder.decode(corrupted, 110, 2);
+    assert.equal(bad.valid, false);
+    assert.equal(bad.error, 'CRC校验失败');
+    assert.equal(bad.checksum.type, 'CRC16');
+    assert.notEqual(bad.checksum.expected, bad.checksum.actual);
+    assert.equal(bad.requestSeq, undefined);
+    assert.ok(decoder.pending.has(1));
+
+    const good = decoder.decode(response, 112.5, 3);
+    assert.equal(good.valid, true);
+    assert.equal(good.kind, 'response');
+    assert.deepEqual(Array.from(good.values), words);
+    assert.equal(good.requestSeq, 1);
+    assert.equal(good.latencyMs, 12.5);
+    assert.equal(good.startAddress, 0);
+    assert.equal(good.summary, `从站 1 | 03 读保持寄存器 | 应答 | 地址 0-9 | 值 [${words.join(', ')}] | 响应 12.5ms`);
+    assert.equal(decoder.pending.size, 0);
+
+    const short = decoder.decode(Uint8Array.of(0x01, 0x03, 0x00), 120, 4);
+    assert.equal(short.valid, false);
+    assert.equal(short.summary, '帧过短 (3 字节)');
+    env.dispose();
+});
+
+test('ASCII帧校验LRC，缺少起始符或格式错误时不解析', () => {
+    const { env, ModbusDecoder } = loadDecoder();
+    const decoder = new ModbusDecoder('ascii');
+    assert.equal(ModbusDecoder.lrc([0x01, 0x03, 0x00, 0x00, 0x00, 0x01]), 0xfb);
+
+    const frame = Uint8Array.from(Buffer.from(':010300000001FB\r\n'));
+    const request = decoder.decode(frame, 0, 1);
+    assert.equal(request.protocol, 'Modbus ASCII');
+    assert.equal(request.valid, true);
+    assert.equal(request.checksum.type, 'LRC');
+    assert.equal(request.kind, 'request');
+    assert.equal(request.quantity, 1);
+
+    const corrupted = decoder.decode(Uint8Array.from(Buffer.from(':010300000001FA\r\n')), 1, 2);
+    assert.equal(corrupted.valid, false);
+    assert.equal(corrupted.error, 'LRC校验失败');
+    assert.equal(corrupted.checksum.expected, 0xfb);
+    assert.equal(corrupted.checksum.actual, 0xfa);
+
+    const response = decoder.decode(ascii(ModbusDecoder, [0x01, 0x03, 0x02, 0x00, 0x2a]), 20, 3);
+    assert.equal(response.valid, true);
+    assert.deepEqual(Array.from(response.values), [42]);
+    assert.equal(response.requestSeq, 1);
+
+    assert.equal(decoder.decode(Uint8Array.from(Buffer.from('010300000001FB')), 30, 4).summary, '缺少起始符 ":"');
+    assert.equal(decoder.decode(Uint8Array.from(Buffer.from(':0103XX')), 31, 5).summary, 'ASCII帧格式错误');
+    env.dispose();
+});
+
+test('异常应答按功能码与请求配对并给出异常名称', () => {
+    const { env, ModbusDecoder } = loadDecoder();
+    const decoder = new ModbusDecoder('rtu');
+    decoder.decode(rtu(ModbusDecoder, [0x11, 0x06, 0x00, 0x01, 0x00, 0x03]), 0, 1);
+    const exception = decoder.decode(rtu(ModbusDecoder, [0x11, 0x86, 0x02]), 8, 2);
+    assert.equal(exception.valid, true);
+    assert.equal(exception.kind, 'exception');
+    assert.equal(exception.functionCode, 0x06);
+    assert.equal(exception.exceptionCode, 0x02);
+    assert.equal(exception.exceptionName, '非法数据地址');
+    assert.equal(exception.requestSeq, 1);
+    assert.equal(exception.summary, '从站 17 | 06 写单个寄存器 | 异常应答 | 异常码 0x02 非法数据地址 | 地址 1 | 响应 8.0ms');
+    assert.equal(decoder.decode(rtu(ModbusDecoder, [0x11, 0x81, 0x09]), 9, 3).exceptionName, '未知异常');
+    env.dispose();
+});
+
+test('按从站地址配对，没有对应请求或超时的应答不配对', () => {
+    const { env, ModbusDecoder } = loadDecoder();
+    const decoder = new ModbusDecoder('rtu');
+    decoder.decode(rtu(ModbusDecoder, [0x01, 0x04, 0x00, 0x00, 0x00, 0x01]), 0, 1);
+    decoder.decode(rtu(ModbusDecoder, [0x02, 0x04, 0x00, 0x10, 0x00, 0x01]), 1, 2);
+
+    // 应答顺序与请求相反，仍按地址各自配对
+    const second = decoder.decode(rtu(ModbusDecoder, [0x02, 0x04, 0x02, 0x00, 0x07]), 5, 3);
+    assert.equal(second.requestSeq, 2);
+    assert.equal(second.startAddress, 0x10);
+
+    const orphan = decoder.decode(rtu(ModbusDecoder, [0x03, 0x04, 0x02, 0x00, 0x01]), 6, 4);
+    assert.equal(orphan.valid, true);
+    assert.equal(orphan.kind, 'response');
+    assert.equal(orphan.requestSeq, undefined);
+    assert.equal(orphan.latencyMs, undefined);
+    assert.equal(orphan.summary, '从站 3 | 04 读输入寄存器 | 应答 | 值 [1]');
+
+    // 功能码不同的应答不配对，请求保持等待
+    assert.equal(decoder.decode(rtu(ModbusDecoder, [0x01, 0x03, 0x02, 0x00, 0x01]), 7, 5).requestSeq, undefined);
+    assert.ok(decoder.pending.has(1));
+
+    // 超过请求超时后到达的应答不配对
+    const late = decoder.decode(rtu(ModbusDecoder, [0x01, 0x04, 0x02, 0x00, 0x09]), 2000, 6);
+    assert.equal(late.requestSeq, undefined);
+    decoder.reset();
+    assert.equal(decoder.pending.size, 0);
+    env.dispose();
+});
@@ -0,0 +1,712 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMonitor, waitFor, delay } = require('./helpers/browser');
+
+// 用指定的虚拟端口创建监控页实例，并等待初始扫描完成
+async function createMonitor(createPorts, options = {}) {
+    const env = loadMonitor(options);
+    const VirtualTransport = env.get('VirtualTransport');
+    const ports = createPorts(env);
+    const transport = new VirtualTransport(ports);
+    transport.grantAll();
+    const SerialMonitorPro = env.get('SerialMonitorPro');
+    const app = new SerialMonitorPro({ transport });
+    await waitFor(() => app.ports.size === ports.length);
+    return { env, app, transport, ports };
+}
+
+async function teardown({ env, app }) {
+    for (const port of Array.from(app.activeConnections)) {
+        await app.disconnectPort(port);
+    }
+    env.dispose();
+}
+
+const text = (records) => records.map(record => Buffer.from(record.data).toString()).join('');
+
+test('扫描时列出已授权的虚拟串口', async () => {
+    const monitor = await createMonitor(env => {
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [
+            new VirtualSerialPort(new LoopbackDevice(), { usbProductName: '回环A' }),
+            new VirtualSerialPort(new LoopbackDevice(), { usbProductName: '回环B' })
+        ];
+    });
+    const names = Array.from(monitor.app.ports.values()).map(info => info.name);
+    assert.deepEqual(names, ['回环A', '回环B']);
+    assert.equal(monitor.env.document.getElementById('portCount').textContent, 2);
+    await teardown(monitor);
+});
+
+test('连接后读取数据并记录为RX', async () => {
+    const monitor = await createMonitor(env => {
+        const ScriptedDevice = env.get('ScriptedDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new ScriptedDevice({ chunks: ['hello\r\n'], intervalMs: 10 }))];
+    }, { values: { quickBaudRate: '57600' } });
+    const { app, ports: [port] } = monitor;
+
+    assert.equal(await app.connectPort(port), true);
+    assert.ok(app.activeConnections.has(port));
+    assert.equal(port.settings.baudRate, 57600);
+
+    const portId = app.getPortId(port);
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length >= 2);
+    assert.match(text(app.capture.query({ portId, direction: 'RX' })), /^(hello\r\n)+$/);
+    assert.ok(app.frames.length >= 2);
+    await teardown(monitor);
+});
+
+test('发送的数据记录为TX，回环数据记录为RX', async () => {
+    const monitor = await createMonitor(env => {
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { app, ports: [port] } = monitor;
+    await app.connectPort(port);
+
+    const bytes = app.encodeSendPayload('AT', 'text', 'crlf');
+    assert.equal(await app.writeToPort(port, bytes), true);
+
+    const portId = app.getPortId(port);
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length === 1);
+    assert.equal(text(app.capture.query({ portId, direction: 'TX' })), 'AT\r\n');
+    assert.equal(text(app.capture.query({ portId, direction: 'RX' })), 'AT\r\n');
+    await teardown(monitor);
+});
+
+test('断开后释放读写锁并关闭串口', async () => {
+    const monitor = await createMonitor(env => {
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { env, app, ports: [port] } = monitor;
+    await app.connectPort(port);
+    await app.writeToPort(port, [0x55]);
+    await waitFor(() => app.readers.has(port));
+
+    await app.disconnectPort(port);
+    assert.equal(port.opened, false);
+    assert.equal(app.activeConnections.size, 0);
+    assert.equal(app.readers.size, 0);
+    assert.equal(app.writers.size, 0);
+    assert.ok(!env.document.notifications.some(message => message.startsWith('断开串口失败')));
+
+    // 断开后可以再次连接
+    assert.equal(await app.connectPort(port), true);
+    await teardown(monitor);
+});
+
+test('在已授权的端口上检测串口参数并以最佳结果连接', async () => {
+    const monitor = await createMonitor(env => {
+        const ScriptedDevice = env.get('ScriptedDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new ScriptedDevice({
+            chunks: ['$GPGGA,READY\r\n'], intervalMs: 5, baudRate: 19200, dataBits: 7, parity: 'even'
+        }))];
+    }, { lineDetect: { baudRates: [115200, 19200, 9600], extraBaudRates: [], sampleMs: 60 } });
+    const { env, app, transport, ports: [port] } = monitor;
+    let requested = 0;
+    transport.requestPort = async () => { requested++; return port; };
+
+    await app.handleAutoBaudDetect();
+    assert.equal(requested, 0);
+    assert.ok(app.activeConnections.has(port));
+    assert.equal(port.settings.baudRate, 19200);
+    assert.equal(port.settings.dataBits, 7);
+    assert.equal(port.settings.parity, 'even');
+    assert.equal(env.document.getElementById('quickBaudRate').options.at(-1).value, 19200);
+    assert.equal(env.document.getElementById('quickParity').value, 'even');
+    assert.ok(env.document.getElementById('lineDetectResults').innerHTML.includes('19200 7E1'));
+
+    // 已连接的端口不再检测
+    await app.handleAutoBaudDetect(port);
+    assert.ok(env.document.notifications.some(message => message.startsWith('请先断开该串口')));
+    await teardown(monitor);
+});
+
+test('可恢复的读取错误计入错误数且继续读取', async () => {
+    const monitor = await createMonitor(env => {
+        const ScriptedDevice = env.get('ScriptedDevice');
+        const ErrorInjectingSerialPort = env.get('ErrorInjectingSerialPort');
+        return [new ErrorInjectingSerialPort(new ScriptedDevice({ chunks: ['x'], intervalMs: 5 }), {}, { readErrorEvery: 3 })];
+    });
+    const { app, ports: [port] } = monitor;
+    await app.connectPort(port);
+
+    const portId = app.getPortId(port);
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length >= 7);
+    assert.ok(app.errorCount >= 2);
+    assert.ok(app.activeConnections.has(port));
+    await teardown(monitor);
+});
+
+test('打开失败和写入失败时给出提示', async () => {
+    const monitor = await createMonitor(env => {
+        const ErrorInjectingSerialPort = env.get('ErrorInjectingSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [
+            new ErrorInjectingSerialPort(new LoopbackDevice(), {}, { failOpen: true }),
+            new ErrorInjectingSerialPort(new LoopbackDevice(), {}, { writeErrorEvery: 2 })
+        ];
+    });
+    const { env, app, ports: [broken, flaky] } = monitor;
+
+    assert.equal(await app.connectPort(broken), false);
+    assert.ok(env.document.notifications.some(message => message.startsWith('串口连接失败')));
+
+    await app.connectPort(flaky);
+    assert.equal(await app.writeToPort(flaky, [1]), true);
+    assert.equal(await app.writeToPort(flaky, [2]), false);
+    assert.equal(app.errorCount, 1);
+    // 出错后重新获取writer，后续发送正常
+    assert.equal(await app.writeToPort(flaky, [3]), true);
+    assert.equal(app.capture.query({ portId: app.getPortId(flaky), direction: 'TX' }).length, 2);
+    await teardown(monitor);
+});
+
+test('设备拔出后按原参数自动重连并沿用端口ID', async () => {
+    const monitor = await createMonitor(env => {
+        const ScriptedDevice = env.get('ScriptedDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new ScriptedDevice({ chunks: ['ping\r\n'], intervalMs: 10 }), {
+            usbVendorId: 0x1a86, usbProductId: 0x7523, usbProductName: 'CH340'
+        })];
+    }, { values: { quickBaudRate: '38400' } });
+    const { env, app, transport, ports: [port] } = monitor;
+    const portId = app.getPortId(port);
+    assert.equal(portId, 'usb-1a86-7523');
+    await app.connectPort(port);
+
+    transport.unplug(port);
+    await waitFor(() => app.reconnects.has(portId));
+    assert.equal(app.activeConnections.size, 0);
+    assert.equal(port.opened, false);
+    assert.match(env.document.getElementById('portList').innerHTML, /取消重连/);
+
+    // 设备未插回时按退避间隔继续等待
+    await waitFor(() => app.reconnects.get(portId).attempt >= 1);
+    assert.equal(app.reconnects.get(portId).lastError, '设备未连接');
+    assert.ok(app.reconnects.get(portId).delayMs > 500);
+
+    // 切换为新设置，确认重连使用的是中断前的参数
+    env.document.getElementById('quickBaudRate').value = '9600';
+    const fresh = transport.replug(port);
+    await waitFor(() => app.activeConnections.has(fresh));
+    assert.equal(app.getPortId(fresh), portId);
+    assert.equal(fresh.settings.baudRate, 38400);
+    assert.equal(app.reconnects.size, 0);
+    assert.deepEqual(Array.from(app.ports.keys()), [fresh]);
+
+    const received = app.capture.query({ portId, direction: 'RX' }).length;
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length > received);
+    await teardown(monitor);
+});
+
+test('取消重连后拔出的设备从列表移除，插入新设备时加入列表', async () => {
+    const monitor = await createMonitor(env => {
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [
+            new VirtualSerialPort(new LoopbackDevice(), { usbVendorId: 0x0403, usbProductId: 0x6001, usbProductName: 'FT232R' }),
+            new VirtualSerialPort(new LoopbackDevice(), { usbVendorId: 0x0403, usbProductId: 0x6001, usbProductName: 'FT232R' })
+        ];
+    });
+    const { app, transport, ports: [first, second] } = monitor;
+    // 相同型号的设备按顺序区分
+    assert.equal(app.getPortId(first), 'usb-0403-6001');
+    assert.equal(app.getPortId(second), 'usb-0403-6001#2');
+
+    await app.connectPort(first);
+    transport.unplug(first);
+    await waitFor(() => app.reconnects.has('usb-0403-6001'));
+    app.cancelReconnect('usb-0403-6001');
+    assert.deepEqual(Array.from(app.ports.keys()), [second]);
+
+    // 未连接的设备拔出后直接移除
+    transport.unplug(second);
+    await waitFor(() => app.ports.size === 0);
+    assert.equal(app.reconnects.size, 0);
+
+    const fresh = transport.replug(first);
+    await waitFor(() => app.ports.has(fresh));
+    assert.equal(app.getPortId(fresh), 'usb-0403-6001');
+    assert.equal(app.activeConnections.size, 0);
+    await teardown(monitor);
+});
+
+test('控制信号和输入信号变化记录到捕获时间线', async () => {
+    const monitor = await createMonitor(env => {
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [new VirtualSerialPort(new LoopbackDevice(), { usbVendorId: 0x0403, usbProductId: 0x6001 })];
+    });
+    const { app, ports: [port] } = monitor;
+    assert.equal(await app.connectPort(port), true);
+    const portId = app.getPortId(port);
+    const events = () => Array.from(app.capture.query({ portId, direction: 'EVENT' }), record => record.event.message);
+
+    await waitFor(() => events().length === 1);
+    await app.togglePortSignal(portId, 'DTR');
+    await waitFor(() => events().length === 3);
+    assert.deepEqual(events(), ['输入信号: CTS=1 DSR=1 DCD=1 RI=0', 'DTR=0', '输入信号变化: DSR=0 DCD=0']);
+    assert.equal(app.capture.getStats(portId).rxBytes, 0);
+    await waitFor(() => app.frames.length === 3);
+    assert.equal(app.frames.at(-1).direction, 'EVENT');
+    assert.match(app.renderFrameRow(app.frames.at(-1)), /输入信号变化: DSR=0 DCD=0/);
+
+    await app.runSignalSequence(portId, 'arduino-reset');
+    // 时序执行期间的输入信号变化与输出变化交错记录
+    assert.deepEqual(events().filter(message => message.startsWith('Arduino')), ['Arduino复位: RTS=0', 'Arduino复位: DTR=1 RTS=1']);
+
+    await app.disconnectPort(port);
+    assert.equal(app.portSignals.size, 0);
+    await teardown(monitor);
+});
+
+test('修改快速配置时以新参数重新打开已连接的串口，捕获数据保留', async () => {
+    const monitor = await createMonitor(env => {
+        const ScriptedDevice = env.get('ScriptedDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new ScriptedDevice({ chunks: ['ping\r\n'], intervalMs: 10 }), { usbVendorId: 0x2341, usbProductId: 0x0043 })];
+    });
+    const { env, app, ports: [port] } = monitor;
+    assert.equal(await app.connectPort(port), true);
+    assert.equal(port.settings.bufferSize, 4096);
+    const portId = app.getPortId(port);
+    await waitFor(() => app.capture.getStats(portId).rxChunks >= 2);
+    const firstRecord = app.capture.query({ portId, direction: 'RX' })[0];
+
+    env.document.getElementById('quickBaudRate').value = '9600';
+    env.document.getElementById('quickFlowControl').value = 'hardware';
+    await app.updateQuickConfig('quickBaudRate');
+    await app.updateQuickConfig('quickFlowControl');
+    assert.equal(port.settings.baudRate, 9600);
+    assert.equal(port.settings.flowControl, 'hardware');
+    assert.equal(app.activeConnections.size, 1);
+
+    const events = Array.from(app.capture.query({ portId, direction: 'EVENT' }), record => record.event.message);
+    assert.ok(events.includes('串口参数已更改: 115200 8N1 → 9600 8N1'));
+    assert.ok(events.includes('串口参数已更改: 9600 8N1 → 9600 8N1 RTS/CTS'));
+    // 重新打开后继续读取，之前的数据仍在
+    const before = app.capture.getStats(portId).rxChunks;
+    await waitFor(() => app.capture.getStats(portId).rxChunks > before);
+    assert.equal(app.capture.query({ portId, direction: 'RX' })[0], firstRecord);
+    await teardown(monitor);
+});
+
+test('新参数无法打开时恢复原参数', async () => {
+    const monitor = await createMonitor(env => {
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { app, ports: [port] } = monitor;
+    assert.equal(await app.connectPort(port), true);
+    await assert.rejects(app.reconfigurePort(port, { baudRate: 0 }), /已恢复原参数/);
+    assert.equal(port.settings.baudRate, 115200);
+    assert.equal(app.portSettings.get(port).baudRate, 115200);
+    assert.ok(await app.writeToPort(port, new TextEncoder().encode('still works')));
+    await teardown(monitor);
+});
+
+test('监控区的帧随捕获记录的保留策略丢弃', async () => {
+    const monitor = await createMonitor(() => []);
+    const { env, app } = monitor;
+    env.document.getElementById('retentionLimit').value = '0.1';
+    app.updateRetention();
+    const recordSeqs = () => Array.from(app.capture.records, record => record.seq);
+    const frameSeqs = () => Array.from(app.frames.slice(), frame => frame.recordSeq);
+
+    for (let i = 0; i < 5000; i++) {
+        app.capture.append('p', 'TX', new Uint8Array(10), i);
+        app.capture.appendEvent('p', { type: 'timeout', message: '读取超时' }, i);
+    }
+    assert.ok(app.capture.records.length < 2000);
+    assert.deepEqual(frameSeqs(), recordSeqs());
+
+    // 收紧保留策略后立即丢弃对应的帧
+    env.document.getElementById('retentionMode').value = 'age';
+    env.document.getElementById('retentionLimit').value = '0.001';
+    app.updateRetention();
+    assert.equal(app.capture.records[0].timestamp, 4939);
+    assert.deepEqual(frameSeqs(), recordSeqs());
+    await teardown(monitor);
+});
+
+test('写入超时时放弃发送，读取超时记录到时间线和日志', async () => {
+    const monitor = await createMonitor(env => {
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    }, { values: { quickFlowControl: 'hardware', quickWriteTimeout: '50', quickReadTimeout: '30' } });
+    const { env, app, ports: [port] } = monitor;
+    assert.equal(await app.connectPort(port), true);
+    const portId = app.getPortId(port);
+    const events = () => Array.from(app.capture.query({ portId, direction: 'EVENT' }), record => record.event.message);
+    const logs = [];
+    const post = app.channel.post.bind(app.channel);
+    app.channel.post = (type, data) => {
+        if (type === 'log') logs.push(`${data.level}: ${data.message}`);
+        return post(type, data);
+    };
+
+    // 过小的读超时按下限处理，每段空闲期只记录一次
+    await waitFor(() => events().includes('读取超时: 100ms内未收到数据'));
+    assert.deepEqual(logs, ['warning: 读取超时: 100ms内未收到数据']);
+    await app.togglePortSignal(portId, 'RTS');
+    assert.equal(await app.writeToPort(port, new TextEncoder().encode('stuck')), false);
+    assert.ok(env.document.notifications.some(text => text.includes('写入超时: 50ms内未写完')));
+
+    await app.togglePortSignal(portId, 'RTS');
+    assert.equal(await app.writeToPort(port, new TextEncoder().encode('sent')), true);
+    await waitFor(() => text(app.capture.query({ portId, direction: 'RX' })) === 'sent');
+    // 收到数据后重新计时
+    await waitFor(() => events().filter(message => message.startsWith('读取超时')).length === 2);
+    await delay(250);
+    assert.equal(events().filter(message => message.startsWith('读取超时')).length, 2);
+    await teardown(monitor);
+});
+
+test('配置页通过数据通道请求应用配置和发送数据', async () => {
+    const monitor = await createMonitor(env => {
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        const LoopbackDevice = env.get('LoopbackDevice');
+        return [new VirtualSerialPort(new LoopbackDevice(), { usbVendorId: 0x10c4, usbProductId: 0xea60 })];
+    });
+    const { app, ports: [port] } = monitor;
+    const posted = [];
+    app.channel.post = (type, payload) => posted.push({ type, payload });
+    const results = () => posted.filter(message => message.type === 'command-result').map(message => message.payload);
+    const result = (requestId) => ({ ...results().find(item => item.requestId === requestId) });
+
+    app.channel.dispatch({ type: 'config-apply', payload: { requestId: 'a', portId: 'usb-10c4-ea60', settings: { baudRate: 57600, flowControl: 'none', bufferSize: 1024 } } });
+    await waitFor(() => results().length === 1);
+    assert.deepEqual(result('a'), { requestId: 'a', ok: true, message: '已按配置连接串口' });
+    assert.equal(port.settings.baudRate, 57600);
+    assert.equal(port.settings.bufferSize, 1024);
+
+    app.channel.dispatch({ type: 'send-request', payload: { requestId: 'b', portId: 'usb-10c4-ea60', data: 'TEST\r\n' } });
+    app.channel.dispatch({ type: 'send-request', payload: { requestId: 'c', portId: 'missing', data: 'x' } });
+    await waitFor(() => results().length === 3);
+    assert.deepEqual(result('b'), { requestId: 'b', ok: true, message: '已发送 6 字节' });
+    assert.deepEqual(result('c'), { requestId: 'c', ok: false, message: '串口未连接' });
+    await waitFor(() => text(app.capture.query({ portId: 'usb-10c4-ea60', direction: 'RX' })) === 'TEST\r\n');
+
+    posted.length = 0;
+    app.channel.dispatch({ type: 'status-request', payload: {} });
+    const status = posted.find(message => message.type === 'status').payload;
+    assert.deepEqual(Array.from(status.ports, item => ({ ...item })), [{
+        portId: 'usb-10c4-ea60', name: 'VID:4292 PID:60000', vendorId: 0x10c4, productId: 0xea60, serialNumber: undefined, connected: true
+    }]);
+    await teardown(monitor);
+});
+
+test('连接绑定了预设的USB设备时使用预设参数', async () => {
+    const monitor = await createMonitor(env => {
+        const LoopbackDevice = env.get('LoopbackDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [
+            new VirtualSerialPort(new LoopbackDevice(), { usbVendorId: 0x1a86, usbProductId: 0x7523, serialNumber: 'A1' }),
+            new VirtualSerialPort(new LoopbackDevice(), { usbVendorId: 0x0403, usbProductId: 0x6001 })
+        ];
+    }, { values: { quickBaudRate: '57600' } });
+    const { app, ports: [bound, other] } = monitor;
+    app.presets.save({ name: '1号板', baudRate: 9600, parity: 'even', match: { usbVendorId: 0x1a86, usbProductId: 0x7523, serialNumber: 'A1' } });
+
+    assert.equal(await app.connectPort(bound), true);
+    assert.equal(bound.settings.baudRate, 9600);
+    assert.equal(bound.settings.parity, 'even');
+    assert.equal(app.portPresets.get(bound), '1号板');
+    assert.equal(await app.connectPort(other), true);
+    assert.equal(other.settings.baudRate, 57600);
+
+    // 显式指定参数（如检测结果）时不使用预设
+    await app.disconnectPort(bound);
+    assert.equal(await app.connectPort(bound, app.readQuickSettings()), true);
+    assert.equal(bound.settings.baudRate, 57600);
+    assert.equal(app.portPresets.has(bound), false);
+    await teardown(monitor);
+});
+
+test('触发规则命中时高亮、计数、通知并暂停监控', async () => {
+    const monitor = await createMonitor(env => {
+        const LoopbackDevice = env.get('LoopbackDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { env, app, ports: [port] } = monitor;
+    app.triggers.add({ name: '硬件错误', type: 'text', pattern: 'HardFault', actions: ['highlight', 'count', 'notify', 'pause'] });
+    app.renderTriggerList();
+    assert.equal(await app.connectPort(port), true);
+    const portId = app.getPortId(port);
+
+    await app.sendToPortId(portId, 'boot ok\r\n');
+    await waitFor(() => app.frames.length >= 2);
+    assert.equal(app.isMonitoring, true);
+
+    await app.sendToPortId(portId, 'HardFault!\r\n');
+    await waitFor(() => !app.isMonitoring);
+    const frames = app.frames.slice().filter(frame => frame.direction === 'RX');
+    assert.equal(frames[frames.length - 1].triggered[0], '硬件错误');
+    assert.equal(frames[0].triggered, undefined);
+    assert.equal(env.document.getElementById('pauseStream').textContent, '继续');
+    assert.ok(env.document.notifications.some(text => text.startsWith('触发规则"硬件错误": ')));
+    assert.ok(env.document.notifications.includes('规则"硬件错误"触发，已暂停监控'));
+    app.updateStats();
+    assert.equal(env.document.getElementById('triggerHits').textContent, 1);
+    assert.equal(env.document.getElementById('triggerCounters').textContent, '硬件错误: 1');
+
+    // 手动继续监控
+    app.toggleMonitoring();
+    assert.equal(env.document.getElementById('pauseStream').textContent, '暂停');
+    await teardown(monitor);
+});
+
+test('触发后保存前后时间窗口内的数据为会话', async () => {
+    const monitor = await createMonitor(env => {
+        const LoopbackDevice = env.get('LoopbackDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { app, ports: [port] } = monitor;
+    const saved = [];
+    app.sessions = {
+        available: true,
+        createSession: async meta => saved.push({ meta, records: [] }),
+        appendChunks: async (id, records) => { saved[id - 1].records.push(...records); },
+        finishSession: async (id, endTime) => { saved[id - 1].endTime = endTime; }
+    };
+    app.triggers.add({ name: 'EE', type: 'hex', pattern: 'EE', actions: ['capture', 'pause'], preMs: 1000, postMs: 80 });
+    assert.equal(await app.connectPort(port), true);
+    const portId = app.getPortId(port);
+
+    await app.sendToPortId(portId, 'before\r\n');
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length >= 1);
+    await app.sendToPortId(portId, [0xee, 0x0d, 0x0a]);
+    await waitFor(() => app.triggerCaptures.size === 1);
+    // 窗口保存前不暂停，触发后的数据也被保存
+    await app.sendToPortId(portId, 'after\r\n');
+    await waitFor(() => saved.length === 1 && saved[0].endTime !== undefined);
+    await waitFor(() => !app.isMonitoring);
+
+    const { meta, records } = saved[0];
+    assert.equal(meta.trigger.rule, 'EE');
+    assert.equal(meta.startTime, meta.trigger.timestamp - 1000);
+    const rxText = Buffer.concat(records.filter(record => record.direction === 'RX').map(record => Buffer.from(record.data))).toString('latin1');
+    assert.equal(rxText, 'before\r\n\xee\r\nafter\r\n');
+    assert.ok(records.some(record => record.direction === 'TX'));
+    await teardown(monitor);
+});
+
+test('暂停后按串口、方向和关键字过滤，跳转并高亮匹配', async () => {
+    const monitor = await createMonitor(env => {
+        const LoopbackDevice = env.get('LoopbackDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { env, app, ports: [port] } = monitor;
+    assert.equal(await app.connectPort(port), true);
+    const portId = app.getPortId(port);
+    for (const line of ['temp=21\r\n', 'ERROR 1\r\n', 'temp=22\r\n', 'error 2\r\n']) {
+        await app.sendToPortId(portId, line);
+    }
+    await waitFor(() => app.frames.slice().filter(frame => frame.direction === 'RX').length === 4);
+    app.toggleMonitoring();
+
+    const form = (id) => env.document.getElementById(id);
+    form('filterDirection').value = 'RX';
+    form('filterSearch').value = 'error';
+    app.applyFilter();
+    assert.equal(app.frameView.length, 4);
+    assert.equal(app.frameView.matchCount, 2);
+    assert.match(form('filterStatus').textContent, /^显示 4 \/ \d+ 帧，2 个匹配$/);
+
+    app.findMatch(1);
+    const first = app.frameView.at(app.frameView.indexOfSeq(app.filterCursor));
+    assert.equal(Buffer.from(first.data).toString(), 'ERROR 1\r\n');
+    const row = app.renderFrameRow(first);
+    assert.match(row, /ring-yellow-400/);
+    assert.match(row, /<mark class="bg-yellow-400 text-black">ERROR<\/mark> 1/);
+    app.findMatch(1);
+    assert.equal(Buffer.from(app.frameView.at(app.frameView.indexOfSeq(app.filterCursor)).data).toString(), 'error 2\r\n');
+    // 到头后从另一端继续
+    app.findMatch(1);
+    assert.equal(app.filterCursor, first.seq);
+    app.findMatch(-1);
+    assert.notEqual(app.filterCursor, first.seq);
+
+    form('dataFormat').value = 'hex';
+    assert.match(app.renderFrameRow(first), /<mark class="bg-yellow-400 text-black">0x45 0x52 0x52 0x4f 0x52<\/mark> 0x20/);
+
+    form('filterOnlyMatches').checked = true;
+    app.applyFilter();
+    assert.equal(app.frameView.length, 2);
+    form('filterMode').value = 'regex';
+    form('filterSearch').value = '(';
+    app.applyFilter();
+    assert.match(form('filterStatus').textContent, /无效的正则表达式/);
+    assert.equal(app.frameView.length, 2);
+
+    app.clearFilter();
+    assert.equal(app.frameFilter, null);
+    assert.equal(app.frameView, app.frames);
+    await teardown(monitor);
+});
+
+test('回放的会话可按回放端口过滤', async () => {
+    const monitor = await createMonitor(() => [], { values: { replaySpeed: 'max' } });
+    const { env, app } = monitor;
+    const start = Date.parse('2026-01-01T08:00:00');
+    app.sessions = {
+        available: true,
+        getSession: async () => ({ id: 7, portName: 'COM3' }),
+        getChunks: async () => [
+            { direction: 'RX', data: Uint8Array.from(Buffer.from('$GPGGA,1\r\n')), timestamp: start },
+            { direction: 'TX', data: Uint8Array.from(Buffer.from('PING\r\n')), timestamp: start + 1000 },
+            { direction: 'RX', data: Uint8Array.from(Buffer.from('$GPRMC,2\r\n')), timestamp: start + 5000 }
+        ]
+    };
+    await app.replaySession(7);
+    await waitFor(() => app.frames.length === 3);
+
+    const portSelect = env.document.getElementById('filterPort');
+    assert.match(portSelect.innerHTML, /value="replay-7">回放: COM3/);
+    portSelect.value = 'replay-7';
+    env.document.getElementById('filterUntil').value = '2026-01-01T08:00:01';
+    app.applyFilter();
+    assert.deepEqual(Array.from({ length: app.frameView.length }, (_, i) => app.frameView.at(i).direction), ['RX', 'TX']);
+    env.dispose();
+});
+
+test('绘图面板解析接收的数值行，按时间窗口显示并统计', async () => {
+    const monitor = await createMonitor(env => {
+        const LoopbackDevice = env.get('LoopbackDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { env, app, ports: [port] } = monitor;
+    assert.equal(await app.connectPort(port), true);
+    const portId = app.getPortId(port);
+    // 打开面板前收到的数据也会解析
+    await app.sendToPortId(portId, 't=20,h=50\r\n');
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length >= 1);
+
+    app.togglePlot();
+    assert.equal(app.plotStore.length, 1);
+    await app.sendToPortId(portId, 'boot\r\nt=24,h=');
+    await app.sendToPortId(portId, '54\r\n');
+    await waitFor(() => app.plotStore.length === 2);
+    app.updatePlot();
+
+    const option = app.plotChart.getOption();
+    assert.deepEqual(Array.from(option.series, series => series.name), ['t', 'h']);
+    assert.deepEqual(Array.from(option.series[0].data, point => point[1]), [20, 24]);
+    assert.equal(option.yAxis[0].scale, true);
+    const stats = env.document.getElementById('plotStats').innerHTML;
+    assert.match(stats, /<span class="text-cyan-300 truncate">t<\/span><span>20<\/span><span>24<\/span><span>22<\/span><span>24<\/span>/);
+    assert.equal(env.document.getElementById('plotStatus').textContent, '2 个采样，2 个通道');
+
+    const form = (id) => env.document.getElementById(id);
+    form('plotYMode').value = 'fixed';
+    form('plotYMin').value = '0';
+    form('plotYMax').value = '100';
+    app.togglePlotPause();
+    await app.sendToPortId(portId, 't=30,h=60\r\n');
+    await waitFor(() => app.plotStore.length === 3);
+    // 暂停时不刷新图表
+    assert.equal(app.plotChart.getOption().series[0].data.length, 2);
+    app.togglePlotPause();
+    const fixed = app.plotChart.getOption();
+    assert.equal(fixed.series[0].data.length, 3);
+    assert.equal(fixed.yAxis[0].min, 0);
+    assert.equal(fixed.yAxis[0].max, 100);
+    assert.equal(form('plotYMin').disabled, false);
+
+    app.togglePlot();
+    assert.equal(app.plotStore.length, 0);
+    assert.ok(form('plotPanel').classList.contains('hidden'));
+    await teardown(monitor);
+});
+
+test('终端模式解释转义序列，按键直接发送到串口，可开启本地回显', async () => {
+    const monitor = await createMonitor(env => {
+        const LoopbackDevice = env.get('LoopbackDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { env, app, ports: [port] } = monitor;
+    assert.equal(await app.connectPort(port), true);
+    const portId = app.getPortId(port);
+    await app.sendToPortId(portId, '\x1b[1;32mok\x1b[0m\r\n=> ');
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length >= 1);
+
+    const form = (id) => env.document.getElementById(id);
+    assert.equal(form('terminalPort').value, portId);
+    form('dataFormat').value = 'terminal';
+    form('dataFormat').dispatchEvent({ type: 'change' });
+    assert.ok(form('filterBar').classList.contains('hidden'));
+    assert.ok(!form('terminalBar').classList.contains('hidden'));
+    assert.equal(app.monitorView.source, app.terminal.lines);
+    assert.deepEqual(Array.from(app.terminal.screenText).slice(0, 3), ['ok', '=>', '']);
+    assert.match(app.monitorView.renderRow(app.terminal.lines.at(0)), /color:#00cd00;font-weight:bold">ok/);
+
+    form('dataMonitor').dispatchEvent({ type: 'keydown', key: 'c', ctrlKey: true, altKey: false, metaKey: false });
+    form('dataMonitor').dispatchEvent({ type: 'keydown', key: 'ArrowUp', ctrlKey: false, altKey: false, metaKey: false });
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length >= 3);
+    const sent = app.capture.query({ portId, direction: 'TX' }).slice(1);
+    assert.deepEqual(Array.from(sent, record => Buffer.from(record.data).toString()), ['\x03', '\x1b[A']);
+
+    // 本地回显：发送的数据也显示在终端中
+    form('terminalEcho').value = 'on';
+    form('terminalEcho').dispatchEvent({ type: 'change' });
+    assert.deepEqual(Array.from(app.terminal.screenText).slice(0, 2), ['ok', '=> ok']);
+
+    form('dataFormat').value = 'hex';
+    form('dataFormat').dispatchEvent({ type: 'change' });
+    assert.equal(app.terminal, null);
+    assert.equal(app.monitorView.source, app.frameView);
+    assert.ok(!form('filterBar').classList.contains('hidden'));
+    await teardown(monitor);
+});
+
+test('按串口编码显示和发送文本，跨块的多字节字符正确解码，无效字节标红', async () => {
+    const monitor = await createMonitor(env => {
+        const LoopbackDevice = env.get('LoopbackDevice');
+        const VirtualSerialPort = env.get('VirtualSerialPort');
+        return [new VirtualSerialPort(new LoopbackDevice())];
+    });
+    const { app, ports: [port] } = monitor;
+    assert.equal(await app.connectPort(port), true);
+    const portId = app.getPortId(port);
+    app.setPortEncoding(portId, 'gbk');
+
+    await app.sendToPortId(portId, '温度');
+    await waitFor(() => app.capture.query({ portId, direction: 'RX' }).length >= 1);
+    assert.equal(Buffer.from(app.capture.query({ portId, direction: 'TX' })[0].data).toString('hex'), 'cec2b6c8');
+    const rx = app.frames.at(-1);
+    assert.equal(rx.text, '温度');
+    assert.match(app.renderFrameRow(rx), />温度<\/span>/);
+
+    // "正常" D5 FD B3 A3 被拆在两次读取中
+    app.capture.append(portId, 'RX', Uint8Array.from([0x3e, 0xd5, 0xfd, 0xb3]));
+    app.capture.append(portId, 'RX', Uint8Array.from([0xa3, 0x81, 0x0d, 0x0a]));
+    assert.equal(app.frames.at(-2).text, '>正');
+    assert.match(app.renderFrameRow(app.frames.at(-1)), />常<span class="text-red-500" title="无效字节序列">\ufffd<\/span><\/span>/);
+
+    // 搜索中文时在解码后的文本中匹配和高亮
+    app.frameFilter = new (monitor.env.get('FrameFilter'))({ search: '温' });
+    assert.equal(app.frameFilter.matches(rx), true);
+    assert.match(app.renderFrameRow(rx), /<mark class="bg-yellow-400 text-black">温<\/mark>度/);
+    app.frameFilter = null;
+
+    // 切换编码后重新解码已捕获的数据
+    app.setPortEncoding(portId, 'latin1');
+    assert.equal(app.frames.at(-2).text, '>Õý³');
+    assert.equal(app.formatSampleData(Uint8Array.from([0xce, 0xc2, 0xb6]), 'gbk'), '温');
+    assert.throws(() => app.encodeSendPayload('温度', 'text', 'none', 'ascii'), /无法用ASCII编码/);
+    await teardown(monitor);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, waitFor } = require('./helpers/browser');
+
+function loadView() {
+    const env = loadScripts(['monitorview.js']);
+    return { env, FrameLog: env.get('FrameLog'), MonitorView: env.get('MonitorView') };
+}
+
+// 容器高度100px、行高10px，可见10行
+function createView(env, MonitorView, source, options = {}) {
+    const container = env.document.createElement('div');
+    container.clientHeight = 100;
+    const view = new MonitorView(container, source, {
+        rowHeight: 10,
+        overscan: 2,
+        renderRow: item => `row ${item}`,
+        renderEmpty: () => '无数据',
+        ...options
+    });
+    return { container, view };
+}
+
+const rowTexts = (view) => view.rows.children.map(row => row.innerHTML);
+
+test('FrameLog超出上限时从头部丢弃并记录丢弃数', () => {
+    const { env, FrameLog } = loadView();
+    const log = new FrameLog(3000);
+    for (let i = 0; i < 10000; i++) log.push(i);
+    assert.equal(log.length, 3000);
+    assert.equal(log.dropped, 7000);
+    assert.equal(log.at(0), 7000);
+    assert.equal(log.at(-1), 9999);
+    assert.deepEqual(Array.from(log.slice(-2)), [9998, 9999]);
+    // 头部丢弃超过一半后整理了底层数组
+    assert.ok(log.items.length < 10000);
+
+    log.clear();
+    assert.equal(log.length, 0);
+    assert.equal(log.dropped, 10000);
+    env.dispose();
+});
+
+test('只渲染可见范围的行并跟随最新数据', async () => {
+    const { env, FrameLog, MonitorView } = loadView();
+    const log = new FrameLog();
+    const { container, view } = createView(env, MonitorView, log);
+
+    view.update();
+    await waitFor(() => !view.pending);
+    assert.equal(view.rows.innerHTML, '无数据');
+
+    for (let i = 0; i < 1000; i++) log.push(i);
+    view.update();
+    view.update();
+    await waitFor(() => !view.pending);
+    // 同一动画帧内的多次更新只渲染一次
+    assert.equal(view.renderCount, 2);
+    assert.equal(view.spacer.style.height, '10000px');
+    assert.equal(container.scrollTop, 9900);
+    assert.deepEqual(rowTexts(view), Array.from({ length: 12 }, (_, i) => `row ${988 + i}`));
+    env.dispose();
+});
+
+test('追加数据时保留仍在可见范围内的行元素', async () => {
+    const { env, FrameLog, MonitorView } = loadView();
+    const log = new FrameLog();
+    const { view } = createView(env, MonitorView, log);
+    for (let i = 0; i < 100; i++) log.push(i);
+    view.render();
+    const kept = view.rows.children.find(row => row.innerHTML === 'row 95');
+
+    for (let i = 100; i < 103; i++) log.push(i);
+    view.render();
+    assert.equal(rowTexts(view).at(-1), 'row 102');
+    assert.equal(view.rows.children.length, 12);
+    assert.ok(view.rows.children.includes(kept));
+
+    // 刷新时重新生成全部行
+    view.refresh();
+    view.render();
+    assert.ok(!view.rows.children.includes(kept));
+    env.dispose();
+});
+
+test('向上滚动后停止跟随，头部丢弃时保持查看的行不动', async () => {
+    const { env, FrameLog, MonitorView } = loadView();
+    const log = new FrameLog(500);
+    const changes = [];
+    const { container, view } = createView(env, MonitorView, log, { onFollowChange: following => changes.push(following) });
+    for (let i = 0; i < 500; i++) log.push(i);
+    view.render();
+
+    container.scrollTop = 1000;
+    view.handleScroll();
+    assert.equal(view.following, false);
+    view.render();
+    assert.ok(rowTexts(view).includes('row 100'));
+
+    for (let i = 500; i < 550; i++) log.push(i);
+    view.render();
+    assert.equal(container.scrollTop, 500);
+    assert.equal(rowTexts(view)[2], 'row 100');
+
+    view.scrollToEnd();
+    view.render();
+    assert.equal(rowTexts(view).at(-1), 'row 549');
+    assert.deepEqual(changes, [false, true]);
+    env.dispose();
+});
+
+test('行数超过浏览器高度上限时按比例映射滚动位置', () => {
+    const { env, MonitorView } = loadView();
+    const source = { length: 5000000, dropped: 0, at: index => index };
+    const { container, view } = createView(env, MonitorView, source);
+    view.render();
+    assert.equal(view.spacer.style.height, MonitorView.MAX_SCROLL_HEIGHT + 'px');
+    assert.equal(rowTexts(view).at(-1), 'row 4999999');
+
+    container.scrollTop = (MonitorView.MAX_SCROLL_HEIGHT - 100) / 2;
+    view.handleScroll();
+    view.render();
+    const first = parseInt(rowTexts(view)[2].slice(4));
+    assert.ok(Math.abs(first - 2500000) < 10);
+    env.dispose();
+});
+
+test('FilteredFrameLog跟随源的新增、丢弃和清空', () => {
+    const { env, FrameLog } = loadView();
+    const FilteredFrameLog = env.get('FilteredFrameLog');
+    const log = new FrameLog(100);
+    const view = new FilteredFrameLog(log, item => item.seq % 2 === 0, item => item.seq % 10 === 0);
+    for (let seq = 1; seq <= 50; seq++) log.push({ seq });
+    assert.equal(view.length, 25);
+    assert.equal(view.matchCount, 5);
+    assert.equal(view.at(0).seq, 2);
+
+    for (let seq = 51; seq <= 150; seq++) log.push({ seq });
+    assert.equal(view.length, 50);
+    assert.equal(view.at(0).seq, 52);
+    assert.equal(view.dropped, 25);
+    assert.equal(view.matchCount, 10);
+    assert.equal(view.indexOfSeq(100), 24);
+    assert.equal(view.indexOfSeq(101), 25);
+
+    log.clear();
+    assert.equal(view.length, 0);
+    assert.equal(view.matchCount, 0);
+    log.push({ seq: 200 });
+    assert.equal(view.length, 1);
+    env.dispose();
+});
+
+test('切换数据源并滚动到指定行', () => {
+    const { env, FrameLog, MonitorView } = loadView();
+    const log = new FrameLog();
+    for (let i = 0; i < 1000; i++) log.push(i);
+    const { container, view } = createView(env, MonitorView, log);
+    view.render();
+
+    view.scrollToIndex(500);
+    view.render();
+    assert.equal(view.following, false);
+    assert.equal(container.scrollTop, 4955);
+    assert.ok(rowTexts(view).includes('row 500'));
+
+    const even = new FrameLog();
+    for (let i = 0; i < 1000; i += 2) even.push(i);
+    view.setSource(even);
+    view.render();
+    assert.ok(rowTexts(view).every(text => parseInt(text.slice(4)) % 2 === 0));
+    env.dispose();
+});
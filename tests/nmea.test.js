@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadDecoder() {
+    const env = loadScripts(['nmea.js']);
+    return { env, NmeaDecoder: env.get('NmeaDecoder') };
+}
+
+const bytes = (line) => Uint8Array.from(Buffer.from(line + '\r\n'));
+
+// 由语句主体生成带校验和的完整语句
+function sentence(NmeaDecoder, body) {
+    return `$${body}*${NmeaDecoder.checksum(body).toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+test('GGA语句解析定位质量、坐标、海拔、卫星数和HDOP', () => {
+    const { env, NmeaDecoder } = loadDecoder();
+    const decoder = new NmeaDecoder();
+    const result = decoder.decode(bytes('$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47'), 1000);
+    assert.equal(result.valid, true);
+    assert.equal(result.talker, 'GP');
+    assert.equal(result.sentence, 'GGA');
+    assert.equal(result.checksum.expected, 0x47);
+    assert.equal(result.summary, 'GPGGA 定位信息 | GPS定位 | 48.117300, 11.516667 | 海拔 545.4m | 卫星 8 | HDOP 0.9');
+
+    const state = decoder.state;
+    assert.equal(state.time, '12:35:19');
+    assert.equal(state.fixQuality, 1);
+    assert.equal(state.satellitesUsed, 8);
+    assert.equal(state.altitude, 545.4);
+    assert.equal(state.updatedAt, 1000);
+
+    // 空字段解析为null
+    decoder.decode(bytes(sentence(NmeaDecoder, 'GNGGA,,,,,,0,,,,M,,M,,')), 2000);
+    assert.equal(decoder.state.latitude, null);
+    assert.equal(decoder.state.altitude, null);
+    assert.equal(decoder.state.time, '12:35:19');
+    env.dispose();
+});
+
+test('RMC语句解析状态、南纬西经坐标、速度、航向和日期', () => {
+    const { env, NmeaDecoder } = loadDecoder();
+    const decoder = new NmeaDecoder();
+    const result = decoder.decode(bytes(sentence(NmeaDecoder, 'GNRMC,081530.00,A,3352.500,S,15112.300,W,10.0,271.5,191026,,,A')), 0);
+    assert.equal(result.valid, true);
+    assert.equal(result.summary, 'GNRMC 推荐最小定位信息 | 有效 | -33.875000, -151.205000 | 速度 18.5km/h | 航向 271.5°');
+    assert.equal(decoder.state.status, 'A');
+    assert.equal(decoder.state.time, '08:15:30.00');
+    assert.equal(decoder.state.date, '2026-10-19');
+    assert.equal(decoder.state.speedKmh, 18.52);
+
+    const invalid = decoder.decode(bytes(sentence(NmeaDecoder, 'GPRMC,081531.00,V,,,,,,,191026,,,N')), 1);
+    assert.equal(invalid.summary, 'GPRMC 推荐最小定位信息 | 无效 | 无位置 | 速度 --km/h | 航向 --°');
+    env.dispose();
+});
+
+test('校验和错误或缺少校验和的语句不更新定位状态', () => {
+    const { env, NmeaDecoder } = loadDecoder();
+    const decoder = new NmeaDecoder();
+    decoder.decode(bytes('$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47'), 1000);
+
+    const corrupted = decoder.decode(bytes('$GPGGA,123520,4907.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47'), 2000);
+    assert.equal(corrupted.valid, false);
+    assert.equal(corrupted.error, '校验和错误');
+    assert.notEqual(corrupted.checksum.expected, corrupted.checksum.actual);
+    // 仍显示语句内容，但状态保持上一条有效语句的值
+    assert.match(corrupted.summary, /^GPGGA 定位信息 \| GPS定位 \| 49\.117300/);
+    assert.equal(decoder.state.time, '12:35:19');
+    assert.equal(decoder.state.latitude.toFixed(4), '48.1173');
+    assert.equal(decoder.state.updatedAt, 1000);
+
+    const missing = decoder.decode(bytes('$GPGGA,123521,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,'), 3000);
+    assert.equal(missing.valid, false);
+    assert.equal(missing.error, '缺少校验和');
+    assert.equal(missing.checksum, null);
+    assert.equal(decoder.state.updatedAt, 1000);
+    env.dispose();
+});
+
+test('未知语句、私有语句和非NMEA行不抛出异常', () => {
+    const { env, NmeaDecoder } = loadDecoder();
+    const decoder = new NmeaDecoder();
+    const unknown = decoder.decode(bytes(sentence(NmeaDecoder, 'GPZDA,201530.00,19,10,2026,00,00')), 0);
+    assert.equal(unknown.valid, true);
+    assert.equal(unknown.sentence, 'ZDA');
+    assert.equal(unknown.summary, 'GPZDA 未解析');
+
+    // 与对象原型上的属性同名的语句类型
+    assert.equal(decoder.decode(bytes(sentence(NmeaDecoder, 'GPconstructor,1')), 0).summary, 'GPconstructor 未解析');
+    assert.equal(decoder.decode(bytes(sentence(NmeaDecoder, 'GP')), 0).summary, 'GP 未解析');
+
+    const proprietary = decoder.decode(bytes(sentence(NmeaDecoder, 'PUBX,00,081530.00')), 0);
+    assert.equal(proprietary.talker, 'P');
+    assert.equal(proprietary.summary, '私有语句 PUBX');
+
+    assert.equal(decoder.decode(bytes('u-blox AG - www.u-blox.com'), 0), null);
+    assert.equal(decoder.state.updatedAt, null);
+    env.dispose();
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadPlotter() {
+    const env = loadScripts(['monitorview.js', 'plotter.js']);
+    return { env, TelemetryParser: env.get('TelemetryParser'), TelemetryStore: env.get('TelemetryStore') };
+}
+
+test('解析CSV列和key=value数值，忽略非数值内容', () => {
+    const { TelemetryParser } = loadPlotter();
+    const parse = (line) => {
+        const values = TelemetryParser.parseLine(line);
+        return values && { ...values };
+    };
+    assert.deepEqual(parse('1.2,3.4,-5.6e1'), { '通道1': 1.2, '通道2': 3.4, '通道3': -56 });
+    assert.deepEqual(parse('t=23.4,h=51'), { t: 23.4, h: 51 });
+    assert.deepEqual(parse('temp: 23.4  hum:51\t'), { temp: 23.4, hum: 51 });
+    assert.deepEqual(parse('ok 12'), { '通道2': 12 });
+    assert.equal(parse('boot ok'), null);
+    assert.equal(parse(''), null);
+});
+
+test('按行切分接收数据，每个串口各自缓存未结束的行', () => {
+    const { TelemetryParser } = loadPlotter();
+    const parser = new TelemetryParser();
+    const bytes = (text) => Uint8Array.from(Buffer.from(text));
+    assert.deepEqual(Array.from(parser.push('p1', bytes('1,2\r\n3,'))), ['1,2']);
+    assert.deepEqual(Array.from(parser.push('p2', bytes('x=1\n'))), ['x=1']);
+    assert.deepEqual(Array.from(parser.push('p1', bytes('4\n'))), ['3,4']);
+    // 多字节字符跨数据块
+    const name = Buffer.from('温度=21\n');
+    assert.deepEqual(Array.from(parser.push('p3', name.subarray(0, 2))), []);
+    assert.deepEqual(Array.from(parser.push('p3', name.subarray(2))), ['温度=21']);
+});
+
+test('按时间窗口取通道数据和统计，导出CSV', () => {
+    const { TelemetryStore } = loadPlotter();
+    const store = new TelemetryStore(3);
+    store.add('p1', 1000, { t: 20, h: 50 });
+    store.add('p1', 2000, { t: 22 });
+    store.add('p1', 3000, { t: 24, h: 54 });
+    assert.deepEqual(Array.from(store.channels), ['t', 'h']);
+    assert.deepEqual(Array.from(store.series(1500).get('t'), point => Array.from(point)), [[2000, 22], [3000, 24]]);
+    assert.deepEqual(Array.from(store.stats(), item => ({ ...item })), [
+        { name: 't', count: 3, min: 20, max: 24, avg: 22, last: 24 },
+        { name: 'h', count: 2, min: 50, max: 54, avg: 52, last: 54 }
+    ]);
+    store.add('p1', 4000, { t: 26 });
+    assert.equal(store.length, 3);
+    assert.equal(store.rows.at(0).timestamp, 2000);
+
+    const lines = store.toCsv(() => 'COM3').split('\r\n');
+    assert.equal(lines[0], '\ufeff时间戳(ms),时间,串口,t,h');
+    assert.equal(lines[1], '2000.000,1970-01-01T00:00:02.000Z,COM3,22,');
+    assert.equal(lines[2], '3000.000,1970-01-01T00:00:03.000Z,COM3,24,54');
+
+    // 时间倒退（回放历史数据）时重新开始
+    store.add('p2', 500, { x: 1 });
+    assert.equal(store.length, 1);
+    assert.deepEqual(Array.from(store.channels), ['x']);
+});
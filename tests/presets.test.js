@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadPresets() {
+    const env = loadScripts(['presets.js']);
+    const PresetStore = env.get('PresetStore');
+    return { env, PresetStore, store: new PresetStore(env.localStorage) };
+}
+
+test('首次使用返回内置预设，保存、重命名和删除后持久化', () => {
+    const { env, PresetStore, store } = loadPresets();
+    assert.deepEqual(Array.from(store.list(), preset => preset.name), ['默认配置', 'Arduino UNO', 'GPS模块', 'ESP8266', 'STM32']);
+
+    const saved = store.save({ name: '实验室GPS', baudRate: '38400', parity: 'even' });
+    assert.equal(saved.baudRate, 38400);
+    assert.equal(saved.bufferSize, 4096);
+    assert.equal(saved.match, null);
+    assert.throws(() => store.save({ name: '实验室GPS', baudRate: 9600 }), /已存在名为"实验室GPS"的预设/);
+    assert.throws(() => store.save({ name: ' ' }), /预设名称不能为空/);
+    assert.throws(() => store.save({ name: '坏参数', dataBits: 5 }), /数据位无效/);
+
+    // 新实例从存储读取
+    const other = new PresetStore(env.localStorage);
+    assert.equal(other.get(saved.id).parity, 'even');
+    other.rename(saved.id, '室外GPS');
+    assert.equal(store.get(saved.id).name, '室外GPS');
+    assert.equal(store.remove(saved.id), true);
+    assert.equal(store.remove(saved.id), false);
+    assert.equal(store.list().length, 5);
+
+    store.write([]);
+    assert.equal(store.list().length, 0);
+});
+
+test('按VID/PID查找绑定的预设，序列号匹配的优先', () => {
+    const { store } = loadPresets();
+    store.save({ name: 'CH340通用', baudRate: 115200, match: { usbVendorId: 0x1a86, usbProductId: 0x7523 } });
+    store.save({ name: '1号板', baudRate: 921600, match: { usbVendorId: 0x1a86, usbProductId: 0x7523, serialNumber: 'A1' } });
+    assert.throws(() => store.save({ name: '无效绑定', match: { usbVendorId: 0x10000, usbProductId: 1 } }), /VID\/PID无效/);
+
+    assert.equal(store.findForDevice({ usbVendorId: 0x1a86, usbProductId: 0x7523, serialNumber: 'A1' }).name, '1号板');
+    assert.equal(store.findForDevice({ usbVendorId: 0x1a86, usbProductId: 0x7523, serialNumber: 'B2' }).name, 'CH340通用');
+    assert.equal(store.findForDevice({ usbVendorId: 0x1a86, usbProductId: 0x7523 }).name, 'CH340通用');
+    assert.equal(store.findForDevice({ usbVendorId: 0x0403, usbProductId: 0x6001 }), null);
+    assert.equal(store.findForDevice({}), null);
+});
+
+test('导出后可在另一份存储中导入，支持合并和替换', () => {
+    const { store } = loadPresets();
+    store.save({ name: '实验室GPS', baudRate: 38400, match: { usbVendorId: 0x1209, usbProductId: 0x0002 } });
+    const json = store.exportJson();
+    assert.equal(JSON.parse(json).format, 'serial-monitor-presets');
+
+    const { store: target } = loadPresets();
+    target.save({ name: '本机专用', baudRate: 4800 });
+    // 内置预设按id覆盖，其余追加
+    assert.deepEqual({ ...target.importJson(json) }, { added: 1, updated: 5, total: 7 });
+    assert.equal(target.list().find(preset => preset.name === '实验室GPS').match.usbProductId, 0x0002);
+
+    assert.deepEqual({ ...target.importJson(json, { replace: true }) }, { added: 6, updated: 0, total: 6 });
+    assert.equal(target.list().some(preset => preset.name === '本机专用'), false);
+
+    assert.throws(() => target.importJson('not json'), /不是有效的JSON/);
+    assert.throws(() => target.importJson('{"presets": []}'), /不是预设导出文件/);
+    assert.throws(() => target.importJson('[{"name": "A"}, {"name": "A"}]'), /重名/);
+    assert.equal(target.list().length, 6);
+});
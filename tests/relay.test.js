@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { Relay, FrameParser, encodeFrame, createRelayServer, parseArgs } = require('../server/relay');
+
+// 记录发给每个客户端的消息
+function join(relay, role) {
+    const messages = [];
+    const client = relay.join(role, { send: text => messages.push(JSON.parse(text)), close() {} });
+    return { client, messages };
+}
+
+test('中继按角色转发：主机共享串口和数据，远程用户的请求转给主机，只读用户被拒绝', () => {
+    const relay = new Relay({ a: 'host', b: 'control', c: 'view' });
+    assert.equal(relay.roleOf('b'), 'control');
+    assert.equal(relay.roleOf('x'), null);
+
+    const host = join(relay, 'host');
+    const user = join(relay, 'control');
+    const viewer = join(relay, 'view');
+    assert.deepEqual(user.messages[0], { type: 'welcome', role: 'control', clientId: 'c2', ports: [] });
+
+    const descriptor = { id: 'usb-1', name: 'CH340', info: {}, settings: null, signals: null };
+    relay.receive(host.client, JSON.stringify({ type: 'share', port: descriptor }));
+    assert.deepEqual(viewer.messages.at(-1), { type: 'ports', ports: [descriptor] });
+    relay.receive(host.client, JSON.stringify({ type: 'data', id: 'usb-1', direction: 'RX', data: 'AQI=' }));
+    assert.equal(user.messages.at(-1).data, 'AQI=');
+    assert.equal(viewer.messages.at(-1).data, 'AQI=');
+    assert.equal(host.messages.length, 1);
+
+    relay.receive(user.client, JSON.stringify({ type: 'write', id: 'usb-1', data: 'QQ==' }));
+    assert.deepEqual(host.messages.at(-1), { type: 'write', id: 'usb-1', data: 'QQ==', from: 'c2' });
+    relay.receive(user.client, JSON.stringify({ type: 'write', id: 'usb-9', data: 'QQ==' }));
+    assert.equal(user.messages.at(-1).message, '串口未共享');
+    relay.receive(viewer.client, JSON.stringify({ type: 'set-signals', id: 'usb-1', signals: { dataTerminalReady: false } }));
+    assert.equal(viewer.messages.at(-1).message, '只读用户不能操作串口');
+    assert.equal(host.messages.length, 2);
+
+    // 主机的错误回复只发给发起请求的用户
+    relay.receive(host.client, JSON.stringify({ type: 'error', to: 'c2', id: 'usb-1', request: 'write', message: '写入失败' }));
+    assert.deepEqual(user.messages.at(-1), { type: 'error', id: 'usb-1', request: 'write', message: '写入失败' });
+
+    // 其他主机不能占用同一ID，主机断开后其串口取消共享
+    const other = join(relay, 'host');
+    relay.receive(other.client, JSON.stringify({ type: 'share', port: descriptor }));
+    assert.equal(other.messages.at(-1).message, '串口ID已被其他主机共享');
+    relay.receive(user.client, 'not json');
+    assert.equal(user.messages.at(-1).message, '消息格式错误');
+    relay.leave(host.client);
+    assert.deepEqual(viewer.messages.at(-1), { type: 'ports', ports: [] });
+});
+
+test('WebSocket帧编码和分片、掩码解析', () => {
+    const received = [];
+    const parser = new FrameParser((opcode, payload) => received.push([opcode, payload.toString()]));
+    const long = 'x'.repeat(70000);
+    const frames = Buffer.concat([encodeFrame(0x1, 'hello', true), encodeFrame(0x1, long), encodeFrame(0x9, 'p', true)]);
+    // 逐段送入
+    for (let offset = 0; offset < frames.length; offset += 1000) {
+        parser.push(frames.subarray(offset, offset + 1000));
+    }
+    // 分片消息：首帧FIN=0，后续为继续帧
+    const first = encodeFrame(0x1, 'ab', true);
+    first[0] &= 0x7f;
+    parser.push(Buffer.concat([first, encodeFrame(0x0, 'cd', true)]));
+    assert.deepEqual(received.map(([opcode, text]) => [opcode, text.length > 10 ? text.length : text]),
+        [[0x1, 'hello'], [0x1, 70000], [0x9, 'p'], [0x1, 'abcd']]);
+
+    // 服务器端要求掩码；分片消息按累计长度限制
+    const strict = new FrameParser(() => {}, { requireMask: true });
+    assert.throws(() => strict.push(encodeFrame(0x1, 'hi')), error => error.message === '客户端帧未加掩码' && error.closeCode === 1002);
+    const fragmented = new FrameParser(() => {}, { requireMask: true });
+    const start = encodeFrame(0x1, Buffer.alloc(1024 * 1024), true);
+    start[0] &= 0x7f;
+    fragmented.push(start);
+    const continuation = encodeFrame(0x0, Buffer.alloc(1024 * 1024), true);
+    continuation[0] &= 0x7f;
+    for (let i = 0; i < 3; i++) fragmented.push(continuation);
+    assert.throws(() => fragmented.push(continuation), error => error.message === '消息过大' && error.closeCode === 1009);
+
+    assert.deepEqual(parseArgs(['--port', '9000', '--viewer-token', 'v']), { port: 9000, viewerToken: 'v' });
+    assert.throws(() => parseArgs(['--bogus', '1']), /无效的参数/);
+});
+
+// 按RFC 6455握手，返回 { status, socket, messages, closeCodes }
+function connect(port, token) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const request = http.request({
+            host: '127.0.0.1',
+            port,
+            path: `/?token=${token}`,
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' }
+        });
+        request.on('upgrade', (response, socket, head) => {
+            const expected = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+            assert.equal(response.headers['sec-websocket-accept'], expected);
+            const messages = [];
+            const closeCodes = [];
+            const parser = new FrameParser((opcode, payload) => {
+                if (opcode === 0x1) messages.push(JSON.parse(payload.toString()));
+                else if (opcode === 0x8) closeCodes.push(payload.readUInt16BE(0));
+            });
+            // 欢迎消息可能与握手响应一起到达
+            parser.push(head);
+            socket.on('data', chunk => parser.push(chunk));
+            resolve({ status: 101, socket, messages, closeCodes });
+        });
+        request.on('response', response => {
+            response.resume();
+            resolve({ status: response.statusCode });
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('等待条件超时');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('中继服务器校验令牌并通过WebSocket转发消息', async () => {
+    const relay = new Relay({ h: 'host', v: 'view' });
+    const server = createRelayServer(relay);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const sockets = [];
+    try {
+        assert.equal((await connect(port, 'bad')).status, 401);
+
+        const host = await connect(port, 'h');
+        const viewer = await connect(port, 'v');
+        sockets.push(host.socket, viewer.socket);
+        await waitFor(() => host.messages.length === 1 && viewer.messages.length === 1);
+        assert.equal(viewer.messages[0].role, 'view');
+
+        host.socket.write(encodeFrame(0x1, JSON.stringify({ type: 'share', port: { id: 'p1', name: 'COM3' } }), true));
+        host.socket.write(encodeFrame(0x1, JSON.stringify({ type: 'data', id: 'p1', direction: 'RX', data: 'QQ==' }), true));
+        await waitFor(() => viewer.messages.length === 3);
+        assert.deepEqual(viewer.messages.map(message => message.type), ['welcome', 'ports', 'data']);
+
+        // 未加掩码的客户端帧按协议错误关闭连接
+        const unmasked = await connect(port, 'v');
+        sockets.push(unmasked.socket);
+        await waitFor(() => unmasked.messages.length === 1);
+        unmasked.socket.write(encodeFrame(0x1, JSON.stringify({ type: 'write', id: 'p1', data: 'QQ==' })));
+        await waitFor(() => unmasked.closeCodes.length === 1);
+        assert.equal(unmasked.closeCodes[0], 1002);
+        unmasked.socket.destroy();
+
+        // 主机断开后串口取消共享
+        host.socket.end(encodeFrame(0x8, Buffer.from([0x03, 0xe8]), true));
+        await waitFor(() => viewer.messages.length === 4);
+        assert.deepEqual(viewer.messages[3], { type: 'ports', ports: [] });
+        viewer.socket.destroy();
+        await waitFor(() => relay.clients.size === 0);
+    } finally {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => server.close(resolve));
+    }
+});
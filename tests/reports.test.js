@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadReports() {
+    const env = loadScripts(['capture.js', 'reports.js']);
+    const CaptureStore = env.get('CaptureStore');
+    const capture = new CaptureStore();
+    const start = Date.UTC(2026, 0, 1, 8, 0, 0);
+    // p1: 第0秒收100字节、第2秒收300字节并发送10字节；p2: 第1秒收50字节
+    capture.append('p1', 'RX', new Uint8Array(100), start);
+    capture.append('p2', 'RX', new Uint8Array(50), start + 1000);
+    capture.append('p1', 'RX', new Uint8Array(300), start + 2000);
+    capture.append('p1', 'TX', new Uint8Array(10), start + 2500);
+    capture.appendEvent('p1', { type: 'timeout', message: '读取超时: 500ms内未收到数据' }, start + 3000);
+    const frame = (portId, timestamp, length, extra = {}) => ({ portId, direction: 'RX', timestamp, length, error: null, decoded: null, ...extra });
+    const crc = (valid) => ({ protocol: 'Modbus RTU', valid, checksum: { type: 'CRC16', expected: 1, actual: valid ? 1 : 2 } });
+    const frames = [
+        frame('p1', start, 8, { decoded: crc(true) }),
+        frame('p1', start + 100, 8, { decoded: crc(false) }),
+        frame('p1', start + 400, 3, { decoded: { protocol: 'Modbus RTU', valid: false, checksum: null, error: '帧过短 (3 字节)' } }),
+        frame('p1', start + 2000, 300, { error: 'overflow' }),
+        { ...frame('p1', start + 2500, 10), direction: 'TX' },
+        frame('p2', start + 1000, 50)
+    ];
+    const ReportBuilder = env.get('ReportBuilder');
+    const stats = ReportBuilder.analyze(capture.records, frames, {
+        portName: portId => ({ p1: 'COM3', p2: 'COM4' })[portId],
+        generatedAt: start + 5000
+    });
+    return { ReportBuilder, stats, start };
+}
+
+test('按串口统计吞吐量、平均和峰值速率', () => {
+    const { stats } = loadReports();
+    assert.equal(stats.durationMs, 3000);
+    assert.equal(stats.bucketMs, 1000);
+    assert.equal(stats.totalBytes, 460);
+    assert.equal(stats.peakRate, 310);
+    const [p1, p2] = stats.ports;
+    assert.equal(p1.name, 'COM3');
+    assert.deepEqual(Array.from(p1.rxRate), [100, 0, 300, 0]);
+    assert.deepEqual(Array.from(p1.txRate), [0, 0, 10, 0]);
+    assert.equal(p1.peakRate, 310);
+    assert.equal(p1.averageRate, 410 / 2.5);
+    assert.equal(p2.averageRate, 50);
+    assert.equal(p1.frames, 5);
+});
+
+test('帧长度分布、帧间隔、错误分类和校验失败率', () => {
+    const { ReportBuilder, stats } = loadReports();
+    assert.deepEqual(Array.from(stats.frameSizes.filter(bin => bin.count > 0), bin => `${bin.label}:${bin.count}`),
+        ['2-3:1', '8-15:3', '32-63:1', '256-511:1']);
+    assert.deepEqual({ ...stats.ports[0].gaps }, { count: 3, min: 100, max: 1600, mean: 2000 / 3, p50: 300, p95: 1600 });
+    assert.equal(stats.ports[1].gaps, null);
+    assert.deepEqual(Array.from(stats.errors, item => `${item.type}:${item.count}`).sort(),
+        ['CRC16校验失败:1', '协议格式错误:1', '帧超长:1', '读取超时:1']);
+    assert.equal(stats.errorCount, 4);
+    assert.deepEqual({ ...stats.checksum }, { checked: 2, failed: 1, rate: 0.5 });
+    assert.deepEqual(Array.from(ReportBuilder.histogram([0, 1, 2000]), bin => bin.count).filter(Boolean), [1, 1, 1]);
+});
+
+test('生成Markdown和内嵌图表数据的HTML报告', () => {
+    const { ReportBuilder, stats } = loadReports();
+    const markdown = ReportBuilder.toMarkdown('performance', stats);
+    assert.match(markdown, /^# 串口通信性能分析\n/);
+    assert.match(markdown, /\| 峰值速率 \| 310 B\/s（按1秒统计） \|/);
+    assert.match(markdown, /\| COM3 \| 400 B \| 10 B \| 5 \| 164 B\/s \| 310 B\/s \|/);
+    assert.match(markdown, /## 接收帧间隔/);
+    assert.doesNotMatch(markdown, /## 错误统计/);
+
+    const html = ReportBuilder.toHtml('detailed', { ...stats, ports: stats.ports.map(port => ({ ...port, name: port.name + '</script>' })) });
+    assert.match(html, /<script src="https:\/\/cdn\.jsdelivr\.net\/npm\/echarts@5\.4\.3\/dist\/echarts\.min\.js"><\/script>/);
+    assert.match(html, /<td>读取超时: 500ms内未收到数据<\/td>/);
+    assert.match(html, /<td>COM3&lt;\/script&gt;<\/td>/);
+    const charts = JSON.parse(/const charts = (.*);\n/.exec(html)[1]);
+    assert.equal(charts.length, 3);
+    assert.deepEqual(charts[0].series[0].data, [100, 0, 300, 0]);
+    assert.equal(charts[0].series[0].name, 'COM3</script> 接收');
+    assert.equal((html.match(/<\/script>/g) || []).length, 2);
+});
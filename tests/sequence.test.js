@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadSequence() {
+    const env = loadScripts(['transport.js', 'sequence.js']);
+    return {
+        env,
+        SequenceRunner: env.get('SequenceRunner'),
+        SequenceStore: env.get('SequenceStore')
+    };
+}
+
+// 模拟设备：收到的每条命令按responder的返回值异步应答
+function createDevice(responder) {
+    const listeners = new Set();
+    const sent = [];
+    return {
+        sent,
+        send: async (bytes) => {
+            sent.push(Buffer.from(bytes));
+            const reply = responder(Buffer.from(bytes));
+            if (reply) setTimeout(() => listeners.forEach(listener => listener(Uint8Array.from(Buffer.from(reply)))), 5);
+        },
+        onReceive: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+test('解析脚本，格式错误时给出行号', () => {
+    const { SequenceRunner } = loadSequence();
+    const steps = SequenceRunner.parse('# 注释\ntimeout 200\nloop 2\n  send "AT\\r\\n"\n  expect /OK/ 50ms\nend\nexpecthex 79 ??\n');
+    assert.deepEqual(Array.from(steps, step => step.type), ['timeout', 'loop', 'expect']);
+    assert.deepEqual(Array.from(steps[1].steps, step => step.line), [4, 5]);
+    assert.equal(steps[1].steps[1].timeoutMs, 50);
+    assert.equal(steps[2].pattern.test('\x79\xff'), true);
+
+    assert.throws(() => SequenceRunner.parse('loop 2\nsend "x"'), /第1行: loop缺少对应的end/);
+    assert.throws(() => SequenceRunner.parse('send "x"\nend'), /第2行: 多余的end/);
+    assert.throws(() => SequenceRunner.parse('send AT'), /第1行: 应为带引号的字符串/);
+    assert.throws(() => SequenceRunner.parse('\nsendhex 7G'), /第2行: 无效的十六进制数据/);
+    assert.throws(() => SequenceRunner.parse('assert ${a} <> 1'), /不支持的运算符/);
+    assert.throws(() => SequenceRunner.parse('reboot'), /未知的命令: reboot/);
+});
+
+test('发送命令并按应答匹配、取值和断言', async () => {
+    const { SequenceRunner } = loadSequence();
+    const device = createDevice(bytes => {
+        const command = bytes.toString();
+        if (command === 'AT\r\n') return 'AT\r\nOK\r\n';
+        if (command === 'AT+GMR\r\n') return 'AT version:1.7.4\r\nOK\r\n';
+        if (command === 'AT+CSQ\r\n') return '+CSQ: 23,0\r\nOK\r\n';
+        return null;
+    });
+    const log = [];
+    const runner = new SequenceRunner(device, { timeoutMs: 500, onLog: entry => log.push(entry) });
+    const result = await runner.run([
+        'loop 2',
+        '  send "AT\\r\\n"',
+        '  expect "OK\\r\\n"',
+        'end',
+        'send "AT+GMR\\r\\n"',
+        'expect /AT version:(\\S+)/',
+        'set version = $1',
+        'assert ${version} =~ /^1\\.7/',
+        'send "AT+CSQ\\r\\n"',
+        'expect /\\+CSQ: (\\d+),/',
+        'set rssi = $1',
+        'assert ${rssi} >= 10',
+        'log "信号 ${rssi}"'
+    ].join('\n'));
+
+    assert.equal(result.ok, true);
+    assert.equal(result.failed, 0);
+    assert.equal(result.passed, 12);
+    assert.deepEqual({ ...result.variables }, { version: '1.7.4', rssi: '23' });
+    assert.deepEqual(device.sent.map(bytes => bytes.toString()), ['AT\r\n', 'AT\r\n', 'AT+GMR\r\n', 'AT+CSQ\r\n']);
+    assert.equal(log[log.length - 1].message, '信号 23');
+    assert.equal(log.filter(entry => entry.line === 1).length, 2);
+});
+
+test('等待超时或断言失败时停止执行并记录失败原因', async () => {
+    const { SequenceRunner } = loadSequence();
+    const device = createDevice(bytes => bytes[0] === 0x7f ? Buffer.from([0x1f]) : null);
+    const runner = new SequenceRunner(device);
+    const result = await runner.run('sendhex 7F\nexpecthex 79 50ms\nsendhex 00 FF');
+    assert.equal(result.ok, false);
+    assert.equal(result.failed, 1);
+    const failure = result.log.find(entry => entry.status === 'fail');
+    assert.equal(failure.line, 2);
+    assert.equal(failure.message, '50ms内未匹配，已收到: "\\x1f"');
+    assert.equal(device.sent.length, 1);
+
+    const asserted = await runner.run('set a = "1.2"\nassert ${a} == "1.3"\nlog "不会执行"');
+    assert.equal(asserted.ok, false);
+    assert.equal(asserted.log[asserted.log.length - 1].message, '"1.2" == "1.3" 不成立');
+
+    const undefinedVar = await runner.run('send "${missing}"');
+    assert.equal(undefinedVar.log[0].message, '未定义的变量: missing');
+});
+
+test('停止时中断等待', async () => {
+    const { SequenceRunner } = loadSequence();
+    const runner = new SequenceRunner(createDevice(() => null));
+    const running = runner.run('delay 5000\nsend "x"');
+    setTimeout(() => runner.stop(), 20);
+    const result = await running;
+    assert.equal(result.stopped, true);
+    assert.equal(result.ok, false);
+    assert.equal(result.log.length, 0);
+});
+
+test('在虚拟回环串口上运行脚本', async () => {
+    const { env, SequenceRunner } = loadSequence();
+    const VirtualTransport = env.get('VirtualTransport');
+    const VirtualSerialPort = env.get('VirtualSerialPort');
+    const LoopbackDevice = env.get('LoopbackDevice');
+    const port = new VirtualSerialPort(new LoopbackDevice());
+    const transport = new VirtualTransport([port]);
+    transport.grantAll();
+    await transport.open(port, { baudRate: 115200 });
+
+    const listeners = new Set();
+    const reader = transport.getReader(port);
+    const reading = (async () => {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            listeners.forEach(listener => listener(value));
+        }
+    })();
+    const writer = transport.getWriter(port);
+    const runner = new SequenceRunner({
+        send: bytes => writer.write(bytes),
+        onReceive: listener => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    });
+    const result = await runner.run('sendhex 7F 00 FF\nexpecthex 7F ?? FF\nsend "ping\\x21"\nexpect "ping!"');
+    assert.equal(result.ok, true);
+    assert.equal(result.passed, 4);
+
+    await reader.cancel();
+    await reading;
+    reader.releaseLock();
+    writer.releaseLock();
+    await transport.close(port);
+    env.dispose();
+});
+
+test('保存的脚本持久化，保存前检查语法', () => {
+    const { env, SequenceStore } = loadSequence();
+    const store = new SequenceStore(env.localStorage);
+    assert.deepEqual(Array.from(store.list(), item => item.name), ['AT命令检查', 'STM32 Bootloader握手']);
+    const SequenceRunner = env.get('SequenceRunner');
+    store.list().forEach(item => SequenceRunner.parse(item.script));
+
+    const saved = store.save({ name: '握手', script: 'sendhex 7F\nexpecthex 79' });
+    assert.equal(new SequenceStore(env.localStorage).get(saved.id).script, 'sendhex 7F\nexpecthex 79');
+    assert.throws(() => store.save({ name: '握手', script: 'delay 1' }), /已存在名为"握手"的脚本/);
+    assert.throws(() => store.save({ name: '坏脚本', script: 'loop 2' }), /loop缺少对应的end/);
+    store.save({ ...saved, script: 'delay 1' });
+    assert.equal(store.get(saved.id).script, 'delay 1');
+    assert.equal(store.remove(saved.id), true);
+    assert.equal(store.list().length, 2);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, delay, waitFor } = require('./helpers/browser');
+
+function loadSignals() {
+    const env = loadScripts(['transport.js', 'signals.js']);
+    return {
+        env,
+        VirtualTransport: env.get('VirtualTransport'),
+        VirtualSerialPort: env.get('VirtualSerialPort'),
+        LoopbackDevice: env.get('LoopbackDevice'),
+        EspBootDevice: env.get('EspBootDevice'),
+        ModemSignals: env.get('ModemSignals')
+    };
+}
+
+async function openPort(env, VirtualTransport, port) {
+    const transport = new VirtualTransport([port]);
+    transport.grantAll();
+    await transport.open(port, { baudRate: 115200 });
+    return transport;
+}
+
+test('回环插头上输出信号反映到输入信号，变化时回调', async () => {
+    const { env, VirtualTransport, VirtualSerialPort, LoopbackDevice, ModemSignals } = loadSignals();
+    const port = new VirtualSerialPort(new LoopbackDevice());
+    const transport = await openPort(env, VirtualTransport, port);
+    const events = [];
+    const signals = new ModemSignals(transport, port, { pollMs: 10, onChange: event => events.push(event.message) });
+
+    await signals.startPolling();
+    assert.deepEqual({ ...signals.inputs }, { clearToSend: true, dataSetReady: true, dataCarrierDetect: true, ringIndicator: false });
+    assert.deepEqual(events, ['输入信号: CTS=1 DSR=1 DCD=1 RI=0']);
+
+    await signals.toggle('RTS');
+    assert.equal(port.signals.requestToSend, false);
+    await waitFor(() => events.length === 3);
+    assert.deepEqual(events.slice(1), ['RTS=0', '输入信号变化: CTS=0']);
+
+    // 未变化的输出不记录
+    await signals.set({ dataTerminalReady: true });
+    signals.stopPolling();
+    assert.equal(events.length, 3);
+    await transport.close(port);
+    env.dispose();
+});
+
+test('Break持续指定时间后恢复，回环端收到BreakError', async () => {
+    const { env, VirtualTransport, VirtualSerialPort, LoopbackDevice, ModemSignals } = loadSignals();
+    const port = new VirtualSerialPort(new LoopbackDevice());
+    const transport = await openPort(env, VirtualTransport, port);
+    const events = [];
+    const signals = new ModemSignals(transport, port, { onChange: event => events.push(event.message) });
+
+    const reader = transport.getReader(port);
+    const start = Date.now();
+    const sending = signals.sendBreak(50);
+    await assert.rejects(reader.read(), { name: 'BreakError' });
+    reader.releaseLock();
+    await assert.rejects(signals.runSequence('esp-reset'), /正在执行其他信号操作/);
+    await sending;
+    assert.ok(Date.now() - start >= 45);
+    assert.equal(port.signals.break, false);
+    assert.deepEqual(events, ['发送Break 50ms: BRK=1', 'Break结束: BRK=0']);
+    await transport.close(port);
+    env.dispose();
+});
+
+test('ESP32按DTR/RTS时序进入下载模式或正常启动', async () => {
+    const { env, VirtualTransport, VirtualSerialPort, EspBootDevice, ModemSignals } = loadSignals();
+    const device = new EspBootDevice();
+    const port = new VirtualSerialPort(device);
+    const transport = await openPort(env, VirtualTransport, port);
+    const signals = new ModemSignals(transport, port);
+    const reader = transport.getReader(port);
+    const received = async () => {
+        let text = '';
+        while (!text.endsWith('\n') || !/waiting for download|Hello/.test(text)) {
+            const { value } = await reader.read();
+            text += Buffer.from(value).toString();
+        }
+        return text;
+    };
+
+    await signals.runSequence('esp-download');
+    assert.match(await received(), /DOWNLOAD_BOOT[\s\S]*waiting for download/);
+    await signals.runSequence('esp-reset');
+    assert.match(await received(), /SPI_FAST_FLASH_BOOT/);
+    assert.deepEqual(Array.from(device.boots), ['download', 'normal']);
+
+    // Arduino复位时序不经过EN为低的组合，ESP32不会复位
+    await signals.runSequence('arduino-reset');
+    await delay(30);
+    assert.equal(device.boots.length, 2);
+    reader.releaseLock();
+    await transport.close(port);
+    env.dispose();
+});
@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadMonitor, waitFor } = require('./helpers/browser');
+
+function loadFlasher() {
+    const env = loadScripts(['transport.js', 'signals.js', 'stm32boot.js']);
+    return {
+        env,
+        VirtualTransport: env.get('VirtualTransport'),
+        VirtualSerialPort: env.get('VirtualSerialPort'),
+        Stm32BootDevice: env.get('Stm32BootDevice'),
+        SerialByteStream: env.get('SerialByteStream'),
+        ModemSignals: env.get('ModemSignals'),
+        FirmwareImage: env.get('FirmwareImage'),
+        Stm32Bootloader: env.get('Stm32Bootloader')
+    };
+}
+
+// 引导模式的开发板，以8E1打开并取得字节流
+async function openBootloader(lib, deviceOptions = {}, settings = { baudRate: 115200, dataBits: 8, parity: 'even', stopBits: 1 }) {
+    const device = new lib.Stm32BootDevice({ mode: 'bootloader', ...deviceOptions });
+    const port = new lib.VirtualSerialPort(device);
+    const transport = new lib.VirtualTransport([port]);
+    transport.grantAll();
+    await transport.open(port, settings);
+    const stream = new lib.SerialByteStream(transport, port);
+    return { device, port, transport, stream };
+}
+
+async function close({ transport, port, stream }) {
+    await stream.release();
+    await transport.close(port);
+}
+
+// 由字节生成Intel HEX数据记录
+function hexRecord(type, offset, data) {
+    const bytes = [data.length, offset >> 8, offset & 0xff, type, ...data];
+    const sum = (-bytes.reduce((a, b) => a + b, 0)) & 0xff;
+    return ':' + [...bytes, sum].map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+}
+
+const firmware = (length) => Uint8Array.from({ length }, (_, i) => (i * 7 + 3) & 0xff);
+
+test('Intel HEX按扩展线性地址解析并合并连续的数据段', () => {
+    const { env, FirmwareImage } = loadFlasher();
+    const text = [
+        hexRecord(0x04, 0, [0x08, 0x00]),
+        hexRecord(0x00, 0x0000, [1, 2, 3, 4]),
+        hexRecord(0x00, 0x0004, [5, 6]),
+        hexRecord(0x00, 0x0400, [9]),
+        hexRecord(0x05, 0, [0x08, 0x00, 0x01, 0x01]),
+        hexRecord(0x01, 0, [])
+    ].join('\r\n');
+    const image = FirmwareImage.parseIntelHex(text, 'app.hex');
+    assert.equal(image.segments.length, 2);
+    assert.equal(image.address, 0x08000000);
+    assert.deepEqual(Array.from(image.segments[0].data), [1, 2, 3, 4, 5, 6]);
+    assert.equal(image.segments[1].address, 0x08000400);
+    assert.equal(image.size, 7);
+    assert.equal(image.describe(), '7 字节，0x08000000-0x08000005, 0x08000400-0x08000400');
+    // 块补齐到4字节的倍数，页号按覆盖范围计算
+    assert.deepEqual(Array.from(image.blocks(256), block => block.data.length), [8, 4]);
+    assert.equal(image.blocks(256)[0].data[7], 0xff);
+    assert.deepEqual(Array.from(image.pages(1024)), [0, 1]);
+
+    const corrupted = text.replace(/..\r\n/, '00\r\n');
+    assert.throws(() => FirmwareImage.parseIntelHex(corrupted), /第1行校验和错误/);
+    assert.throws(() => FirmwareImage.parseIntelHex(hexRecord(0x00, 0, [1])), /缺少结束记录/);
+    assert.throws(() => new FirmwareImage([{ address: 0, data: [1, 2] }, { address: 1, data: [3] }]), /重叠/);
+    // .bin从指定地址开始
+    assert.equal(FirmwareImage.fromFile('app.bin', Uint8Array.of(1, 2), 0x08004000).address, 0x08004000);
+    env.dispose();
+});
+
+test('烧录固件：全片擦除、分块写入、读回校验后运行', async () => {
+    const lib = loadFlasher();
+    const target = await openBootloader(lib);
+    const data = firmware(1000);
+    const image = new lib.FirmwareImage([{ address: 0x08000000, data }], 'app.bin');
+    target.device.flash.fill(0x00, 2048, 2100); // 旧程序的残留，全片擦除后应清除
+
+    const stages = [];
+    const loader = new lib.Stm32Bootloader(target.stream);
+    const result = await loader.flash(image, { onProgress: progress => stages.push(progress.stage) });
+    assert.equal(result.productId, 0x410);
+    assert.equal(result.version, 0x31);
+    assert.equal(result.verified, true);
+    assert.equal(result.started, true);
+    assert.deepEqual(Array.from(target.device.flash.subarray(0, 1000)), Array.from(data));
+    assert.equal(target.device.flash[2048], 0xff);
+    assert.deepEqual(Array.from(target.device.jumps), [0x08000000]);
+    assert.deepEqual(Array.from(new Set(stages)), ['sync', 'info', 'erase', 'write', 'verify', 'go']);
+    assert.equal(lib.Stm32Bootloader.describeDevice(0x410), '0x410 (STM32F10x 中密度)');
+    await close(target);
+    lib.env.dispose();
+});
+
+test('扩展擦除命令按页擦除，不擦除时写入与旧内容不符会校验失败且不运行', async () => {
+    const lib = loadFlasher();
+    const target = await openBootloader(lib, { extendedErase: true, productId: 0x413 });
+    target.device.flash.fill(0x00, 1024, 3072);
+    target.device.flash.fill(0x00, 5120, 5124);
+    const image = new lib.FirmwareImage([{ address: 0x08000400, data: firmware(1500) }]);
+    const loader = new lib.Stm32Bootloader(target.stream);
+    const result = await loader.flash(image, { erase: 'pages', pageSize: 1024, go: false });
+    assert.equal(result.productId, 0x413);
+    assert.ok(loader.commands.includes(0x44));
+    assert.equal(result.verified, true);
+    assert.equal(result.started, false);
+    assert.equal(target.device.flash[2600], 0xff); // 第2页固件之外的部分已擦除
+    assert.equal(target.device.flash[5120], 0x00); // 未覆盖的页保持原样
+
+    // 写入只能把位清零，未擦除的位置读回不一致
+    const other = new lib.FirmwareImage([{ address: 0x08000400, data: new Uint8Array(300).fill(0xaa) }]);
+    const failed = await loader.flash(other, { erase: 'none' });
+    assert.equal(failed.verified, false);
+    assert.deepEqual(Array.from(failed.mismatches, address => address.toString(16)), ['8000400', '8000500']);
+    assert.equal(failed.started, false);
+    assert.equal(target.device.jumps.length, 0);
+    await close(target);
+    lib.env.dispose();
+});
+
+test('参数不是8E1或芯片未进入引导模式时同步失败，取消后停止', async () => {
+    const lib = loadFlasher();
+    const wrongParity = await openBootloader(lib, {}, { baudRate: 115200 });
+    const loader = new lib.Stm32Bootloader(wrongParity.stream, { timeoutMs: 30 });
+    await assert.rejects(loader.sync(2), /无法与引导程序同步/);
+    await close(wrongParity);
+
+    const target = await openBootloader(lib);
+    const standard = new lib.Stm32Bootloader(target.stream, { timeoutMs: 200 });
+    await standard.sync();
+    await standard.get();
+    // 标准擦除命令只能用一个字节表示页号
+    await assert.rejects(standard.erase([300]), /只能擦除前256页/);
+    standard.cancel();
+    await assert.rejects(standard.getId(), /烧录已取消/);
+    await close(target);
+    lib.env.dispose();
+});
+
+test('擦除等待应答时取消立即停止', async () => {
+    const lib = loadFlasher();
+    const target = await openBootloader(lib);
+    // 收到全片擦除参数后不再应答，模拟耗时很长的擦除
+    const write = target.stream.write.bind(target.stream);
+    target.stream.write = bytes => {
+        if (bytes.length === 2 && bytes[0] === 0xff && bytes[1] === 0x00) target.device.mode = 'reset';
+        return write(bytes);
+    };
+    const image = new lib.FirmwareImage([{ address: 0x08000000, data: firmware(16) }]);
+    const loader = new lib.Stm32Bootloader(target.stream, { eraseTimeoutMs: 40000 });
+    const stages = [];
+    const flashing = loader.flash(image, { onProgress: progress => stages.push(progress.stage) });
+    await waitFor(() => stages.includes('erase') && target.device.mode === 'reset');
+
+    const started = Date.now();
+    loader.cancel();
+    await assert.rejects(flashing, /烧录已取消/);
+    assert.ok(Date.now() - started < 1000);
+    assert.ok(!stages.includes('write'));
+    await close(target);
+    lib.env.dispose();
+});
+
+test('DTR/RTS复位时序切换引导模式和运行模式', async () => {
+    const lib = loadFlasher();
+    const device = new lib.Stm32BootDevice();
+    const port = new lib.VirtualSerialPort(device);
+    const transport = new lib.VirtualTransport([port]);
+    transport.grantAll();
+    await transport.open(port, { baudRate: 115200 });
+    const signals = new lib.ModemSignals(transport, port);
+    await signals.runSequence('stm32-boot');
+    assert.equal(device.mode, 'bootloader');
+    await signals.runSequence('stm32-run');
+    assert.equal(device.mode, 'app');
+    assert.deepEqual(Array.from(device.boots), ['bootloader', 'app']);
+    await transport.close(port);
+    lib.env.dispose();
+});
+
+test('监控页烧录时独占串口并临时改为8E1，完成后恢复原参数和监控', async () => {
+    const env = loadMonitor();
+    const VirtualSerialPort = env.get('VirtualSerialPort');
+    const Stm32BootDevice = env.get('Stm32BootDevice');
+    const device = new Stm32BootDevice();
+    const port = new VirtualSerialPort(device, { usbVendorId: 0x0483, usbProductId: 0x5740 });
+    const transport = new (env.get('VirtualTransport'))([port]);
+    transport.grantAll();
+    const app = new (env.get('SerialMonitorPro'))({ transport });
+    await waitFor(() => app.ports.size === 1);
+    await app.connectPort(port);
+    const portId = app.getPortId(port);
+
+    const doc = env.document;
+    app.openFlashPanel();
+    assert.equal(doc.getElementById('flashPort').value, portId);
+    assert.equal(app.loadFlashFile('app.hex', new TextEncoder().encode('garbage')), null);
+    const image = app.loadFlashFile('app.bin', firmware(600));
+    assert.equal(doc.getElementById('flashFileInfo').textContent, '600 字节，0x08000000-0x08000257');
+    doc.getElementById('flashVerify').checked = true;
+    doc.getElementById('flashGo').checked = true;
+    doc.getElementById('flashResetSignals').checked = true;
+
+    const flashing = app.startFlash();
+    await waitFor(() => port.settings.parity === 'even');
+    assert.equal(await app.writeToPort(port, Uint8Array.of(0x41)), false);
+    assert.equal(await flashing, true);
+    assert.deepEqual(Array.from(device.flash.subarray(0, 600)), Array.from(image.segments[0].data));
+    assert.deepEqual(Array.from(device.boots), ['bootloader', 'app']);
+    assert.equal(doc.getElementById('flashStatus').textContent, '烧录完成: 600 字节，校验通过，程序已运行');
+    assert.equal(doc.getElementById('flashProgressBar').style.width, '100%');
+
+    const events = app.capture.query({ portId, direction: 'EVENT' }).map(record => record.event.message);
+    assert.ok(events.includes('STM32引导模式: RTS=0'));
+    assert.ok(events.includes('引导程序 v3.1，芯片ID 0x410 (STM32F10x 中密度)'));
+
+    // 恢复原参数后照常接收，再次复位时程序的启动信息由监控读取
+    assert.equal(port.settings.parity, 'none');
+    assert.ok(app.readers.has(port));
+    const received = () => Buffer.from(app.capture.query({ portId, direction: 'RX' }).flatMap(record => Array.from(record.data))).toString();
+    const before = received();
+    await app.getPortSignals(portId).runSequence('stm32-run');
+    await waitFor(() => received().length > before.length);
+    assert.ok(received().endsWith('STM32 application started\r\n'));
+
+    // 引导程序无应答时失败，串口同样恢复
+    doc.getElementById('flashResetSignals').checked = false;
+    app.startFlash();
+    assert.equal(await app.startFlash(), false);
+    await waitFor(() => !app.flashing, { timeout: 5000 });
+    assert.match(doc.getElementById('flashStatus').textContent, /^烧录失败: 无法与引导程序同步/);
+    assert.ok(app.activeConnections.has(port));
+    assert.equal(port.settings.parity, 'none');
+
+    await app.disconnectPort(port);
+    env.dispose();
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadTerminal() {
+    const env = loadScripts(['encoding.js', 'monitorview.js', 'terminal.js']);
+    return { env, TerminalEmulator: env.get('TerminalEmulator') };
+}
+
+const bytes = (text) => Uint8Array.from(Buffer.from(text));
+
+test('回车、换行、退格和制表符移动光标，超过屏幕的行进入回滚缓冲', () => {
+    const { TerminalEmulator } = loadTerminal();
+    const terminal = new TerminalEmulator({ cols: 20, rows: 3, scrollback: 2 });
+    terminal.write(bytes('U-Boot 2024\r\n=> helo\bp\r\n'));
+    assert.deepEqual(Array.from(terminal.screenText), ['U-Boot 2024', '=> help', '']);
+
+    terminal.write(bytes('a\tb\r\nline4\r\nline5\r\nline6'));
+    assert.deepEqual(Array.from(terminal.screenText), ['line4', 'line5', 'line6']);
+    // 屏幕3行加回滚2行，最早的行被丢弃
+    assert.equal(terminal.lines.length, 5);
+    assert.equal(terminal.lineText(0), '=> help');
+    assert.equal(terminal.lineText(1), 'a       b');
+
+    // 超过列数自动换行
+    terminal.write(bytes('\r\n' + 'x'.repeat(25)));
+    assert.deepEqual(Array.from(terminal.screenText).slice(1), ['x'.repeat(20), 'xxxxx']);
+});
+
+test('光标定位和擦除行/屏幕，UTF-8字符跨块解码', () => {
+    const { TerminalEmulator } = loadTerminal();
+    const terminal = new TerminalEmulator({ cols: 20, rows: 4 });
+    terminal.write(bytes('first line\r\nsecond line\r\nthird'));
+    terminal.write(bytes('\x1b[1;7H\x1b[K'));
+    assert.equal(terminal.lineText(0), 'first');
+    terminal.write(bytes('\x1b[2B\x1b[2A\x1b[4GX\x1b[B\x1b[2DY'));
+    assert.deepEqual(Array.from(terminal.screenText).slice(0, 3), ['firXt', 'seYond line', 'third']);
+    terminal.write(bytes('\x1b[2;4H\x1b[1K'));
+    assert.equal(terminal.lineText(1), '    nd line');
+    terminal.write(bytes('\x1b[2;1H\x1b[J'));
+    assert.deepEqual(Array.from(terminal.screenText), ['firXt', '', '', '']);
+
+    // Zephyr shell 的行编辑：删除字符、插入字符
+    terminal.write(bytes('\x1b[3;1Huart:~$ lsx\x1b[D\x1b[P'));
+    assert.equal(terminal.lineText(2), 'uart:~$ ls');
+    terminal.write(bytes('\x1b[9G\x1b[2@ab'));
+    assert.equal(terminal.lineText(2), 'uart:~$ abls');
+
+    const chinese = bytes('\r\n中文');
+    terminal.write(chinese.subarray(0, 4));
+    terminal.write(chinese.subarray(4));
+    assert.equal(terminal.lineText(3), '中文');
+
+    terminal.write(bytes('\x1b[2J\x1b[H$ '));
+    assert.deepEqual(Array.from(terminal.screenText), ['$', '', '', '']);
+    assert.equal(terminal.cursorCol, 2);
+});
+
+test('SGR颜色和属性渲染为样式，OSC标题忽略，光标位置查询回复', () => {
+    const { TerminalEmulator } = loadTerminal();
+    const responses = [];
+    const terminal = new TerminalEmulator({ cols: 40, rows: 2, respond: text => responses.push(text) });
+    terminal.write(bytes('\x1b]0;root@board\x07\x1b[1;32mroot\x1b[0m:\x1b[38;5;33m~\x1b[38;2;255;0;128m#\x1b[7mX\x1b[m '));
+    assert.equal(terminal.lineText(0), 'root:~#X');
+    const line = terminal.lines.at(0);
+    assert.equal(line.styles[0], line.styles[3]);
+    assert.equal(line.styles[0].fg, '#00cd00');
+    assert.equal(line.styles[0].bold, true);
+    assert.equal(line.styles[5].fg, '#0087ff');
+    assert.equal(line.styles[6].fg, '#ff0080');
+
+    const html = terminal.renderLine(line);
+    assert.match(html, /<span style="color:#00cd00;font-weight:bold">root<\/span>:/);
+    assert.match(html, /<span style="color:#000000;background:#ff0080">X<\/span>/);
+    // 光标所在位置反显
+    assert.match(html, /<span style="color:#000000;background:#e5e5e5"> <\/span><\/div>$/);
+    terminal.write(bytes('\x1b[?25l'));
+    assert.doesNotMatch(terminal.renderLine(line), /background:#e5e5e5/);
+    assert.match(terminal.renderLine({ chars: ['<', 'b'], styles: [] }), /&lt;b/);
+
+    terminal.write(bytes('\x1b[6n\x1b[5n'));
+    assert.deepEqual(responses, ['\x1b[1;10R', '\x1b[0n']);
+});
+
+test('按键转换为发送的字节序列', () => {
+    const { TerminalEmulator } = loadTerminal();
+    const key = (key, modifiers = {}) => TerminalEmulator.keyToSequence({ key, ctrlKey: false, altKey: false, metaKey: false, ...modifiers });
+    assert.equal(key('c', { ctrlKey: true }), '\x03');
+    assert.equal(key('D', { ctrlKey: true }), '\x04');
+    assert.equal(key('[', { ctrlKey: true }), '\x1b');
+    assert.equal(key('ArrowUp'), '\x1b[A');
+    assert.equal(key('ArrowLeft'), '\x1b[D');
+    assert.equal(key('Tab'), '\t');
+    assert.equal(key('Enter'), '\r');
+    assert.equal(key('Backspace'), '\x7f');
+    assert.equal(key('Delete'), '\x1b[3~');
+    assert.equal(key('a'), 'a');
+    assert.equal(key('中'), '中');
+    assert.equal(key('b', { altKey: true }), '\x1bb');
+    assert.equal(key('Shift'), null);
+    assert.equal(key('v', { metaKey: true }), null);
+});
@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, delay } = require('./helpers/browser');
+
+function loadTransport() {
+    const env = loadScripts(['transport.js']);
+    return {
+        env,
+        SerialTransport: env.get('SerialTransport'),
+        VirtualTransport: env.get('VirtualTransport'),
+        VirtualSerialPort: env.get('VirtualSerialPort'),
+        ErrorInjectingSerialPort: env.get('ErrorInjectingSerialPort'),
+        LoopbackDevice: env.get('LoopbackDevice'),
+        ScriptedDevice: env.get('ScriptedDevice')
+    };
+}
+
+test('fromLocation 根据地址参数选择传输层', () => {
+    const { env, SerialTransport, VirtualTransport } = loadTransport();
+    assert.ok(SerialTransport.fromLocation('?transport=virtual') instanceof VirtualTransport);
+    const transport = SerialTransport.fromLocation('');
+    assert.equal(transport.name, 'Web Serial');
+    assert.equal(transport.supported, false);
+    env.dispose();
+});
+
+test('虚拟传输层按顺序授权端口', async () => {
+    const { env, VirtualTransport, VirtualSerialPort, LoopbackDevice } = loadTransport();
+    const first = new VirtualSerialPort(new LoopbackDevice());
+    const second = new VirtualSerialPort(new LoopbackDevice());
+    const transport = new VirtualTransport([first, second]);
+
+    assert.deepEqual(await transport.getPorts(), []);
+    assert.equal(await transport.requestPort(), first);
+    assert.equal(await transport.requestPort(), second);
+    assert.deepEqual(await transport.getPorts(), [first, second]);
+
+    await assert.rejects(new VirtualTransport([]).requestPort(), { name: 'NotFoundError' });
+    env.dispose();
+});
+
+test('回环端口原样送回写入的数据', async () => {
+    const { env, VirtualTransport, VirtualSerialPort, LoopbackDevice } = loadTransport();
+    const port = new VirtualSerialPort(new LoopbackDevice());
+    const transport = new VirtualTransport([port]);
+
+    await transport.open(port, { baudRate: 115200 });
+    const writer = transport.getWriter(port);
+    await writer.write(new TextEncoder().encode('ping'));
+    writer.releaseLock();
+
+    const reader = transport.getReader(port);
+    const { value } = await reader.read();
+    assert.equal(new TextDecoder().decode(value), 'ping');
+    reader.releaseLock();
+
+    await transport.close(port);
+    assert.equal(port.readable, null);
+    assert.equal(port.writable, null);
+    env.dispose();
+});
+
+test('每次读取不超过bufferSize，硬件流控下CTS无效时写入等待', async () => {
+    const { env, SerialTransport, VirtualTransport, VirtualSerialPort, LoopbackDevice } = loadTransport();
+    const port = new VirtualSerialPort(new LoopbackDevice());
+    const transport = new VirtualTransport([port]);
+    await transport.open(port, { baudRate: 115200, bufferSize: 4, flowControl: 'hardware' });
+
+    const reader = transport.getReader(port);
+    let writer = transport.getWriter(port);
+    await writer.write(new TextEncoder().encode('abcdefghij'));
+    const sizes = [];
+    for (let i = 0; i < 3; i++) sizes.push((await reader.read()).value.length);
+    assert.deepEqual(sizes, [4, 4, 2]);
+
+    // 回环插头上CTS接RTS：RTS无效时写入阻塞，超时后abort丢弃
+    await transport.setSignals(port, { requestToSend: false });
+    const write = writer.write(new TextEncoder().encode('blocked'));
+    write.catch(() => {});
+    await assert.rejects(SerialTransport.withTimeout(write, 30), { name: 'TimeoutError' });
+    await writer.abort();
+    writer.releaseLock();
+
+    await transport.setSignals(port, { requestToSend: true });
+    writer = transport.getWriter(port);
+    await writer.write(new TextEncoder().encode('ok'));
+    writer.releaseLock();
+    assert.equal(new TextDecoder().decode((await reader.read()).value), 'ok');
+    reader.releaseLock();
+    await transport.close(port);
+    env.dispose();
+});
+
+test('打开和关闭遵循SerialPort的状态检查', async () => {
+    const { env, VirtualSerialPort, LoopbackDevice } = loadTransport();
+    const port = new VirtualSerialPort(new LoopbackDevice());
+
+    await assert.rejects(port.open({}), { name: 'TypeError' });
+    await port.open({ baudRate: 9600 });
+    assert.equal(port.settings.dataBits, 8);
+    await assert.rejects(port.open({ baudRate: 9600 }), { name: 'InvalidStateError' });
+
+    // reader未释放时不能关闭
+    const reader = port.readable.getReader();
+    await assert.rejects(port.close(), { name: 'TypeError' });
+    reader.releaseLock();
+    await port.close();
+    await assert.rejects(port.close(), { name: 'InvalidStateError' });
+    env.dispose();
+});
+
+test('脚本设备在波特率不匹配时送出乱码和帧错误', async () => {
+    const { env, VirtualSerialPort, ScriptedDevice } = loadTransport();
+    const device = new ScriptedDevice({ chunks: ['OK\r\n'], intervalMs: 5, baudRate: 9600 });
+    const port = new VirtualSerialPort(device);
+
+    await port.open({ baudRate: 115200 });
+    let reader = port.readable.getReader();
+    let { value } = await reader.read();
+    assert.notEqual(new TextDecoder().decode(value), 'OK\r\n');
+    await assert.rejects(reader.read(), { name: 'FramingError' });
+    reader.releaseLock();
+    await port.close();
+
+    await port.open({ baudRate: 9600 });
+    reader = port.readable.getReader();
+    ({ value } = await reader.read());
+    assert.equal(new TextDecoder().decode(value), 'OK\r\n');
+    reader.releaseLock();
+    await port.close();
+    assert.equal(device.timers.size, 0);
+    env.dispose();
+});
+
+test('按UART时序模拟数据格式不一致时的接收结果', () => {
+    const { env, ScriptedDevice } = loadTransport();
+    const bytes = Array.from(new TextEncoder().encode('AC'));
+
+    // 7E1按8N1接收：校验位落在最高位，没有帧错误
+    const sevenEven = ScriptedDevice.simulateLine(bytes,
+        { baudRate: 9600, dataBits: 7, parity: 'even', stopBits: 1 },
+        { baudRate: 9600, dataBits: 8, parity: 'none', stopBits: 1 });
+    assert.deepEqual(Array.from(sevenEven.bytes), [0x41, 0xc3]);
+    assert.equal(sevenEven.framingErrors, 0);
+
+    // 8E1按8N1接收：校验位为0的字节在停止位处产生帧错误
+    const eightEven = ScriptedDevice.simulateLine(bytes,
+        { baudRate: 9600, dataBits: 8, parity: 'even', stopBits: 1 },
+        { baudRate: 9600, dataBits: 8, parity: 'none', stopBits: 1 });
+    assert.deepEqual(Array.from(eightEven.bytes), bytes);
+    assert.equal(eightEven.framingErrors, 1);
+
+    // 8N1按8O1接收：停止位被当作校验位
+    const odd = ScriptedDevice.simulateLine(bytes,
+        { baudRate: 9600, dataBits: 8, parity: 'none', stopBits: 1 },
+        { baudRate: 9600, dataBits: 8, parity: 'odd', stopBits: 1 });
+    assert.ok(odd.parityErrors > 0 || odd.framingErrors > 0);
+    env.dispose();
+});
+
+test('错误注入端口产生可恢复的读取错误', async () => {
+    const { env, SerialTransport, ErrorInjectingSerialPort, LoopbackDevice } = loadTransport();
+    const port = new ErrorInjectingSerialPort(new LoopbackDevice(), {}, { readErrorEvery: 2 });
+    await port.open({ baudRate: 115200 });
+
+    port.emit([1]);
+    port.emit([2]);
+    const reader = port.readable.getReader();
+    assert.deepEqual(Array.from((await reader.read()).value), [1]);
+    assert.deepEqual(Array.from((await reader.read()).value), [2]);
+    await assert.rejects(reader.read(), error => SerialTransport.NON_FATAL_READ_ERRORS.includes(error.name));
+    reader.releaseLock();
+
+    // 出错后可以重新获取readable继续读取
+    port.emit([3]);
+    const next = port.readable.getReader();
+    assert.deepEqual(Array.from((await next.read()).value), [3]);
+    next.releaseLock();
+    await port.close();
+    env.dispose();
+});
+
+test('错误注入端口的打开失败和写入失败', async () => {
+    const { env, ErrorInjectingSerialPort, LoopbackDevice } = loadTransport();
+    const broken = new ErrorInjectingSerialPort(new LoopbackDevice(), {}, { failOpen: true });
+    await assert.rejects(broken.open({ baudRate: 9600 }), { name: 'NetworkError' });
+    assert.equal(broken.opened, false);
+
+    const port = new ErrorInjectingSerialPort(new LoopbackDevice(), {}, { writeErrorEvery: 2 });
+    await port.open({ baudRate: 9600 });
+    let writer = port.writable.getWriter();
+    await writer.write(Uint8Array.of(1));
+    await assert.rejects(writer.write(Uint8Array.of(2)), { name: 'NetworkError' });
+    writer.releaseLock();
+
+    writer = port.writable.getWriter();
+    await writer.write(Uint8Array.of(3));
+    writer.releaseLock();
+    await delay(0);
+    const reader = port.readable.getReader();
+    assert.deepEqual(Array.from((await reader.read()).value), [1]);
+    assert.deepEqual(Array.from((await reader.read()).value), [3]);
+    reader.releaseLock();
+    await port.close();
+    env.dispose();
+});
+
+test('拔出设备时读取以NetworkError结束，重新插入得到新的端口对象', async () => {
+    const { env, VirtualTransport, VirtualSerialPort, LoopbackDevice } = loadTransport();
+    const port = new VirtualSerialPort(new LoopbackDevice(), { usbVendorId: 0x1209, usbProductId: 2 });
+    const transport = new VirtualTransport([port]);
+    transport.grantAll();
+    const events = [];
+    transport.addEventListener('disconnect', event => events.push(['disconnect', event.target]));
+    transport.addEventListener('connect', event => events.push(['connect', event.target]));
+
+    await transport.open(port, { baudRate: 9600 });
+    const reader = transport.getReader(port);
+    transport.unplug(port);
+    await assert.rejects(reader.read(), { name: 'NetworkError' });
+    reader.releaseLock();
+    assert.equal(port.readable, null);
+    assert.deepEqual(await transport.getPorts(), []);
+    await transport.close(port);
+    await assert.rejects(port.open({ baudRate: 9600 }), { name: 'NetworkError' });
+
+    const fresh = transport.replug(port);
+    assert.notEqual(fresh, port);
+    assert.deepEqual(fresh.getInfo(), port.getInfo());
+    assert.deepEqual(await transport.getPorts(), [fresh]);
+    assert.deepEqual(events, [['disconnect', port], ['connect', fresh]]);
+    await fresh.open({ baudRate: 9600 });
+    await fresh.close();
+    env.dispose();
+});
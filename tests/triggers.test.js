@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+function loadTriggers() {
+    const env = loadScripts(['triggers.js']);
+    const TriggerRules = env.get('TriggerRules');
+    return { env, TriggerRules, triggers: new TriggerRules(env.localStorage) };
+}
+
+const rx = (data, extra = {}) => ({ direction: 'RX', portId: 'p1', data: Uint8Array.from(Buffer.from(data)), ...extra });
+
+test('按文本、正则、字节序列和解析字段匹配接收帧', () => {
+    const { triggers } = loadTriggers();
+    const text = triggers.add({ type: 'text', pattern: 'HardFault', actions: ['highlight'] });
+    const regex = triggers.add({ name: '温度过高', type: 'regex', pattern: 'T=(9\\d|1\\d\\d)', actions: ['count'] });
+    const hex = triggers.add({ type: 'hex', pattern: 'EE ?? 0A', actions: ['notify'] });
+    const field = triggers.add({ type: 'field', pattern: 'latencyMs > 100', actions: ['count'], portId: 'p2' });
+    const names = (frame) => Array.from(triggers.match(frame), rule => rule.name);
+
+    assert.equal(text.name, 'HardFault');
+    assert.deepEqual(names(rx('>> HardFault at 0x0800\r\n')), ['HardFault']);
+    assert.deepEqual(names(rx('T=95\r\n')), ['温度过高']);
+    assert.deepEqual(names(rx('T=45\r\n')), []);
+    assert.deepEqual(names(rx([0x01, 0xee, 0x55, 0x0a])), [hex.name]);
+    assert.deepEqual(names(rx([0xee, 0x0a])), []);
+    // 只匹配接收方向，按端口限定
+    assert.deepEqual(names({ ...rx('HardFault'), direction: 'TX' }), []);
+    assert.deepEqual(names(rx('x', { decoded: { latencyMs: 150 } })), []);
+    assert.deepEqual(names(rx('x', { portId: 'p2', decoded: { latencyMs: 150 } })), [field.name]);
+    assert.deepEqual(names(rx('x', { portId: 'p2', decoded: { latencyMs: 50 } })), []);
+
+    triggers.update(text.id, { enabled: false });
+    assert.deepEqual(names(rx('HardFault')), []);
+    assert.ok(regex.id);
+});
+
+test('解析字段条件支持数组下标、字符串和contains', () => {
+    const { TriggerRules } = loadTriggers();
+    const decoded = { functionCode: 3, sentence: 'GGA', valid: false, values: [1200, 7], summary: 'Modbus 异常' };
+    const check = (pattern) => TriggerRules.testCondition(decoded, TriggerRules.parseCondition(pattern));
+    assert.equal(check('functionCode == 3'), true);
+    assert.equal(check('functionCode != 3'), false);
+    assert.equal(check('sentence == "GGA"'), true);
+    assert.equal(check('valid == false'), true);
+    assert.equal(check('values.0 >= 1000'), true);
+    assert.equal(check('values contains 7'), true);
+    assert.equal(check('summary contains 异常'), true);
+    assert.equal(check('missing == 1'), false);
+    assert.throws(() => TriggerRules.parseCondition('functionCode'), /字段条件格式/);
+});
+
+test('规则持久化，无效规则给出原因', () => {
+    const { env, TriggerRules, triggers } = loadTriggers();
+    const rule = triggers.add({ type: 'hex', pattern: '0xEE', actions: ['capture'], preMs: '500', postMs: '' });
+    assert.equal(rule.preMs, 500);
+    assert.equal(rule.postMs, 2000);
+    assert.throws(() => triggers.add({ type: 'regex', pattern: '(', actions: ['notify'] }), /无效的正则表达式/);
+    assert.throws(() => triggers.add({ type: 'hex', pattern: 'EEE', actions: ['notify'] }), /无效的十六进制序列/);
+    assert.throws(() => triggers.add({ type: 'text', pattern: 'x', actions: [] }), /至少选择一个动作/);
+    assert.throws(() => triggers.add({ type: 'text', pattern: '', actions: ['count'] }), /匹配内容不能为空/);
+
+    const reloaded = new TriggerRules(env.localStorage);
+    assert.deepEqual(Array.from(reloaded.rules, item => item.id), [rule.id]);
+    reloaded.remove(rule.id);
+    assert.equal(new TriggerRules(env.localStorage).rules.length, 0);
+
+    triggers.hit(rule);
+    triggers.hit(rule);
+    assert.equal(triggers.getHits(rule.id), 2);
+    assert.equal(triggers.totalHits, 2);
+    triggers.resetHits();
+    assert.equal(triggers.totalHits, 0);
+});
@@ -0,0 +1,265 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadMonitor, waitFor } = require('./helpers/browser');
+
+function loadTransfer() {
+    const env = loadScripts(['transport.js', 'xmodem.js']);
+    return { env, SerialByteStream: env.get('SerialByteStream'), FileTransfer: env.get('FileTransfer') };
+}
+
+/**
+ * 两端直连的字节流（零调制解调器），tamper(side, bytes) 可修改或丢弃side端写出的数据
+ * 返回 [a, b, sent]，sent记录每端写出的全部字节
+ */
+function createLink(SerialByteStream, tamper = (side, bytes) => bytes) {
+    const controllers = {};
+    const sent = { a: [], b: [] };
+    const ends = ['a', 'b'].map(side => ({
+        side,
+        readable: new ReadableStream({ start: controller => { controllers[side] = controller; } })
+    }));
+    const transport = {
+        getReader: end => end.readable.getReader(),
+        getWriter: end => new WritableStream({
+            write: chunk => {
+                sent[end.side].push(...chunk);
+                const bytes = tamper(end.side, Uint8Array.from(chunk));
+                if (bytes) controllers[end.side === 'a' ? 'b' : 'a'].enqueue(bytes);
+            }
+        }).getWriter()
+    };
+    return [new SerialByteStream(transport, ends[0]), new SerialByteStream(transport, ends[1]), sent];
+}
+
+const FAST = { timeoutMs: 200, startTimeoutMs: 1000, startIntervalMs: 50, purgeMs: 10 };
+const content = (length, seed = 1) => Uint8Array.from({ length }, (_, i) => (i * 31 + seed) & 0xff);
+
+async function transfer(lib, protocol, files, { tamper, sender = {}, receiver = {} } = {}) {
+    const [a, b, sent] = createLink(lib.SerialByteStream, tamper);
+    const send = new lib.FileTransfer(a, { protocol, ...FAST, ...sender });
+    const receive = new lib.FileTransfer(b, { protocol, ...FAST, ...receiver });
+    const [, received] = await Promise.all([send.send(files), receive.receive()]);
+    await a.release();
+    await b.release();
+    return { received, send, receive, sent };
+}
+
+test('CRC-16/XMODEM和YMODEM文件头', () => {
+    const { env, FileTransfer } = loadTransfer();
+    assert.equal(FileTransfer.crc16(new TextEncoder().encode('123456789')), 0x31c3);
+    const header = FileTransfer.encodeHeader({ name: 'C:\\fw\\u-boot.img', data: new Uint8Array(1234) });
+    assert.deepEqual({ ...FileTransfer.parseHeader(header) }, { name: 'u-boot.img', size: 1234 });
+    // 大小后可带修改时间等字段
+    const withTime = Uint8Array.from([...new TextEncoder().encode('a.bin\u000010 14570165237 100644'), 0, 0, 0]);
+    assert.deepEqual({ ...FileTransfer.parseHeader(withTime) }, { name: 'a.bin', size: 10 });
+    assert.equal(FileTransfer.parseHeader(new Uint8Array(128)), null);
+
+    const block = FileTransfer.encodeBlock(256, Uint8Array.of(1, 2), 128, false);
+    assert.deepEqual(Array.from(block.subarray(0, 6)), [0x01, 0x00, 0xff, 1, 2, 0x1a]);
+    assert.equal(block.length, 132);
+    assert.equal(FileTransfer.encodeBlock(1, [], 1024, true)[0], 0x02);
+    env.dispose();
+});
+
+test('XMODEM累加和与XMODEM-1K收发，接收方去除末尾填充', async () => {
+    const lib = loadTransfer();
+    const data = content(300);
+    const plain = await transfer(lib, 'xmodem', [{ name: 'a.bin', data }]);
+    assert.equal(plain.received.length, 1);
+    assert.deepEqual(Array.from(plain.received[0].data), Array.from(data));
+    // 接收方以NAK开始时使用累加和：3个128字节块，每块132字节
+    assert.equal(plain.sent.b[0], 0x15);
+    assert.equal(plain.sent.a.filter(byte => byte === 0x01).length >= 3, true);
+
+    const large = content(2500, 7);
+    const progress = [];
+    const onek = await transfer(lib, 'xmodem-1k', [{ name: 'b.bin', data: large }], {
+        sender: { onProgress: event => progress.push(event.bytes) }
+    });
+    assert.deepEqual(Array.from(onek.received[0].data), Array.from(large));
+    assert.deepEqual(progress, [0, 1024, 2048, 2500]);
+    assert.equal(onek.sent.b[0], 0x43);
+    assert.equal(onek.send.transferred, 2500);
+    lib.env.dispose();
+});
+
+test('YMODEM批量传输文件名和大小，包括空文件', async () => {
+    const lib = loadTransfer();
+    const files = [
+        { name: 'kernel.bin', data: content(1500) },
+        { name: 'empty.txt', data: new Uint8Array(0) },
+        { name: 'tail.bin', data: Uint8Array.of(0x1a, 0x1a) } // 末尾的0x1A按文件大小保留
+    ];
+    const progress = [];
+    const { received } = await transfer(lib, 'ymodem', files, {
+        receiver: { onProgress: event => progress.push(`${event.name}:${event.bytes}/${event.total}`) }
+    });
+    assert.deepEqual(Array.from(received, file => [file.name, file.size]), [['kernel.bin', 1500], ['empty.txt', 0], ['tail.bin', 2]]);
+    assert.deepEqual(Array.from(received[0].data), Array.from(files[0].data));
+    assert.deepEqual(Array.from(received[2].data), [0x1a, 0x1a]);
+    assert.deepEqual(progress, ['kernel.bin:0/1500', 'kernel.bin:1024/1500', 'kernel.bin:1500/1500', 'empty.txt:0/0', 'tail.bin:0/2', 'tail.bin:2/2']);
+    lib.env.dispose();
+});
+
+test('块损坏时NAK重发，ACK丢失时重复的块被确认后忽略', async () => {
+    const lib = loadTransfer();
+    const data = content(3000);
+    let corrupted = false;
+    let dropped = false;
+    let acks = 0;
+    const { received, send, receive } = await transfer(lib, 'xmodem-1k', [{ name: 'c.bin', data }], {
+        tamper: (side, bytes) => {
+            // 第一个数据块损坏一个字节
+            if (side === 'a' && bytes[0] === 0x02 && !corrupted) {
+                corrupted = true;
+                const copy = bytes.slice();
+                copy[100] ^= 0xff;
+                return copy;
+            }
+            // 丢弃第二块的ACK，发送方超时后重发第二块
+            if (side === 'b' && bytes.length === 1 && bytes[0] === 0x06 && ++acks === 2 && !dropped) {
+                dropped = true;
+                return null;
+            }
+            return bytes;
+        }
+    });
+    assert.deepEqual(Array.from(received[0].data), Array.from(data));
+    assert.equal(send.errors, 2);
+    assert.equal(receive.errors, 1);
+    lib.env.dispose();
+});
+
+test('取消时立即结束并发送CAN，对方取消时报告原因', async () => {
+    const lib = loadTransfer();
+    const [a, b, sent] = createLink(lib.SerialByteStream);
+    const sender = new lib.FileTransfer(a, { protocol: 'xmodem-1k', startTimeoutMs: 60000 });
+    const start = Date.now();
+    const waiting = sender.send([{ name: 'd.bin', data: content(10) }]);
+    setTimeout(() => sender.cancel(), 20);
+    await assert.rejects(waiting, /传输已取消/);
+    assert.ok(Date.now() - start < 1000);
+    assert.deepEqual(sent.a, new Array(8).fill(0x18));
+
+    await a.release();
+    await b.release();
+
+    // 接收方在传输中取消
+    const [c, d] = createLink(lib.SerialByteStream);
+    const receiver = new lib.FileTransfer(d, { protocol: 'xmodem-1k', ...FAST, onProgress: event => { if (event.bytes >= 2048) receiver.cancel(); } });
+    const other = new lib.FileTransfer(c, { protocol: 'xmodem-1k', ...FAST });
+    const results = await Promise.allSettled([other.send([{ name: 'e.bin', data: content(8192) }]), receiver.receive()]);
+    assert.match(results[0].reason.message, /对方取消了传输/);
+    assert.match(results[1].reason.message, /传输已取消/);
+    await c.release();
+    await d.release();
+    lib.env.dispose();
+});
+
+test('对方无应答时超时，重试次数用尽后中止', async () => {
+    const lib = loadTransfer();
+    const [a, b] = createLink(lib.SerialByteStream);
+    const receiver = new lib.FileTransfer(b, { protocol: 'xmodem', ...FAST, startTimeoutMs: 200 });
+    await assert.rejects(receiver.receive(), /等待发送方超时/);
+
+    // 接收方始终回NAK
+    const [c, d] = createLink(lib.SerialByteStream);
+    const sender = new lib.FileTransfer(c, { protocol: 'xmodem', ...FAST, retries: 3 });
+    const nak = (async () => {
+        for (let i = 0; i < 5; i++) await d.write(Uint8Array.of(0x15));
+    })();
+    await assert.rejects(sender.send([{ name: 'f.bin', data: content(10) }]), /第1块重试3次仍未成功/);
+    await nak;
+    assert.equal(sender.errors, 3);
+    await Promise.all([a, b, c, d].map(stream => stream.release()));
+    lib.env.dispose();
+});
+
+// 虚拟串口另一端的设备：把串口收到的数据交给对端字节流，对端写出的数据从串口送出
+function createPeerDevice(SerialByteStream) {
+    let controller;
+    const readable = new ReadableStream({ start: c => { controller = c; } });
+    const device = {
+        port: null,
+        open(port) {
+            device.port = port;
+        },
+        close() {},
+        write(port, bytes) {
+            controller.enqueue(Uint8Array.from(bytes));
+        },
+        stream: null
+    };
+    device.stream = new SerialByteStream({
+        getReader: () => readable.getReader(),
+        getWriter: () => new WritableStream({ write: chunk => device.port.emit(Uint8Array.from(chunk)) }).getWriter()
+    }, null);
+    return device;
+}
+
+test('监控页发送和接收文件时暂停监控读取，完成后恢复', async () => {
+    const downloads = [];
+    const env = loadMonitor({
+        globals: {
+            Blob,
+            URL: { createObjectURL: blob => { downloads.push(blob); return 'blob:file'; }, revokeObjectURL() {} }
+        }
+    });
+    const FileTransfer = env.get('FileTransfer');
+    const device = createPeerDevice(env.get('SerialByteStream'));
+    const port = new (env.get('VirtualSerialPort'))(device, { usbVendorId: 0x0403, usbProductId: 0x6001 });
+    const transport = new (env.get('VirtualTransport'))([port]);
+    transport.grantAll();
+    const app = new (env.get('SerialMonitorPro'))({ transport });
+    await waitFor(() => app.ports.size === 1);
+    await app.connectPort(port);
+    const portId = app.getPortId(port);
+    const doc = env.document;
+
+    app.openTransferPanel();
+    assert.equal(doc.getElementById('transferPort').value, portId);
+    assert.equal(await app.startTransfer('send'), false);
+    const data = content(5000);
+    app.setTransferFiles([{ name: 'app.bin', data }]);
+    assert.equal(doc.getElementById('transferFileInfo').textContent, 'app.bin (4.9 KB)');
+
+    // 发送：对端以YMODEM接收
+    const peer = new FileTransfer(device.stream, { protocol: 'ymodem', ...FAST });
+    const receiving = peer.receive();
+    const sending = app.startTransfer('send');
+    await waitFor(() => app.transferJob !== null);
+    assert.equal(app.readers.has(port), false);
+    assert.equal(await app.writeToPort(port, Uint8Array.of(0x41)), false);
+    assert.equal(await sending, true);
+    const [file] = await receiving;
+    assert.equal(file.name, 'app.bin');
+    assert.deepEqual(Array.from(file.data), Array.from(data));
+    assert.ok(app.readers.has(port));
+    assert.equal(doc.getElementById('transferProgressBar').style.width, '100%');
+    assert.match(doc.getElementById('transferStatus').textContent, /^app\.bin，4\.9 KB \/ 4\.9 KB，.+\/s$/);
+    const events = app.capture.query({ portId, direction: 'EVENT' }).map(record => record.event.message);
+    assert.ok(events.includes('YMODEM发送 app.bin，等待接收方'));
+    assert.ok(events.some(message => message.startsWith('发送完成: 1 个文件，4.9 KB')));
+
+    // 接收：对端以XMODEM-CRC发送，收到的文件下载保存
+    doc.getElementById('transferProtocol').value = 'xmodem-crc';
+    const incoming = content(700, 9);
+    const peerSender = new FileTransfer(device.stream, { protocol: 'xmodem-crc', ...FAST });
+    const peerSending = peerSender.send([{ name: 'log.bin', data: incoming }]);
+    assert.equal(await app.startTransfer('receive'), true);
+    await peerSending;
+    assert.equal(downloads.length, 1);
+    assert.deepEqual(Array.from(new Uint8Array(await downloads[0].arrayBuffer())), Array.from(incoming));
+
+    // 取消接收：对端收到CAN，串口恢复监控
+    const waiting = app.startTransfer('receive');
+    await waitFor(() => app.transferJob !== null);
+    app.cancelTransfer();
+    assert.equal(await waiting, false);
+    assert.equal(doc.getElementById('transferLog').textContent.trim().split('\n').pop().endsWith('文件传输失败: 传输已取消'), true);
+    assert.ok(app.readers.has(port));
+
+    await app.disconnectPort(port);
+    await device.stream.release();
+    env.dispose();
+});
@@ -0,0 +1,1141 @@
+/**
+ * 串口传输层 - 统一的串口访问接口
+ * Serial Monitor Pro - Serial Transport
+ *
+ * 应用中所有串口访问都通过传输层完成。端口对象实现Web Serial的SerialPort接口
+ * (open/close/readable/writable/getInfo/setSignals/getSignals)，端口操作由传输层统一封装。
+ *
+ *   WebSerialTransport  浏览器Web Serial API
+ *   VirtualTransport    虚拟串口：回环、脚本设备、高速数据源、ESP32/STM32开发板、错误注入，无硬件时调试和自动化测试使用
+ *   SerialByteStream    按字节数读写已打开的串口，引导程序、文件传输等协议独占串口时使用
+ *
+ * 页面地址带 ?transport=virtual 时使用虚拟串口。
+ */
+
+class SerialTransport {
+    // Web Serial中可恢复的读取错误，出错后可重新获取readable继续读取
+    static NON_FATAL_READ_ERRORS = ['BreakError', 'FramingError', 'ParityError', 'BufferOverrunError'];
+
+    static createError(name, message) {
+        if (typeof DOMException !== 'undefined') return new DOMException(message, name);
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    // 读写限时：超过ms毫秒未完成时以TimeoutError拒绝，原操作不会被取消；ms不大于0时不限时
+    static withTimeout(promise, ms, message = '操作超时') {
+        if (!(ms > 0)) return promise;
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(SerialTransport.createError('TimeoutError', message)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    // 根据页面地址参数选择传输层
+    static fromLocation(search = (typeof location !== 'undefined' ? location.search : '')) {
+        const params = new URLSearchParams(search);
+        if (params.get('transport') === 'virtual') {
+            return VirtualTransport.createDefault();
+        }
+        return new WebSerialTransport();
+    }
+
+    constructor() {
+        this.listeners = new Map(); // 事件类型 -> 监听器集合
+    }
+
+    get name() {
+        return '未知';
+    }
+
+    get supported() {
+        return false;
+    }
+
+    async requestPort() {
+        throw new Error('当前传输层不支持申请串口');
+    }
+
+    async getPorts() {
+        return [];
+    }
+
+    // 'connect' / 'disconnect' 事件，event.target 为对应端口
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (this.listeners.has(type)) {
+            this.listeners.get(type).delete(listener);
+        }
+    }
+
+    dispatchEvent(type, port) {
+        if (!this.listeners.has(type)) return;
+        this.listeners.get(type).forEach(listener => {
+            try {
+                listener({ type, target: port });
+            } catch (error) {
+                console.error('串口事件处理出错:', error);
+            }
+        });
+    }
+
+    async open(port, options) {
+        await port.open(options);
+    }
+
+    async close(port) {
+        await port.close();
+    }
+
+    getInfo(port) {
+        return port.getInfo();
+    }
+
+    // 端口未打开或已发生致命错误时返回null
+    getReader(port) {
+        return port.readable ? port.readable.getReader() : null;
+    }
+
+    getWriter(port) {
+        return port.writable ? port.writable.getWriter() : null;
+    }
+
+    async setSignals(port, signals) {
+        await port.setSignals(signals);
+    }
+
+    async getSignals(port) {
+        return port.getSignals();
+    }
+}
+
+class WebSerialTransport extends SerialTransport {
+    constructor(serial = (typeof navigator !== 'undefined' ? navigator.serial : null)) {
+        super();
+        this.serial = serial || null;
+        if (this.serial) {
+            this.serial.addEventListener('connect', event => this.dispatchEvent('connect', event.target));
+            this.serial.addEventListener('disconnect', event => this.dispatchEvent('disconnect', event.target));
+        }
+    }
+
+    get name() {
+        return 'Web Serial';
+    }
+
+    get supported() {
+        return this.serial !== null;
+    }
+
+    requestPort(options) {
+        return this.serial.requestPort(options);
+    }
+
+    getPorts() {
+        return this.serial.getPorts();
+    }
+}
+
+/**
+ * 按字节数读写已打开的串口，供引导程序、文件传输等请求-应答协议使用，使用期间独占读写锁
+ *   read(count, timeoutMs)  读满count字节，超时以TimeoutError拒绝，已收到的字节留在缓冲中
+ *   discard()               丢弃已收到但未读取的字节
+ *   interrupt(error)        以error结束等待中的读取
+ *   release()               释放读写锁，串口保持打开
+ * 帧错误、校验错误等可恢复错误计入errorCount后继续读取；options.onData(direction, bytes) 可选，观察收发的数据
+ */
+class SerialByteStream {
+    constructor(transport, port, options = {}) {
+        this.transport = transport;
+        this.port = port;
+        this.onData = options.onData || null;
+        this.reader = transport.getReader(port);
+        this.writer = transport.getWriter(port);
+        if (!this.reader || !this.writer) {
+            if (this.reader) this.reader.releaseLock();
+            if (this.writer) this.writer.releaseLock();
+            throw new Error('串口不可读写');
+        }
+        this.buffer = new Uint8Array(0);
+        this.waiter = null; // { count, resolve, reject, timer }
+        this.error = null; // 致命的读取错误，之后的读取都以它拒绝
+        this.errorCount = 0;
+        this.released = false;
+        this.pump = this.readLoop();
+    }
+
+    async readLoop() {
+        while (!this.released) {
+            try {
+                const { value, done } = await this.reader.read();
+                if (done) break;
+                if (value && value.length > 0) {
+                    const merged = new Uint8Array(this.buffer.length + value.length);
+                    merged.set(this.buffer);
+                    merged.set(value, this.buffer.length);
+                    this.buffer = merged;
+                    if (this.onData) this.onData('RX', value);
+                    this.wake();
+                }
+            } catch (error) {
+                if (this.released) break;
+                if (!SerialTransport.NON_FATAL_READ_ERRORS.includes(error.name)) {
+                    this.error = error;
+                    break;
+                }
+                this.errorCount++;
+                // 可恢复错误后readable重新创建，换用新的reader
+                this.reader.releaseLock();
+                this.reader = this.transport.getReader(this.port);
+                if (!this.reader) {
+                    this.error = error;
+                    break;
+                }
+            }
+        }
+        if (!this.error && !this.released) this.error = new Error('串口已关闭');
+        this.wake();
+    }
+
+    wake() {
+        const waiter = this.waiter;
+        if (!waiter) return;
+        if (this.buffer.length >= waiter.count) {
+            this.waiter = null;
+            clearTimeout(waiter.timer);
+            waiter.resolve(this.take(waiter.count));
+        } else if (this.error) {
+            this.waiter = null;
+            clearTimeout(waiter.timer);
+            waiter.reject(this.error);
+        }
+    }
+
+    take(count) {
+        const bytes = this.buffer.slice(0, count);
+        this.buffer = this.buffer.slice(count);
+        return bytes;
+    }
+
+    read(count, timeoutMs = 1000) {
+        if (this.waiter) return Promise.reject(new Error('上一次读取尚未完成'));
+        if (this.buffer.length >= count) return Promise.resolve(this.take(count));
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiter = null;
+                reject(SerialTransport.createError('TimeoutError', `${timeoutMs}ms内未收到应答`));
+            }, timeoutMs);
+            this.waiter = { count, resolve, reject, timer };
+        });
+    }
+
+    async write(bytes) {
+        await this.writer.write(bytes);
+        if (this.onData) this.onData('TX', bytes);
+    }
+
+    discard() {
+        this.buffer = new Uint8Array(0);
+    }
+
+    // 以error拒绝等待中的读取，用于在长时间等待应答时立即取消
+    interrupt(error) {
+        const waiter = this.waiter;
+        if (!waiter) return;
+        this.waiter = null;
+        clearTimeout(waiter.timer);
+        waiter.reject(error);
+    }
+
+    async release() {
+        if (this.released) return;
+        this.released = true;
+        try {
+            await this.reader.cancel();
+        } catch {}
+        await this.pump;
+        if (this.waiter) {
+            clearTimeout(this.waiter.timer);
+            this.waiter.reject(new Error('读取已取消'));
+            this.waiter = null;
+        }
+        try {
+            this.reader.releaseLock();
+        } catch {}
+        try {
+            this.writer.releaseLock();
+        } catch {}
+    }
+}
+
+/**
+ * 虚拟串口 - 按SerialPort接口实现，数据由设备对象产生和处理
+ * 设备对象需实现 open(port) / close(port) / write(port, bytes)，通过 port.emit(bytes) 送出数据；
+ * 可选实现 setSignals(port, signals) 响应DTR/RTS/Break变化，getSignals(port) 返回CTS/DSR/DCD/RI
+ *
+ * 与Web Serial一致：每次读取最多返回bufferSize字节；flowControl为'hardware'时CTS无效期间写入等待
+ */
+class VirtualSerialPort {
+    static createError(name, message) {
+        return SerialTransport.createError(name, message);
+    }
+
+    constructor(device, info = {}) {
+        this.device = device;
+        this.info = info;
+        this.opened = false;
+        this.connected = true; // 设备拔出后为false，与SerialPort.connected一致
+        this.settings = null;
+        this.signals = { dataTerminalReady: false, requestToSend: false, break: false };
+        this._readable = null;
+        this._writable = null;
+        this.readQueue = []; // 尚未被读取的数据块和错误，按到达顺序交付
+        this.pendingPull = null;
+    }
+
+    getInfo() {
+        return { ...this.info };
+    }
+
+    get readable() {
+        if (!this.opened) return null;
+        // 设备拔出是致命错误，之后不再创建新的readable
+        if (!this.connected && !this._readable) return null;
+        return this.ensureReadable();
+    }
+
+    ensureReadable() {
+        if (!this._readable) {
+            this._readable = new ReadableStream({
+                pull: controller => new Promise(resolve => {
+                    this.pendingPull = { controller, resolve };
+                    this.deliver();
+                }),
+                cancel: () => {
+                    this._readable = null;
+                    this.pendingPull = null;
+                }
+            }, { highWaterMark: 0 });
+        }
+        return this._readable;
+    }
+
+    // 有读取请求时交付队列中的下一项；错误在之前的数据读完后才交付
+    deliver() {
+        if (!this.pendingPull || this.readQueue.length === 0) return;
+        const { controller, resolve } = this.pendingPull;
+        const item = this.readQueue.shift();
+        this.pendingPull = null;
+        if (item.error) {
+            controller.error(item.error);
+            this._readable = null;
+        } else {
+            controller.enqueue(item.data);
+        }
+        resolve();
+    }
+
+    get writable() {
+        if (!this.opened || !this.connected) return null;
+        if (!this._writable) {
+            let signal = null;
+            const writable = new WritableStream({
+                start: controller => { signal = controller.signal; },
+                write: chunk => this.handleWrite(Uint8Array.from(chunk), signal),
+                // abort丢弃未写完的数据，之后访问writable时重新创建
+                abort: () => {
+                    if (this._writable === writable) this._writable = null;
+                }
+            });
+            this._writable = writable;
+        }
+        return this._writable;
+    }
+
+    async open(options = {}) {
+        if (this.opened) {
+            throw VirtualSerialPort.createError('InvalidStateError', 'The port is already open.');
+        }
+        if (!(options.baudRate > 0)) {
+            throw new TypeError('baudRate必须大于0');
+        }
+        if (!this.connected) {
+            throw VirtualSerialPort.createError('NetworkError', 'Failed to open serial port.');
+        }
+        this.settings = {
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            bufferSize: 255,
+            flowControl: 'none',
+            ...options
+        };
+        // 与多数操作系统驱动一致，打开时置位DTR和RTS
+        this.signals = { dataTerminalReady: true, requestToSend: true, break: false };
+        await this.device.open(this);
+        this.opened = true;
+    }
+
+    async close() {
+        if (!this.opened) {
+            throw VirtualSerialPort.createError('InvalidStateError', 'The port is already closed.');
+        }
+        if ((this._readable && this._readable.locked) || (this._writable && this._writable.locked)) {
+            throw new TypeError('Cannot cancel a locked stream');
+        }
+        if (this._readable) await this._readable.cancel();
+        if (this._writable) await this._writable.close();
+        this._readable = null;
+        this._writable = null;
+        this.readQueue = [];
+        this.pendingPull = null;
+        this.opened = false;
+        await this.device.close(this);
+    }
+
+    async setSignals(signals = {}) {
+        if (!this.opened) {
+            throw VirtualSerialPort.createError('InvalidStateError', 'The port is closed.');
+        }
+        Object.assign(this.signals, signals);
+        if (this.device.setSignals) this.device.setSignals(this, this.signals);
+    }
+
+    async getSignals() {
+        if (!this.opened) {
+            throw VirtualSerialPort.createError('InvalidStateError', 'The port is closed.');
+        }
+        return this.inputSignals();
+    }
+
+    inputSignals() {
+        const input = this.device.getSignals ? this.device.getSignals(this) : {};
+        return {
+            clearToSend: false,
+            dataSetReady: false,
+            dataCarrierDetect: false,
+            ringIndicator: false,
+            ...input
+        };
+    }
+
+    // 设备送出数据，按bufferSize切分为多次读取；端口未打开或设备已拔出时数据丢弃
+    emit(bytes) {
+        if (!this.opened || !this.connected || bytes.length === 0) return;
+        const size = this.settings.bufferSize;
+        for (let offset = 0; offset < bytes.length; offset += size) {
+            this.readQueue.push({ data: Uint8Array.from(bytes.slice(offset, offset + size)) });
+        }
+        this.deliver();
+    }
+
+    // 注入读取错误：可恢复错误之后readable会重新创建
+    emitError(error) {
+        if (!this.opened || !this.connected) return;
+        this.readQueue.push({ error });
+        this.deliver();
+    }
+
+    async handleWrite(bytes, signal = null) {
+        if (!this.connected) {
+            throw VirtualSerialPort.createError('NetworkError', 'The device has been lost.');
+        }
+        if (this.settings.flowControl === 'hardware') {
+            await this.waitForClearToSend(signal);
+        }
+        return this.device.write(this, bytes);
+    }
+
+    // 硬件流控：等待对端置位CTS，写入被abort或设备拔出时放弃
+    async waitForClearToSend(signal) {
+        while (!this.inputSignals().clearToSend) {
+            if (signal && signal.aborted) throw signal.reason;
+            if (!this.opened || !this.connected) {
+                throw VirtualSerialPort.createError('NetworkError', 'The device has been lost.');
+            }
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    // 模拟拔出设备：读取以NetworkError结束，之后无法再打开
+    unplug() {
+        if (!this.connected) return;
+        this.connected = false;
+        if (this.opened) {
+            this.readQueue.push({ error: VirtualSerialPort.createError('NetworkError', 'The device has been lost.') });
+            this.deliver();
+        }
+    }
+
+    // 重新插入的设备在浏览器中是新的端口对象
+    clone() {
+        return new this.constructor(this.device, this.info);
+    }
+}
+
+/**
+ * 错误注入虚拟串口 - 在正常设备数据上按计数注入故障，确定性地复现各种错误
+ *   failOpen        打开时失败
+ *   readErrorEvery  每送出N块数据后产生一次读取错误 (readErrorName 默认 FramingError)
+ *   corruptEvery    每N块数据翻转其中一个字节的最低位
+ *   writeErrorEvery 每N次写入失败一次
+ */
+class ErrorInjectingSerialPort extends VirtualSerialPort {
+    constructor(device, info = {}, faults = {}) {
+        super(device, info);
+        this.faults = {
+            failOpen: false,
+            readErrorEvery: 0,
+            readErrorName: 'FramingError',
+            corruptEvery: 0,
+            writeErrorEvery: 0,
+            ...faults
+        };
+        this.emitCount = 0;
+        this.writeCount = 0;
+    }
+
+    async open(options = {}) {
+        if (this.faults.failOpen) {
+            throw VirtualSerialPort.createError('NetworkError', 'Failed to open serial port.');
+        }
+        this.emitCount = 0;
+        this.writeCount = 0;
+        await super.open(options);
+    }
+
+    emit(bytes) {
+        if (!this.opened || !this.connected || bytes.length === 0) return;
+        this.emitCount++;
+        let data = Uint8Array.from(bytes);
+        if (this.faults.corruptEvery > 0 && this.emitCount % this.faults.corruptEvery === 0) {
+            data[Math.floor(data.length / 2)] ^= 0x01;
+        }
+        super.emit(data);
+        if (this.faults.readErrorEvery > 0 && this.emitCount % this.faults.readErrorEvery === 0) {
+            this.emitError(VirtualSerialPort.createError(this.faults.readErrorName, '注入的读取错误'));
+        }
+    }
+
+    handleWrite(bytes, signal = null) {
+        this.writeCount++;
+        if (this.faults.writeErrorEvery > 0 && this.writeCount % this.faults.writeErrorEvery === 0) {
+            // 写入出错后writable进入错误状态，下次访问时重新创建
+            this._writable = null;
+            throw VirtualSerialPort.createError('NetworkError', '注入的写入错误');
+        }
+        return super.handleWrite(bytes, signal);
+    }
+
+    clone() {
+        return new ErrorInjectingSerialPort(this.device, this.info, this.faults);
+    }
+}
+
+// 回环设备：写入的数据原样送回；控制线按回环插头接法 RTS→CTS、DTR→DSR+DCD，Break产生BreakError
+class LoopbackDevice {
+    constructor({ latencyMs = 0 } = {}) {
+        this.latencyMs = latencyMs;
+        this.breaking = new Set(); // 正在发送Break的端口
+    }
+
+    open() {}
+
+    close(port) {
+        this.breaking.delete(port);
+    }
+
+    setSignals(port, signals) {
+        if (signals.break && !this.breaking.has(port)) {
+            this.breaking.add(port);
+            port.emitError(VirtualSerialPort.createError('BreakError', 'Break received.'));
+        } else if (!signals.break) {
+            this.breaking.delete(port);
+        }
+    }
+
+    getSignals(port) {
+        return {
+            clearToSend: port.signals.requestToSend,
+            dataSetReady: port.signals.dataTerminalReady,
+            dataCarrierDetect: port.signals.dataTerminalReady
+        };
+    }
+
+    write(port, bytes) {
+        if (this.latencyMs > 0) {
+            setTimeout(() => port.emit(bytes), this.latencyMs);
+        } else {
+            port.emit(bytes);
+        }
+    }
+}
+
+/**
+ * 脚本设备：按固定间隔循环送出预设数据
+ *   chunks     数据块列表（字符串或字节数组）
+ *   intervalMs 送出间隔
+ *   baudRate   设备实际波特率，为null时与端口设置无关
+ *   dataBits / parity / stopBits  设备实际的数据格式
+ *   repeat     送完后是否从头循环
+ * 端口的波特率或数据格式与设备不一致时，按UART时序模拟接收端实际收到的字节和帧错误、校验错误。
+ */
+class ScriptedDevice {
+    static encode(chunk) {
+        if (typeof chunk === 'string') return new TextEncoder().encode(chunk);
+        return Uint8Array.from(chunk);
+    }
+
+    static parityBit(value, dataBits, parity) {
+        let ones = 0;
+        for (let i = 0; i < dataBits; i++) ones += (value >> i) & 1;
+        switch (parity) {
+            case 'even': return ones & 1;
+            case 'odd': return (ones & 1) ^ 1;
+            case 'mark': return 1;
+            case 'space': return 0;
+        }
+        return null;
+    }
+
+    // 将字节按发送端格式展开为线路电平，再按接收端的波特率和格式采样
+    static simulateLine(bytes, tx, rx) {
+        const bits = [];
+        for (const byte of bytes) {
+            bits.push(0);
+            for (let i = 0; i < tx.dataBits; i++) bits.push((byte >> i) & 1);
+            const parity = ScriptedDevice.parityBit(byte, tx.dataBits, tx.parity);
+            if (parity !== null) bits.push(parity);
+            for (let i = 0; i < tx.stopBits; i++) bits.push(1);
+        }
+        const txBit = 1 / tx.baudRate;
+        const rxBit = 1 / rx.baudRate;
+        const end = (bits.length + 2) * txBit;
+        const level = (t) => {
+            const index = Math.floor(t / txBit);
+            return index < bits.length ? bits[index] : 1;
+        };
+
+        const result = { bytes: [], framingErrors: 0, parityErrors: 0 };
+        const step = rxBit / 16;
+        let t = 0;
+        while (t < end) {
+            // 寻找起始位的下降沿，并在起始位中点确认
+            if (level(t) !== 0) {
+                t += step;
+                continue;
+            }
+            if (level(t + rxBit / 2) !== 0) {
+                t += step;
+                continue;
+            }
+            let value = 0;
+            let sample = t + rxBit * 1.5;
+            for (let i = 0; i < rx.dataBits; i++, sample += rxBit) {
+                value |= level(sample) << i;
+            }
+            const expectedParity = ScriptedDevice.parityBit(value, rx.dataBits, rx.parity);
+            if (expectedParity !== null) {
+                if (level(sample) !== expectedParity) result.parityErrors++;
+                sample += rxBit;
+            }
+            if (level(sample) !== 1) result.framingErrors++;
+            result.bytes.push(value);
+            t = sample + rxBit / 2;
+        }
+        return result;
+    }
+
+    constructor({ chunks = [], intervalMs = 100, baudRate = null, dataBits = 8, parity = 'none', stopBits = 1, repeat = true } = {}) {
+        this.chunks = chunks.map(chunk => ScriptedDevice.encode(chunk));
+        this.intervalMs = intervalMs;
+        this.baudRate = baudRate;
+        this.format = { dataBits, parity, stopBits };
+        this.repeat = repeat;
+        this.timers = new Map(); // port -> 定时器
+        this.written = []; // 收到的写入数据，便于测试检查
+    }
+
+    open(port) {
+        let index = 0;
+        const timer = setInterval(() => {
+            if (index >= this.chunks.length) {
+                if (!this.repeat) return;
+                index = 0;
+            }
+            this.send(port, this.chunks[index++]);
+        }, this.intervalMs);
+        this.timers.set(port, timer);
+    }
+
+    close(port) {
+        clearInterval(this.timers.get(port));
+        this.timers.delete(port);
+    }
+
+    write(port, bytes) {
+        this.written.push(bytes);
+    }
+
+    send(port, chunk) {
+        if (this.matchesLine(port)) {
+            port.emit(chunk);
+            return;
+        }
+        const received = ScriptedDevice.simulateLine(chunk,
+            { baudRate: this.baudRate || port.settings.baudRate, ...this.format },
+            port.settings);
+        port.emit(received.bytes);
+        if (received.framingErrors > 0) {
+            port.emitError(VirtualSerialPort.createError('FramingError', `帧错误 ${received.framingErrors} 个`));
+        } else if (received.parityErrors > 0) {
+            port.emitError(VirtualSerialPort.createError('ParityError', `校验错误 ${received.parityErrors} 个`));
+        }
+    }
+
+    matchesLine(port) {
+        const settings = port.settings;
+        return (this.baudRate === null || settings.baudRate === this.baudRate) &&
+            settings.dataBits === this.format.dataBits &&
+            settings.parity === this.format.parity &&
+            settings.stopBits === this.format.stopBits;
+    }
+}
+
+/**
+ * 高速数据源：按端口波特率满负荷输出带递增序号的文本行，用于渲染性能测试和检查丢数据
+ *   tickMs      送出间隔，每次送出这段时间内线路能传输的字节数（8N1每字节10位）
+ *   lineLength  每行字节数（含CRLF）
+ */
+class SyntheticDevice {
+    constructor({ tickMs = 10, lineLength = 32 } = {}) {
+        this.tickMs = tickMs;
+        this.lineLength = lineLength;
+        this.timers = new Map(); // port -> 定时器
+        this.produced = 0; // 累计送出的字节数
+        this.lines = 0; // 累计送出的完整行数
+    }
+
+    // 第n行：序号和填充字符，便于接收端按序号检查是否丢行
+    line(index) {
+        const prefix = `#${String(index).padStart(8, '0')} `;
+        return prefix + 'x'.repeat(Math.max(0, this.lineLength - prefix.length - 2)) + '\r\n';
+    }
+
+    open(port) {
+        const start = performance.now();
+        const bytesPerMs = port.settings.baudRate / 10 / 1000;
+        let sent = 0;
+        let pending = '';
+        const timer = setInterval(() => {
+            const due = Math.floor((performance.now() - start) * bytesPerMs) - sent;
+            while (pending.length < due) {
+                pending += this.line(this.lines++);
+            }
+            port.emit(new TextEncoder().encode(pending.slice(0, due)));
+            pending = pending.slice(due);
+            sent += due;
+            this.produced += due;
+        }, this.tickMs);
+        this.timers.set(port, timer);
+    }
+
+    close(port) {
+        clearInterval(this.timers.get(port));
+        this.timers.delete(port);
+    }
+
+    write() {}
+}
+
+/**
+ * ESP32开发板：按常见的自动下载电路，DTR/RTS经两个三极管交叉驱动EN和IO0
+ *   RTS=1 DTR=0 时EN为低（芯片复位），DTR=1 RTS=0 时IO0为低，其余组合两者都为高
+ * EN由低变高时芯片启动，启动时IO0为低进入下载模式，否则正常运行并输出启动日志
+ *   bootDelayMs  EN变高到采样IO0的时间
+ */
+class EspBootDevice {
+    constructor({ bootDelayMs = 10 } = {}) {
+        this.bootDelayMs = bootDelayMs;
+        this.states = new Map(); // port -> { reset, timer }
+        this.boots = []; // 每次启动的模式 'download' / 'normal'，便于测试检查
+        this.written = [];
+    }
+
+    static pins(signals) {
+        const dtr = signals.dataTerminalReady;
+        const rts = signals.requestToSend;
+        return { en: !(rts && !dtr), io0: !(dtr && !rts) };
+    }
+
+    open(port) {
+        this.states.set(port, { reset: !EspBootDevice.pins(port.signals).en, timer: null });
+    }
+
+    close(port) {
+        const state = this.states.get(port);
+        if (state) clearTimeout(state.timer);
+        this.states.delete(port);
+    }
+
+    write(port, bytes) {
+        this.written.push(bytes);
+    }
+
+    setSignals(port, signals) {
+        const state = this.states.get(port);
+        if (!state) return;
+        const reset = !EspBootDevice.pins(signals).en;
+        if (reset) {
+            clearTimeout(state.timer);
+            state.timer = null;
+        } else if (state.reset) {
+            state.timer = setTimeout(() => this.boot(port), this.bootDelayMs);
+        }
+        state.reset = reset;
+    }
+
+    boot(port) {
+        const state = this.states.get(port);
+        if (!state) return;
+        state.timer = null;
+        const download = !EspBootDevice.pins(port.signals).io0;
+        this.boots.push(download ? 'download' : 'normal');
+        const text = download
+            ? 'ets Jun  8 2016 00:22:57\r\n\r\nrst:0x1 (POWERON_RESET),boot:0x3 (DOWNLOAD_BOOT(UART0/UART1/SDIO_REI_REO_V2))\r\nwaiting for download\r\n'
+            : 'ets Jun  8 2016 00:22:57\r\n\r\nrst:0x1 (POWERON_RESET),boot:0x13 (SPI_FAST_FLASH_BOOT)\r\nI (29) boot: ESP-IDF v4.4 2nd stage bootloader\r\nHello from ESP32\r\n';
+        port.emit(new TextEncoder().encode(text));
+    }
+}
+
+/**
+ * STM32开发板：模拟系统存储器引导程序(AN3155)
+ * DTR有效时BOOT0为高，RTS有效时NRST为低（复位）；释放复位时BOOT0为高则进入引导程序，否则运行闪存中的程序，
+ * 闪存非空时输出一行启动信息。只响应信号变化，打开串口不会复位芯片。
+ * 引导程序只在8E1下应答，支持Get、Get Version、Get ID、读写存储器、擦除和Go；Go之后运行程序。
+ *   mode           初始状态 'bootloader' / 'app'
+ *   flashSize      闪存大小，起始地址0x08000000，页大小pageSize；擦除后为0xFF，写入只能把位从1变为0
+ *   extendedErase  使用扩展擦除命令(0x44)，否则使用标准擦除命令(0x43)
+ *   productId      Get ID返回的芯片ID
+ */
+class Stm32BootDevice {
+    static FLASH_BASE = 0x08000000;
+    static RAM_BASE = 0x20000000;
+    static ACK = 0x79;
+    static NACK = 0x1f;
+
+    constructor({ mode = 'app', flashSize = 64 * 1024, pageSize = 1024, ramSize = 20 * 1024, extendedErase = false, productId = 0x410 } = {}) {
+        this.mode = mode;
+        this.flash = new Uint8Array(flashSize).fill(0xff);
+        this.ram = new Uint8Array(ramSize);
+        this.pageSize = pageSize;
+        this.extendedErase = extendedErase;
+        this.productId = productId;
+        this.commands = [0x00, 0x01, 0x02, 0x11, 0x21, 0x31, extendedErase ? 0x44 : 0x43];
+        this.resetHeld = false;
+        this.synced = false;
+        this.input = [];
+        this.pending = null; // 等待的字节数和处理函数 { count, handle }
+        this.jumps = []; // Go命令的地址，便于测试检查
+        this.boots = []; // 每次启动的模式
+    }
+
+    open() {}
+
+    close() {}
+
+    setSignals(port, signals) {
+        const reset = Boolean(signals.requestToSend);
+        if (reset === this.resetHeld) return;
+        this.resetHeld = reset;
+        if (reset) {
+            this.mode = 'reset';
+            return;
+        }
+        this.start(port, signals.dataTerminalReady ? 'bootloader' : 'app');
+    }
+
+    start(port, mode) {
+        this.mode = mode;
+        this.boots.push(mode);
+        this.synced = false;
+        this.input = [];
+        this.pending = null;
+        if (mode === 'app' && this.flash.subarray(0, 4).some(byte => byte !== 0xff)) {
+            port.emit(new TextEncoder().encode('STM32 application started\r\n'));
+        }
+    }
+
+    write(port, bytes) {
+        if (this.mode !== 'bootloader') return;
+        const { dataBits, parity, stopBits } = port.settings;
+        if (dataBits !== 8 || parity !== 'even' || stopBits !== 1) return;
+        for (const byte of bytes) {
+            this.input.push(byte);
+            if (!this.pending) this.waitCommand(port);
+            while (this.pending && this.input.length >= this.pending.count) {
+                const { count, handle } = this.pending;
+                this.pending = null;
+                handle(this.input.splice(0, count));
+                if (!this.pending && this.mode === 'bootloader') this.waitCommand(port);
+            }
+        }
+    }
+
+    // 同步前等待0x7F；同步后每条命令为命令码加反码，再次收到0x7F时回NACK
+    waitCommand(port) {
+        if (!this.synced) {
+            this.expect(1, ([byte]) => {
+                if (byte !== 0x7f) return;
+                this.synced = true;
+                this.reply(port, Stm32BootDevice.ACK);
+            });
+            return;
+        }
+        this.expect(1, ([code]) => {
+            if (code === 0x7f) {
+                this.reply(port, Stm32BootDevice.NACK);
+                return;
+            }
+            this.expect(1, ([complement]) => this.command(port, code, complement));
+        });
+    }
+
+    expect(count, handle) {
+        this.pending = { count, handle };
+    }
+
+    reply(port, ...bytes) {
+        port.emit(Uint8Array.from(bytes));
+    }
+
+    static checksum(bytes, initial = 0) {
+        return bytes.reduce((sum, byte) => sum ^ byte, initial);
+    }
+
+    // 地址为4字节大端加异或校验，不在闪存或RAM范围内时返回null
+    parseAddress(bytes) {
+        if (Stm32BootDevice.checksum(bytes.slice(0, 4)) !== bytes[4]) return null;
+        const address = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+        return this.region(address, 1) ? address : null;
+    }
+
+    region(address, length) {
+        const areas = [[Stm32BootDevice.FLASH_BASE, this.flash], [Stm32BootDevice.RAM_BASE, this.ram]];
+        for (const [base, memory] of areas) {
+            if (address >= base && address + length <= base + memory.length) return { memory, offset: address - base };
+        }
+        return null;
+    }
+
+    command(port, code, complement) {
+        const { ACK, NACK } = Stm32BootDevice;
+        if ((code ^ complement) !== 0xff || !this.commands.includes(code)) {
+            this.reply(port, NACK);
+            return;
+        }
+        this.reply(port, ACK);
+        const withAddress = (next) => this.expect(5, bytes => {
+            const address = this.parseAddress(bytes);
+            if (address === null) {
+                this.reply(port, NACK);
+                return;
+            }
+            next(address);
+        });
+        switch (code) {
+            case 0x00:
+                this.reply(port, this.commands.length, 0x31, ...this.commands, ACK);
+                break;
+            case 0x01:
+                this.reply(port, 0x31, 0x00, 0x00, ACK);
+                break;
+            case 0x02:
+                this.reply(port, 1, this.productId >> 8, this.productId & 0xff, ACK);
+                break;
+            case 0x11:
+                withAddress(address => {
+                    this.reply(port, ACK);
+                    this.expect(2, ([n, check]) => {
+                        const area = this.region(address, n + 1);
+                        if ((n ^ check) !== 0xff || !area) {
+                            this.reply(port, NACK);
+                            return;
+                        }
+                        this.reply(port, ACK, ...area.memory.subarray(area.offset, area.offset + n + 1));
+                    });
+                });
+                break;
+            case 0x21:
+                withAddress(address => {
+                    this.reply(port, ACK);
+                    this.jumps.push(address);
+                    this.start(port, 'app');
+                });
+                break;
+            case 0x31:
+                withAddress(address => {
+                    this.reply(port, ACK);
+                    this.expect(1, ([n]) => this.expect(n + 2, bytes => {
+                        const data = bytes.slice(0, n + 1);
+                        const area = this.region(address, data.length);
+                        if (Stm32BootDevice.checksum(data, n) !== bytes[n + 1] || !area) {
+                            this.reply(port, NACK);
+                            return;
+                        }
+                        // 闪存编程只能把1变为0，未擦除的位置写入后与原内容相与
+                        const flash = area.memory === this.flash;
+                        data.forEach((byte, i) => { area.memory[area.offset + i] = flash ? area.memory[area.offset + i] & byte : byte; });
+                        this.reply(port, ACK);
+                    }));
+                });
+                break;
+            case 0x43:
+                this.expect(1, ([n]) => {
+                    if (n === 0xff) {
+                        this.expect(1, ([check]) => this.finishErase(port, check === 0x00 ? [] : null, true));
+                        return;
+                    }
+                    this.expect(n + 2, bytes => {
+                        const pages = bytes.slice(0, n + 1);
+                        this.finishErase(port, Stm32BootDevice.checksum(pages, n) === bytes[n + 1] ? pages : null);
+                    });
+                });
+                break;
+            case 0x44:
+                this.expect(2, ([high, low]) => {
+                    const n = (high << 8) | low;
+                    // 0xFFFF全片擦除，0xFFFE/0xFFFD按存储区擦除，模拟的闪存只有一个存储区
+                    if (n >= 0xfffd) {
+                        this.expect(1, ([check]) => this.finishErase(port, check === (high ^ low) ? [] : null, true));
+                        return;
+                    }
+                    this.expect((n + 1) * 2 + 1, bytes => {
+                        const pages = [];
+                        for (let i = 0; i < (n + 1) * 2; i += 2) pages.push((bytes[i] << 8) | bytes[i + 1]);
+                        const valid = Stm32BootDevice.checksum(bytes.slice(0, -1), high ^ low) === bytes[bytes.length - 1];
+                        this.finishErase(port, valid ? pages : null);
+                    });
+                });
+                break;
+        }
+    }
+
+    finishErase(port, pages, all = false) {
+        const pageCount = this.flash.length / this.pageSize;
+        if (pages === null || pages.some(page => page >= pageCount)) {
+            this.reply(port, Stm32BootDevice.NACK);
+            return;
+        }
+        if (all) {
+            this.flash.fill(0xff);
+        } else {
+            pages.forEach(page => this.flash.fill(0xff, page * this.pageSize, (page + 1) * this.pageSize));
+        }
+        this.reply(port, Stm32BootDevice.ACK);
+    }
+}
+
+class VirtualTransport extends SerialTransport {
+    // 带校验和的NMEA语句
+    static nmeaSentence(body) {
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+        return `$${body}*${sum.toString(16).toUpperCase().padStart(2, '0')}\r\n`;
+    }
+
+    // 默认虚拟设备：回环串口、9600波特率的GPS模块、带故障注入的传感器、高速数据源、ESP32和STM32开发板
+    static createDefault() {
+        const gpsSentences = [
+            'GPGGA,092750.000,3959.0528,N,11618.4867,E,1,8,1.03,61.7,M,-8.2,M,,',
+            'GPGSA,A,3,10,07,05,02,29,04,08,13,,,,,1.72,1.03,1.38',
+            'GPGSV,2,1,08,10,63,137,37,07,61,098,35,05,59,290,40,08,54,157,30',
+            'GPGSV,2,2,08,02,32,047,22,29,24,255,18,04,15,080,26,13,10,320,12',
+            'GPRMC,092750.000,A,3959.0528,N,11618.4867,E,0.02,31.66,191026,,,A',
+            'GPVTG,31.66,T,,M,0.02,N,0.04,K,A'
+        ].map(body => VirtualTransport.nmeaSentence(body));
+
+        const transport = new VirtualTransport([
+            new VirtualSerialPort(new LoopbackDevice(), {
+                usbVendorId: 0x1209, usbProductId: 0x0001, usbProductName: '虚拟回环串口'
+            }),
+            new VirtualSerialPort(new ScriptedDevice({ chunks: [gpsSentences.join('')], intervalMs: 1000, baudRate: 9600 }), {
+                usbVendorId: 0x1209, usbProductId: 0x0002, usbProductName: '虚拟GPS模块'
+            }),
+            new ErrorInjectingSerialPort(new ScriptedDevice({ chunks: ['TEMP=23.5,HUM=41\r\n', 'TEMP=23.6,HUM=40\r\n'], intervalMs: 200 }), {
+                usbVendorId: 0x1209, usbProductId: 0x0003, usbProductName: '虚拟故障串口'
+            }, { readErrorEvery: 25, corruptEvery: 7 }),
+            new VirtualSerialPort(new SyntheticDevice(), {
+                usbVendorId: 0x1209, usbProductId: 0x0004, usbProductName: '虚拟高速数据源'
+            }),
+            new VirtualSerialPort(new EspBootDevice(), {
+                usbVendorId: 0x1209, usbProductId: 0x0005, usbProductName: '虚拟ESP32开发板'
+            }),
+            new VirtualSerialPort(new Stm32BootDevice(), {
+                usbVendorId: 0x1209, usbProductId: 0x0006, usbProductName: '虚拟STM32开发板'
+            })
+        ]);
+        // 虚拟设备无需用户授权
+        transport.grantAll();
+        return transport;
+    }
+
+    constructor(ports = []) {
+        super();
+        this.ports = ports;
+        this.granted = new Set();
+    }
+
+    get name() {
+        return '虚拟串口';
+    }
+
+    get supported() {
+        return true;
+    }
+
+    // 没有选择对话框，依次授权下一个未授权的端口
+    async requestPort() {
+        const available = this.ports.filter(item => item.connected);
+        const port = available.find(item => !this.granted.has(item)) || available[0];
+        if (!port) {
+            throw VirtualSerialPort.createError('NotFoundError', 'No port selected by the user.');
+        }
+        this.granted.add(port);
+        return port;
+    }
+
+    // 与Web Serial一致，只返回已授权且当前插着的端口
+    async getPorts() {
+        return this.ports.filter(port => this.granted.has(port) && port.connected);
+    }
+
+    // 授权全部虚拟端口
+    grantAll() {
+        this.ports.forEach(port => this.granted.add(port));
+    }
+
+    // 模拟拔出设备，触发disconnect事件
+    unplug(port) {
+        port.unplug();
+        this.dispatchEvent('disconnect', port);
+    }
+
+    // 模拟重新插入：以新的端口对象替换原端口，保留授权，触发connect事件
+    replug(port) {
+        const fresh = port.clone();
+        this.ports[this.ports.indexOf(port)] = fresh;
+        if (this.granted.delete(port)) this.granted.add(fresh);
+        this.dispatchEvent('connect', fresh);
+        return fresh;
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * 触发规则 - 在接收数据中匹配文本、正则、字节序列或协议解析字段，命中时执行动作
+ * Serial Monitor Pro - Trigger Rules
+ *
+ * 规则: { id, name, enabled, type, pattern, portId, actions, preMs, postMs }
+ *   type     text 文本 | regex 正则 | hex 字节序列（?? 匹配任意字节）| field 解析字段条件
+ *   pattern  field类型为 "字段 运算符 值"，如 "functionCode == 3"、"latencyMs > 100"、"values.0 >= 1000"，
+ *            运算符 == != < > <= >= contains
+ *   portId   null为全部串口
+ *   actions  highlight 高亮该行 | notify 通知 | sound 声音 | count 在统计卡片显示计数 |
+ *            pause 暂停监控 | capture 保存触发前后preMs/postMs的数据为会话
+ *
+ * 按帧匹配接收方向（RX）的数据，规则持久化到localStorage，命中次数只在本页面内累计。
+ */
+
+class TriggerRules {
+    static STORAGE_KEY = 'serialMonitor.triggers';
+
+    static TYPES = {
+        text: '文本',
+        regex: '正则',
+        hex: '十六进制',
+        field: '解析字段'
+    };
+
+    static ACTIONS = {
+        highlight: '高亮',
+        notify: '通知',
+        sound: '声音',
+        count: '计数',
+        pause: '暂停监控',
+        capture: '保存前后数据'
+    };
+
+    static DEFAULT_WINDOW_MS = 2000;
+
+    // 检查并规范化规则，同时编译匹配函数以发现格式错误
+    static normalize(rule) {
+        const type = rule.type || 'text';
+        if (!TriggerRules.TYPES[type]) throw new Error(`未知的规则类型: ${type}`);
+        const pattern = String(rule.pattern || '');
+        if (!pattern) throw new Error('匹配内容不能为空');
+        const actions = Array.from(new Set(rule.actions || [])).filter(action => TriggerRules.ACTIONS[action]);
+        if (actions.length === 0) throw new Error('至少选择一个动作');
+        const windowMs = (value) => {
+            const ms = value === undefined || value === '' ? TriggerRules.DEFAULT_WINDOW_MS : Number(value);
+            if (!(ms >= 0)) throw new Error('前后时间窗口无效');
+            return ms;
+        };
+        const normalized = {
+            id: rule.id || `trigger-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: String(rule.name || '').trim() || pattern,
+            enabled: rule.enabled !== false,
+            type,
+            pattern,
+            portId: rule.portId || null,
+            actions,
+            preMs: windowMs(rule.preMs),
+            postMs: windowMs(rule.postMs)
+        };
+        TriggerRules.compile(normalized);
+        return normalized;
+    }
+
+    // 返回 frame => boolean，frame为 { data, decoded? }
+    static compile(rule) {
+        switch (rule.type) {
+            case 'text':
+                return frame => TriggerRules.decodeText(frame.data).includes(rule.pattern);
+            case 'regex': {
+                let regex;
+                try {
+                    regex = new RegExp(rule.pattern);
+                } catch (error) {
+                    throw new Error(`无效的正则表达式: ${error.message}`);
+                }
+                return frame => regex.test(TriggerRules.decodeText(frame.data));
+            }
+            case 'hex': {
+                const bytes = TriggerRules.parseHexPattern(rule.pattern);
+                return frame => TriggerRules.indexOfBytes(frame.data, bytes) >= 0;
+            }
+            case 'field': {
+                const condition = TriggerRules.parseCondition(rule.pattern);
+                return frame => Boolean(frame.decoded) && TriggerRules.testCondition(frame.decoded, condition);
+            }
+            default:
+                throw new Error(`未知的规则类型: ${rule.type}`);
+        }
+    }
+
+    static decodeText(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    // "EE ?? 0A" 或 "EE??0A"，null表示任意字节
+    static parseHexPattern(text) {
+        const compact = text.replace(/\s+/g, '').replace(/0x/gi, '');
+        if (compact.length === 0 || compact.length % 2 !== 0) throw new Error(`无效的十六进制序列: ${text}`);
+        const bytes = [];
+        for (let i = 0; i < compact.length; i += 2) {
+            const pair = compact.slice(i, i + 2);
+            if (pair === '??') bytes.push(null);
+            else if (/^[0-9a-f]{2}$/i.test(pair)) bytes.push(parseInt(pair, 16));
+            else throw new Error(`无效的十六进制序列: ${text}`);
+        }
+        return bytes;
+    }
+
+    static indexOfBytes(data, pattern) {
+        for (let i = 0; i + pattern.length <= data.length; i++) {
+            let found = true;
+            for (let j = 0; j < pattern.length; j++) {
+                if (pattern[j] !== null && data[i + j] !== pattern[j]) {
+                    found = false;
+                    break;
+                }
+            }
+            if (found) return i;
+        }
+        return -1;
+    }
+
+    static parseCondition(text) {
+        const match = /^([A-Za-z_][\w.]*)\s*(==|!=|<=|>=|<|>|contains)\s*(.+)$/.exec(text.trim());
+        if (!match) throw new Error('字段条件格式为 "字段 运算符 值"，如 functionCode == 3');
+        return { path: match[1].split('.'), operator: match[2], value: match[3].trim().replace(/^"(.*)"$/, '$1') };
+    }
+
+    static testCondition(decoded, { path, operator, value }) {
+        let actual = decoded;
+        for (const key of path) {
+            if (actual === null || actual === undefined) return false;
+            actual = actual[key];
+        }
+        if (actual === null || actual === undefined) return false;
+        if (operator === 'contains') {
+            return (Array.isArray(actual) ? actual.map(String) : String(actual)).includes(value);
+        }
+        const numeric = typeof actual === 'number' && value !== '' && !isNaN(Number(value));
+        const a = numeric ? actual : String(actual);
+        const b = numeric ? Number(value) : value;
+        switch (operator) {
+            case '==': return a === b;
+            case '!=': return a !== b;
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            case '>=': return a >= b;
+            default: return false;
+        }
+    }
+
+    static describe(rule) {
+        const actions = rule.actions.map(action => TriggerRules.ACTIONS[action]).join('、');
+        return `${TriggerRules.TYPES[rule.type]} ${rule.pattern} → ${actions}`;
+    }
+
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.rules = this.load();
+        this.matchers = new Map(); // 规则id -> 匹配函数
+        this.hits = new Map(); // 规则id -> 命中次数
+    }
+
+    load() {
+        try {
+            const rules = JSON.parse(this.storage.getItem(TriggerRules.STORAGE_KEY) || '[]');
+            if (!Array.isArray(rules)) return [];
+            return rules.flatMap(rule => {
+                try {
+                    return [TriggerRules.normalize(rule)];
+                } catch (error) {
+                    console.warn('忽略无效的触发规则:', error.message);
+                    return [];
+                }
+            });
+        } catch {
+            return [];
+        }
+    }
+
+    save() {
+        this.storage.setItem(TriggerRules.STORAGE_KEY, JSON.stringify(this.rules));
+    }
+
+    add(rule) {
+        const normalized = TriggerRules.normalize(rule);
+        this.rules.push(normalized);
+        this.save();
+        return normalized;
+    }
+
+    update(id, changes) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index < 0) throw new Error('规则不存在');
+        this.rules[index] = TriggerRules.normalize({ ...this.rules[index], ...changes, id });
+        this.matchers.delete(id);
+        this.save();
+        return this.rules[index];
+    }
+
+    remove(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.matchers.delete(id);
+        this.hits.delete(id);
+        this.save();
+    }
+
+    // 返回与该帧匹配的已启用规则，只匹配接收方向
+    match(frame) {
+        if (frame.direction !== 'RX') return [];
+        return this.rules.filter(rule => {
+            if (!rule.enabled || (rule.portId && rule.portId !== frame.portId)) return false;
+            if (!this.matchers.has(rule.id)) this.matchers.set(rule.id, TriggerRules.compile(rule));
+            return this.matchers.get(rule.id)(frame);
+        });
+    }
+
+    hit(rule) {
+        const count = (this.hits.get(rule.id) || 0) + 1;
+        this.hits.set(rule.id, count);
+        return count;
+    }
+
+    getHits(id) {
+        return this.hits.get(id) || 0;
+    }
+
+    get totalHits() {
+        let total = 0;
+        this.hits.forEach(count => { total += count; });
+        return total;
+    }
+
+    resetHits() {
+        this.hits.clear();
+    }
+}
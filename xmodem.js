@@ -0,0 +1,398 @@
+/**
+ * 文件传输 - XMODEM/YMODEM
+ * Serial Monitor Pro - File Transfer
+ *
+ *   xmodem       128字节块，1字节累加和
+ *   xmodem-crc   128字节块，CRC-16
+ *   xmodem-1k    1024字节块(STX)，CRC-16
+ *   ymodem       1024字节块，CRC-16，可批量传输：每个文件前的0号块为文件名和十进制大小，文件名为空的0号块结束批次
+ *
+ * 块为 SOH(128)/STX(1024)、块号、块号反码、数据、校验和或CRC（高位在前），块号从1开始按256循环，最后一块以0x1A填充。
+ * 接收方以NAK（累加和）或'C'（CRC）请求开始，发送方按此选择校验方式；接收方正确收到的块回ACK，出错回NAK，
+ * 重复的块（ACK丢失后重发）同样回ACK；文件结束时发送方发送EOT；任何一方连续发送两个CAN即取消传输。
+ */
+
+class FileTransfer {
+    static SOH = 0x01;
+    static STX = 0x02;
+    static EOT = 0x04;
+    static ACK = 0x06;
+    static NAK = 0x15;
+    static CAN = 0x18;
+    static CRC = 0x43; // 'C'
+    static PAD = 0x1a;
+    static PROTOCOLS = {
+        xmodem: { label: 'XMODEM', blockSize: 128, crc: false, batch: false },
+        'xmodem-crc': { label: 'XMODEM-CRC', blockSize: 128, crc: true, batch: false },
+        'xmodem-1k': { label: 'XMODEM-1K', blockSize: 1024, crc: true, batch: false },
+        ymodem: { label: 'YMODEM', blockSize: 1024, crc: true, batch: true }
+    };
+
+    // CRC-16/XMODEM：多项式0x1021，初值0
+    static crc16(bytes) {
+        let crc = 0;
+        for (const byte of bytes) {
+            crc ^= byte << 8;
+            for (let i = 0; i < 8; i++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+            }
+        }
+        return crc;
+    }
+
+    static checksum(bytes) {
+        return bytes.reduce((sum, byte) => (sum + byte) & 0xff, 0);
+    }
+
+    // 数据不足size字节时以padding填充
+    static encodeBlock(number, data, size, crc, padding = FileTransfer.PAD) {
+        const block = new Uint8Array(3 + size + (crc ? 2 : 1));
+        block[0] = size === 1024 ? FileTransfer.STX : FileTransfer.SOH;
+        block[1] = number & 0xff;
+        block[2] = ~number & 0xff;
+        const payload = block.subarray(3, 3 + size);
+        payload.fill(padding);
+        payload.set(data);
+        if (crc) {
+            const value = FileTransfer.crc16(payload);
+            block[3 + size] = value >> 8;
+            block[4 + size] = value & 0xff;
+        } else {
+            block[3 + size] = FileTransfer.checksum(payload);
+        }
+        return block;
+    }
+
+    // YMODEM的0号块内容：文件名（不含路径）\0 十进制大小\0；file为null时为结束批次的空块
+    static encodeHeader(file) {
+        if (!file) return new Uint8Array(0);
+        const encoder = new TextEncoder();
+        const name = encoder.encode(file.name.split(/[\\/]/).pop());
+        const size = encoder.encode(String(file.data.length));
+        return Uint8Array.from([...name, 0, ...size, 0]);
+    }
+
+    // 返回 { name, size }，文件名为空时返回null；大小缺失时size为null
+    static parseHeader(payload) {
+        const end = payload.indexOf(0);
+        if (end <= 0) return null;
+        const decoder = new TextDecoder();
+        const name = decoder.decode(payload.subarray(0, end));
+        const [info] = decoder.decode(payload.subarray(end + 1)).split('\0');
+        const size = parseInt(info.trim().split(/\s+/)[0], 10);
+        return { name, size: Number.isFinite(size) ? size : null };
+    }
+
+    /**
+     * stream   字节流，见SerialByteStream
+     * options  protocol 协议（见PROTOCOLS），timeoutMs 等待应答或下一块的超时，retries 每块的重试次数，
+     *          startTimeoutMs 等待对方开始的总时间，startIntervalMs 接收方重发开始字符的间隔，
+     *          onProgress({ name, bytes, total, transferred, elapsedMs, errors })
+     *          bytes/total为当前文件的进度（XMODEM接收时total为null），transferred为已传输的总字节数
+     */
+    constructor(stream, options = {}) {
+        this.stream = stream;
+        this.protocolName = options.protocol || 'xmodem-1k';
+        this.protocol = FileTransfer.PROTOCOLS[this.protocolName];
+        if (!this.protocol) throw new Error(`未知的传输协议: ${this.protocolName}`);
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.retries = options.retries || 10;
+        this.startTimeoutMs = options.startTimeoutMs || 60000;
+        this.startIntervalMs = options.startIntervalMs || 3000;
+        this.purgeMs = options.purgeMs || 100;
+        this.onProgress = options.onProgress || null;
+        this.cancelled = false;
+        this.peerCancelled = false;
+        this.errors = 0; // 重试的块数
+        this.transferred = 0;
+        this.startedAt = 0;
+    }
+
+    // 立即结束等待中的读取，随后向对方发送CAN
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        this.stream.interrupt(new Error('传输已取消'));
+    }
+
+    // files: [{ name, data }]，XMODEM只能发送一个文件
+    async send(files) {
+        return this.run(() => this.sendFiles(files));
+    }
+
+    // 返回收到的文件 [{ name, size, data }]，XMODEM收到的文件没有文件名，末尾的0x1A填充被去除
+    async receive() {
+        return this.run(() => this.receiveFiles());
+    }
+
+    async run(task) {
+        this.errors = 0;
+        this.transferred = 0;
+        this.startedAt = Date.now();
+        try {
+            return await task();
+        } catch (error) {
+            if (!this.peerCancelled) await this.abort();
+            throw error;
+        }
+    }
+
+    // 连续发送CAN终止对方
+    async abort() {
+        try {
+            await this.stream.write(new Uint8Array(8).fill(FileTransfer.CAN));
+        } catch {}
+    }
+
+    progress(name, bytes, total) {
+        if (!this.onProgress) return;
+        this.onProgress({ name, bytes, total, transferred: this.transferred, elapsedMs: Date.now() - this.startedAt, errors: this.errors });
+    }
+
+    checkCancelled() {
+        if (this.cancelled) throw new Error('传输已取消');
+    }
+
+    async write(...bytes) {
+        await this.stream.write(Uint8Array.from(bytes));
+    }
+
+    // 超时返回null
+    async readByte(timeoutMs) {
+        this.checkCancelled();
+        try {
+            const [byte] = await this.stream.read(1, Math.max(1, timeoutMs));
+            return byte;
+        } catch (error) {
+            if (error.name === 'TimeoutError') return null;
+            throw error;
+        }
+    }
+
+    // 连续两个CAN为对方取消，单个CAN可能是线路噪声
+    handleCan(byte, state) {
+        if (byte !== FileTransfer.CAN) {
+            state.can = false;
+            return;
+        }
+        if (state.can) {
+            this.peerCancelled = true;
+            throw new Error('对方取消了传输');
+        }
+        state.can = true;
+    }
+
+    // 等线路空闲后丢弃残留的字节
+    async purge() {
+        do {
+            this.stream.discard();
+        } while (await this.readByte(this.purgeMs) !== null);
+    }
+
+    async sendFiles(files) {
+        const { batch, blockSize } = this.protocol;
+        if (files.length === 0) throw new Error('没有要发送的文件');
+        if (!batch && files.length > 1) throw new Error(`${this.protocol.label}一次只能发送一个文件`);
+        for (const file of files) {
+            let crc = await this.waitForReceiver();
+            if (batch) {
+                await this.sendBlock(0, FileTransfer.encodeHeader(file), 128, crc, 0);
+                crc = await this.waitForReceiver();
+            }
+            // 接收方只支持累加和时使用128字节块
+            const size = crc ? blockSize : 128;
+            let number = 1;
+            let sent = 0;
+            this.progress(file.name, 0, file.data.length);
+            while (sent < file.data.length) {
+                const chunk = file.data.subarray(sent, sent + size);
+                // 最后不足128字节时改用128字节块，减少填充
+                await this.sendBlock(number, chunk, chunk.length <= 128 ? 128 : size, crc);
+                sent += chunk.length;
+                this.transferred += chunk.length;
+                number++;
+                this.progress(file.name, sent, file.data.length);
+            }
+            await this.sendEot();
+        }
+        if (batch) {
+            const crc = await this.waitForReceiver();
+            await this.sendBlock(0, FileTransfer.encodeHeader(null), 128, crc, 0);
+        }
+    }
+
+    // 等待接收方的开始字符，返回是否使用CRC
+    async waitForReceiver() {
+        const deadline = Date.now() + this.startTimeoutMs;
+        const state = { can: false };
+        while (Date.now() < deadline) {
+            const byte = await this.readByte(deadline - Date.now());
+            if (byte === FileTransfer.CRC) return true;
+            if (byte === FileTransfer.NAK) return false;
+            if (byte !== null) this.handleCan(byte, state);
+        }
+        throw new Error('等待接收方超时，请确认接收方已开始接收');
+    }
+
+    // 发送一块直到收到ACK；NAK或超时重发，0号块收到'C'同样表示需要重发
+    async sendBlock(number, data, size, crc, padding) {
+        const block = FileTransfer.encodeBlock(number, data, size, crc, padding);
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            this.checkCancelled();
+            if (attempt > 0) this.errors++;
+            this.stream.discard();
+            await this.stream.write(block);
+            if (await this.waitReply(number === 0) === FileTransfer.ACK) return;
+        }
+        throw new Error(`第${number}块重试${this.retries}次仍未成功，传输中止`);
+    }
+
+    async sendEot() {
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            this.checkCancelled();
+            await this.write(FileTransfer.EOT);
+            if (await this.waitReply(false) === FileTransfer.ACK) return;
+        }
+        throw new Error('发送EOT后未收到确认');
+    }
+
+    // 返回ACK、NAK或超时时null，其他字节忽略
+    async waitReply(header) {
+        const deadline = Date.now() + this.timeoutMs;
+        const state = { can: false };
+        while (Date.now() < deadline) {
+            const byte = await this.readByte(deadline - Date.now());
+            if (byte === null) return null;
+            if (byte === FileTransfer.ACK || byte === FileTransfer.NAK) return byte;
+            if (header && byte === FileTransfer.CRC) return FileTransfer.NAK;
+            this.handleCan(byte, state);
+        }
+        return null;
+    }
+
+    async receiveFiles() {
+        const files = [];
+        for (;;) {
+            const file = await this.receiveFile();
+            if (!file) break;
+            files.push(file);
+            if (!this.protocol.batch) break;
+        }
+        return files;
+    }
+
+    // 接收一个文件；YMODEM收到空的0号块时返回null
+    async receiveFile() {
+        const { crc, batch } = this.protocol;
+        const start = crc ? FileTransfer.CRC : FileTransfer.NAK;
+        let header = null;
+        if (batch) {
+            const block = await this.waitForSender(start, 0);
+            header = FileTransfer.parseHeader(block.data);
+            await this.write(FileTransfer.ACK);
+            if (!header) return null;
+        }
+        const name = header ? header.name : '';
+        const total = header ? header.size : null;
+        const chunks = [];
+        let received = 0;
+        let expected = 1;
+        this.progress(name, 0, total);
+        let block = await this.waitForSender(start, 1);
+        while (block.type === 'block') {
+            chunks.push(block.data);
+            received += block.data.length;
+            this.transferred += block.data.length;
+            this.progress(name, total === null ? received : Math.min(received, total), total);
+            expected = (expected + 1) & 0xff;
+            block = await this.receiveNext(expected);
+        }
+        await this.write(FileTransfer.ACK);
+
+        const data = new Uint8Array(received);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        });
+        let length = data.length;
+        if (total !== null) {
+            length = Math.min(total, length);
+        } else {
+            while (length > 0 && data[length - 1] === FileTransfer.PAD) length--;
+        }
+        return { name, size: length, data: data.slice(0, length) };
+    }
+
+    // 每隔startIntervalMs发送开始字符，直到收到第number块；数据阶段也可能直接收到EOT（空文件）
+    async waitForSender(start, number) {
+        const deadline = Date.now() + this.startTimeoutMs;
+        while (Date.now() < deadline) {
+            await this.write(start);
+            const result = await this.readBlock(this.startIntervalMs);
+            if (!result) continue;
+            if (result.type === 'eot' && number === 1) return result;
+            if (result.type === 'block' && result.number === number) return result;
+            if (result.type === 'block' && number === 1 && result.number === 0) {
+                // 0号块的ACK丢失，发送方重发
+                await this.write(FileTransfer.ACK);
+            } else if (result.type === 'invalid') {
+                this.errors++;
+                await this.purge();
+            }
+        }
+        throw new Error('等待发送方超时，请确认发送方已开始发送');
+    }
+
+    // 确认上一块后等待第expected块，出错时回NAK重收
+    async receiveNext(expected) {
+        const previous = (expected - 1) & 0xff;
+        let reply = FileTransfer.ACK;
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            await this.write(reply);
+            const result = await this.readBlock(this.timeoutMs);
+            if (result && result.type === 'eot') return result;
+            if (result && result.type === 'block') {
+                if (result.number === expected) return result;
+                // 上一块的ACK丢失，发送方重发，再次确认
+                if (result.number === previous) {
+                    reply = FileTransfer.ACK;
+                    continue;
+                }
+                throw new Error(`块序号错误：应为${expected}，收到${result.number}`);
+            }
+            this.errors++;
+            if (result) await this.purge();
+            reply = FileTransfer.NAK;
+        }
+        throw new Error(`第${expected}块重试${this.retries}次仍未成功，传输中止`);
+    }
+
+    // 读取一块：返回 { type: 'block', number, data } / { type: 'eot' } / { type: 'invalid' }，超时返回null
+    async readBlock(timeoutMs) {
+        const { crc } = this.protocol;
+        const state = { can: false };
+        for (;;) {
+            const byte = await this.readByte(timeoutMs);
+            if (byte === null) return null;
+            if (byte === FileTransfer.EOT) return { type: 'eot' };
+            this.handleCan(byte, state);
+            // 块之间的杂散字节忽略
+            if (byte !== FileTransfer.SOH && byte !== FileTransfer.STX) continue;
+            const size = byte === FileTransfer.STX ? 1024 : 128;
+            let rest;
+            try {
+                this.checkCancelled();
+                rest = await this.stream.read(2 + size + (crc ? 2 : 1), this.timeoutMs);
+            } catch (error) {
+                if (error.name === 'TimeoutError') return { type: 'invalid' };
+                throw error;
+            }
+            const payload = rest.subarray(2, 2 + size);
+            const valid = (rest[0] ^ rest[1]) === 0xff && (crc
+                ? FileTransfer.crc16(payload) === ((rest[2 + size] << 8) | rest[3 + size])
+                : FileTransfer.checksum(payload) === rest[2 + size]);
+            return valid ? { type: 'block', number: rest[0], data: payload.slice() } : { type: 'invalid' };
+        }
+    }
+}